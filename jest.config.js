@@ -1,7 +1,7 @@
 module.exports = {
   testEnvironment: 'node',
   testMatch: ['**/*.test.js'],
-  collectCoverageFrom: ['src/**/*.js', '!src/**/*.test.js'],
+  collectCoverageFrom: ['src/**/*.js', '!src/**/*.test.js', '!src/test-utils/**'],
   coverageDirectory: 'coverage',
   coverageReporters: ['text', 'lcov', 'html'],
   verbose: true,
@@ -0,0 +1,27 @@
+/**
+ * Copies the Notion MCP server next to the bundled action, so sessions start the
+ * pinned, pre-installed server instead of downloading it with npx on every run.
+ *
+ * The server's CLI is already a single-file bundle; it only needs the OpenAPI
+ * spec it loads from ../scripts relative to itself.
+ *
+ * Usage (run by `npm run build`, after ncc):
+ *   node scripts/bundle-mcp-server.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FILES = ['package.json', 'bin/cli.mjs', 'scripts/notion-openapi.json'];
+
+const source = path.dirname(require.resolve('@notionhq/notion-mcp-server/package.json'));
+const target = path.join(__dirname, '..', 'dist', 'notion-mcp-server');
+
+fs.rmSync(target, { recursive: true, force: true });
+for (const file of FILES) {
+  fs.mkdirSync(path.dirname(path.join(target, file)), { recursive: true });
+  fs.copyFileSync(path.join(source, file), path.join(target, file));
+}
+
+const { version } = require(path.join(target, 'package.json'));
+console.log(`Copied @notionhq/notion-mcp-server ${version} to ${path.relative(process.cwd(), target)}`);
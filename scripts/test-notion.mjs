@@ -17,6 +17,7 @@
  */
 
 import { CopilotClient } from '@github/copilot-sdk';
+import { notionMcpServer } from '../src/session.js';
 
 // Load .env file if it exists
 try {
@@ -48,13 +49,8 @@ async function testNotionConnection() {
   console.log(`   Token: ${notionToken.substring(0, 10)}...${notionToken.substring(notionToken.length - 5)}`);
   console.log(`   Page ID: ${notionPageId}\n`);
 
-  // Initialize Copilot client with environment variables passed to CLI
-  const client = new CopilotClient({
-    env: {
-      ...process.env,
-      NOTION_TOKEN: notionToken,
-    },
-  });
+  // The Notion token goes to the MCP server through its environment, not the command line
+  const client = new CopilotClient();
 
   try {
     await client.start();
@@ -66,12 +62,8 @@ async function testNotionConnection() {
       model: 'gpt-4o',
       streaming: true,
       mcpServers: {
-        notion: {
-          type: 'local',
-          command: '/bin/bash',
-          args: ['-c', `NOTION_TOKEN=${notionToken} npx -y @notionhq/notion-mcp-server`],
-          tools: ['*'], // Allow all Notion tools
-        },
+        // Pre-installed server from node_modules, started with node (no shell), all tools allowed
+        notion: notionMcpServer(notionToken),
       },
       systemMessage: {
         content: `You are a helpful assistant that can interact with Notion using the available MCP tools.
@@ -145,7 +137,8 @@ and then add a divider. Use the appropriate Notion API tool to append these bloc
     console.error('  1. Verify your NOTION_TOKEN is valid');
     console.error('  2. Ensure the integration has access to the page');
     console.error('  3. Check that the NOTION_PAGE_ID is correct');
-    console.error('  4. Make sure you have GitHub Copilot CLI installed\n');
+    console.error('  4. Make sure you have GitHub Copilot CLI installed');
+    console.error('  5. Run "npm ci" so the Notion MCP server is installed locally\n');
     process.exit(1);
   } finally {
     await client.stop();
@@ -0,0 +1,166 @@
+/**
+ * Change categories of changelog entries (Added, Changed, Fixed, ..., Breaking) and the
+ * semver bump they suggest. A change is classified from its PR labels through a configurable
+ * label map, then the Conventional Commit prefix of its PR title, then its commits; a breaking
+ * marker anywhere makes it Breaking.
+ */
+
+const { CHANGE_CATEGORIES, COMMIT_TYPE_CATEGORIES, DEFAULT_CATEGORY_LABELS } = require('./constants');
+
+/** Semver bumps, from the smallest */
+const BUMPS = ['patch', 'minor', 'major'];
+
+const CONVENTIONAL_HEADER = /^((\w+)(?:\([^)]*\))?(!)?):\s*\S/;
+const BREAKING_FOOTER = /^BREAKING[ -]CHANGE:/m;
+
+/**
+ * Parses the header (and breaking change footer) of a Conventional Commit message
+ * (https://www.conventionalcommits.org/en/v1.0.0/).
+ * @param {string} message - Commit message or PR title.
+ * @returns {Object|null} The lowercase `type`, the `prefix` before the colon (e.g. "feat(api)!")
+ *   and whether the change is `breaking`, or null when the first line has no known type.
+ */
+function parseConventionalCommit(message) {
+  const [header, ...body] = (message || '').split('\n');
+  const match = CONVENTIONAL_HEADER.exec(header.trim());
+  const type = match ? match[2].toLowerCase() : null;
+  if (!type || !Object.hasOwn(COMMIT_TYPE_CATEGORIES, type)) return null;
+  return {
+    type,
+    prefix: match[1],
+    breaking: Boolean(match[3]) || BREAKING_FOOTER.test(body.join('\n')),
+  };
+}
+
+/**
+ * Parses the category-labels input into a label map, on top of DEFAULT_CATEGORY_LABELS.
+ * @param {string} input - "label=Category" pairs separated by newlines or commas.
+ * @returns {Object} Lowercase label names and their category.
+ * @throws {Error} When a pair has no label or names an unknown category.
+ */
+function parseCategoryLabels(input) {
+  const categories = Object.keys(CHANGE_CATEGORIES);
+  const labels = { ...DEFAULT_CATEGORY_LABELS };
+
+  for (const pair of (input || '').split(/[\n,]/).map((p) => p.trim()).filter(Boolean)) {
+    const at = pair.lastIndexOf('=');
+    const label = pair.substring(0, at).trim();
+    const category = categories.find((c) => c.toLowerCase() === pair.substring(at + 1).trim().toLowerCase());
+    if (at === -1 || !label || !category) {
+      throw new Error(`Invalid category-labels entry "${pair}". Expected "label=Category" with one of: ${categories.join(', ')}`);
+    }
+    labels[label.toLowerCase()] = category;
+  }
+
+  return labels;
+}
+
+/**
+ * Reads a category from a Conventional Commit message.
+ * @param {string} message - Commit message or PR title.
+ * @param {string} where - What the message is, for the source ("title" or "commit").
+ * @returns {Object|null} Candidate `category`, whether it is `breaking` and its `source`.
+ */
+function fromMessage(message, where) {
+  const parsed = parseConventionalCommit(message);
+  if (!parsed) return null;
+  const footer = parsed.breaking && !parsed.prefix.endsWith('!') ? ' with a BREAKING CHANGE footer' : '';
+  return {
+    category: COMMIT_TYPE_CATEGORIES[parsed.type],
+    breaking: parsed.breaking,
+    source: `${where} prefix "${parsed.prefix}"${footer}`,
+  };
+}
+
+/**
+ * Classifies a change. A breaking marker (a label mapped to Breaking, "!" after the type or a
+ * BREAKING CHANGE footer) wins, then the first mapped label, then the PR title prefix, then the
+ * commit suggesting the largest bump.
+ * @param {Object} change - `title` (the PR title, if any), `labels` (names) and commit `messages`.
+ * @param {Object} categoryLabels - Label map from parseCategoryLabels.
+ * @returns {Object} The `category` (null without any of these signals), the suggested semver `bump`
+ *   ("patch" without a category) and the `source` the category was read from.
+ */
+function classifyChange({ title = null, labels = [], messages = [] }, categoryLabels = DEFAULT_CATEGORY_LABELS) {
+  const rank = (candidate) => BUMPS.indexOf(CHANGE_CATEGORIES[candidate.category].bump);
+  const candidates = [
+    ...labels
+      .filter((name) => Object.hasOwn(categoryLabels, name.toLowerCase()))
+      .map((name) => ({ category: categoryLabels[name.toLowerCase()], breaking: false, source: `label "${name}"` })),
+    fromMessage(title, 'title'),
+    ...messages
+      .map((message) => fromMessage(message, 'commit'))
+      .filter(Boolean)
+      .sort((a, b) => rank(b) - rank(a)),
+  ].filter(Boolean);
+
+  const breaking = candidates.find((c) => c.breaking || c.category === 'Breaking');
+  const chosen = breaking ? { ...breaking, category: 'Breaking' } : candidates[0];
+  if (!chosen) {
+    return { category: null, bump: 'patch', source: null };
+  }
+  return { category: chosen.category, bump: CHANGE_CATEGORIES[chosen.category].bump, source: chosen.source };
+}
+
+/**
+ * Classifies a pull request from its labels, title and commits.
+ * @param {Object} pullRequest - PR data from GitHub API.
+ * @param {Array} commits - The pull request's commits, from pulls.listCommits or the compare API.
+ * @param {Object} categoryLabels - Label map from parseCategoryLabels.
+ * @returns {Object} Result of classifyChange.
+ */
+function classifyPullRequest(pullRequest, commits = [], categoryLabels = DEFAULT_CATEGORY_LABELS) {
+  return classifyChange(
+    {
+      title: pullRequest.title,
+      labels: (pullRequest.labels || []).map((label) => label.name),
+      messages: commits.map((commit) => commit.commit.message),
+    },
+    categoryLabels
+  );
+}
+
+/**
+ * Classifies the changes of a commit range: each pull request with its commits, and each commit
+ * pushed without a pull request.
+ * @param {Array} associations - Commits and their pull requests from findCommitPullRequests.
+ * @param {Object} categoryLabels - Label map from parseCategoryLabels.
+ * @returns {Array} Results of classifyChange.
+ */
+function classifyCommitRange(associations, categoryLabels = DEFAULT_CATEGORY_LABELS) {
+  const byPullRequest = new Map();
+  const direct = [];
+  for (const { commit, pullRequest } of associations) {
+    if (!pullRequest) {
+      direct.push(classifyChange({ messages: [commit.commit.message] }, categoryLabels));
+    } else if (byPullRequest.has(pullRequest.number)) {
+      byPullRequest.get(pullRequest.number).commits.push(commit);
+    } else {
+      byPullRequest.set(pullRequest.number, { pullRequest, commits: [commit] });
+    }
+  }
+
+  return [
+    ...[...byPullRequest.values()].map(({ pullRequest, commits }) => classifyPullRequest(pullRequest, commits, categoryLabels)),
+    ...direct,
+  ];
+}
+
+/**
+ * Returns the largest semver bump suggested by a set of changes.
+ * @param {Array} changes - Results of classifyChange.
+ * @returns {string|null} "major", "minor" or "patch", or null without any change.
+ */
+function highestBump(changes) {
+  if (changes.length === 0) return null;
+  return BUMPS[Math.max(...changes.map((change) => BUMPS.indexOf(change.bump)))];
+}
+
+module.exports = {
+  parseConventionalCommit,
+  parseCategoryLabels,
+  classifyChange,
+  classifyPullRequest,
+  classifyCommitRange,
+  highestBump,
+};
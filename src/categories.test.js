@@ -0,0 +1,128 @@
+const {
+  parseConventionalCommit,
+  parseCategoryLabels,
+  classifyChange,
+  classifyPullRequest,
+  classifyCommitRange,
+  highestBump,
+} = require('./categories');
+
+/**
+ * Builds a commit as returned by the commits and compare APIs.
+ */
+function commit(message) {
+  return { sha: `${message.length}abcdef`, commit: { message } };
+}
+
+describe('parseConventionalCommit', () => {
+  it('should read the type, prefix and breaking marker', () => {
+    expect(parseConventionalCommit('feat(api)!: drop v1 endpoints')).toEqual({
+      type: 'feat',
+      prefix: 'feat(api)!',
+      breaking: true,
+    });
+    expect(parseConventionalCommit('Fix: typo')).toEqual({ type: 'fix', prefix: 'Fix', breaking: false });
+  });
+
+  it('should read a BREAKING CHANGE footer', () => {
+    expect(parseConventionalCommit('refactor: rename option\n\nBREAKING CHANGE: `foo` is now `bar`').breaking).toBe(true);
+  });
+
+  it('should ignore messages without a known type', () => {
+    expect(parseConventionalCommit('Add feature')).toBeNull();
+    expect(parseConventionalCommit('WIP: something')).toBeNull();
+    expect(parseConventionalCommit('constructor: nope')).toBeNull();
+    expect(parseConventionalCommit('')).toBeNull();
+  });
+});
+
+describe('parseCategoryLabels', () => {
+  it('should add and override labels on top of the defaults, in any case', () => {
+    const labels = parseCategoryLabels('UI = added\nbug=Changed, sec=Security');
+
+    expect(labels).toMatchObject({ ui: 'Added', bug: 'Changed', sec: 'Security', enhancement: 'Added' });
+  });
+
+  it('should reject unknown categories and pairs without a label', () => {
+    expect(() => parseCategoryLabels('ui=Feature')).toThrow('Invalid category-labels entry "ui=Feature"');
+    expect(() => parseCategoryLabels('=Added')).toThrow('Expected "label=Category"');
+    expect(() => parseCategoryLabels('ui')).toThrow('Invalid category-labels entry "ui"');
+  });
+});
+
+describe('classifyChange', () => {
+  it('should prefer labels, then the title, then commits', () => {
+    expect(classifyChange({ title: 'feat: x', labels: ['Bug'], messages: ['docs: y'] })).toEqual({
+      category: 'Fixed',
+      bump: 'patch',
+      source: 'label "Bug"',
+    });
+    expect(classifyChange({ title: 'feat: x', labels: ['chore'], messages: ['fix: y'] }).source).toBe(
+      'title prefix "feat"'
+    );
+    expect(classifyChange({ title: 'Update things', messages: ['fix: y', 'feat: z'] })).toEqual({
+      category: 'Added',
+      bump: 'minor',
+      source: 'commit prefix "feat"',
+    });
+  });
+
+  it('should make any breaking marker win', () => {
+    expect(classifyChange({ title: 'fix: x', labels: ['bug'], messages: ['feat!: y'] })).toEqual({
+      category: 'Breaking',
+      bump: 'major',
+      source: 'commit prefix "feat!"',
+    });
+    expect(classifyChange({ title: 'refactor: x\n\nBREAKING CHANGE: z' }).source).toBe(
+      'title prefix "refactor" with a BREAKING CHANGE footer'
+    );
+    expect(classifyChange({ labels: ['breaking-change'] }).category).toBe('Breaking');
+  });
+
+  it('should use a custom label map', () => {
+    const categoryLabels = parseCategoryLabels('ui=Changed');
+
+    expect(classifyChange({ labels: ['ui'] }, categoryLabels).category).toBe('Changed');
+  });
+
+  it('should suggest a patch without any signal', () => {
+    expect(classifyChange({ title: 'Update README', labels: ['chore'] })).toEqual({
+      category: null,
+      bump: 'patch',
+      source: null,
+    });
+  });
+});
+
+describe('classifyPullRequest', () => {
+  it('should read the labels, title and commits of a pull request', () => {
+    const pullRequest = { title: 'Tidy up', labels: [{ name: 'deprecation' }] };
+
+    expect(classifyPullRequest(pullRequest, [commit('feat: add')]).category).toBe('Deprecated');
+    expect(classifyPullRequest({ title: 'Tidy up' }, [commit('feat: add')]).category).toBe('Added');
+  });
+});
+
+describe('classifyCommitRange', () => {
+  it('should classify each pull request with its commits, and each direct commit', () => {
+    const pullRequest = { number: 1, title: 'Improve parser', labels: [] };
+    const associations = [
+      { commit: commit('fix: edge case'), pullRequest },
+      { commit: commit('feat: new syntax'), pullRequest },
+      { commit: commit('perf!: drop cache'), pullRequest: null },
+      { commit: commit('Typo'), pullRequest: null },
+    ];
+
+    const changes = classifyCommitRange(associations);
+
+    expect(changes.map((c) => c.category)).toEqual(['Added', 'Breaking', null]);
+  });
+});
+
+describe('highestBump', () => {
+  it('should return the largest bump, or null without changes', () => {
+    expect(highestBump([{ bump: 'patch' }, { bump: 'major' }, { bump: 'minor' }])).toBe('major');
+    expect(highestBump([{ bump: 'patch' }])).toBe('patch');
+    expect(highestBump([])).toBeNull();
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Changelog entries as rows of a Notion database.
+ * Each entry becomes a row with typed properties that can be filtered, sorted and
+ * rolled up; the summary and changed files go into the row's page body.
+ * Rows are identified by their URL (the PR or commit), so re-runs can skip or replace them.
+ */
+
+const { buildEntryBodyBlocks } = require('./utils');
+const { listBlockChildren, getDatabase, appendBlocks, replacePageContent } = require('./notion');
+const { CHANGE_CATEGORIES } = require('./constants');
+
+/** Property names and types of the changelog database */
+const CHANGELOG_DATABASE_SCHEMA = {
+  Title: { title: {} },
+  Date: { date: {} },
+  'PR number': { number: { format: 'number' } },
+  Author: { rich_text: {} },
+  URL: { url: {} },
+  Type: {
+    select: {
+      options: [
+        { name: 'pr', color: 'blue' },
+        { name: 'sync', color: 'gray' },
+        { name: 'release', color: 'green' },
+        { name: 'push', color: 'purple' },
+      ],
+    },
+  },
+  Category: {
+    select: { options: Object.entries(CHANGE_CATEGORIES).map(([name, { color }]) => ({ name, color })) },
+  },
+  Labels: { multi_select: {} },
+  'Files changed': { number: { format: 'number' } },
+};
+
+/** Notion caps select option names at 100 characters and forbids commas */
+const MAX_OPTION_LENGTH = 100;
+
+/**
+ * Builds a rich_text or title value.
+ * @param {string} content - Text content.
+ * @returns {Array} Rich text array.
+ */
+function text(content) {
+  return [{ type: 'text', text: { content } }];
+}
+
+/**
+ * Finds a child database with the given title under a page.
+ * @param {Object} client - Notion client from createNotionClient.
+ * @param {string} parentId - Parent page ID.
+ * @param {string} title - Database title.
+ * @returns {Promise<Object|null>} The child_database block, or null if not found.
+ */
+async function findChildDatabase(client, parentId, title) {
+  const children = await listBlockChildren(client, parentId);
+  return children.find((block) => block.type === 'child_database' && block.child_database.title === title) || null;
+}
+
+/**
+ * Adds the properties missing from an existing changelog database and renames its title property
+ * to "Title", so databases made by hand or by older versions keep working.
+ * @param {Object} client - Notion client from createNotionClient.
+ * @param {string} databaseId - Changelog database ID.
+ * @returns {Promise<Array<string>>} Names of the added properties.
+ */
+async function upgradeChangelogDatabase(client, databaseId) {
+  const database = await getDatabase(client, databaseId);
+  const added = Object.keys(CHANGELOG_DATABASE_SCHEMA).filter(
+    (name) => name !== 'Title' && !(name in database.properties)
+  );
+  const properties = Object.fromEntries(added.map((name) => [name, CHANGELOG_DATABASE_SCHEMA[name]]));
+  // Every database has exactly one title property; rows are written to it as "Title"
+  const titleName = Object.keys(database.properties).find((name) => database.properties[name].type === 'title');
+  if (titleName && titleName !== 'Title') {
+    properties[titleName] = { name: 'Title' };
+  }
+  if (Object.keys(properties).length > 0) {
+    await client.request('PATCH', `/databases/${databaseId}`, { properties });
+  }
+  return added;
+}
+
+/**
+ * Finds the changelog database under a page, creating it when it doesn't exist.
+ * An existing database is upgraded with upgradeChangelogDatabase.
+ * @param {Object} client - Notion client from createNotionClient.
+ * @param {string} parentId - Parent page ID.
+ * @param {string} title - Database title.
+ * @returns {Promise<Object>} Object with the database `id`, whether it was `created` and the `added` properties.
+ */
+async function findOrCreateChangelogDatabase(client, parentId, title) {
+  const existing = await findChildDatabase(client, parentId, title);
+  if (!existing) {
+    const database = await client.request('POST', '/databases', {
+      parent: { type: 'page_id', page_id: parentId },
+      title: text(title),
+      properties: CHANGELOG_DATABASE_SCHEMA,
+    });
+    return { id: database.id, created: true, added: [] };
+  }
+
+  const added = await upgradeChangelogDatabase(client, existing.id);
+  return { id: existing.id, created: false, added };
+}
+
+/**
+ * Builds the typed row properties for a changelog entry.
+ * @param {Object} entry - The changelog entry object.
+ * @returns {Object} Notion page properties.
+ */
+function buildDatabaseProperties(entry) {
+  const labels = entry.labels || [];
+  return {
+    Title: { title: text(entry.title) },
+    Date: { date: { start: entry.date } },
+    'PR number': { number: entry.prNumber ?? null },
+    Author: { rich_text: text(entry.author) },
+    URL: { url: entry.url },
+    Type: { select: { name: entry.type } },
+    Category: { select: entry.category ? { name: entry.category } : null },
+    Labels: {
+      multi_select: labels.map((name) => ({ name: name.replace(/,/g, ' ').substring(0, MAX_OPTION_LENGTH) })),
+    },
+    'Files changed': { number: entry.filesChanged ?? null },
+  };
+}
+
+/**
+ * Looks for the row of an entry.
+ * @param {Object} client - Notion client from createNotionClient.
+ * @param {string} databaseId - Changelog database ID.
+ * @param {Object} entry - The changelog entry object.
+ * @returns {Promise<Object|null>} The row's page object, or null when not found.
+ */
+async function findDatabaseEntry(client, databaseId, entry) {
+  const { results } = await client.request('POST', `/databases/${databaseId}/query`, {
+    filter: { property: 'URL', url: { equals: entry.url } },
+    page_size: 1,
+  });
+  return results[0] || null;
+}
+
+/**
+ * Writes a changelog entry as a database row, honoring what to do when it already exists.
+ * @param {Object} client - Notion client from createNotionClient.
+ * @param {string} databaseId - Changelog database ID.
+ * @param {Object} entry - The changelog entry object.
+ * @param {string} onExisting - One of ON_EXISTING_MODES.
+ * @returns {Promise<Object>} The `action` taken, the row's `pageId` and the body `blocks` written.
+ */
+async function writeDatabaseEntry(client, databaseId, entry, onExisting = 'skip') {
+  const existing = await findDatabaseEntry(client, databaseId, entry);
+
+  if (existing && onExisting === 'skip') {
+    return { action: 'skipped', pageId: existing.id, blocks: [] };
+  }
+
+  const properties = buildDatabaseProperties(entry);
+  const body = buildEntryBodyBlocks(entry);
+
+  if (existing && onExisting === 'replace') {
+    await client.request('PATCH', `/pages/${existing.id}`, { properties });
+    const { created } = await replacePageContent(client, existing.id, body);
+    return { action: 'replaced', pageId: existing.id, blocks: created };
+  }
+
+  const page = await client.request('POST', '/pages', { parent: { database_id: databaseId }, properties });
+  const created = await appendBlocks(client, page.id, body);
+  return { action: existing ? 'appended' : 'created', pageId: page.id, blocks: created };
+}
+
+module.exports = {
+  CHANGELOG_DATABASE_SCHEMA,
+  findChildDatabase,
+  upgradeChangelogDatabase,
+  findOrCreateChangelogDatabase,
+  buildDatabaseProperties,
+  findDatabaseEntry,
+  writeDatabaseEntry,
+};
@@ -0,0 +1,211 @@
+const {
+  CHANGELOG_DATABASE_SCHEMA,
+  findChildDatabase,
+  upgradeChangelogDatabase,
+  findOrCreateChangelogDatabase,
+  buildDatabaseProperties,
+  findDatabaseEntry,
+  writeDatabaseEntry,
+} = require('./changelog-database');
+const { createFakeNotion } = require('./test-utils/fake-notion');
+
+/**
+ * Builds a PR changelog entry for tests.
+ */
+function prEntry(prNumber, summary = 'Summary') {
+  return {
+    type: 'pr',
+    key: `PR #${prNumber}`,
+    date: '2026-01-21',
+    title: `Change ${prNumber}`,
+    prNumber,
+    author: 'dev',
+    url: `https://github.com/org/repo/pull/${prNumber}`,
+    summary,
+    files: '- file.js',
+    labels: ['enhancement', 'a,b'],
+    filesChanged: 3,
+  };
+}
+
+/**
+ * Returns the plain text of a row page's first paragraph.
+ */
+function rowSummary(notion, rowId) {
+  return notion.children[rowId][0].paragraph.rich_text[0].text.content;
+}
+
+describe('findChildDatabase', () => {
+  it('should find a child database by title', async () => {
+    const notion = createFakeNotion({
+      root: [
+        { id: 'page1', type: 'child_page', child_page: { title: 'Changelog' } },
+        { id: 'db1', type: 'child_database', child_database: { title: 'Changelog' } },
+      ],
+    });
+
+    const database = await findChildDatabase(notion, 'root', 'Changelog');
+
+    expect(database.id).toBe('db1');
+  });
+});
+
+describe('findOrCreateChangelogDatabase', () => {
+  it('should create the database with the full schema', async () => {
+    const notion = createFakeNotion();
+
+    const result = await findOrCreateChangelogDatabase(notion, 'root', 'Changelog');
+
+    expect(result).toEqual({ id: expect.any(String), created: true, added: [] });
+    const body = notion.request.mock.calls.find(([method, path]) => method === 'POST' && path === '/databases')[2];
+    expect(body.parent).toEqual({ type: 'page_id', page_id: 'root' });
+    expect(body.properties).toBe(CHANGELOG_DATABASE_SCHEMA);
+    expect(notion.children.root[0]).toMatchObject({ type: 'child_database', child_database: { title: 'Changelog' } });
+  });
+
+  it('should reuse an existing database', async () => {
+    const notion = createFakeNotion();
+    const created = await findOrCreateChangelogDatabase(notion, 'root', 'Changelog');
+
+    const found = await findOrCreateChangelogDatabase(notion, 'root', 'Changelog');
+
+    expect(found).toEqual({ id: created.id, created: false, added: [] });
+    expect(notion.request).not.toHaveBeenCalledWith('PATCH', expect.stringMatching(/^\/databases/), expect.anything());
+  });
+
+  it('should add missing properties and rename the title property', async () => {
+    const notion = createFakeNotion(
+      { root: [{ id: 'db1', type: 'child_database', child_database: { title: 'Changelog' } }] },
+      { db1: { properties: { Name: { type: 'title', title: {} }, Date: { type: 'date', date: {} } } } }
+    );
+
+    const result = await findOrCreateChangelogDatabase(notion, 'root', 'Changelog');
+
+    expect(result.added).toEqual(['PR number', 'Author', 'URL', 'Type', 'Category', 'Labels', 'Files changed']);
+    expect(Object.keys(notion.databases.db1.properties).sort()).toEqual(Object.keys(CHANGELOG_DATABASE_SCHEMA).sort());
+    expect(notion.databases.db1.properties.Title.type).toBe('title');
+  });
+});
+
+describe('upgradeChangelogDatabase', () => {
+  it('should upgrade a database given by ID, wherever it lives', async () => {
+    const notion = createFakeNotion({}, { db7: { properties: { Title: { type: 'title', title: {} } } } });
+
+    const added = await upgradeChangelogDatabase(notion, 'db7');
+
+    expect(added).toHaveLength(Object.keys(CHANGELOG_DATABASE_SCHEMA).length - 1);
+    expect(notion.request).toHaveBeenCalledWith('PATCH', '/databases/db7', expect.anything());
+  });
+});
+
+describe('buildDatabaseProperties', () => {
+  it('should map entry fields to typed properties', () => {
+    const properties = buildDatabaseProperties({ ...prEntry(42), category: 'Added' });
+
+    expect(properties).toEqual({
+      Title: { title: [{ type: 'text', text: { content: 'Change 42' } }] },
+      Date: { date: { start: '2026-01-21' } },
+      'PR number': { number: 42 },
+      Author: { rich_text: [{ type: 'text', text: { content: 'dev' } }] },
+      URL: { url: 'https://github.com/org/repo/pull/42' },
+      Type: { select: { name: 'pr' } },
+      Category: { select: { name: 'Added' } },
+      Labels: { multi_select: [{ name: 'enhancement' }, { name: 'a b' }] },
+      'Files changed': { number: 3 },
+    });
+  });
+
+  it('should leave PR-only properties empty for syncs', () => {
+    const entry = {
+      type: 'sync',
+      date: '2026-01-21',
+      title: 'Documentation sync from main',
+      commit: 'abc1234',
+      author: 'Test Author',
+      url: 'https://github.com/org/repo/commit/abc1234',
+      labels: [],
+      filesChanged: null,
+    };
+
+    const properties = buildDatabaseProperties(entry);
+
+    expect(properties['PR number']).toEqual({ number: null });
+    expect(properties['Files changed']).toEqual({ number: null });
+    expect(properties.Category).toEqual({ select: null });
+    expect(properties.Type).toEqual({ select: { name: 'sync' } });
+    expect(properties.Labels).toEqual({ multi_select: [] });
+  });
+});
+
+describe('writeDatabaseEntry', () => {
+  /**
+   * Creates a fake Notion with an empty changelog database.
+   */
+  async function setup() {
+    const notion = createFakeNotion();
+    const { id } = await findOrCreateChangelogDatabase(notion, 'root', 'Changelog');
+    return { notion, databaseId: id };
+  }
+
+  it('should add a row with the summary and files in its body', async () => {
+    const { notion, databaseId } = await setup();
+
+    const result = await writeDatabaseEntry(notion, databaseId, prEntry(1));
+
+    expect(result.action).toBe('created');
+    expect(notion.rows[databaseId]).toHaveLength(1);
+    expect(notion.rows[databaseId][0].properties.URL.url).toBe('https://github.com/org/repo/pull/1');
+    expect(notion.children[result.pageId].map((b) => b.type)).toEqual(['paragraph', 'toggle']);
+    expect(result.blocks).toHaveLength(2);
+  });
+
+  it('should skip an existing row by default', async () => {
+    const { notion, databaseId } = await setup();
+    const first = await writeDatabaseEntry(notion, databaseId, prEntry(1));
+
+    const result = await writeDatabaseEntry(notion, databaseId, prEntry(1));
+
+    expect(result).toEqual({ action: 'skipped', pageId: first.pageId, blocks: [] });
+    expect(notion.rows[databaseId]).toHaveLength(1);
+  });
+
+  it('should replace the properties and body of an existing row', async () => {
+    const { notion, databaseId } = await setup();
+    const first = await writeDatabaseEntry(notion, databaseId, prEntry(1, 'Old'));
+
+    const result = await writeDatabaseEntry(notion, databaseId, { ...prEntry(1, 'New'), title: 'Renamed' }, 'replace');
+
+    expect(result).toMatchObject({ action: 'replaced', pageId: first.pageId });
+    expect(notion.rows[databaseId]).toHaveLength(1);
+    expect(notion.rows[databaseId][0].properties.Title.title[0].text.content).toBe('Renamed');
+    expect(notion.children[first.pageId]).toHaveLength(2);
+    expect(rowSummary(notion, first.pageId)).toBe('New');
+  });
+
+  it('should add another row in append mode', async () => {
+    const { notion, databaseId } = await setup();
+    await writeDatabaseEntry(notion, databaseId, prEntry(1));
+
+    const result = await writeDatabaseEntry(notion, databaseId, prEntry(1), 'append');
+
+    expect(result.action).toBe('appended');
+    expect(notion.rows[databaseId]).toHaveLength(2);
+  });
+});
+
+describe('findDatabaseEntry', () => {
+  it('should query rows by URL', async () => {
+    const notion = createFakeNotion();
+    const { id } = await findOrCreateChangelogDatabase(notion, 'root', 'Changelog');
+    await writeDatabaseEntry(notion, id, prEntry(1));
+
+    await expect(findDatabaseEntry(notion, id, prEntry(2))).resolves.toBeNull();
+    const row = await findDatabaseEntry(notion, id, prEntry(1));
+
+    expect(row.properties.Title.title[0].text.content).toBe('Change 1');
+    expect(notion.request).toHaveBeenCalledWith('POST', `/databases/${id}/query`, {
+      filter: { property: 'URL', url: { equals: 'https://github.com/org/repo/pull/1' } },
+      page_size: 1,
+    });
+  });
+});
@@ -0,0 +1,304 @@
+/**
+ * Changelog entries in a CHANGELOG.md file in the repository, in Keep a Changelog format
+ * (https://keepachangelog.com/en/1.1.0/).
+ * Entries go under the "Unreleased" section as one line each, in the group of their category
+ * ("### Fixed", ...); the line links the entry key ("[PR #42](...)"), so re-runs can skip or replace it.
+ * The file is written through the GitHub contents API, either straight to the base branch or on a
+ * branch with a pull request.
+ */
+
+const { getEntryKey, formatEntryAuthor } = require('./utils');
+const { CONTENTS_UPDATE_ATTEMPTS } = require('./constants');
+
+/** How the updated file reaches the repository */
+const CHANGELOG_FILE_MODES = ['commit', 'pull-request'];
+
+/** Start of a new changelog file */
+const CHANGELOG_FILE_HEADER = [
+  '# Changelog',
+  '',
+  'All notable changes to this project will be documented in this file.',
+  '',
+  'The format is based on [Keep a Changelog](https://keepachangelog.com/en/1.1.0/).',
+  '',
+].join('\n');
+
+/** Keep a Changelog group of entries without a category */
+const DEFAULT_CHANGE_GROUP = 'Changed';
+
+/** Keep a Changelog has no group for breaking changes: they are listed under Changed, marked on the line */
+const BREAKING_CHANGE_GROUP = 'Changed';
+
+const UNRELEASED_HEADING = /^## \[?unreleased\]?\s*$/i;
+const RELEASE_HEADING = /^## /;
+
+/**
+ * Returns the Keep a Changelog group of an entry.
+ * @param {Object} entry - The changelog entry object.
+ * @returns {string} Its category, "Changed" for a breaking change or an entry without a category.
+ */
+function changeGroup(entry) {
+  if (entry.category === 'Breaking') return BREAKING_CHANGE_GROUP;
+  return entry.category || DEFAULT_CHANGE_GROUP;
+}
+
+/**
+ * Renders a changelog entry as a Keep a Changelog list item.
+ * @param {Object} entry - The changelog entry object.
+ * @returns {string} Markdown list item, e.g. "- Add feature ([PR #42](https://...)) by @dev", starting
+ *   with "**BREAKING**" for a breaking change.
+ */
+function renderChangelogLine(entry) {
+  const title = entry.title.replace(/\s+/g, ' ').trim();
+  const breaking = entry.category === 'Breaking' ? '**BREAKING** ' : '';
+  return `- ${breaking}${title} ([${getEntryKey(entry)}](${entry.url})) by ${formatEntryAuthor(entry)}`;
+}
+
+/**
+ * Finds the line of an entry.
+ * @param {Array<string>} lines - File lines.
+ * @param {string} key - Entry key from getEntryKey.
+ * @returns {number} Line index, or -1 when not found.
+ */
+function findChangelogLine(lines, key) {
+  return lines.findIndex((line) => line.startsWith('- ') && line.includes(`[${key}](`));
+}
+
+/**
+ * Returns the line range of the Unreleased section, adding the section when missing.
+ * @param {Array<string>} lines - File lines, changed in place.
+ * @returns {Object} `start` (the heading line) and `end` (the next release heading, or the end of the file).
+ */
+function ensureUnreleasedSection(lines) {
+  let start = lines.findIndex((line) => UNRELEASED_HEADING.test(line));
+  if (start === -1) {
+    const firstRelease = lines.findIndex((line) => RELEASE_HEADING.test(line));
+    start = firstRelease === -1 ? lines.length : firstRelease;
+    lines.splice(start, 0, '## [Unreleased]', '');
+  }
+
+  let end = lines.findIndex((line, i) => i > start && RELEASE_HEADING.test(line));
+  if (end === -1) end = lines.length;
+  return { start, end };
+}
+
+/**
+ * Returns the group a line of the Unreleased section is listed under.
+ * @param {Array<string>} lines - File lines.
+ * @param {number} index - Line index.
+ * @returns {string|null} Group name, or null when the line is under no group heading.
+ */
+function lineGroup(lines, index) {
+  for (let i = index - 1; i >= 0 && !RELEASE_HEADING.test(lines[i]); i--) {
+    const heading = /^### (.+?)\s*$/.exec(lines[i]);
+    if (heading) return heading[1];
+  }
+  return null;
+}
+
+/**
+ * Removes an entry line, and its group heading when the group is left empty.
+ * @param {Array<string>} lines - File lines, changed in place.
+ * @param {number} index - Line index.
+ */
+function removeChangelogLine(lines, index) {
+  lines.splice(index, 1);
+  let start = index;
+  while (start > 0 && lines[start - 1].trim() === '') start--;
+  let end = index;
+  while (end < lines.length && lines[end].trim() === '') end++;
+  if (start > 0 && /^### /.test(lines[start - 1]) && (end === lines.length || lines[end].startsWith('#'))) {
+    // The heading and the blank lines after it; the blank line before it stays as the separator
+    lines.splice(start - 1, end - start + 1);
+  }
+}
+
+/**
+ * Inserts an entry line at the end of a group of the Unreleased section, adding the group when missing.
+ * @param {Array<string>} lines - File lines, changed in place.
+ * @param {string} line - Entry line from renderChangelogLine.
+ * @param {string} group - Keep a Changelog group (e.g. "Changed").
+ */
+function insertUnreleasedLine(lines, line, group) {
+  const { start, end } = ensureUnreleasedSection(lines);
+  const heading = `### ${group}`.toLowerCase();
+  const groupStart = lines.findIndex((l, i) => i > start && i < end && l.trim().toLowerCase() === heading);
+
+  if (groupStart === -1) {
+    // A new group goes at the end of the section, between blank lines
+    let at = end;
+    while (at > start + 1 && lines[at - 1].trim() === '') at--;
+    lines.splice(at, end - at, '', `### ${group}`, '', line, '');
+    return;
+  }
+
+  // After the group's last item, or after a blank line when the group is empty
+  let at = groupStart + 1;
+  for (let i = groupStart + 1; i < end && !lines[i].startsWith('#'); i++) {
+    if (lines[i].trim() !== '') at = i + 1;
+  }
+  lines.splice(at, 0, ...(at === groupStart + 1 ? ['', line] : [line]));
+}
+
+/**
+ * Adds a changelog entry to the Unreleased section of a changelog file, honoring what to do when it already exists.
+ * @param {string|null} content - Current file content, or null when the file doesn't exist yet.
+ * @param {Object} entry - The changelog entry object.
+ * @param {string} onExisting - One of ON_EXISTING_MODES.
+ * @param {string} group - Keep a Changelog group for the entry (from its category by default). A
+ *   replaced line listed under another group moves to this one.
+ * @returns {Object} The `action` taken, the new `content` (unchanged when skipped) and the `existing` line index (or null).
+ */
+function addChangelogLine(content, entry, onExisting = 'skip', group = changeGroup(entry)) {
+  const lines = (content ?? CHANGELOG_FILE_HEADER).replace(/\r\n/g, '\n').split('\n');
+  const index = findChangelogLine(lines, getEntryKey(entry));
+  const existing = index === -1 ? null : index;
+  const line = renderChangelogLine(entry);
+
+  if (existing !== null && onExisting === 'skip') {
+    return { action: 'skipped', content, existing };
+  }
+
+  if (existing !== null && onExisting === 'replace') {
+    const listedUnder = lineGroup(lines, existing);
+    if (listedUnder && listedUnder.toLowerCase() === group.toLowerCase()) {
+      lines[existing] = line;
+      return { action: 'replaced', content: lines.join('\n'), existing };
+    }
+    // The category changed since the entry was written
+    removeChangelogLine(lines, existing);
+    insertUnreleasedLine(lines, line, group);
+    return { action: 'replaced', content: lines.join('\n'), existing };
+  }
+
+  insertUnreleasedLine(lines, line, group);
+  const updated = lines.join('\n');
+  return {
+    action: existing !== null ? 'appended' : 'created',
+    content: updated.endsWith('\n') ? updated : `${updated}\n`,
+    existing,
+  };
+}
+
+/**
+ * Checks that a changelog file lists an entry under Unreleased.
+ * @param {string|null} content - File content.
+ * @param {Object} entry - The changelog entry object.
+ * @returns {Object} `{ ok, blockIds, missing }`, like checkChangelogEntry; `blockIds` is always empty.
+ */
+function checkChangelogFile(content, entry) {
+  const lines = (content || '').split('\n');
+  const key = getEntryKey(entry);
+  const start = lines.findIndex((line) => UNRELEASED_HEADING.test(line));
+  let end = lines.findIndex((line, i) => i > start && RELEASE_HEADING.test(line));
+  if (end === -1) end = lines.length;
+
+  const found = start !== -1 && findChangelogLine(lines.slice(start, end), key) !== -1;
+  return { ok: found, blockIds: [], missing: found ? [] : [`line for ${key} under Unreleased`] };
+}
+
+/**
+ * Reads a file and its blob SHA from a branch.
+ * @param {Object} octokit - GitHub API client.
+ * @param {Object} location - `owner`, `repo`, `path` and `branch`.
+ * @returns {Promise<Object|null>} `{ content, sha }`, or null when the file doesn't exist.
+ */
+async function readRepoFile(octokit, { owner, repo, path, branch }) {
+  try {
+    const { data } = await octokit.rest.repos.getContent({ owner, repo, path, ref: branch });
+    return { content: Buffer.from(data.content, data.encoding).toString('utf-8'), sha: data.sha };
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * Updates a file on a branch from its current content, retrying when the branch moved in between.
+ * @param {Object} octokit - GitHub API client.
+ * @param {Object} location - `owner`, `repo`, `path` and `branch`.
+ * @param {Function} update - `(content) => ({ content, message })`, given null for a new file.
+ *   The file is left alone when the returned content is unchanged.
+ * @returns {Promise<Object>} The `update` result and the `commitSha` (null when nothing was written).
+ */
+async function updateRepoFile(octokit, location, update) {
+  for (let attempt = 1; ; attempt++) {
+    const file = await readRepoFile(octokit, location);
+    const current = file ? file.content : null;
+    const result = update(current);
+    if (result.content === current) return { result, commitSha: null };
+
+    try {
+      const { data } = await octokit.rest.repos.createOrUpdateFileContents({
+        owner: location.owner,
+        repo: location.repo,
+        path: location.path,
+        branch: location.branch,
+        message: result.message,
+        content: Buffer.from(result.content).toString('base64'),
+        ...(file ? { sha: file.sha } : {}),
+      });
+      return { result, commitSha: data.commit.sha };
+    } catch (error) {
+      // 409: the file changed since it was read, so read it again and redo the update
+      if (error.status !== 409 || attempt >= CONTENTS_UPDATE_ATTEMPTS) throw error;
+    }
+  }
+}
+
+/**
+ * Creates a branch from the head of another, or keeps it when it already exists.
+ * @param {Object} octokit - GitHub API client.
+ * @param {Object} options - `owner`, `repo`, the `base` branch and the `branch` to create.
+ * @returns {Promise<boolean>} True when the branch was created.
+ */
+async function ensureBranch(octokit, { owner, repo, base, branch }) {
+  const { data: ref } = await octokit.rest.git.getRef({ owner, repo, ref: `heads/${base}` });
+  try {
+    await octokit.rest.git.createRef({ owner, repo, ref: `refs/heads/${branch}`, sha: ref.object.sha });
+    return true;
+  } catch (error) {
+    if (error.status === 422) return false;
+    throw error;
+  }
+}
+
+/**
+ * Opens a pull request, or returns the open one for the same branch.
+ * @param {Object} octokit - GitHub API client.
+ * @param {Object} options - `owner`, `repo`, `base` and `head` branches, `title` and `body`.
+ * @returns {Promise<Object>} The pull request.
+ */
+async function openPullRequest(octokit, { owner, repo, base, head, title, body }) {
+  const { data: open } = await octokit.rest.pulls.list({ owner, repo, head: `${owner}:${head}`, base, state: 'open' });
+  if (open.length > 0) return open[0];
+
+  const { data } = await octokit.rest.pulls.create({ owner, repo, base, head, title, body });
+  return data;
+}
+
+/**
+ * Builds the branch name used to propose an entry in pull-request mode.
+ * @param {Object} entry - The changelog entry object.
+ * @returns {string} Branch name, e.g. "doc-updater/changelog-pr-42".
+ */
+function changelogBranchName(entry) {
+  const slug = getEntryKey(entry).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `doc-updater/changelog-${slug}`;
+}
+
+module.exports = {
+  CHANGELOG_FILE_MODES,
+  CHANGELOG_FILE_HEADER,
+  DEFAULT_CHANGE_GROUP,
+  changeGroup,
+  renderChangelogLine,
+  findChangelogLine,
+  addChangelogLine,
+  checkChangelogFile,
+  readRepoFile,
+  updateRepoFile,
+  ensureBranch,
+  openPullRequest,
+  changelogBranchName,
+};
@@ -0,0 +1,287 @@
+const {
+  CHANGELOG_FILE_HEADER,
+  renderChangelogLine,
+  addChangelogLine,
+  checkChangelogFile,
+  readRepoFile,
+  updateRepoFile,
+  ensureBranch,
+  openPullRequest,
+  changelogBranchName,
+} = require('./changelog-file');
+const { createFakeGitHub } = require('./test-utils/fake-github');
+
+/**
+ * Builds a PR changelog entry for tests.
+ */
+function prEntry(prNumber, title = `Change ${prNumber}`) {
+  return {
+    type: 'pr',
+    key: `PR #${prNumber}`,
+    date: '2026-01-21',
+    title,
+    prNumber,
+    author: 'dev',
+    url: `https://github.com/org/repo/pull/${prNumber}`,
+    summary: 'Summary',
+    files: '- file.js',
+  };
+}
+
+const location = { owner: 'org', repo: 'repo', path: 'CHANGELOG.md', branch: 'main' };
+
+const released = [
+  '# Changelog',
+  '',
+  '## [Unreleased]',
+  '',
+  '### Added',
+  '',
+  '- Old feature ([PR #1](https://github.com/org/repo/pull/1)) by @dev',
+  '',
+  '## [1.0.0] - 2026-01-01',
+  '',
+  '### Changed',
+  '',
+  '- Released change ([PR #0](https://github.com/org/repo/pull/0)) by @dev',
+  '',
+].join('\n');
+
+describe('renderChangelogLine', () => {
+  it('should link the entry key and mention the author', () => {
+    expect(renderChangelogLine(prEntry(42, 'Add\n  feature'))).toBe(
+      '- Add feature ([PR #42](https://github.com/org/repo/pull/42)) by @dev'
+    );
+  });
+
+  it('should not prefix commit authors with @', () => {
+    const entry = { type: 'sync', commit: 'abc1234', title: 'Sync', author: 'Test Author', url: 'https://x' };
+
+    expect(renderChangelogLine(entry)).toBe('- Sync ([Commit abc1234](https://x)) by Test Author');
+  });
+});
+
+describe('addChangelogLine', () => {
+  it('should start a new file with the Keep a Changelog header', () => {
+    const { action, content, existing } = addChangelogLine(null, prEntry(2));
+
+    expect(action).toBe('created');
+    expect(existing).toBeNull();
+    expect(content).toBe(
+      `${CHANGELOG_FILE_HEADER}\n## [Unreleased]\n\n### Changed\n\n` +
+        '- Change 2 ([PR #2](https://github.com/org/repo/pull/2)) by @dev\n'
+    );
+  });
+
+  it('should add a missing group at the end of Unreleased, before released versions', () => {
+    const { content } = addChangelogLine(released, prEntry(2));
+    const lines = content.split('\n');
+
+    expect(lines.slice(6, 12)).toEqual([
+      '- Old feature ([PR #1](https://github.com/org/repo/pull/1)) by @dev',
+      '',
+      '### Changed',
+      '',
+      '- Change 2 ([PR #2](https://github.com/org/repo/pull/2)) by @dev',
+      '',
+    ]);
+    expect(lines[12]).toBe('## [1.0.0] - 2026-01-01');
+  });
+
+  it('should append to the end of an existing group', () => {
+    const first = addChangelogLine(released, prEntry(2)).content;
+
+    const { content } = addChangelogLine(first, prEntry(3));
+
+    const lines = content.split('\n');
+    const index = lines.indexOf('- Change 3 ([PR #3](https://github.com/org/repo/pull/3)) by @dev');
+    expect(lines[index - 1]).toContain('[PR #2]');
+    expect(lines.filter((l) => l === '### Changed')).toHaveLength(2);
+    expect(index).toBeLessThan(lines.indexOf('## [1.0.0] - 2026-01-01'));
+  });
+
+  it('should list a classified entry under its category', () => {
+    const { content } = addChangelogLine(released, { ...prEntry(2), category: 'Added' });
+
+    expect(content.split('\n').slice(6, 8)).toEqual([
+      '- Old feature ([PR #1](https://github.com/org/repo/pull/1)) by @dev',
+      '- Change 2 ([PR #2](https://github.com/org/repo/pull/2)) by @dev',
+    ]);
+  });
+
+  it('should use the requested group', () => {
+    const { content } = addChangelogLine(released, prEntry(2), 'skip', 'Added');
+
+    expect(content.split('\n').slice(6, 8)).toEqual([
+      '- Old feature ([PR #1](https://github.com/org/repo/pull/1)) by @dev',
+      '- Change 2 ([PR #2](https://github.com/org/repo/pull/2)) by @dev',
+    ]);
+  });
+
+  it('should add the Unreleased section above the latest release', () => {
+    const content = '# Changelog\n\n## [1.0.0] - 2026-01-01\n\n- Initial release\n';
+
+    const lines = addChangelogLine(content, prEntry(2)).content.split('\n');
+
+    expect(lines.indexOf('## [Unreleased]')).toBe(2);
+    expect(lines.indexOf('### Changed')).toBeLessThan(lines.indexOf('## [1.0.0] - 2026-01-01'));
+  });
+
+  it('should skip an existing entry without changing the content', () => {
+    const result = addChangelogLine(released, prEntry(1, 'Renamed'), 'skip');
+
+    expect(result).toEqual({ action: 'skipped', content: released, existing: 6 });
+  });
+
+  it('should replace an existing entry in place', () => {
+    const result = addChangelogLine(released, prEntry(1, 'Renamed'), 'replace');
+
+    expect(result.action).toBe('replaced');
+    expect(result.content.split('\n')[6]).toBe('- Renamed ([PR #1](https://github.com/org/repo/pull/1)) by @dev');
+  });
+
+  it('should move a replaced entry whose category changed to its new group', () => {
+    const result = addChangelogLine(released, { ...prEntry(1, 'Renamed'), category: 'Fixed' }, 'replace');
+
+    expect(result.action).toBe('replaced');
+    expect(result.content.split('\n').slice(0, 9)).toEqual([
+      '# Changelog',
+      '',
+      '## [Unreleased]',
+      '',
+      '### Fixed',
+      '',
+      '- Renamed ([PR #1](https://github.com/org/repo/pull/1)) by @dev',
+      '',
+      '## [1.0.0] - 2026-01-01',
+    ]);
+  });
+
+  it('should list a breaking change under Changed, marked as breaking', () => {
+    const { content } = addChangelogLine(released, { ...prEntry(2), category: 'Breaking' });
+    const lines = content.split('\n');
+
+    expect(lines).not.toContain('### Breaking');
+    expect(lines[lines.indexOf('### Changed') + 2]).toBe(
+      '- **BREAKING** Change 2 ([PR #2](https://github.com/org/repo/pull/2)) by @dev'
+    );
+  });
+
+  it('should append a second line for an existing entry', () => {
+    const result = addChangelogLine(released, prEntry(1), 'append');
+
+    expect(result.action).toBe('appended');
+    expect(result.content.split('\n').filter((l) => l.includes('[PR #1]'))).toHaveLength(2);
+  });
+
+  it('should not match a longer key', () => {
+    expect(addChangelogLine(released, prEntry(10)).existing).toBeNull();
+  });
+});
+
+describe('checkChangelogFile', () => {
+  it('should find entries under Unreleased only', () => {
+    expect(checkChangelogFile(released, prEntry(1))).toEqual({ ok: true, blockIds: [], missing: [] });
+    expect(checkChangelogFile(released, prEntry(0))).toEqual({
+      ok: false,
+      blockIds: [],
+      missing: ['line for PR #0 under Unreleased'],
+    });
+  });
+
+  it('should report a missing file', () => {
+    expect(checkChangelogFile(null, prEntry(1)).ok).toBe(false);
+  });
+});
+
+describe('readRepoFile', () => {
+  it('should decode the content and return null for a missing file', async () => {
+    const github = createFakeGitHub({ main: { 'CHANGELOG.md': 'héllo' } });
+
+    await expect(readRepoFile(github, location)).resolves.toMatchObject({ content: 'héllo', sha: expect.any(String) });
+    await expect(readRepoFile(github, { ...location, path: 'missing.md' })).resolves.toBeNull();
+  });
+});
+
+describe('updateRepoFile', () => {
+  it('should create a file and commit it', async () => {
+    const github = createFakeGitHub();
+
+    const { result, commitSha } = await updateRepoFile(github, location, (content) => ({
+      content: `${content ?? ''}new\n`,
+      message: 'Add file',
+    }));
+
+    expect(result.content).toBe('new\n');
+    expect(commitSha).toBe('commit-1');
+    expect(github.branches.main['CHANGELOG.md']).toBe('new\n');
+    expect(github.rest.repos.createOrUpdateFileContents.mock.calls[0][0].sha).toBeUndefined();
+  });
+
+  it('should not commit unchanged content', async () => {
+    const github = createFakeGitHub({ main: { 'CHANGELOG.md': 'same\n' } });
+
+    const { commitSha } = await updateRepoFile(github, location, (content) => ({ content, message: 'Nothing' }));
+
+    expect(commitSha).toBeNull();
+    expect(github.commits).toEqual([]);
+  });
+
+  it('should redo the update when the file changed since it was read', async () => {
+    const github = createFakeGitHub({ main: { 'CHANGELOG.md': 'a\n' } });
+    const { getContent } = github.rest.repos;
+    getContent.mockImplementationOnce(async (params) => {
+      const read = await getContent.getMockImplementation()(params);
+      github.branches.main['CHANGELOG.md'] = 'a\nb\n';
+      return read;
+    });
+
+    const { result } = await updateRepoFile(github, location, (content) => ({ content: `${content}c\n`, message: 'Add c' }));
+
+    expect(result.content).toBe('a\nb\nc\n');
+    expect(github.branches.main['CHANGELOG.md']).toBe('a\nb\nc\n');
+    expect(github.rest.repos.createOrUpdateFileContents).toHaveBeenCalledTimes(2);
+  });
+
+  it('should give up after repeated conflicts', async () => {
+    const github = createFakeGitHub({ main: { 'CHANGELOG.md': 'a\n' } });
+    github.rest.repos.createOrUpdateFileContents.mockRejectedValue(Object.assign(new Error('Conflict'), { status: 409 }));
+
+    await expect(
+      updateRepoFile(github, location, (content) => ({ content: `${content}b\n`, message: 'Add b' }))
+    ).rejects.toMatchObject({ status: 409 });
+    expect(github.rest.repos.createOrUpdateFileContents).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('ensureBranch', () => {
+  it('should create the branch from the base, then keep it', async () => {
+    const github = createFakeGitHub({ main: { 'CHANGELOG.md': 'a\n' } });
+    const options = { owner: 'org', repo: 'repo', base: 'main', branch: 'doc-updater/changelog-pr-1' };
+
+    await expect(ensureBranch(github, options)).resolves.toBe(true);
+    await expect(ensureBranch(github, options)).resolves.toBe(false);
+    expect(github.branches['doc-updater/changelog-pr-1']).toEqual({ 'CHANGELOG.md': 'a\n' });
+  });
+});
+
+describe('openPullRequest', () => {
+  it('should open a pull request once per branch', async () => {
+    const github = createFakeGitHub();
+    const options = { owner: 'org', repo: 'repo', base: 'main', head: 'topic', title: 'Title', body: 'Body' };
+
+    const opened = await openPullRequest(github, options);
+    const reused = await openPullRequest(github, options);
+
+    expect(opened.html_url).toBe('https://github.com/org/repo/pull/1');
+    expect(reused).toBe(opened);
+    expect(github.pulls).toHaveLength(1);
+  });
+});
+
+describe('changelogBranchName', () => {
+  it('should derive a branch name from the entry key', () => {
+    expect(changelogBranchName(prEntry(42))).toBe('doc-updater/changelog-pr-42');
+    expect(changelogBranchName({ type: 'sync', commit: 'abc1234' })).toBe('doc-updater/changelog-commit-abc1234');
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Reads and writes changelog entries on the Notion Changelog page.
+ * Entries are identified by their key ("PR #42", "Commit abc1234"), which starts
+ * the reference paragraph, so re-runs can skip or replace an entry instead of duplicating it.
+ */
+
+const { getEntryKey, buildNotionBlocks } = require('./utils');
+const {
+  blockText,
+  listBlockChildren,
+  appendBlocks,
+  deleteBlock,
+} = require('./notion');
+
+/** What to do when the entry is already on the Changelog page */
+const ON_EXISTING_MODES = ['skip', 'replace', 'append'];
+
+/**
+ * Finds the blocks of an existing entry among the Changelog page's children.
+ * An entry runs from its heading_2 through the next divider (or the next heading_2).
+ * @param {Array} blocks - Child blocks of the Changelog page.
+ * @param {string} key - Entry key from getEntryKey.
+ * @returns {Object|null} `blockIds` of the entry, in order, or null when not found.
+ */
+function findChangelogEntry(blocks, key) {
+  const marker = blocks.findIndex(
+    (block) => block.type === 'paragraph' && (blockText(block) === key || blockText(block).startsWith(`${key} `))
+  );
+  if (marker === -1) return null;
+
+  let start = marker;
+  while (start > 0 && blocks[start].type !== 'heading_2') {
+    start--;
+  }
+
+  let end = marker;
+  while (end < blocks.length - 1 && blocks[end].type !== 'divider' && blocks[end + 1].type !== 'heading_2') {
+    end++;
+  }
+
+  return { blockIds: blocks.slice(start, end + 1).map((block) => block.id) };
+}
+
+/**
+ * Reads the Changelog page and looks for an entry.
+ * @param {Object} client - Notion client from createNotionClient.
+ * @param {string} changelogPageId - Changelog page ID.
+ * @param {Object} entry - The changelog entry object.
+ * @returns {Promise<Object|null>} Result of findChangelogEntry.
+ */
+async function findExistingEntry(client, changelogPageId, entry) {
+  const blocks = await listBlockChildren(client, changelogPageId);
+  return findChangelogEntry(blocks, getEntryKey(entry));
+}
+
+/**
+ * Deletes the blocks of an entry that has been replaced.
+ * @param {Object} client - Notion client from createNotionClient.
+ * @param {Object} existing - Result of findChangelogEntry.
+ * @returns {Promise<void>}
+ */
+async function removeEntry(client, existing) {
+  for (const blockId of existing.blockIds) {
+    await deleteBlock(client, blockId);
+  }
+}
+
+/**
+ * Writes a changelog entry, honoring what to do when it already exists.
+ * Replacement inserts the new blocks right after the old entry before deleting it,
+ * so the entry keeps its position and nothing is lost if a write fails midway.
+ * @param {Object} client - Notion client from createNotionClient.
+ * @param {string} changelogPageId - Changelog page ID.
+ * @param {Object} entry - The changelog entry object.
+ * @param {string} onExisting - One of ON_EXISTING_MODES.
+ * @returns {Promise<Object>} The `action` taken (created, skipped, replaced, appended), created `blocks`
+ *   and the `existing` entry found before writing (or null).
+ */
+async function writeChangelogEntry(client, changelogPageId, entry, onExisting = 'skip') {
+  const existing = await findExistingEntry(client, changelogPageId, entry);
+
+  if (existing && onExisting === 'skip') {
+    return { action: 'skipped', blocks: [], existing };
+  }
+
+  const blocks = buildNotionBlocks(entry);
+
+  if (existing && onExisting === 'replace') {
+    const after = existing.blockIds[existing.blockIds.length - 1];
+    const created = await appendBlocks(client, changelogPageId, blocks, { after });
+    await removeEntry(client, existing);
+    return { action: 'replaced', blocks: created, existing };
+  }
+
+  const created = await appendBlocks(client, changelogPageId, blocks);
+  return { action: existing ? 'appended' : 'created', blocks: created, existing };
+}
+
+module.exports = {
+  ON_EXISTING_MODES,
+  findChangelogEntry,
+  findExistingEntry,
+  removeEntry,
+  writeChangelogEntry,
+};
@@ -0,0 +1,131 @@
+const {
+  findChangelogEntry,
+  findExistingEntry,
+  writeChangelogEntry,
+} = require('./changelog');
+const { buildNotionBlocks, getEntryKey } = require('./utils');
+const { blockText } = require('./notion');
+const { createFakeNotion } = require('./test-utils/fake-notion');
+
+/**
+ * Builds a PR changelog entry for tests.
+ */
+function prEntry(prNumber, summary = 'Summary') {
+  return {
+    type: 'pr',
+    date: '2026-01-21',
+    title: `Change ${prNumber}`,
+    prNumber,
+    author: 'dev',
+    url: `https://github.com/org/repo/pull/${prNumber}`,
+    summary,
+    files: '- file.js',
+  };
+}
+
+/**
+ * Gives blocks IDs, as Notion returns them when reading a page.
+ */
+function withIds(blocks, prefix) {
+  return blocks.map((block, i) => ({ id: `${prefix}${i}`, ...block }));
+}
+
+describe('findChangelogEntry', () => {
+  it('should find all blocks of an entry by key', () => {
+    const blocks = [
+      ...withIds(buildNotionBlocks(prEntry(1)), 'a'),
+      ...withIds(buildNotionBlocks(prEntry(2)), 'b'),
+      ...withIds(buildNotionBlocks(prEntry(3)), 'c'),
+    ];
+
+    expect(findChangelogEntry(blocks, 'PR #2')).toEqual({ blockIds: ['b0', 'b1', 'b2', 'b3', 'b4'] });
+  });
+
+  it('should not confuse PR numbers sharing a prefix', () => {
+    const blocks = withIds(buildNotionBlocks(prEntry(12)), 'a');
+
+    expect(findChangelogEntry(blocks, 'PR #1')).toBeNull();
+    expect(findChangelogEntry(blocks, 'PR #12')).not.toBeNull();
+  });
+
+  it('should stop at the next heading when an entry has no divider', () => {
+    const blocks = [
+      ...withIds(buildNotionBlocks(prEntry(1)).slice(0, 3), 'a'),
+      ...withIds(buildNotionBlocks(prEntry(2)), 'b'),
+    ];
+
+    expect(findChangelogEntry(blocks, 'PR #1')).toEqual({ blockIds: ['a0', 'a1', 'a2'] });
+  });
+
+  it('should match sync entries by commit', () => {
+    const entry = { ...prEntry(1), type: 'sync', commit: 'abc1234' };
+    const blocks = withIds(buildNotionBlocks(entry), 'a');
+
+    expect(findChangelogEntry(blocks, getEntryKey(entry)).blockIds).toHaveLength(5);
+  });
+
+  it('should return null when the entry is missing', () => {
+    expect(findChangelogEntry([], 'PR #1')).toBeNull();
+  });
+});
+
+describe('findExistingEntry', () => {
+  it('should read the Changelog page', async () => {
+    const notion = createFakeNotion({ changelog: withIds(buildNotionBlocks(prEntry(5)), 'a') });
+
+    const existing = await findExistingEntry(notion, 'changelog', prEntry(5));
+
+    expect(existing.blockIds).toEqual(['a0', 'a1', 'a2', 'a3', 'a4']);
+    expect(notion.request).toHaveBeenCalledWith('GET', expect.stringContaining('/blocks/changelog/children'));
+  });
+});
+
+describe('writeChangelogEntry', () => {
+  it('should append a new entry', async () => {
+    const notion = createFakeNotion({ changelog: [] });
+
+    const result = await writeChangelogEntry(notion, 'changelog', prEntry(1));
+
+    expect(result.action).toBe('created');
+    expect(result.blocks).toHaveLength(5);
+    expect(notion.children.changelog).toHaveLength(5);
+  });
+
+  it('should skip an existing entry by default', async () => {
+    const notion = createFakeNotion({ changelog: [] });
+    const first = await writeChangelogEntry(notion, 'changelog', prEntry(1));
+
+    const result = await writeChangelogEntry(notion, 'changelog', prEntry(1));
+
+    expect(result).toEqual({
+      action: 'skipped',
+      blocks: [],
+      existing: { blockIds: first.blocks.map((block) => block.id) },
+    });
+    expect(notion.children.changelog).toHaveLength(5);
+  });
+
+  it('should replace an existing entry in place', async () => {
+    const notion = createFakeNotion({ changelog: [] });
+    await writeChangelogEntry(notion, 'changelog', prEntry(1));
+    await writeChangelogEntry(notion, 'changelog', prEntry(2));
+
+    const result = await writeChangelogEntry(notion, 'changelog', prEntry(1, 'Updated summary'), 'replace');
+
+    expect(result.action).toBe('replaced');
+    const texts = notion.children.changelog.map(blockText);
+    expect(texts).toHaveLength(10);
+    expect(texts[2]).toBe('Updated summary');
+    expect(texts[6]).toBe('PR #2 by @dev');
+  });
+
+  it('should append a second copy when asked to', async () => {
+    const notion = createFakeNotion({ changelog: [] });
+    await writeChangelogEntry(notion, 'changelog', prEntry(1));
+
+    const result = await writeChangelogEntry(notion, 'changelog', prEntry(1), 'append');
+
+    expect(result.action).toBe('appended');
+    expect(notion.children.changelog).toHaveLength(10);
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * Repository configuration: an optional .github/doc-updater.yml, read at the commit being
+ * documented. It maps repository paths to pages, sets the changelog destination, path filters,
+ * label rules, the changelog entry template, limits and per-target settings. Settings in the file take precedence over the
+ * action inputs and the built-in defaults of src/constants.js.
+ */
+
+const yaml = require('js-yaml');
+const Ajv = require('ajv');
+const { minimatch } = require('minimatch');
+const {
+  CONFIG_FILE,
+  CHANGE_CATEGORIES,
+  RELEASE_NOTE_GROUPS,
+  FILE_LIST_LIMIT,
+  TREE_FILE_LIMIT,
+  DOCS_SYNC_FILES_LIMIT,
+} = require('./constants');
+const { fetchFileContent } = require('./utils');
+const { templateProblems } = require('./entry-template');
+
+const stringList = { type: 'array', items: { type: 'string', minLength: 1 } };
+const pageId = { type: 'string', minLength: 1 };
+const onExisting = { enum: ['skip', 'replace', 'append'] };
+const updateMode = { enum: ['changelog-only', 'changelog-and-doc'] };
+const limit = { type: 'integer', minimum: 1 };
+
+/** JSON schema of the configuration file */
+const CONFIG_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    pages: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['path', 'page'],
+        properties: { path: { type: 'string', minLength: 1 }, page: pageId },
+      },
+    },
+    changelog: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { page: pageId },
+    },
+    'include-paths': stringList,
+    'exclude-paths': stringList,
+    labels: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        'skip-changelog': { type: 'string', minLength: 1 },
+        'skip-docs': { type: 'string', minLength: 1 },
+        categories: {
+          type: 'object',
+          additionalProperties: { enum: Object.keys(CHANGE_CATEGORIES) },
+        },
+        'release-notes': {
+          type: 'array',
+          items: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['title', 'labels'],
+            properties: { title: { type: 'string', minLength: 1 }, labels: stringList },
+          },
+        },
+      },
+    },
+    templates: {
+      type: 'object',
+      additionalProperties: false,
+      // Blocks are checked by templateProblems, which knows the template language
+      properties: { entry: { type: 'array', minItems: 1 } },
+    },
+    limits: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { files: limit, 'tree-files': limit, 'docs-pages': limit },
+    },
+    notion: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        'update-mode': updateMode,
+        'write-strategy': { enum: ['agent', 'direct'] },
+        'on-existing': onExisting,
+        'changelog-target': { enum: ['page', 'database'] },
+        'changelog-database': pageId,
+      },
+    },
+    confluence: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { 'update-mode': updateMode, 'on-existing': onExisting },
+    },
+    'markdown-file': {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        file: { type: 'string', minLength: 1 },
+        mode: { enum: ['commit', 'pull-request'] },
+        'on-existing': onExisting,
+      },
+    },
+  },
+};
+
+const validate = new Ajv({ allErrors: true }).compile(CONFIG_SCHEMA);
+
+/**
+ * Describes a schema validation error in terms of the YAML file.
+ * @param {Object} error - Ajv error.
+ * @returns {string} E.g. "notion.write-strategy must be one of: agent, direct".
+ */
+function describeError({ instancePath, keyword, params, message }) {
+  const where = instancePath
+    ? instancePath.slice(1).split('/').map((key) => key.replace(/~1/g, '/').replace(/~0/g, '~')).join('.')
+    : 'the file';
+  if (keyword === 'additionalProperties') return `${where} has an unknown key "${params.additionalProperty}"`;
+  if (keyword === 'enum') return `${where} must be one of: ${params.allowedValues.join(', ')}`;
+  return `${where} ${message}`;
+}
+
+/**
+ * Parses and validates the configuration file.
+ * @param {string} text - YAML content.
+ * @param {string} path - File path, for error messages.
+ * @returns {Object} The configuration (empty for an empty file).
+ * @throws {Error} Listing every problem when the YAML is malformed or doesn't match the schema.
+ */
+function parseConfig(text, path = CONFIG_FILE) {
+  let config;
+  try {
+    config = yaml.load(text) ?? {};
+  } catch (error) {
+    throw new Error(`Invalid ${path}: ${error.message}`);
+  }
+  let problems = [];
+  if (!validate(config)) {
+    problems = [...new Set(validate.errors.map(describeError))];
+  } else if (config.templates && config.templates.entry) {
+    problems = templateProblems(config.templates.entry);
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${path}:\n${problems.map((problem) => `- ${problem}`).join('\n')}`);
+  }
+  return config;
+}
+
+/**
+ * Reads the configuration file of a repository.
+ * @param {Object} octokit - GitHub API client.
+ * @param {Object} repository - `owner` and `repo`.
+ * @param {string} ref - Commit to read the file at (the PR head for pull requests).
+ * @returns {Promise<Object|null>} The configuration, or null when the repository has none.
+ * @throws {Error} When the file is invalid.
+ */
+async function loadConfig(octokit, { owner, repo }, ref) {
+  const text = await fetchFileContent(octokit, owner, repo, CONFIG_FILE, ref);
+  return text === null ? null : parseConfig(text);
+}
+
+/**
+ * Returns the part of a glob before its first wildcard, e.g. "docs/api/" for "docs/api/**".
+ * @param {string} pattern - Path glob.
+ * @returns {string} Directory prefix, empty when the glob starts with a wildcard.
+ */
+function globBase(pattern) {
+  const wildcard = pattern.search(/[*?[{]/);
+  if (wildcard === -1) return pattern.substring(0, pattern.lastIndexOf('/') + 1);
+  return pattern.substring(0, pattern.lastIndexOf('/', wildcard) + 1);
+}
+
+/**
+ * Finds the page a repository file is mapped to. The first matching mapping wins.
+ * @param {string} path - Repository file path.
+ * @param {Array} pages - `pages` mappings of the configuration.
+ * @returns {Object|null} The `pageId` and the `base` directory of the mapping's glob (e.g. "docs/api/"
+ *   for "docs/api/**"), or null when no mapping matches.
+ */
+function resolvePage(path, pages = []) {
+  const mapping = pages.find(({ path: pattern }) => minimatch(path, pattern, { dot: true, nocase: true }));
+  return mapping ? { pageId: mapping.page, base: globBase(mapping.path) } : null;
+}
+
+/**
+ * Applies a configuration over the settings read from the action inputs.
+ * @param {Object|null} config - Result of loadConfig.
+ * @param {string} target - "notion", "confluence" or "markdown-file".
+ * @param {Object} settings - Settings from the inputs and defaults: `updateMode`, `writeStrategy`,
+ *   `onExisting`, `changelogTarget`, `changelogFile`, `changelogFileMode`, `gateOptions` and `categoryLabels`.
+ * @returns {Object} The settings with the file's values in place, plus the `pages` mappings, the
+ *   `changelogPageId`, `changelogDatabaseId` and `entryTemplate` (null for the defaults), the
+ *   `releaseNoteGroups` and the file list `limits`.
+ */
+function applyConfig(config, target, settings) {
+  const { pages = [], changelog = {}, labels = {}, limits = {}, templates = {} } = config || {};
+  const targetSettings = (config && config[target]) || {};
+  const { gateOptions } = settings;
+
+  return {
+    ...settings,
+    // A drift check stays one, and the markdown-file target only ever writes the changelog
+    updateMode: target === 'markdown-file' || settings.updateMode === 'check'
+      ? settings.updateMode
+      : targetSettings['update-mode'] || settings.updateMode,
+    writeStrategy: targetSettings['write-strategy'] || settings.writeStrategy,
+    onExisting: targetSettings['on-existing'] || settings.onExisting,
+    // A database given by ID always takes the entries
+    changelogTarget: targetSettings['changelog-database'] ? 'database' : targetSettings['changelog-target'] || settings.changelogTarget,
+    changelogFile: targetSettings.file || settings.changelogFile,
+    changelogFileMode: targetSettings.mode || settings.changelogFileMode,
+    gateOptions: {
+      ...gateOptions,
+      skipChangelogLabel: labels['skip-changelog'] || gateOptions.skipChangelogLabel,
+      skipDocsLabel: labels['skip-docs'] || gateOptions.skipDocsLabel,
+      includePaths: (config && config['include-paths']) || gateOptions.includePaths,
+      excludePaths: (config && config['exclude-paths']) || gateOptions.excludePaths,
+    },
+    categoryLabels: {
+      ...settings.categoryLabels,
+      ...Object.fromEntries(Object.entries(labels.categories || {}).map(([label, category]) => [label.toLowerCase(), category])),
+    },
+    // Labels match in any case, as PR labels are lowercased before grouping
+    releaseNoteGroups: labels['release-notes']
+      ? labels['release-notes'].map(({ title, labels: names }) => ({ title, labels: names.map((name) => name.toLowerCase()) }))
+      : RELEASE_NOTE_GROUPS,
+    pages,
+    changelogPageId: changelog.page || null,
+    changelogDatabaseId: targetSettings['changelog-database'] || null,
+    entryTemplate: templates.entry || null,
+    limits: {
+      files: limits.files || FILE_LIST_LIMIT,
+      treeFiles: limits['tree-files'] || TREE_FILE_LIMIT,
+      docsPages: limits['docs-pages'] || DOCS_SYNC_FILES_LIMIT,
+    },
+  };
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  parseConfig,
+  loadConfig,
+  resolvePage,
+  applyConfig,
+};
@@ -0,0 +1,195 @@
+const { parseConfig, loadConfig, resolvePage, applyConfig } = require('./config');
+const { RELEASE_NOTE_GROUPS, FILE_LIST_LIMIT, TREE_FILE_LIMIT, DOCS_SYNC_FILES_LIMIT } = require('./constants');
+
+/**
+ * Creates an Octokit mock serving file contents from a map.
+ */
+function mockOctokit(files) {
+  return {
+    rest: {
+      repos: {
+        getContent: jest.fn(async ({ path }) => {
+          if (!(path in files)) throw new Error('Not found');
+          return { data: { content: Buffer.from(files[path]).toString('base64'), encoding: 'base64' } };
+        }),
+      },
+    },
+  };
+}
+
+const settings = {
+  updateMode: 'changelog-and-doc',
+  writeStrategy: 'agent',
+  onExisting: 'skip',
+  changelogTarget: 'page',
+  changelogFile: 'CHANGELOG.md',
+  changelogFileMode: 'commit',
+  gateOptions: {
+    requireMerged: true,
+    skipChangelogLabel: 'skip-changelog',
+    skipDocsLabel: 'skip-docs',
+    includePaths: [],
+    excludePaths: [],
+  },
+  categoryLabels: { bug: 'Fixed' },
+};
+
+describe('parseConfig', () => {
+  it('should parse a valid file', () => {
+    const config = parseConfig(`
+pages:
+  - path: docs/api/**
+    page: abc123
+exclude-paths: ['**/*.test.js']
+notion:
+  write-strategy: direct
+`);
+
+    expect(config).toEqual({
+      pages: [{ path: 'docs/api/**', page: 'abc123' }],
+      'exclude-paths': ['**/*.test.js'],
+      notion: { 'write-strategy': 'direct' },
+    });
+  });
+
+  it('should treat an empty file as no settings', () => {
+    expect(parseConfig('')).toEqual({});
+    expect(parseConfig('# nothing yet\n')).toEqual({});
+  });
+
+  it('should list every problem with its location', () => {
+    const text = `
+pages:
+  - path: docs/**
+notion:
+  write-strategy: model
+labels:
+  categories:
+    bug: Bugs
+limits:
+  files: 0
+colour: blue
+`;
+
+    expect(() => parseConfig(text)).toThrow(
+      [
+        'Invalid .github/doc-updater.yml:',
+        '- the file has an unknown key "colour"',
+        "- pages.0 must have required property 'page'",
+        '- labels.categories.bug must be one of: Breaking, Added, Changed, Deprecated, Removed, Fixed, Security',
+        '- limits.files must be >= 1',
+        '- notion.write-strategy must be one of: agent, direct',
+      ].join('\n')
+    );
+  });
+
+  it('should check the entry template', () => {
+    const text = `
+templates:
+  entry:
+    - heading: \${title}
+    - reference: \${key} by \${name}
+`;
+
+    expect(() => parseConfig(text)).toThrow(
+      'Invalid .github/doc-updater.yml:\n- templates.entry.1.reference has an unknown placeholder "${name}"'
+    );
+  });
+
+  it('should report malformed YAML', () => {
+    expect(() => parseConfig('pages: [')).toThrow(/^Invalid \.github\/doc-updater\.yml: /);
+  });
+});
+
+describe('loadConfig', () => {
+  const repository = { owner: 'org', repo: 'repo' };
+
+  it('should read the file at the given ref', async () => {
+    const octokit = mockOctokit({ '.github/doc-updater.yml': 'changelog:\n  page: log-page\n' });
+
+    await expect(loadConfig(octokit, repository, 'abc123')).resolves.toEqual({ changelog: { page: 'log-page' } });
+    expect(octokit.rest.repos.getContent).toHaveBeenCalledWith(expect.objectContaining({ ref: 'abc123' }));
+  });
+
+  it('should return null when the repository has no file', async () => {
+    await expect(loadConfig(mockOctokit({}), repository, 'abc123')).resolves.toBeNull();
+  });
+});
+
+describe('resolvePage', () => {
+  const pages = [
+    { path: 'README.md', page: 'readme-page' },
+    { path: 'docs/api/**', page: 'api-page' },
+    { path: 'docs/**', page: 'docs-page' },
+  ];
+
+  it('should use the first matching mapping and its directory', () => {
+    expect(resolvePage('readme.md', pages)).toEqual({ pageId: 'readme-page', base: '' });
+    expect(resolvePage('docs/api/v2/auth.md', pages)).toEqual({ pageId: 'api-page', base: 'docs/api/' });
+    expect(resolvePage('docs/guide.md', pages)).toEqual({ pageId: 'docs-page', base: 'docs/' });
+  });
+
+  it('should return null when nothing matches', () => {
+    expect(resolvePage('src/index.js', pages)).toBeNull();
+    expect(resolvePage('docs/guide.md')).toBeNull();
+  });
+});
+
+describe('applyConfig', () => {
+  it('should keep the settings and the built-in defaults without a file', () => {
+    const result = applyConfig(null, 'notion', settings);
+
+    expect(result).toMatchObject(settings);
+    expect(result).toMatchObject({
+      pages: [],
+      changelogPageId: null,
+      changelogDatabaseId: null,
+      entryTemplate: null,
+      releaseNoteGroups: RELEASE_NOTE_GROUPS,
+      limits: { files: FILE_LIST_LIMIT, treeFiles: TREE_FILE_LIMIT, docsPages: DOCS_SYNC_FILES_LIMIT },
+    });
+  });
+
+  it('should let the file override the inputs', () => {
+    const config = {
+      changelog: { page: 'log-page' },
+      'exclude-paths': ['**/*.snap'],
+      labels: { 'skip-docs': 'no-docs', categories: { Perf: 'Changed' }, 'release-notes': [{ title: 'UI', labels: ['UI'] }] },
+      limits: { files: 20 },
+      notion: { 'update-mode': 'changelog-only', 'write-strategy': 'direct', 'changelog-database': 'db-9' },
+    };
+
+    const result = applyConfig(config, 'notion', settings);
+
+    expect(result).toMatchObject({
+      updateMode: 'changelog-only',
+      writeStrategy: 'direct',
+      changelogTarget: 'database',
+      changelogDatabaseId: 'db-9',
+      changelogPageId: 'log-page',
+      releaseNoteGroups: [{ title: 'UI', labels: ['ui'] }],
+      categoryLabels: { bug: 'Fixed', perf: 'Changed' },
+      limits: { files: 20, treeFiles: TREE_FILE_LIMIT, docsPages: DOCS_SYNC_FILES_LIMIT },
+    });
+    expect(result.gateOptions).toEqual({ ...settings.gateOptions, skipDocsLabel: 'no-docs', excludePaths: ['**/*.snap'] });
+  });
+
+  it('should only read the section of the active target', () => {
+    const config = {
+      notion: { 'on-existing': 'replace' },
+      'markdown-file': { file: 'docs/CHANGES.md', mode: 'pull-request' },
+    };
+
+    expect(applyConfig(config, 'markdown-file', settings)).toMatchObject({
+      onExisting: 'skip',
+      changelogFile: 'docs/CHANGES.md',
+      changelogFileMode: 'pull-request',
+    });
+  });
+
+  it('should keep a drift check whatever update mode the file sets', () => {
+    const config = { confluence: { 'update-mode': 'changelog-only' } };
+
+    expect(applyConfig(config, 'confluence', { ...settings, updateMode: 'check' }).updateMode).toBe('check');
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Minimal Confluence Cloud REST API client.
+ * Pages are read and written in storage format through the v1 content API.
+ */
+
+const { CONFLUENCE_PAGE_LIMIT } = require('./constants');
+
+/**
+ * Creates a Confluence API client bound to an Atlassian account and API token.
+ * @param {string} baseUrl - Site URL, e.g. "https://your-domain.atlassian.net".
+ * @param {string} email - Email of the Atlassian account the token belongs to.
+ * @param {string} token - Atlassian API token.
+ * @param {Object} options - Optional overrides.
+ * @param {Function} options.fetchImpl - fetch implementation to use.
+ * @returns {Object} Client exposing a `request(method, path, body)` function, with paths under /wiki/rest/api.
+ */
+function createConfluenceClient(baseUrl, email, token, { fetchImpl = globalThis.fetch } = {}) {
+  const apiUrl = `${baseUrl.replace(/\/+$/, '')}/wiki/rest/api`;
+  const authorization = `Basic ${Buffer.from(`${email}:${token}`).toString('base64')}`;
+
+  async function request(method, path, body) {
+    const response = await fetchImpl(`${apiUrl}${path}`, {
+      method,
+      headers: {
+        Authorization: authorization,
+        Accept: 'application/json',
+        'Content-Type': 'application/json',
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = response.status === 204 ? {} : await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = new Error(
+        `Confluence API ${method} ${path} failed (${response.status}): ${data.message || response.statusText}`
+      );
+      error.status = response.status;
+      throw error;
+    }
+
+    return data;
+  }
+
+  return { request };
+}
+
+/**
+ * Retrieves a page with its storage format body, version and space.
+ * @param {Object} client - Confluence client from createConfluenceClient.
+ * @param {string} pageId - Page ID.
+ * @returns {Promise<Object>} The content object.
+ */
+async function getPage(client, pageId) {
+  return client.request('GET', `/content/${pageId}?expand=body.storage,version,space`);
+}
+
+/**
+ * Returns the browser URL of a content object.
+ * @param {Object} page - Content object from the API.
+ * @returns {string} Absolute page URL.
+ */
+function pageUrl(page) {
+  return `${page._links.base}${page._links.webui}`;
+}
+
+/**
+ * Lists all child pages of a page, following pagination.
+ * @param {Object} client - Confluence client from createConfluenceClient.
+ * @param {string} pageId - Parent page ID.
+ * @returns {Promise<Array>} Array of child content objects.
+ */
+async function listChildPages(client, pageId) {
+  const pages = [];
+  let start = 0;
+  let data;
+
+  do {
+    data = await client.request('GET', `/content/${pageId}/child/page?limit=${CONFLUENCE_PAGE_LIMIT}&start=${start}`);
+    pages.push(...data.results);
+    start += data.results.length;
+  } while (data._links?.next && data.results.length > 0);
+
+  return pages;
+}
+
+/**
+ * Finds a child page with the given title under a parent page.
+ * @param {Object} client - Confluence client from createConfluenceClient.
+ * @param {string} parentId - Parent page ID.
+ * @param {string} title - Child page title to look for.
+ * @returns {Promise<Object|null>} The child content object, or null if not found.
+ */
+async function findChildPage(client, parentId, title) {
+  const children = await listChildPages(client, parentId);
+  return children.find((page) => page.title === title) || null;
+}
+
+/**
+ * Creates a child page in the parent's space.
+ * Confluence page titles are unique per space, so the title should not already be taken.
+ * @param {Object} client - Confluence client from createConfluenceClient.
+ * @param {string} parentId - Parent page ID.
+ * @param {string} title - Title of the new page.
+ * @param {string} storage - Initial storage format body.
+ * @returns {Promise<Object>} The created content object.
+ */
+async function createChildPage(client, parentId, title, storage = '') {
+  const parent = await getPage(client, parentId);
+  return client.request('POST', '/content', {
+    type: 'page',
+    title,
+    space: { key: parent.space.key },
+    ancestors: [{ id: parentId }],
+    body: { storage: { value: storage, representation: 'storage' } },
+  });
+}
+
+/**
+ * Finds a child page by title, creating it when it doesn't exist.
+ * @param {Object} client - Confluence client from createConfluenceClient.
+ * @param {string} parentId - Parent page ID.
+ * @param {string} title - Child page title.
+ * @returns {Promise<Object>} Object with the page `id` and whether it was `created`.
+ */
+async function findOrCreateChildPage(client, parentId, title) {
+  const existing = await findChildPage(client, parentId, title);
+  if (existing) {
+    return { id: existing.id, created: false };
+  }
+
+  const page = await createChildPage(client, parentId, title);
+  return { id: page.id, created: true };
+}
+
+/**
+ * Replaces the body of a page, bumping its version as Confluence requires.
+ * @param {Object} client - Confluence client from createConfluenceClient.
+ * @param {Object} page - Current content object, from getPage.
+ * @param {string} storage - New storage format body.
+ * @returns {Promise<Object>} The updated content object.
+ */
+async function updatePage(client, page, storage) {
+  return client.request('PUT', `/content/${page.id}`, {
+    id: page.id,
+    type: 'page',
+    title: page.title,
+    version: { number: page.version.number + 1 },
+    body: { storage: { value: storage, representation: 'storage' } },
+  });
+}
+
+/**
+ * Moves a page to the space's trash (Confluence's equivalent of archiving it in Notion).
+ * @param {Object} client - Confluence client from createConfluenceClient.
+ * @param {string} pageId - Page ID to remove.
+ * @returns {Promise<Object>} Empty response.
+ */
+async function trashPage(client, pageId) {
+  return client.request('DELETE', `/content/${pageId}`);
+}
+
+module.exports = {
+  createConfluenceClient,
+  getPage,
+  pageUrl,
+  listChildPages,
+  findChildPage,
+  createChildPage,
+  findOrCreateChildPage,
+  updatePage,
+  trashPage,
+};
@@ -0,0 +1,110 @@
+const {
+  createConfluenceClient,
+  getPage,
+  pageUrl,
+  listChildPages,
+  findOrCreateChildPage,
+  updatePage,
+  trashPage,
+} = require('./confluence');
+const { createFakeConfluence } = require('./test-utils/fake-confluence');
+const { serveStandIn } = require('./test-utils/http-stand-in');
+
+describe('createConfluenceClient', () => {
+  let fake;
+  let server;
+
+  beforeEach(async () => {
+    fake = createFakeConfluence();
+    server = await serveStandIn(fake.request, '/wiki/rest/api');
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  it('should send requests with basic auth under /wiki/rest/api', async () => {
+    const client = createConfluenceClient(`${server.baseUrl}/`, 'dev@example.com', 'secret');
+
+    const page = await client.request('GET', '/content/100?expand=body.storage,version,space');
+
+    expect(page.title).toBe('Home');
+    expect(server.requests[0].path).toBe('/content/100?expand=body.storage,version,space');
+    expect(server.requests[0].headers.authorization).toBe(
+      `Basic ${Buffer.from('dev@example.com:secret').toString('base64')}`
+    );
+  });
+
+  it('should throw with the status on API errors', async () => {
+    const client = createConfluenceClient(server.baseUrl, 'dev@example.com', 'secret');
+
+    await expect(client.request('GET', '/content/999')).rejects.toMatchObject({
+      message: 'Confluence API GET /content/999 failed (404): No content found with id: 999',
+      status: 404,
+    });
+  });
+
+  it('should accept empty responses', async () => {
+    const client = createConfluenceClient(server.baseUrl, 'dev@example.com', 'secret');
+
+    await expect(trashPage(client, '100')).resolves.toEqual({});
+    expect(fake.trashed).toEqual(['100']);
+  });
+});
+
+describe('getPage', () => {
+  it('should expand the storage body, version and space', async () => {
+    const fake = createFakeConfluence();
+
+    const page = await getPage(fake, '100');
+
+    expect(fake.request).toHaveBeenCalledWith('GET', '/content/100?expand=body.storage,version,space');
+    expect(page.space.key).toBe('DOCS');
+    expect(pageUrl(page)).toBe('https://example.atlassian.net/wiki/spaces/DOCS/pages/100');
+  });
+});
+
+describe('listChildPages', () => {
+  it('should follow pagination', async () => {
+    const children = Array.from({ length: 150 }, (_, i) => ({ id: `c${i}`, title: `Page ${i}`, parentId: '100' }));
+    const fake = createFakeConfluence([{ id: '100', title: 'Home', parentId: null }, ...children]);
+
+    const pages = await listChildPages(fake, '100');
+
+    expect(pages).toHaveLength(150);
+    expect(fake.request).toHaveBeenCalledWith('GET', '/content/100/child/page?limit=100&start=100');
+  });
+});
+
+describe('findOrCreateChildPage', () => {
+  it('should create the page in the parent space, then reuse it', async () => {
+    const fake = createFakeConfluence();
+
+    const created = await findOrCreateChildPage(fake, '100', 'Changelog');
+    const found = await findOrCreateChildPage(fake, '100', 'Changelog');
+
+    expect(created.created).toBe(true);
+    expect(found).toEqual({ id: created.id, created: false });
+    expect(fake.pages[created.id]).toMatchObject({ parentId: '100', spaceKey: 'DOCS', title: 'Changelog' });
+  });
+});
+
+describe('updatePage', () => {
+  it('should bump the version and keep the title', async () => {
+    const fake = createFakeConfluence();
+    const page = await getPage(fake, '100');
+
+    const updated = await updatePage(fake, page, '<p>Hello</p>');
+
+    expect(updated.version.number).toBe(2);
+    expect(fake.pages['100']).toMatchObject({ title: 'Home', storage: '<p>Hello</p>' });
+  });
+
+  it('should fail on a stale version', async () => {
+    const fake = createFakeConfluence();
+    const page = await getPage(fake, '100');
+    await updatePage(fake, page, '<p>First</p>');
+
+    await expect(updatePage(fake, page, '<p>Second</p>')).rejects.toMatchObject({ status: 409 });
+  });
+});
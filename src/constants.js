@@ -3,25 +3,264 @@
  * Centralizes magic numbers and configuration values.
  */
 
-/** Maximum number of files to display in tree listings */
+/** Maximum number of files to display in tree listings, before they are summarized by directory */
 const TREE_FILE_LIMIT = 50;
 
+/** Maximum number of changed files listed one per line, before they are summarized by directory */
+const FILE_LIST_LIMIT = 100;
+
 /** Maximum number of documentation files to fetch */
 const DOC_FILES_LIMIT = 5;
 
+/** Maximum number of docs/ Markdown files mirrored to Notion per run */
+const DOCS_SYNC_FILES_LIMIT = 50;
+
 /** Maximum length for changelog summary text */
 const MAX_SUMMARY_LENGTH = 2000;
 
 /** Maximum length for README content in doc update prompts */
 const MAX_README_CONTENT_LENGTH = 8000;
 
+/** Maximum length of the diff hunks sent with a doc update prompt */
+const MAX_DOC_DIFF_LENGTH = 6000;
+
+/** Maximum words of an AI-written change summary, unless summary-length says otherwise */
+const DEFAULT_SUMMARY_WORDS = 60;
+
+/** Characters of meaningful text a PR description needs before it counts as a summary */
+const MIN_DESCRIPTION_LENGTH = 40;
+
+/** Maximum number of commit messages sent with a summary prompt */
+const MAX_SUMMARY_COMMITS = 50;
+
+/** Maximum lines of one file's diff sent with a summary prompt */
+const MAX_SUMMARY_DIFF_LINES = 40;
+
+/** Maximum length of the diff excerpts sent with a summary prompt */
+const MAX_SUMMARY_DIFF_LENGTH = 6000;
+
+/** Marks a changelog summary written by Copilot rather than the PR author */
+const AI_SUMMARY_PREFIX = '🤖 AI-generated summary:';
+
+/** Places GitHub looks for a repository's pull request template, in order */
+const PR_TEMPLATE_PATHS = [
+  '.github/pull_request_template.md',
+  '.github/PULL_REQUEST_TEMPLATE.md',
+  'pull_request_template.md',
+  'PULL_REQUEST_TEMPLATE.md',
+  'docs/pull_request_template.md',
+  'docs/PULL_REQUEST_TEMPLATE.md',
+];
+
 /** Short commit SHA length */
 const SHORT_SHA_LENGTH = 7;
 
+/** URL of github.com, used when GITHUB_SERVER_URL doesn't name a GitHub Enterprise Server */
+const GITHUB_SERVER_URL = 'https://github.com';
+
+/** Base URL of the Notion REST API */
+const NOTION_API_BASE_URL = 'https://api.notion.com/v1';
+
+/** Notion API version sent with every request */
+const NOTION_API_VERSION = '2022-06-28';
+
+/** Maximum characters allowed in a single Notion rich_text item */
+const NOTION_RICH_TEXT_LIMIT = 2000;
+
+/** Maximum number of items in one Notion rich_text array */
+const NOTION_RICH_TEXT_ITEMS_LIMIT = 100;
+
+/** Maximum number of children accepted by one Notion append call */
+const NOTION_CHILDREN_LIMIT = 100;
+
+/** Maximum levels of nested children Notion accepts in a single request */
+const NOTION_MAX_NESTING_DEPTH = 2;
+
+/** Number of child pages requested per Confluence API page */
+const CONFLUENCE_PAGE_LIMIT = 100;
+
+/** Maximum attempts to get a valid JSON result from the model for one step */
+const MAX_RESPONSE_ATTEMPTS = 3;
+
+/** Seconds without session activity before a prompt is treated as stalled */
+const DEFAULT_IDLE_TIMEOUT_SECONDS = 15;
+
+/** Seconds a single prompt may run before it is treated as timed out */
+const DEFAULT_STEP_TIMEOUT_SECONDS = 180;
+
+/** Times a failed agent step is retried on a fresh session */
+const DEFAULT_STEP_RETRIES = 2;
+
+/** Delay before the first retry of an agent step, doubled on each further retry */
+const RETRY_BASE_DELAY_MS = 5000;
+
+/** Time given to the Notion MCP server to start before the first prompt */
+const MCP_STARTUP_DELAY_MS = 3000;
+
+/** Attempts to update a repository file when the branch moves between reading and writing it */
+const CONTENTS_UPDATE_ATTEMPTS = 3;
+
+/** Default path of the changelog file for the markdown-file target */
+const DEFAULT_CHANGELOG_FILE = 'CHANGELOG.md';
+
+/** Commits requested per page from the compare and commits APIs */
+const COMMITS_PAGE_SIZE = 100;
+
+/** Maximum number of changed files the compare API returns */
+const COMPARE_FILES_LIMIT = 300;
+
+/** Files requested per page from the pull request files API */
+const FILES_PAGE_SIZE = 100;
+
+/** Maximum number of commits listed between two refs (release notes, pushes) */
+const COMMIT_RANGE_LIMIT = 500;
+
+/** Release notes groups, in order, with the PR labels that put a PR in them */
+const RELEASE_NOTE_GROUPS = [
+  { title: 'Features', labels: ['enhancement', 'feature'] },
+  { title: 'Bug fixes', labels: ['bug', 'fix'] },
+  { title: 'Documentation', labels: ['documentation', 'docs'] },
+];
+
+/** Release notes group for pull requests without a matching label */
+const RELEASE_NOTE_OTHER_GROUP = 'Other changes';
+
+/**
+ * Change categories (Keep a Changelog groups, plus Breaking), with the semver bump each one calls for
+ * and how it is shown: the emoji and color of the Notion callout and database option.
+ */
+const CHANGE_CATEGORIES = {
+  Breaking: { bump: 'major', emoji: '💥', color: 'red' },
+  Added: { bump: 'minor', emoji: '✨', color: 'green' },
+  Changed: { bump: 'patch', emoji: '🔧', color: 'blue' },
+  Deprecated: { bump: 'minor', emoji: '⚠️', color: 'yellow' },
+  Removed: { bump: 'major', emoji: '🗑️', color: 'gray' },
+  Fixed: { bump: 'patch', emoji: '🐛', color: 'orange' },
+  Security: { bump: 'patch', emoji: '🔒', color: 'purple' },
+};
+
+/** Conventional Commit types and the change category they fall in */
+const COMMIT_TYPE_CATEGORIES = {
+  feat: 'Added',
+  fix: 'Fixed',
+  perf: 'Changed',
+  refactor: 'Changed',
+  docs: 'Changed',
+  style: 'Changed',
+  test: 'Changed',
+  build: 'Changed',
+  ci: 'Changed',
+  chore: 'Changed',
+  revert: 'Changed',
+  deprecate: 'Deprecated',
+  remove: 'Removed',
+  security: 'Security',
+};
+
+/** PR labels and the change category they put a pull request in, before the category-labels input */
+const DEFAULT_CATEGORY_LABELS = {
+  breaking: 'Breaking',
+  'breaking-change': 'Breaking',
+  enhancement: 'Added',
+  feature: 'Added',
+  bug: 'Fixed',
+  fix: 'Fixed',
+  deprecation: 'Deprecated',
+  removal: 'Removed',
+  security: 'Security',
+};
+
+/** Label that leaves a pull request out of the changelog */
+const DEFAULT_SKIP_CHANGELOG_LABEL = 'skip-changelog';
+
+/** Label that leaves a pull request out of the documentation sync */
+const DEFAULT_SKIP_DOCS_LABEL = 'skip-docs';
+
+/** Repository configuration file, read at the commit being documented */
+const CONFIG_FILE = '.github/doc-updater.yml';
+
+/** Title of the child page holding changelog entries */
+const CHANGELOG_PAGE_TITLE = 'Changelog';
+
+/** Entry fields a changelog entry template can use as ${placeholder} */
+const ENTRY_TEMPLATE_PLACEHOLDERS = ['key', 'date', 'title', 'prNumber', 'author', 'url', 'summary', 'files', 'labels', 'category', 'bump'];
+
+/** Built-in changelog entry template, used unless the configuration file sets one */
+const DEFAULT_ENTRY_TEMPLATE = [
+  { heading: '${date} - ${title}' },
+  { reference: '${key} by ${author}' },
+  'category',
+  { paragraph: '${summary}' },
+  'release-notes',
+  { toggle: 'Changed files', code: '${files}' },
+  'divider',
+];
+
+/** Name of the check run reporting documentation drift */
+const DRIFT_CHECK_NAME = 'Documentation drift';
+
+/** Lines on either side of a drift diff past which they are compared wholesale instead of line by line */
+const MAX_DRIFT_DIFF_LINES = 2000;
+
+/** Maximum length of the text of a check run output */
+const MAX_CHECK_RUN_TEXT_LENGTH = 65535;
+
+/** Hidden marker that identifies the preview comment on a pull request, so later runs update it */
+const PREVIEW_COMMENT_MARKER = '<!-- copilot-external-doc-updater:preview -->';
+
+/** Pull request event actions that post or refresh the preview comment */
+const PREVIEW_EVENT_ACTIONS = ['opened', 'reopened', 'synchronize', 'edited'];
+
 module.exports = {
   TREE_FILE_LIMIT,
+  FILE_LIST_LIMIT,
   DOC_FILES_LIMIT,
+  DOCS_SYNC_FILES_LIMIT,
   MAX_SUMMARY_LENGTH,
   MAX_README_CONTENT_LENGTH,
+  MAX_DOC_DIFF_LENGTH,
+  DEFAULT_SUMMARY_WORDS,
+  MIN_DESCRIPTION_LENGTH,
+  MAX_SUMMARY_COMMITS,
+  MAX_SUMMARY_DIFF_LINES,
+  MAX_SUMMARY_DIFF_LENGTH,
+  AI_SUMMARY_PREFIX,
+  PR_TEMPLATE_PATHS,
   SHORT_SHA_LENGTH,
+  GITHUB_SERVER_URL,
+  NOTION_API_BASE_URL,
+  NOTION_API_VERSION,
+  NOTION_RICH_TEXT_LIMIT,
+  NOTION_RICH_TEXT_ITEMS_LIMIT,
+  NOTION_CHILDREN_LIMIT,
+  NOTION_MAX_NESTING_DEPTH,
+  CONFLUENCE_PAGE_LIMIT,
+  MAX_RESPONSE_ATTEMPTS,
+  DEFAULT_IDLE_TIMEOUT_SECONDS,
+  DEFAULT_STEP_TIMEOUT_SECONDS,
+  DEFAULT_STEP_RETRIES,
+  RETRY_BASE_DELAY_MS,
+  MCP_STARTUP_DELAY_MS,
+  CONTENTS_UPDATE_ATTEMPTS,
+  DEFAULT_CHANGELOG_FILE,
+  COMMITS_PAGE_SIZE,
+  FILES_PAGE_SIZE,
+  COMPARE_FILES_LIMIT,
+  COMMIT_RANGE_LIMIT,
+  RELEASE_NOTE_GROUPS,
+  RELEASE_NOTE_OTHER_GROUP,
+  CHANGE_CATEGORIES,
+  COMMIT_TYPE_CATEGORIES,
+  DEFAULT_CATEGORY_LABELS,
+  DEFAULT_SKIP_CHANGELOG_LABEL,
+  DEFAULT_SKIP_DOCS_LABEL,
+  CONFIG_FILE,
+  CHANGELOG_PAGE_TITLE,
+  ENTRY_TEMPLATE_PLACEHOLDERS,
+  DEFAULT_ENTRY_TEMPLATE,
+  DRIFT_CHECK_NAME,
+  MAX_DRIFT_DIFF_LINES,
+  MAX_CHECK_RUN_TEXT_LENGTH,
+  PREVIEW_COMMENT_MARKER,
+  PREVIEW_EVENT_ACTIONS,
 };
@@ -0,0 +1,190 @@
+/**
+ * Diff context for documentation updates. From the unified-diff `patch` of each changed file
+ * (as returned by pulls.listFiles and the compare API), picks the hunks that touch something the
+ * README documents, such as an input, a CLI flag or a default value, so the doc-update step can
+ * make targeted edits, and lists the README sections a change edits.
+ */
+
+const { MAX_DOC_DIFF_LENGTH } = require('./constants');
+
+const HUNK_HEADER = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/;
+const README_PATTERN = /^readme\.md$/i;
+const DOCS_PATTERN = /^docs\/.+\.(md|markdown)$/i;
+
+/**
+ * Splits a unified-diff patch into hunks.
+ * @param {string} patch - The `patch` field of a changed file.
+ * @returns {Array} Hunks, each with its `header` line, the first line number in the new file (`newStart`)
+ *   and its `lines`.
+ */
+function parseHunks(patch) {
+  const hunks = [];
+  for (const line of (patch || '').split('\n')) {
+    const header = HUNK_HEADER.exec(line);
+    if (header) {
+      hunks.push({ header: line, newStart: Number(header[1]), lines: [] });
+    } else if (hunks.length > 0) {
+      hunks[hunks.length - 1].lines.push(line);
+    }
+  }
+  return hunks;
+}
+
+/**
+ * Lists the names a README documents in its inline code spans and code blocks: dashed, dotted,
+ * underscored or camelCase names such as `step-timeout`, `--verbose`, `CHANGELOG.md` or `notionPageId`.
+ * Plain words (`true`, `skip`) are left out, since they would match almost any change.
+ * @param {string} readme - README content.
+ * @returns {Array<string>} Lowercase names.
+ */
+function documentedTerms(readme) {
+  const terms = new Set();
+  const code = (readme || '')
+    .split(/^(?:```|~~~).*$/m)
+    .flatMap((part, i) => (i % 2 === 1 ? [part] : [...part.matchAll(/`([^`\n]+)`/g)].map((match) => match[1])));
+
+  for (const token of code.flatMap((text) => text.split(/[^\w.-]+/))) {
+    const name = token.replace(/^\.+|\.+$/g, '');
+    if (/^-{0,2}[A-Za-z]/.test(name) && (/[-_.]\w/.test(name) || /[a-z][A-Z]/.test(name))) {
+      terms.add(name.toLowerCase());
+    }
+  }
+
+  return [...terms];
+}
+
+/**
+ * Picks the hunks of a change that matter to the documentation. Hunks of the README and docs/
+ * files always do; other hunks do when they mention a documented term.
+ * @param {Array} files - Changed files with a `filename` and a `patch`.
+ * @param {string} readme - README content.
+ * @param {number} limit - Maximum total length of the selected hunks.
+ * @returns {Object} Selected `hunks` (`filename`, `header`, `text`, the documented `terms` they mention)
+ *   and the number of relevant hunks `omitted` over the limit.
+ */
+function selectDocDiff(files, readme, limit = MAX_DOC_DIFF_LENGTH) {
+  const terms = documentedTerms(readme);
+  const relevant = [];
+
+  for (const file of files) {
+    const isDoc = README_PATTERN.test(file.filename) || DOCS_PATTERN.test(file.filename);
+    for (const hunk of parseHunks(file.patch)) {
+      const text = hunk.lines.join('\n').toLowerCase();
+      const mentioned = terms.filter((term) => text.includes(term));
+      if (isDoc || mentioned.length > 0) {
+        relevant.push({
+          filename: file.filename,
+          header: hunk.header,
+          text: [hunk.header, ...hunk.lines].join('\n'),
+          terms: mentioned,
+          isDoc,
+        });
+      }
+    }
+  }
+
+  // Documentation hunks first, then code in the order of the file list
+  relevant.sort((a, b) => Number(b.isDoc) - Number(a.isDoc));
+  const hunks = [];
+  let length = 0;
+  for (const { isDoc, ...hunk } of relevant) {
+    if (length + hunk.text.length > limit) break;
+    hunks.push(hunk);
+    length += hunk.text.length;
+  }
+  return { hunks, omitted: relevant.length - hunks.length };
+}
+
+/**
+ * Formats selected hunks for a prompt, one diff block per file.
+ * @param {Object} docDiff - Result of selectDocDiff.
+ * @returns {string} Markdown, or an empty string without hunks.
+ */
+function formatDocDiff(docDiff) {
+  if (!docDiff || docDiff.hunks.length === 0) return '';
+
+  const byFile = new Map();
+  for (const hunk of docDiff.hunks) {
+    if (!byFile.has(hunk.filename)) byFile.set(hunk.filename, []);
+    byFile.get(hunk.filename).push(hunk);
+  }
+
+  const sections = [...byFile.entries()].map(([filename, hunks]) => {
+    const terms = [...new Set(hunks.flatMap((hunk) => hunk.terms))];
+    const mentions = terms.length > 0 ? ` (mentions ${terms.map((t) => `\`${t}\``).join(', ')})` : '';
+    return `\`${filename}\`${mentions}:\n\`\`\`diff\n${hunks.map((hunk) => hunk.text).join('\n')}\n\`\`\``;
+  });
+  const omitted = docDiff.omitted > 0 ? `\n\n[${docDiff.omitted} more relevant hunks omitted]` : '';
+  return `${sections.join('\n\n')}${omitted}`;
+}
+
+/**
+ * Returns the text of a Markdown heading line, without inline formatting.
+ * @param {string} line - Heading line (e.g. "## `dry-run` mode").
+ * @returns {string} Heading text.
+ */
+function headingText(line) {
+  return line
+    .replace(/^#{1,6}\s+/, '')
+    .replace(/\s+#+\s*$/, '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[`*_]/g, '')
+    .trim();
+}
+
+/**
+ * Lists the README sections a change edits, from the README's own patch.
+ * @param {Array} files - Changed files with a `filename` and a `patch`.
+ * @param {string} readme - README content after the change.
+ * @returns {Array} One `{ heading, reason }` per edited section, in README order; `heading` is
+ *   null for lines before the first heading.
+ */
+function editedReadmeSections(files, readme) {
+  const file = files.find((f) => README_PATTERN.test(f.filename));
+  if (!file) return [];
+
+  // Heading of each line of the new README (1-based), skipping code blocks
+  const headings = [null];
+  let current = null;
+  let inFence = false;
+  for (const line of (readme || '').split('\n')) {
+    if (/^(```|~~~)/.test(line)) inFence = !inFence;
+    if (!inFence && /^#{1,6}\s/.test(line)) current = headingText(line);
+    headings.push(current);
+  }
+
+  const edits = new Map();
+  const count = (lineNumber, kind) => {
+    const heading = headings[Math.min(lineNumber, headings.length - 1)] ?? null;
+    const edit = edits.get(heading) || { added: 0, removed: 0 };
+    edit[kind] += 1;
+    edits.set(heading, edit);
+  };
+  for (const hunk of parseHunks(file.patch)) {
+    let lineNumber = hunk.newStart;
+    for (const line of hunk.lines) {
+      if (line.startsWith('+')) {
+        count(lineNumber, 'added');
+        lineNumber += 1;
+      } else if (line.startsWith('-')) {
+        // A removed line belongs to the section of the line before it
+        count(Math.max(lineNumber - 1, 0), 'removed');
+      } else if (!line.startsWith('\\')) {
+        lineNumber += 1;
+      }
+    }
+  }
+
+  return [...edits.entries()].map(([heading, { added, removed }]) => ({
+    heading,
+    reason: `${file.filename} changed (+${added}/-${removed} lines)`,
+  }));
+}
+
+module.exports = {
+  parseHunks,
+  documentedTerms,
+  selectDocDiff,
+  formatDocDiff,
+  editedReadmeSections,
+};
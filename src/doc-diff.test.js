@@ -0,0 +1,104 @@
+const {
+  parseHunks,
+  documentedTerms,
+  selectDocDiff,
+  formatDocDiff,
+  editedReadmeSections,
+} = require('./doc-diff');
+
+const README = [
+  '# Project',
+  '',
+  '## Inputs',
+  '',
+  '| `step-timeout` | Seconds per step | `300` |',
+  '',
+  '```bash',
+  'node cli.js --dry-run',
+  '```',
+  '',
+  '## Outputs',
+  '',
+  'Sets `true` when done.',
+].join('\n');
+
+describe('parseHunks', () => {
+  it('should split a patch into hunks with their new start line', () => {
+    const hunks = parseHunks('@@ -1,2 +1,3 @@ intro\n a\n+b\n@@ -10 +11 @@\n-c');
+
+    expect(hunks).toEqual([
+      { header: '@@ -1,2 +1,3 @@ intro', newStart: 1, lines: [' a', '+b'] },
+      { header: '@@ -10 +11 @@', newStart: 11, lines: ['-c'] },
+    ]);
+    expect(parseHunks(undefined)).toEqual([]);
+  });
+});
+
+describe('documentedTerms', () => {
+  it('should list name-like tokens from code spans and blocks, but not plain words', () => {
+    const terms = documentedTerms(README);
+
+    expect(terms).toEqual(expect.arrayContaining(['step-timeout', '--dry-run', 'cli.js']));
+    expect(terms).not.toContain('true');
+    expect(terms).not.toContain('node');
+  });
+});
+
+describe('selectDocDiff', () => {
+  const files = [
+    { filename: 'src/index.js', patch: '@@ -5 +5 @@\n-const x = 1;\n+const x = 2;' },
+    { filename: 'action.yml', patch: "@@ -3 +3 @@\n-    default: '300'\n+  step-timeout:" },
+    { filename: 'README.md', patch: '@@ -5 +5 @@\n-| old |\n+| new |' },
+  ];
+
+  it('should keep documentation hunks and the hunks mentioning a documented term', () => {
+    const { hunks, omitted } = selectDocDiff(files, README);
+
+    expect(hunks.map((h) => [h.filename, h.terms])).toEqual([
+      ['README.md', []],
+      ['action.yml', ['step-timeout']],
+    ]);
+    expect(omitted).toBe(0);
+  });
+
+  it('should count the hunks over the length limit', () => {
+    const { hunks, omitted } = selectDocDiff(files, README, 40);
+
+    expect(hunks.map((h) => h.filename)).toEqual(['README.md']);
+    expect(omitted).toBe(1);
+  });
+});
+
+describe('formatDocDiff', () => {
+  it('should render one diff block per file and note omitted hunks', () => {
+    const docDiff = {
+      hunks: [{ filename: 'action.yml', header: '@@ -3 +3 @@', text: '@@ -3 +3 @@\n+x', terms: ['step-timeout'] }],
+      omitted: 2,
+    };
+
+    expect(formatDocDiff(docDiff)).toBe(
+      '`action.yml` (mentions `step-timeout`):\n```diff\n@@ -3 +3 @@\n+x\n```\n\n[2 more relevant hunks omitted]'
+    );
+    expect(formatDocDiff({ hunks: [], omitted: 0 })).toBe('');
+    expect(formatDocDiff(null)).toBe('');
+  });
+});
+
+describe('editedReadmeSections', () => {
+  it('should list the sections of the added and removed README lines', () => {
+    const files = [{ filename: 'README.md', patch: '@@ -5,1 +5,1 @@\n-| old |\n+| new |\n@@ -12 +12,2 @@\n \n+Sets `false` on failure.' }];
+
+    expect(editedReadmeSections(files, README)).toEqual([
+      { heading: 'Inputs', reason: 'README.md changed (+1/-1 lines)' },
+      { heading: 'Outputs', reason: 'README.md changed (+1/-0 lines)' },
+    ]);
+  });
+
+  it('should ignore headings inside code blocks and changes without a README', () => {
+    const readme = '# Project\n\n```bash\n# not a heading\necho hi\n```';
+    const files = [{ filename: 'README.md', patch: '@@ -5 +5 @@\n-echo\n+echo hi' }];
+
+    expect(editedReadmeSections(files, readme)).toEqual([{ heading: 'Project', reason: 'README.md changed (+1/-1 lines)' }]);
+    expect(editedReadmeSections([{ filename: 'src/index.js', patch: '@@ -1 +1 @@\n+x' }], readme)).toEqual([]);
+  });
+});
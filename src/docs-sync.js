@@ -0,0 +1,188 @@
+/**
+ * Mirrors Markdown files under docs/ to a hierarchy of child pages on the documentation target.
+ * Each directory becomes a page and each file becomes a page inside it, e.g.
+ * docs/api/auth.md -> <root> / docs / api / auth.md
+ * Where titles must be unique across the space (Confluence), pages are titled with
+ * their full path instead: <root> / docs / docs/api / docs/api/auth.md
+ * Files mapped to a page by the configuration file go below that page instead, from the
+ * directory of the mapping's glob down, e.g. docs/api/** -> X gives X / auth.md.
+ */
+
+const { DOCS_SYNC_FILES_LIMIT } = require('./constants');
+const { fetchFileContent } = require('./utils');
+const { githubBaseUrls } = require('./markdown');
+const { resolvePage } = require('./config');
+
+/** Markdown files that belong to the docs/ hierarchy */
+const DOCS_FILE_PATTERN = /^docs?\/.+\.md$/i;
+
+/**
+ * Checks whether a repository path is a Markdown file under docs/.
+ * @param {string} path - Repository file path.
+ * @returns {boolean} True when the file should be mirrored to Notion.
+ */
+function isDocsFile(path) {
+  return DOCS_FILE_PATTERN.test(path || '');
+}
+
+/**
+ * Checks whether a repository path is mirrored: a Markdown file under docs/, or one mapped to a
+ * page by the configuration (except the README, which is the main page itself).
+ * @param {string} path - Repository file path.
+ * @param {Array} pages - `pages` mappings of the configuration.
+ * @returns {boolean} True when the file should be mirrored.
+ */
+function isSyncedFile(path, pages = []) {
+  if (isDocsFile(path)) return true;
+  return /\.md$/i.test(path || '') && !/^readme\.md$/i.test(path) && resolvePage(path, pages) !== null;
+}
+
+/**
+ * Plans which docs pages to write and which to archive.
+ * PR files (from pulls.listFiles) use their `status`: removed files are archived,
+ * renamed files archive their previous path. Tree items (from git.getTree) are all written.
+ * @param {Array} files - PR file objects or tree items.
+ * @param {number} limit - Maximum number of pages to write.
+ * @param {Array} pages - `pages` mappings of the configuration.
+ * @returns {Object} `upsert` and `archive` path lists, and `skipped` paths over the limit.
+ */
+function planDocsSync(files, limit = DOCS_SYNC_FILES_LIMIT, pages = []) {
+  const upsert = [];
+  const archive = [];
+
+  for (const file of files) {
+    if (file.type && file.type !== 'blob') continue;
+
+    const path = file.filename || file.path;
+    if (file.status === 'removed') {
+      if (isSyncedFile(path, pages)) archive.push(path);
+      continue;
+    }
+    if (file.status === 'renamed' && isSyncedFile(file.previous_filename, pages)) {
+      archive.push(file.previous_filename);
+    }
+    if (isSyncedFile(path, pages)) {
+      upsert.push(path);
+    }
+  }
+
+  return {
+    upsert: upsert.slice(0, limit),
+    archive,
+    skipped: upsert.slice(limit),
+  };
+}
+
+/**
+ * Splits a docs path into the page titles that mirror it.
+ * @param {string} path - Repository file path (e.g. "docs/api/auth.md").
+ * @param {Object} options - Title options.
+ * @param {boolean} options.qualified - Title each page with its full path (e.g. "docs/api").
+ * @returns {Array<string>} Page titles from the top directory down to the file.
+ */
+function docPageTitles(path, { qualified = false } = {}) {
+  const segments = path.split('/').filter(Boolean);
+  return qualified ? segments.map((_, i) => segments.slice(0, i + 1).join('/')) : segments;
+}
+
+/**
+ * Finds the page a docs file goes under and the titles of its pages below it.
+ * @param {string} path - Repository file path.
+ * @param {Object} options - `rootPageId`, `pages` mappings and the docPageTitles options.
+ * @returns {Object} The `rootPageId` and the page `titles` from there down to the file.
+ */
+function locateDocPage(path, { rootPageId, pages, titleOptions }) {
+  const mapped = resolvePage(path, pages);
+  if (!mapped) return { rootPageId, titles: docPageTitles(path, titleOptions) };
+  const depth = mapped.base.split('/').filter(Boolean).length;
+  return { rootPageId: mapped.pageId, titles: docPageTitles(path, titleOptions).slice(depth) };
+}
+
+/**
+ * Finds or creates the directory pages for a path, caching by directory.
+ * @returns {Promise<string>} ID of the page that should hold the file page.
+ */
+async function ensureDirectoryPages(target, rootPageId, dirs, cache) {
+  let parentId = rootPageId;
+  let key = rootPageId;
+
+  for (const dir of dirs) {
+    key = `${key}/${dir}`;
+    if (!cache.has(key)) {
+      const page = await target.findOrCreateChildPage(parentId, dir);
+      cache.set(key, page.id);
+    }
+    parentId = cache.get(key);
+  }
+
+  return parentId;
+}
+
+/**
+ * Follows existing pages along a path without creating any.
+ * @returns {Promise<string|null>} ID of the page at the end of the path, or null.
+ */
+async function findPageByTitles(target, rootPageId, titles) {
+  let parentId = rootPageId;
+
+  for (const title of titles) {
+    const page = await target.findChildPage(parentId, title);
+    if (!page) return null;
+    parentId = page.id;
+  }
+
+  return parentId;
+}
+
+/**
+ * Applies a docs sync plan through the target's REST API.
+ * @param {Object} target - Documentation target from src/targets.js.
+ * @param {Object} octokit - GitHub API client.
+ * @param {Object} options - Sync options.
+ * @param {string} options.rootPageId - Notion page the docs hierarchy lives under.
+ * @param {Object} options.plan - Plan from planDocsSync.
+ * @param {string} options.owner - Repository owner.
+ * @param {string} options.repo - Repository name.
+ * @param {string} options.ref - Git reference to read files at.
+ * @param {string} options.serverUrl - GitHub server URL, for links and images on GitHub Enterprise Server.
+ * @param {Array} options.pages - `pages` mappings of the configuration.
+ * @returns {Promise<Array>} One `{ path, action, pageId }` result per file.
+ */
+async function syncDocsPages(target, octokit, { rootPageId, plan, owner, repo, ref, serverUrl, pages = [] }) {
+  const results = [];
+  const cache = new Map();
+  const locateOptions = { rootPageId, pages, titleOptions: { qualified: target.uniqueTitles } };
+
+  for (const path of plan.upsert) {
+    const content = await fetchFileContent(octokit, owner, repo, path, ref);
+    if (content === null) {
+      results.push({ path, action: 'missing', pageId: null });
+      continue;
+    }
+
+    const { rootPageId: root, titles } = locateDocPage(path, locateOptions);
+    const parentId = await ensureDirectoryPages(target, root, titles.slice(0, -1), cache);
+    const page = await target.findOrCreateChildPage(parentId, titles[titles.length - 1]);
+    await target.replacePageContent(page.id, content, githubBaseUrls(owner, repo, ref, path, serverUrl));
+    results.push({ path, action: page.created ? 'created' : 'updated', pageId: page.id });
+  }
+
+  for (const path of plan.archive) {
+    const { rootPageId: root, titles } = locateDocPage(path, locateOptions);
+    const pageId = await findPageByTitles(target, root, titles);
+    if (pageId) {
+      await target.archivePage(pageId);
+    }
+    results.push({ path, action: pageId ? 'archived' : 'missing', pageId });
+  }
+
+  return results;
+}
+
+module.exports = {
+  isDocsFile,
+  isSyncedFile,
+  planDocsSync,
+  docPageTitles,
+  syncDocsPages,
+};
@@ -0,0 +1,203 @@
+const {
+  isDocsFile,
+  planDocsSync,
+  docPageTitles,
+  syncDocsPages,
+} = require('./docs-sync');
+const { createNotionTarget } = require('./targets');
+const { createFakeNotion } = require('./test-utils/fake-notion');
+
+/**
+ * Creates an Octokit mock serving file contents from a map.
+ */
+function mockOctokit(files) {
+  return {
+    rest: {
+      repos: {
+        getContent: jest.fn(async ({ path }) => {
+          if (!(path in files)) throw new Error('Not found');
+          return { data: { content: Buffer.from(files[path]).toString('base64'), encoding: 'base64' } };
+        }),
+      },
+    },
+  };
+}
+
+/**
+ * Returns the titles of child pages under a page.
+ */
+function childTitles(notion, pageId) {
+  return notion.children[pageId].filter((b) => b.type === 'child_page').map((b) => b.child_page.title);
+}
+
+describe('isDocsFile', () => {
+  it('should match Markdown files under docs/ or doc/', () => {
+    expect(isDocsFile('docs/guide.md')).toBe(true);
+    expect(isDocsFile('doc/api/Auth.MD')).toBe(true);
+  });
+
+  it('should reject other files', () => {
+    expect(isDocsFile('README.md')).toBe(false);
+    expect(isDocsFile('docs/diagram.png')).toBe(false);
+    expect(isDocsFile('src/docs/readme.md')).toBe(false);
+    expect(isDocsFile(undefined)).toBe(false);
+  });
+});
+
+describe('planDocsSync', () => {
+  it('should plan PR files by status', () => {
+    const files = [
+      { filename: 'docs/added.md', status: 'added' },
+      { filename: 'docs/changed.md', status: 'modified' },
+      { filename: 'docs/gone.md', status: 'removed' },
+      { filename: 'docs/new-name.md', status: 'renamed', previous_filename: 'docs/old-name.md' },
+      { filename: 'src/index.js', status: 'modified' },
+      { filename: 'README.md', status: 'modified' },
+    ];
+
+    expect(planDocsSync(files)).toEqual({
+      upsert: ['docs/added.md', 'docs/changed.md', 'docs/new-name.md'],
+      archive: ['docs/gone.md', 'docs/old-name.md'],
+      skipped: [],
+    });
+  });
+
+  it('should plan every docs blob from a tree', () => {
+    const tree = [
+      { path: 'docs', type: 'tree' },
+      { path: 'docs/a.md', type: 'blob' },
+      { path: 'docs/api/b.md', type: 'blob' },
+      { path: 'src/index.js', type: 'blob' },
+    ];
+
+    expect(planDocsSync(tree)).toEqual({
+      upsert: ['docs/a.md', 'docs/api/b.md'],
+      archive: [],
+      skipped: [],
+    });
+  });
+
+  it('should report files over the limit as skipped', () => {
+    const tree = ['docs/a.md', 'docs/b.md', 'docs/c.md'].map((path) => ({ path, type: 'blob' }));
+
+    const plan = planDocsSync(tree, 2);
+
+    expect(plan.upsert).toEqual(['docs/a.md', 'docs/b.md']);
+    expect(plan.skipped).toEqual(['docs/c.md']);
+  });
+
+  it('should also plan Markdown files mapped to a page, but not the README', () => {
+    const pages = [{ path: 'guides/**', page: 'guides-page' }, { path: 'README.md', page: 'readme-page' }];
+    const files = ['guides/setup.md', 'guides/logo.png', 'README.md', 'notes/todo.md'].map((filename) => ({
+      filename,
+      status: 'modified',
+    }));
+
+    expect(planDocsSync(files, 50, pages).upsert).toEqual(['guides/setup.md']);
+  });
+});
+
+describe('docPageTitles', () => {
+  it('should split a path into page titles', () => {
+    expect(docPageTitles('docs/api/auth.md')).toEqual(['docs', 'api', 'auth.md']);
+  });
+
+  it('should title pages with their full path when titles must be unique', () => {
+    expect(docPageTitles('docs/api/auth.md', { qualified: true })).toEqual(['docs', 'docs/api', 'docs/api/auth.md']);
+  });
+});
+
+describe('syncDocsPages', () => {
+  const options = { rootPageId: 'root', owner: 'org', repo: 'repo', ref: 'abc123' };
+
+  it('should create the mirrored page hierarchy', async () => {
+    const notion = createFakeNotion();
+    const octokit = mockOctokit({
+      'docs/guide.md': '# Guide\n\nSee [auth](api/auth.md).',
+      'docs/api/auth.md': '# Auth',
+    });
+    const plan = planDocsSync([
+      { filename: 'docs/guide.md', status: 'added' },
+      { filename: 'docs/api/auth.md', status: 'added' },
+    ]);
+
+    const results = await syncDocsPages(createNotionTarget(notion), octokit, { ...options, plan });
+
+    expect(results.map((r) => [r.path, r.action])).toEqual([
+      ['docs/guide.md', 'created'],
+      ['docs/api/auth.md', 'created'],
+    ]);
+    expect(childTitles(notion, 'root')).toEqual(['docs']);
+    const docsId = notion.children.root[0].id;
+    expect(childTitles(notion, docsId)).toEqual(['guide.md', 'api']);
+
+    const guideId = results[0].pageId;
+    const link = notion.children[guideId][1].paragraph.rich_text.find((i) => i.text.link);
+    expect(link.text.link.url).toBe('https://github.com/org/repo/blob/abc123/docs/api/auth.md');
+  });
+
+  it('should update existing pages in place', async () => {
+    const notion = createFakeNotion();
+    const octokit = mockOctokit({ 'docs/guide.md': 'First version' });
+    const plan = planDocsSync([{ filename: 'docs/guide.md', status: 'added' }]);
+    const [first] = await syncDocsPages(createNotionTarget(notion), octokit, { ...options, plan });
+
+    const updatedOctokit = mockOctokit({ 'docs/guide.md': 'Second version' });
+    const [second] = await syncDocsPages(createNotionTarget(notion), updatedOctokit, { ...options, plan });
+
+    expect(second).toEqual({ path: 'docs/guide.md', action: 'updated', pageId: first.pageId });
+    expect(notion.children[first.pageId]).toHaveLength(1);
+    expect(notion.children[first.pageId][0].paragraph.rich_text[0].text.content).toBe('Second version');
+  });
+
+  it('should archive pages for removed files', async () => {
+    const notion = createFakeNotion();
+    const octokit = mockOctokit({ 'docs/old.md': 'Old' });
+    const [created] = await syncDocsPages(createNotionTarget(notion), octokit, {
+      ...options,
+      plan: planDocsSync([{ filename: 'docs/old.md', status: 'added' }]),
+    });
+
+    const results = await syncDocsPages(createNotionTarget(notion), octokit, {
+      ...options,
+      plan: planDocsSync([{ filename: 'docs/old.md', status: 'removed' }]),
+    });
+
+    expect(results).toEqual([{ path: 'docs/old.md', action: 'archived', pageId: created.pageId }]);
+    expect(notion.archived).toEqual([created.pageId]);
+  });
+
+  it('should put mapped files under their page, below the directory of the mapping', async () => {
+    const notion = createFakeNotion({ 'api-page': [] });
+    const octokit = mockOctokit({ 'docs/api/v2/auth.md': '# Auth', 'docs/guide.md': '# Guide' });
+    const pages = [{ path: 'docs/api/**', page: 'api-page' }];
+    const plan = planDocsSync(
+      [{ filename: 'docs/api/v2/auth.md', status: 'added' }, { filename: 'docs/guide.md', status: 'added' }],
+      50,
+      pages
+    );
+
+    await syncDocsPages(createNotionTarget(notion), octokit, { ...options, plan, pages });
+
+    expect(childTitles(notion, 'api-page')).toEqual(['v2']);
+    expect(childTitles(notion, notion.children['api-page'][0].id)).toEqual(['auth.md']);
+    expect(childTitles(notion, 'root')).toEqual(['docs']);
+    expect(childTitles(notion, notion.children.root[0].id)).toEqual(['guide.md']);
+  });
+
+  it('should report files that could not be fetched or found', async () => {
+    const notion = createFakeNotion();
+    const octokit = mockOctokit({});
+
+    const results = await syncDocsPages(createNotionTarget(notion), octokit, {
+      ...options,
+      plan: { upsert: ['docs/missing.md'], archive: ['docs/never.md'], skipped: [] },
+    });
+
+    expect(results).toEqual([
+      { path: 'docs/missing.md', action: 'missing', pageId: null },
+      { path: 'docs/never.md', action: 'missing', pageId: null },
+    ]);
+    expect(notion.children.root).toEqual([]);
+  });
+});
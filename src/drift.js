@@ -0,0 +1,309 @@
+/**
+ * Drift checks: compares the documentation page with the repository README, to catch edits
+ * made straight in Notion or Confluence. Both sides are normalized to the same Markdown (the
+ * README goes through the converter the sync uses), so only differences in content show up.
+ * Link and image URLs are left out: relative ones point at the commit the page was written from.
+ */
+
+const { MAX_DRIFT_DIFF_LINES, MAX_CHECK_RUN_TEXT_LENGTH } = require('./constants');
+const { commonSubsequence } = require('./page-sections');
+const { storageText } = require('./storage-format');
+
+const ANNOTATION_MARKS = [
+  ['code', '`'],
+  ['bold', '**'],
+  ['italic', '*'],
+  ['strikethrough', '~~'],
+];
+
+/**
+ * Renders Notion rich text as Markdown, merging neighbouring items with the same annotations
+ * (Notion may split or merge them differently from the converter).
+ * @param {Array} richText - Notion rich_text items.
+ * @returns {string} Markdown text.
+ */
+function richTextToMarkdown(richText = []) {
+  const runs = [];
+  for (const item of richText) {
+    const text = item.plain_text ?? item.text?.content ?? '';
+    const marks = ANNOTATION_MARKS.filter(([name]) => item.annotations?.[name]).map(([, mark]) => mark);
+    const last = runs[runs.length - 1];
+    if (last && last.marks.join() === marks.join()) {
+      last.text += text;
+    } else {
+      runs.push({ text, marks });
+    }
+  }
+
+  return runs
+    .map(({ text, marks }) => {
+      if (!text.trim()) return text;
+      const open = marks.join('');
+      return `${open}${text}${[...marks].reverse().join('')}`;
+    })
+    .join('');
+}
+
+/**
+ * Renders Notion blocks as Markdown, one line per block with nested blocks indented.
+ * @param {Array} blocks - Blocks from markdownToNotionBlocks or listBlockTree.
+ * @param {string} indent - Indentation of this level.
+ * @returns {Array<string>} Markdown lines.
+ */
+function blockLines(blocks, indent = '') {
+  const lines = [];
+
+  for (const block of blocks) {
+    const data = block[block.type] || {};
+    const text = richTextToMarkdown(data.rich_text);
+    let nested = data.children || [];
+    let line;
+    switch (block.type) {
+      case 'heading_1':
+      case 'heading_2':
+      case 'heading_3':
+        line = `${'#'.repeat(Number(block.type.slice(-1)))} ${text}`;
+        break;
+      case 'paragraph':
+        line = text;
+        break;
+      case 'bulleted_list_item':
+        line = `- ${text}`;
+        break;
+      case 'numbered_list_item':
+        line = `1. ${text}`;
+        break;
+      case 'to_do':
+        line = `- [${data.checked ? 'x' : ' '}] ${text}`;
+        break;
+      case 'quote':
+        line = `> ${text}`;
+        break;
+      case 'callout':
+        line = `> ${data.icon?.emoji ? `${data.icon.emoji} ` : ''}${text}`;
+        break;
+      case 'code': {
+        const code = (data.rich_text || []).map((item) => item.plain_text ?? item.text?.content ?? '').join('');
+        line = `\`\`\`${data.language || ''}\n${code}\n\`\`\``;
+        break;
+      }
+      case 'divider':
+        line = '---';
+        break;
+      case 'image':
+        line = `![${richTextToMarkdown(data.caption)}]`;
+        break;
+      case 'table':
+        line = nested.map((row) => `| ${(row.table_row?.cells || []).map(richTextToMarkdown).join(' | ')} |`).join('\n');
+        nested = [];
+        break;
+      case 'child_page':
+      case 'child_database':
+        // Part of the page tree (e.g. the Changelog page), not of the content
+        continue;
+      default:
+        line = `[${block.type}] ${text}`.trimEnd();
+        break;
+    }
+
+    lines.push(...line.split('\n').map((part) => `${indent}${part}`.trimEnd()));
+    lines.push(...blockLines(nested, `${indent}  `));
+  }
+
+  return lines;
+}
+
+/**
+ * Normalizes Notion blocks to Markdown for a drift check.
+ * @param {Array} blocks - Blocks from markdownToNotionBlocks or listBlockTree.
+ * @returns {string} Markdown, without blank lines.
+ */
+function blocksToMarkdown(blocks) {
+  return blockLines(blocks).filter((line) => line.trim()).join('\n');
+}
+
+/**
+ * Normalizes Confluence storage format to Markdown for a drift check: headings, list items,
+ * code macros and one line per paragraph, table row or other block element.
+ * @param {string} storage - Storage format markup.
+ * @returns {string} Markdown, without blank lines.
+ */
+function storageToMarkdown(storage) {
+  const codes = [];
+  const marked = (storage || '')
+    // Code may hold anything that looks like markup, so it is set aside until the tags are gone
+    .replace(
+      /<ac:structured-macro ac:name="code">(?:<ac:parameter ac:name="language">([^<]*)<\/ac:parameter>)?<ac:plain-text-body><!\[CDATA\[([\s\S]*?)\]\]><\/ac:plain-text-body><\/ac:structured-macro>/g,
+      (_, language = '', code) => {
+        codes.push(`\`\`\`${language}\n${code.replace(/]]]]><!\[CDATA\[>/g, ']]>')}\n\`\`\``);
+        return `\u0000${codes.length - 1}\u0000`;
+      }
+    )
+    // Outside code, line breaks in the markup are only whitespace
+    .replace(/\s*\n\s*/g, ' ')
+    .replace(/\u0000\d+\u0000/g, (placeholder) => `\n${placeholder}\n`)
+    .replace(/<ac:image ac:alt="([^"]*)"[\s\S]*?<\/ac:image>/g, (_, alt) => `![${alt}]`)
+    .replace(/<h([1-6])[^>]*>/g, (_, level) => `\n${'#'.repeat(Math.min(Number(level), 3))} `)
+    .replace(/<li[^>]*>/g, '\n- ')
+    .replace(/<(code)>|<\/(code)>/g, '`')
+    .replace(/<(strong|b)>|<\/(strong|b)>/g, '**')
+    .replace(/<(em|i)>|<\/(em|i)>/g, '*')
+    .replace(/<(del|s)>|<\/(del|s)>/g, '~~')
+    .replace(/<blockquote[^>]*>/g, '\n> ')
+    .replace(/<hr \/>/g, '\n---\n')
+    .replace(/<(th|td)(\s[^>]*)?>/g, ' | ')
+    .replace(/<\/(p|h[1-6]|li|tr|blockquote|ul|ol|table|div)>|<br \/>/g, '\n');
+
+  return storageText(marked)
+    .split('\n')
+    .map((line) => line.replace(/\s+/g, ' ').trim().replace(/^\| (.*)$/, '| $1 |'))
+    .map((line) => line.replace(/^\u0000(\d+)\u0000$/, (_, i) => codes[Number(i)]))
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Diffs two texts line by line. Lines shared at the start and end are matched first; past
+ * MAX_DRIFT_DIFF_LINES, the rest is reported as removed and added wholesale.
+ * @param {string} expected - Text from the README.
+ * @param {string} actual - Text from the page.
+ * @returns {Array} `{ type, line }` items: " " for a shared line, "-" for a README line missing from
+ *   the page, "+" for a page line that isn't in the README.
+ */
+function diffLines(expected, actual) {
+  const a = expected ? expected.split('\n') : [];
+  const b = actual ? actual.split('\n') : [];
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let end = 0;
+  while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++;
+
+  const middleA = a.slice(start, a.length - end);
+  const middleB = b.slice(start, b.length - end);
+  const pairs = middleA.length <= MAX_DRIFT_DIFF_LINES && middleB.length <= MAX_DRIFT_DIFF_LINES
+    ? commonSubsequence(middleA, middleB)
+    : [];
+
+  const diff = a.slice(0, start).map((line) => ({ type: ' ', line }));
+  let i = 0;
+  let j = 0;
+  for (const [pi, pj] of [...pairs, [middleA.length, middleB.length]]) {
+    while (i < pi) diff.push({ type: '-', line: middleA[i++] });
+    while (j < pj) diff.push({ type: '+', line: middleB[j++] });
+    if (i < middleA.length) {
+      diff.push({ type: ' ', line: middleA[i] });
+      i++;
+      j++;
+    }
+  }
+  diff.push(...a.slice(a.length - end).map((line) => ({ type: ' ', line })));
+  return diff;
+}
+
+/**
+ * Parses the drift-threshold input.
+ * @param {string} input - A number of lines (e.g. "5") or a share of the README's lines (e.g. "10%").
+ * @returns {Object} `{ lines }` or `{ percent }`; "0" (or empty) tolerates no drift at all.
+ * @throws {Error} When the input is neither.
+ */
+function parseDriftThreshold(input) {
+  const value = (input || '0').trim();
+  const match = value.match(/^(\d+(?:\.\d+)?)(%?)$/);
+  if (!match) {
+    throw new Error(`Invalid drift-threshold "${value}". Expected a number of lines (e.g. "5") or a percentage (e.g. "10%")`);
+  }
+  return match[2] ? { percent: Number(match[1]) } : { lines: Number(match[1]) };
+}
+
+/**
+ * Compares the normalized README with the normalized page.
+ * @param {string} expected - README, normalized with blocksToMarkdown or storageToMarkdown.
+ * @param {string} actual - Page content, normalized the same way.
+ * @param {Object} threshold - Result of parseDriftThreshold.
+ * @returns {Object} The line `diff`, the number of `drifted` lines (removed plus added), the README's
+ *   `total` lines, `percent` drifted, and whether the drift is over the threshold (`failed`).
+ */
+function checkDrift(expected, actual, threshold = { lines: 0 }) {
+  const diff = diffLines(expected, actual);
+  const drifted = diff.filter((item) => item.type !== ' ').length;
+  const total = expected ? expected.split('\n').length : 0;
+  const percent = total > 0 ? Math.round((drifted / total) * 1000) / 10 : drifted > 0 ? 100 : 0;
+  const failed = threshold.percent !== undefined ? percent > threshold.percent : drifted > threshold.lines;
+  return { diff, drifted, total, percent, failed };
+}
+
+/**
+ * Formats the changed lines of a diff with some context, in unified diff style.
+ * @param {Array} diff - Result of diffLines.
+ * @param {number} context - Shared lines shown around each change.
+ * @returns {string} Diff text, with "..." between distant changes; empty without changes.
+ */
+function formatDrift(diff, context = 2) {
+  const shown = new Set();
+  diff.forEach((item, index) => {
+    if (item.type === ' ') return;
+    for (let k = Math.max(0, index - context); k <= Math.min(diff.length - 1, index + context); k++) shown.add(k);
+  });
+
+  const lines = [];
+  let previous = -1;
+  for (const index of [...shown].sort((x, y) => x - y)) {
+    if (previous !== -1 && index > previous + 1) lines.push('...');
+    lines.push(`${diff[index].type}${diff[index].line}`);
+    previous = index;
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Renders a drift check as Markdown, for the job summary or a check run.
+ * @param {Object} result - Result of checkDrift.
+ * @param {Object} details - What was compared.
+ * @param {string} details.source - README path.
+ * @param {string} details.ref - Ref the README was read at.
+ * @param {string} details.pageUrl - URL of the documentation page.
+ * @param {string} details.threshold - The drift-threshold input.
+ * @param {number} details.maxLength - Maximum length of `text`; the diff is cut at a line, with a note
+ *   on the lines left out.
+ * @returns {Object} A one-line `title` and the Markdown `summary` and `text` (the diff).
+ */
+function renderDriftReport(result, { source, ref, pageUrl, threshold, maxLength = MAX_CHECK_RUN_TEXT_LENGTH }) {
+  const { drifted, total, percent, failed } = result;
+  const title = drifted === 0
+    ? 'The documentation page matches the README'
+    : `${drifted} lines differ from the README (${percent}% of ${total})`;
+  const verdict = failed ? `❌ Over the drift threshold (\`${threshold}\`).` : `✅ Within the drift threshold (\`${threshold}\`).`;
+  const summary = [
+    `## 📐 Documentation drift: ${title}`,
+    '',
+    `Compared [the documentation page](${pageUrl}) with \`${source}\` at \`${ref}\`. ${verdict}`,
+    '',
+  ].join('\n');
+  const diff = formatDrift(result.diff);
+  if (!diff) return { title, summary, text: '' };
+
+  const intro = 'Lines starting with "-" are in the README but not on the page; "+" lines are only on the page.\n\n```diff\n';
+  const ending = (omitted) => (omitted > 0 ? `\n\`\`\`\n\n[${omitted} more lines]\n` : '\n```\n');
+  const lines = diff.split('\n');
+  // Room for the longest ending, so the fence is always closed
+  let used = intro.length + ending(lines.length).length;
+  let count = 0;
+  while (count < lines.length && used + lines[count].length + 1 <= maxLength) {
+    used += lines[count].length + 1;
+    count++;
+  }
+  const text = `${intro}${lines.slice(0, count).join('\n')}${ending(lines.length - count)}`;
+  return { title, summary, text };
+}
+
+module.exports = {
+  richTextToMarkdown,
+  blocksToMarkdown,
+  storageToMarkdown,
+  diffLines,
+  parseDriftThreshold,
+  checkDrift,
+  formatDrift,
+  renderDriftReport,
+};
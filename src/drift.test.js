@@ -0,0 +1,167 @@
+const {
+  richTextToMarkdown,
+  blocksToMarkdown,
+  storageToMarkdown,
+  diffLines,
+  parseDriftThreshold,
+  checkDrift,
+  formatDrift,
+  renderDriftReport,
+} = require('./drift');
+const { markdownToNotionBlocks } = require('./markdown');
+const { markdownToStorage } = require('./storage-format');
+
+const README = [
+  '# Project',
+  '',
+  'Run **fast**, see [the guide](docs/guide.md).',
+  '',
+  '- [ ] todo',
+  '- item',
+  '  1. nested',
+  '',
+  '> [!WARNING]',
+  '> Careful',
+  '',
+  '```sh',
+  'npm test',
+  '```',
+  '',
+  '---',
+].join('\n');
+
+describe('richTextToMarkdown', () => {
+  it('should merge neighbouring items with the same annotations and leave links out', () => {
+    const richText = [
+      { plain_text: 'Run ', annotations: { bold: false } },
+      { plain_text: 'fa', annotations: { bold: true } },
+      { text: { content: 'st' }, annotations: { bold: true } },
+      { plain_text: ' code', annotations: { code: true }, href: 'https://example.com' },
+    ];
+
+    expect(richTextToMarkdown(richText)).toBe('Run **fast**` code`');
+    expect(richTextToMarkdown()).toBe('');
+  });
+});
+
+describe('blocksToMarkdown', () => {
+  it('should render converted blocks one line each, nested blocks indented', () => {
+    expect(blocksToMarkdown(markdownToNotionBlocks(README))).toBe(
+      [
+        '# Project',
+        'Run **fast**, see the guide.',
+        '- [ ] todo',
+        '- item',
+        '  1. nested',
+        '> ⚠️ Careful',
+        '```shell',
+        'npm test',
+        '```',
+        '---',
+      ].join('\n')
+    );
+  });
+
+  it('should skip child pages and name unsupported blocks', () => {
+    const blocks = [
+      { type: 'child_page', child_page: { title: 'Changelog' } },
+      { type: 'bookmark', bookmark: { url: 'https://example.com' } },
+    ];
+
+    expect(blocksToMarkdown(blocks)).toBe('[bookmark]');
+  });
+});
+
+describe('storageToMarkdown', () => {
+  it('should render storage format one line per block, keeping code as it is', () => {
+    expect(storageToMarkdown(markdownToStorage(README))).toBe(
+      [
+        '# Project',
+        'Run **fast**, see the guide.',
+        '- [ ] todo',
+        '- item',
+        '- nested',
+        '> [!WARNING] Careful',
+        '```sh',
+        'npm test',
+        '```',
+        '---',
+      ].join('\n')
+    );
+    expect(storageToMarkdown('')).toBe('');
+  });
+});
+
+describe('diffLines', () => {
+  it('should mark README lines missing from the page and page-only lines', () => {
+    expect(diffLines('a\nb\nc', 'a\nB\nc\nd')).toEqual([
+      { type: ' ', line: 'a' },
+      { type: '-', line: 'b' },
+      { type: '+', line: 'B' },
+      { type: ' ', line: 'c' },
+      { type: '+', line: 'd' },
+    ]);
+    expect(diffLines('', 'x')).toEqual([{ type: '+', line: 'x' }]);
+  });
+});
+
+describe('parseDriftThreshold', () => {
+  it('should read a number of lines or a percentage', () => {
+    expect(parseDriftThreshold('')).toEqual({ lines: 0 });
+    expect(parseDriftThreshold(' 5 ')).toEqual({ lines: 5 });
+    expect(parseDriftThreshold('12.5%')).toEqual({ percent: 12.5 });
+    expect(() => parseDriftThreshold('some')).toThrow('Invalid drift-threshold "some"');
+  });
+});
+
+describe('checkDrift', () => {
+  it('should count drifted lines against the threshold', () => {
+    const result = checkDrift('a\nb\nc\nd', 'a\nB\nc\nd');
+
+    expect(result).toMatchObject({ drifted: 2, total: 4, percent: 50, failed: true });
+    expect(checkDrift('a\nb\nc\nd', 'a\nB\nc\nd', { lines: 2 }).failed).toBe(false);
+    expect(checkDrift('a\nb\nc\nd', 'a\nB\nc\nd', { percent: 50 }).failed).toBe(false);
+    expect(checkDrift('a', 'a')).toMatchObject({ drifted: 0, failed: false });
+  });
+});
+
+describe('formatDrift', () => {
+  it('should show changes with context and elide distant shared lines', () => {
+    const diff = diffLines('1\n2\n3\n4\n5\n6\n7\n8', 'x\n2\n3\n4\n5\n6\n7\ny');
+
+    expect(formatDrift(diff, 1)).toBe('-1\n+x\n 2\n...\n 7\n-8\n+y');
+    expect(formatDrift(diffLines('a', 'a'))).toBe('');
+  });
+});
+
+describe('renderDriftReport', () => {
+  const details = { source: 'README.md', ref: 'abc1234', pageUrl: 'https://notion.so/page', threshold: '0' };
+
+  it('should report a failed check with the diff', () => {
+    const report = renderDriftReport(checkDrift('a\nb', 'a\nc'), details);
+
+    expect(report.title).toBe('2 lines differ from the README (100% of 2)');
+    expect(report.summary).toContain('Compared [the documentation page](https://notion.so/page) with `README.md` at `abc1234`');
+    expect(report.summary).toContain('❌ Over the drift threshold (`0`).');
+    expect(report.text).toContain('```diff\n a\n-b\n+c\n```');
+  });
+
+  it('should report a page in sync', () => {
+    const report = renderDriftReport(checkDrift('a', 'a'), details);
+
+    expect(report.title).toBe('The documentation page matches the README');
+    expect(report.summary).toContain('✅ Within the drift threshold');
+    expect(report.text).toBe('');
+  });
+
+  it('should cut a long diff at a line and close the fence', () => {
+    const readme = Array.from({ length: 50 }, (_, i) => `line ${i}`).join('\n');
+
+    const report = renderDriftReport(checkDrift(readme, ''), { ...details, maxLength: 300 });
+
+    expect(report.text.length).toBeLessThanOrEqual(300);
+    expect(report.text).toMatch(/\n-line \d+\n```\n\n\[\d+ more lines\]\n$/);
+    const shown = report.text.split('\n').filter((line) => line.startsWith('-line')).length;
+    expect(report.text).toContain(`[${50 - shown} more lines]`);
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Changelog entry templates: the blocks of an entry, in order, with ${placeholder} fields filled from the
+ * entry. The same template renders to Notion blocks, Confluence storage format, Markdown and the agent
+ * prompt, each output supplying one renderer per block kind:
+ *
+ *   - heading: '${date} - ${title}'     the entry heading; first, and only once
+ *   - reference: '${key} by ${author}'  linked to the entry URL; starts with ${key}, which finds the entry on re-runs
+ *   - paragraph: '${summary}'
+ *   - toggle: 'Changed files'           collapsible, holding `code` in a code block
+ *     code: '${files}'
+ *   - category                          the change category and suggested bump, when classified
+ *   - release-notes                     pull requests grouped by label, for releases and pushes
+ *   - divider                           last, if at all
+ */
+
+const { ENTRY_TEMPLATE_PLACEHOLDERS, DEFAULT_ENTRY_TEMPLATE } = require('./constants');
+
+/** Block kinds written as a bare name */
+const BARE_KINDS = ['category', 'release-notes', 'divider'];
+
+/** Block kinds holding text, keyed by their name */
+const TEXT_KINDS = ['heading', 'reference', 'paragraph', 'toggle'];
+
+/** Block kinds a database row leaves out of its page body: the title and URL are row properties */
+const ROW_PROPERTY_KINDS = ['heading', 'reference', 'divider'];
+
+const PLACEHOLDER_PATTERN = /\$\{(\w*)\}/g;
+
+/**
+ * Returns the kind of a template block.
+ * @param {string|Object} block - Template block.
+ * @returns {string|null} Block kind, or null for a block the language doesn't have.
+ */
+function blockKind(block) {
+  if (typeof block === 'string') return BARE_KINDS.includes(block) ? block : null;
+  if (!block || typeof block !== 'object' || Array.isArray(block)) return null;
+  return TEXT_KINDS.find((kind) => kind in block) || null;
+}
+
+/**
+ * Checks a template beyond its shape: known blocks and placeholders, and an entry that can be found
+ * again on re-runs (a heading first, one reference starting with ${key}, a divider only at the end).
+ * @param {Array} template - Entry template.
+ * @param {string} where - Location of the template, for error messages.
+ * @returns {Array<string>} Problems, empty for a valid template.
+ */
+function templateProblems(template, where = 'templates.entry') {
+  const problems = [];
+  const kinds = template.map(blockKind);
+
+  template.forEach((block, i) => {
+    if (!kinds[i]) {
+      problems.push(`${where}.${i} must be one of: ${[...TEXT_KINDS, ...BARE_KINDS].join(', ')}`);
+      return;
+    }
+    if (typeof block === 'string') return;
+
+    const fields = kinds[i] === 'toggle' ? ['toggle', 'code'] : [kinds[i]];
+    for (const key of Object.keys(block).filter((key) => !fields.includes(key))) {
+      problems.push(`${where}.${i} has an unknown key "${key}"`);
+    }
+    for (const field of fields) {
+      if (typeof block[field] !== 'string') {
+        problems.push(`${where}.${i}.${field} must be a string`);
+        continue;
+      }
+      for (const [placeholder, name] of block[field].matchAll(PLACEHOLDER_PATTERN)) {
+        if (!ENTRY_TEMPLATE_PLACEHOLDERS.includes(name)) {
+          problems.push(`${where}.${i}.${field} has an unknown placeholder "${placeholder}"`);
+        }
+      }
+    }
+  });
+
+  if (kinds[0] !== 'heading') {
+    problems.push(`${where} must start with a heading`);
+  } else if (kinds.filter((kind) => kind === 'heading').length > 1) {
+    problems.push(`${where} must have a single heading`);
+  }
+  const references = kinds.flatMap((kind, i) => (kind === 'reference' ? [i] : []));
+  if (references.length !== 1) {
+    problems.push(`${where} must have exactly one reference`);
+  } else if (typeof template[references[0]].reference === 'string' && !template[references[0]].reference.startsWith('${key}')) {
+    problems.push(`${where}.${references[0]}.reference must start with \${key}, which identifies the entry on re-runs`);
+  }
+  if (kinds.includes('divider') && kinds.indexOf('divider') !== kinds.length - 1) {
+    problems.push(`${where} can only end with a divider`);
+  }
+
+  return problems;
+}
+
+/**
+ * Returns the template of an entry.
+ * @param {Object} entry - Changelog entry, with the `template` of the configuration file, if any.
+ * @returns {Array} The entry's template, or the built-in one.
+ */
+function entryTemplate(entry) {
+  return entry.template || DEFAULT_ENTRY_TEMPLATE;
+}
+
+/**
+ * Leaves out the blocks a database row holds as properties.
+ * @param {Array} template - Entry template.
+ * @returns {Array} Template of the row's page body.
+ */
+function rowBodyTemplate(template) {
+  return template.filter((block) => !ROW_PROPERTY_KINDS.includes(blockKind(block)));
+}
+
+/**
+ * Fills the placeholders of a template text.
+ * @param {string} text - Template text.
+ * @param {Object} values - Placeholder values from templateValues.
+ * @returns {string} Text with each ${placeholder} replaced by its value.
+ */
+function fillPlaceholders(text, values) {
+  return text.replace(PLACEHOLDER_PATTERN, (placeholder, name) => (name in values ? String(values[name]) : placeholder));
+}
+
+/**
+ * Renders a template block by block.
+ * @param {Array} template - Entry template.
+ * @param {Object} values - Placeholder values from templateValues.
+ * @param {Object} renderers - One function per block kind, called with the filled text (and the filled
+ *   `code` of a toggle), returning a list of output items (blocks, lines, markup).
+ * @returns {Array} The output items of every block, in order.
+ */
+function renderTemplate(template, values, renderers) {
+  return template.flatMap((block) => {
+    const kind = blockKind(block);
+    if (typeof block === 'string') return renderers[kind]();
+    return renderers[kind](fillPlaceholders(block[kind], values), block.code === undefined ? '' : fillPlaceholders(block.code, values));
+  });
+}
+
+/**
+ * Renders the heading of an entry, as verification looks for it.
+ * @param {Array} template - Entry template.
+ * @param {Object} values - Placeholder values from templateValues.
+ * @returns {string} Heading text.
+ */
+function renderHeading(template, values) {
+  return fillPlaceholders(template.find((block) => blockKind(block) === 'heading').heading, values);
+}
+
+module.exports = {
+  blockKind,
+  templateProblems,
+  entryTemplate,
+  rowBodyTemplate,
+  fillPlaceholders,
+  renderTemplate,
+  renderHeading,
+};
@@ -0,0 +1,127 @@
+const {
+  blockKind,
+  templateProblems,
+  entryTemplate,
+  rowBodyTemplate,
+  fillPlaceholders,
+  renderTemplate,
+  renderHeading,
+} = require('./entry-template');
+const { DEFAULT_ENTRY_TEMPLATE } = require('./constants');
+
+/**
+ * Renderers that describe each block as one line, for checking what renderTemplate calls.
+ */
+const lineRenderers = {
+  heading: (text) => [`heading ${text}`],
+  reference: (text) => [`reference ${text}`],
+  paragraph: (text) => [`paragraph ${text}`],
+  toggle: (title, code) => [`toggle ${title}: ${code}`],
+  category: () => ['category'],
+  'release-notes': () => [],
+  divider: () => ['divider'],
+};
+
+const values = { key: 'PR #42', date: '2026-01-21', title: 'Add feature', author: '@dev', labels: 'ui, docs', files: '- a.js' };
+
+describe('blockKind', () => {
+  it('should tell bare and text blocks apart', () => {
+    expect(blockKind('divider')).toBe('divider');
+    expect(blockKind({ toggle: 'Files', code: '${files}' })).toBe('toggle');
+    expect(blockKind('quote')).toBeNull();
+    expect(blockKind({ image: 'x' })).toBeNull();
+    expect(blockKind(['heading'])).toBeNull();
+  });
+});
+
+describe('templateProblems', () => {
+  it('should accept the built-in template', () => {
+    expect(templateProblems(DEFAULT_ENTRY_TEMPLATE)).toEqual([]);
+  });
+
+  it('should report unknown blocks, keys and placeholders with their location', () => {
+    const template = [
+      { heading: '${title}' },
+      { reference: '${key} by ${auther}' },
+      'quote',
+      { toggle: 'Files' },
+      { paragraph: '${summary}', bold: true },
+    ];
+
+    expect(templateProblems(template)).toEqual([
+      'templates.entry.1.reference has an unknown placeholder "${auther}"',
+      'templates.entry.2 must be one of: heading, reference, paragraph, toggle, category, release-notes, divider',
+      'templates.entry.3.code must be a string',
+      'templates.entry.4 has an unknown key "bold"',
+    ]);
+  });
+
+  it('should require an entry that re-runs can find', () => {
+    expect(templateProblems([{ paragraph: '${summary}' }, { reference: 'By ${author} (${key})' }, 'divider', 'category'])).toEqual([
+      'templates.entry must start with a heading',
+      'templates.entry.1.reference must start with ${key}, which identifies the entry on re-runs',
+      'templates.entry can only end with a divider',
+    ]);
+    expect(templateProblems([{ heading: '${title}' }, { heading: '${date}' }])).toEqual([
+      'templates.entry must have a single heading',
+      'templates.entry must have exactly one reference',
+    ]);
+  });
+});
+
+describe('entryTemplate', () => {
+  it('should use the template of the entry, or the built-in one', () => {
+    const template = [{ heading: '${title}' }, { reference: '${key}' }];
+
+    expect(entryTemplate({ template })).toBe(template);
+    expect(entryTemplate({})).toBe(DEFAULT_ENTRY_TEMPLATE);
+  });
+});
+
+describe('rowBodyTemplate', () => {
+  it('should leave out the blocks a database row holds as properties', () => {
+    expect(rowBodyTemplate(DEFAULT_ENTRY_TEMPLATE)).toEqual([
+      'category',
+      { paragraph: '${summary}' },
+      'release-notes',
+      { toggle: 'Changed files', code: '${files}' },
+    ]);
+  });
+});
+
+describe('fillPlaceholders', () => {
+  it('should replace each placeholder with its value', () => {
+    expect(fillPlaceholders('${date} - ${title} (${labels})', values)).toBe('2026-01-21 - Add feature (ui, docs)');
+  });
+
+  it('should leave unknown placeholders as written', () => {
+    expect(fillPlaceholders('${nope}', values)).toBe('${nope}');
+  });
+});
+
+describe('renderTemplate', () => {
+  it('should render each block with its filled text, in order', () => {
+    const template = [
+      { heading: '${title}' },
+      { reference: '${key} by ${author}' },
+      'category',
+      'release-notes',
+      { toggle: 'Changed files', code: '${files}' },
+      'divider',
+    ];
+
+    expect(renderTemplate(template, values, lineRenderers)).toEqual([
+      'heading Add feature',
+      'reference PR #42 by @dev',
+      'category',
+      'toggle Changed files: - a.js',
+      'divider',
+    ]);
+  });
+});
+
+describe('renderHeading', () => {
+  it('should fill the heading block', () => {
+    expect(renderHeading(DEFAULT_ENTRY_TEMPLATE, values)).toBe('2026-01-21 - Add feature');
+  });
+});
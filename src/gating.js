@@ -0,0 +1,88 @@
+/**
+ * Decides what a pull_request run documents. The PR must be merged (unless configured
+ * otherwise), path filters over its changed files can rule it out, and skip labels
+ * leave out the changelog entry or the documentation sync.
+ */
+
+const { minimatch } = require('minimatch');
+const { DEFAULT_SKIP_CHANGELOG_LABEL, DEFAULT_SKIP_DOCS_LABEL } = require('./constants');
+
+/**
+ * Parses a list of path globs from an action input.
+ * @param {string} input - Globs separated by newlines or commas.
+ * @returns {Array<string>} Globs, without blanks.
+ */
+function parsePathPatterns(input) {
+  return (input || '')
+    .split(/[\n,]/)
+    .map((pattern) => pattern.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Checks a path against include and exclude globs.
+ * @param {string} path - File path in the repository.
+ * @param {Object} filters - `includePaths` (empty to include everything) and `excludePaths`.
+ * @returns {boolean} True when the path is included and not excluded.
+ */
+function matchesPaths(path, { includePaths = [], excludePaths = [] }) {
+  const matches = (pattern) => minimatch(path, pattern, { dot: true });
+  return (includePaths.length === 0 || includePaths.some(matches)) && !excludePaths.some(matches);
+}
+
+/**
+ * Decides what a run does for a pull request.
+ * @param {Object} pullRequest - PR data from GitHub API.
+ * @param {Array} files - Changed files from pulls.listFiles.
+ * @param {Object} options - Gating settings.
+ * @param {boolean} options.requireMerged - Only document merged PRs.
+ * @param {string} options.skipChangelogLabel - Label that leaves the PR out of the changelog.
+ * @param {string} options.skipDocsLabel - Label that leaves the PR out of the documentation sync.
+ * @param {Array<string>} options.includePaths - Globs of which at least one changed file must match (empty for any).
+ * @param {Array<string>} options.excludePaths - Globs of files that don't count.
+ * @param {boolean} options.docs - Whether the run would sync documentation at all.
+ * @returns {Object} `skipReason` (null when the run goes ahead), whether to write the `changelog`
+ *   and sync the `docs`, and `notes` on what is left out.
+ */
+function gatePullRequest(pullRequest, files, {
+  requireMerged = true,
+  skipChangelogLabel = DEFAULT_SKIP_CHANGELOG_LABEL,
+  skipDocsLabel = DEFAULT_SKIP_DOCS_LABEL,
+  includePaths = [],
+  excludePaths = [],
+  docs = true,
+} = {}) {
+  const key = `PR #${pullRequest.number}`;
+  const skip = (skipReason) => ({ skipReason, changelog: false, docs: false, notes: [] });
+
+  if (requireMerged && !pullRequest.merged) {
+    return skip(`${key} is ${pullRequest.state === 'closed' ? 'closed without being merged' : 'not merged'}`);
+  }
+
+  const filters = { includePaths, excludePaths };
+  if ((includePaths.length > 0 || excludePaths.length > 0) && !files.some((f) => matchesPaths(f.filename, filters))) {
+    return skip(`None of the ${files.length} files changed by ${key} match include-paths and exclude-paths`);
+  }
+
+  const labels = (pullRequest.labels || []).map((label) => label.name.toLowerCase());
+  const hasLabel = (name) => Boolean(name) && labels.includes(name.toLowerCase());
+  const changelog = !hasLabel(skipChangelogLabel);
+  const syncDocs = docs && !hasLabel(skipDocsLabel);
+
+  if (!changelog && !syncDocs) {
+    const reasons = [`${key} has the "${skipChangelogLabel}" label`];
+    if (docs) reasons.push(`the "${skipDocsLabel}" label`);
+    return skip(reasons.join(' and '));
+  }
+
+  const notes = [];
+  if (!changelog) notes.push(`Changelog entry skipped: ${key} has the "${skipChangelogLabel}" label`);
+  if (docs && !syncDocs) notes.push(`Documentation sync skipped: ${key} has the "${skipDocsLabel}" label`);
+  return { skipReason: null, changelog, docs: syncDocs, notes };
+}
+
+module.exports = {
+  parsePathPatterns,
+  matchesPaths,
+  gatePullRequest,
+};
@@ -0,0 +1,88 @@
+const { parsePathPatterns, matchesPaths, gatePullRequest } = require('./gating');
+
+/**
+ * Builds a merged pull request with labels.
+ */
+function pullRequest(labels = [], fields = {}) {
+  return { number: 42, state: 'closed', merged: true, labels: labels.map((name) => ({ name })), ...fields };
+}
+
+const files = [{ filename: 'src/index.js' }, { filename: 'docs/guide.md' }];
+
+describe('parsePathPatterns', () => {
+  it('should split on newlines and commas and drop blanks', () => {
+    expect(parsePathPatterns('src/**\n  docs/*.md, \n,lib/**\n')).toEqual(['src/**', 'docs/*.md', 'lib/**']);
+    expect(parsePathPatterns('')).toEqual([]);
+  });
+});
+
+describe('matchesPaths', () => {
+  it('should include everything without include globs', () => {
+    expect(matchesPaths('anything/file.txt', {})).toBe(true);
+  });
+
+  it('should apply include then exclude globs, dotfiles included', () => {
+    const filters = { includePaths: ['src/**', '.github/**'], excludePaths: ['**/*.test.js'] };
+
+    expect(matchesPaths('src/deep/module.js', filters)).toBe(true);
+    expect(matchesPaths('.github/workflows/ci.yml', filters)).toBe(true);
+    expect(matchesPaths('src/module.test.js', filters)).toBe(false);
+    expect(matchesPaths('README.md', filters)).toBe(false);
+  });
+});
+
+describe('gatePullRequest', () => {
+  it('should document a merged pull request in full by default', () => {
+    expect(gatePullRequest(pullRequest(), files)).toEqual({ skipReason: null, changelog: true, docs: true, notes: [] });
+  });
+
+  it('should skip pull requests that are not merged', () => {
+    expect(gatePullRequest(pullRequest([], { merged: false }), files).skipReason).toBe(
+      'PR #42 is closed without being merged'
+    );
+    expect(gatePullRequest(pullRequest([], { merged: false, state: 'open' }), files).skipReason).toBe(
+      'PR #42 is not merged'
+    );
+  });
+
+  it('should document open pull requests when merging is not required', () => {
+    const gate = gatePullRequest(pullRequest([], { merged: false, state: 'open' }), files, { requireMerged: false });
+
+    expect(gate.skipReason).toBeNull();
+  });
+
+  it('should skip pull requests without a changed file matching the path filters', () => {
+    expect(gatePullRequest(pullRequest(), files, { includePaths: ['lib/**'] }).skipReason).toBe(
+      'None of the 2 files changed by PR #42 match include-paths and exclude-paths'
+    );
+    expect(gatePullRequest(pullRequest(), files, { excludePaths: ['src/**', 'docs/**'] }).skipReason).not.toBeNull();
+    expect(gatePullRequest(pullRequest(), files, { excludePaths: ['docs/**'] }).skipReason).toBeNull();
+  });
+
+  it('should leave out the changelog entry or the docs sync for a skip label, in any case', () => {
+    expect(gatePullRequest(pullRequest(['Skip-Changelog']), files)).toEqual({
+      skipReason: null,
+      changelog: false,
+      docs: true,
+      notes: ['Changelog entry skipped: PR #42 has the "skip-changelog" label'],
+    });
+    expect(gatePullRequest(pullRequest(['skip-docs']), files)).toEqual({
+      skipReason: null,
+      changelog: true,
+      docs: false,
+      notes: ['Documentation sync skipped: PR #42 has the "skip-docs" label'],
+    });
+  });
+
+  it('should skip the run when both labels apply', () => {
+    expect(gatePullRequest(pullRequest(['skip-changelog', 'skip-docs']), files).skipReason).toBe(
+      'PR #42 has the "skip-changelog" label and the "skip-docs" label'
+    );
+  });
+
+  it('should skip the run for the changelog label when docs are not synced anyway', () => {
+    const gate = gatePullRequest(pullRequest(['no-log']), files, { skipChangelogLabel: 'no-log', docs: false });
+
+    expect(gate.skipReason).toBe('PR #42 has the "no-log" label');
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Commit history between two refs and the pull requests it came from.
+ * Commits come from the compare API (or the commits API when there is no base),
+ * and each commit is mapped back to the merged pull request that brought it in.
+ */
+
+const { COMMITS_PAGE_SIZE, COMMIT_RANGE_LIMIT, COMPARE_FILES_LIMIT } = require('./constants');
+
+/**
+ * Lists the commits and changed files between two refs.
+ * @param {Object} octokit - GitHub API client.
+ * @param {Object} repository - `owner` and `repo`.
+ * @param {Object} range - `base` (null to list the whole history of `head`) and `head` refs.
+ * @param {number} limit - Maximum number of commits to list.
+ * @returns {Promise<Object>} `commits`, changed `files` (empty without a base), whether the commits
+ *   were `truncated` at the limit and whether the files may be (`filesTruncated`, at the compare API's cap).
+ */
+async function listCommitRange(octokit, { owner, repo }, { base, head }, limit = COMMIT_RANGE_LIMIT) {
+  const commits = [];
+  let files = [];
+
+  for (let page = 1; commits.length < limit; page++) {
+    const params = { owner, repo, per_page: COMMITS_PAGE_SIZE, page };
+    let batch;
+    if (base) {
+      const { data } = await octokit.rest.repos.compareCommitsWithBasehead({ ...params, basehead: `${base}...${head}` });
+      batch = data.commits;
+      // Every page repeats the same (capped) file list
+      if (page === 1) files = data.files || [];
+    } else {
+      ({ data: batch } = await octokit.rest.repos.listCommits({ ...params, sha: head }));
+    }
+
+    commits.push(...batch);
+    if (batch.length < COMMITS_PAGE_SIZE) {
+      return {
+        commits: commits.slice(0, limit),
+        files,
+        truncated: commits.length > limit,
+        filesTruncated: files.length >= COMPARE_FILES_LIMIT,
+      };
+    }
+  }
+
+  return { commits: commits.slice(0, limit), files, truncated: true, filesTruncated: files.length >= COMPARE_FILES_LIMIT };
+}
+
+/**
+ * Resolves a ref (a tag, a branch or a commit SHA) to its commit SHA, as APIs such as checks.create need.
+ * @param {Object} octokit - GitHub API client.
+ * @param {Object} repository - `owner` and `repo`.
+ * @param {string} ref - Git reference.
+ * @returns {Promise<string>} The full commit SHA.
+ */
+async function resolveCommitSha(octokit, { owner, repo }, ref) {
+  if (/^[0-9a-f]{40}$/i.test(ref)) return ref;
+  const { data } = await octokit.rest.repos.getCommit({ owner, repo, ref });
+  return data.sha;
+}
+
+/**
+ * Reads the pull request number a commit subject names: a squash merge ends with "(#42)" and a
+ * merge commit starts with "Merge pull request #42 from".
+ * @param {Object} commit - Commit from listCommitRange.
+ * @returns {number|null} The pull request number, or null when the subject names none.
+ */
+function subjectPullRequestNumber(commit) {
+  const subject = ((commit.commit && commit.commit.message) || '').split('\n')[0].trim();
+  const match = /\(#(\d+)\)$/.exec(subject) || /^Merge pull request #(\d+) from /.exec(subject);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Finds the merged pull request each commit came from.
+ * A commit whose subject names a pull request is matched to it with one request per pull request;
+ * the others are looked up through the commits API, where a commit can be associated with several
+ * pull requests and the one it merged wins.
+ * @param {Object} octokit - GitHub API client.
+ * @param {Object} repository - `owner` and `repo`.
+ * @param {Array} commits - Commits from listCommitRange.
+ * @returns {Promise<Array>} One `{ commit, pullRequest }` per commit, in order; `pullRequest` is null
+ *   for commits pushed without a pull request.
+ */
+async function findCommitPullRequests(octokit, { owner, repo }, commits) {
+  const named = new Map();
+  const associations = [];
+
+  // A number that isn't a merged pull request (an issue, or a PR still open) falls back to the lookup
+  const namedPullRequest = async (number) => {
+    if (!named.has(number)) {
+      try {
+        const { data } = await octokit.rest.pulls.get({ owner, repo, pull_number: number });
+        named.set(number, data.merged_at ? data : null);
+      } catch {
+        named.set(number, null);
+      }
+    }
+    return named.get(number);
+  };
+
+  for (const commit of commits) {
+    const number = subjectPullRequestNumber(commit);
+    const fromSubject = number === null ? null : await namedPullRequest(number);
+    if (fromSubject) {
+      associations.push({ commit, pullRequest: fromSubject });
+      continue;
+    }
+
+    const { data } = await octokit.rest.repos.listPullRequestsAssociatedWithCommit({
+      owner,
+      repo,
+      commit_sha: commit.sha,
+    });
+    const merged = data.filter((pullRequest) => pullRequest.merged_at);
+    const pullRequest = merged.find((p) => p.merge_commit_sha === commit.sha) || merged[0] || null;
+    associations.push({ commit, pullRequest });
+  }
+
+  return associations;
+}
+
+/**
+ * Lists the pull requests of findCommitPullRequests once each.
+ * @param {Array} associations - Result of findCommitPullRequests.
+ * @returns {Array} Pull requests, in merge order.
+ */
+function uniquePullRequests(associations) {
+  const pullRequests = new Map();
+  for (const { pullRequest } of associations) {
+    if (pullRequest && !pullRequests.has(pullRequest.number)) {
+      pullRequests.set(pullRequest.number, pullRequest);
+    }
+  }
+  return [...pullRequests.values()].sort((a, b) => Date.parse(a.merged_at) - Date.parse(b.merged_at));
+}
+
+/**
+ * Finds the merged pull requests the commits came from.
+ * @param {Object} octokit - GitHub API client.
+ * @param {Object} repository - `owner` and `repo`.
+ * @param {Array} commits - Commits from listCommitRange.
+ * @returns {Promise<Array>} Pull requests, each listed once, in merge order.
+ */
+async function listMergedPullRequests(octokit, repository, commits) {
+  return uniquePullRequests(await findCommitPullRequests(octokit, repository, commits));
+}
+
+module.exports = {
+  listCommitRange,
+  resolveCommitSha,
+  findCommitPullRequests,
+  uniquePullRequests,
+  listMergedPullRequests,
+};
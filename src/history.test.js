@@ -0,0 +1,206 @@
+const {
+  listCommitRange,
+  resolveCommitSha,
+  findCommitPullRequests,
+  uniquePullRequests,
+  listMergedPullRequests,
+} = require('./history');
+
+const repository = { owner: 'org', repo: 'repo' };
+
+/**
+ * Builds a merged pull request as returned by the commits API.
+ */
+function pullRequest(number, mergedAt, fields = {}) {
+  return {
+    number,
+    title: `Change ${number}`,
+    user: { login: 'dev' },
+    html_url: `https://github.com/org/repo/pull/${number}`,
+    merged_at: mergedAt,
+    labels: [],
+    ...fields,
+  };
+}
+
+/**
+ * Builds a list of commits with numbered SHAs.
+ */
+function commits(count, offset = 0) {
+  return Array.from({ length: count }, (_, i) => ({ sha: `sha${offset + i}` }));
+}
+
+/**
+ * Creates an Octokit mock for the compare, commits, pull request and associated pull requests endpoints.
+ */
+function mockOctokit({
+  compare = [],
+  history = [],
+  associated = {},
+  pulls = {},
+  files = [{ filename: 'src/index.js', status: 'modified', additions: 1, deletions: 0 }],
+} = {}) {
+  return {
+    rest: {
+      pulls: {
+        get: jest.fn(async ({ pull_number: number }) => {
+          if (!pulls[number]) throw new Error('Not Found');
+          return { data: pulls[number] };
+        }),
+      },
+      repos: {
+        compareCommitsWithBasehead: jest.fn(async ({ page, per_page: perPage }) => ({
+          data: {
+            commits: compare.slice((page - 1) * perPage, page * perPage),
+            files,
+          },
+        })),
+        listCommits: jest.fn(async ({ page, per_page: perPage }) => ({
+          data: history.slice((page - 1) * perPage, page * perPage),
+        })),
+        listPullRequestsAssociatedWithCommit: jest.fn(async ({ commit_sha: sha }) => ({ data: associated[sha] || [] })),
+      },
+    },
+  };
+}
+
+describe('listCommitRange', () => {
+  it('should compare the two tags page by page', async () => {
+    const octokit = mockOctokit({ compare: commits(150) });
+
+    const result = await listCommitRange(octokit, repository, { base: 'v1.1.0', head: 'v1.2.0' });
+
+    expect(result.commits).toHaveLength(150);
+    expect(result.files.map((f) => f.filename)).toEqual(['src/index.js']);
+    expect(result.truncated).toBe(false);
+    expect(result.filesTruncated).toBe(false);
+    expect(octokit.rest.repos.compareCommitsWithBasehead).toHaveBeenCalledWith(
+      expect.objectContaining({ basehead: 'v1.1.0...v1.2.0', page: 2 })
+    );
+  });
+
+  it('should list the whole history without a base', async () => {
+    const octokit = mockOctokit({ history: commits(3) });
+
+    const result = await listCommitRange(octokit, repository, { base: null, head: 'v1.0.0' });
+
+    expect(result).toEqual({ commits: commits(3), files: [], truncated: false, filesTruncated: false });
+    expect(octokit.rest.repos.listCommits).toHaveBeenCalledWith(expect.objectContaining({ sha: 'v1.0.0', page: 1 }));
+  });
+
+  it('should stop at the limit', async () => {
+    const octokit = mockOctokit({ history: commits(250) });
+
+    const result = await listCommitRange(octokit, repository, { base: null, head: 'v1.0.0' }, 120);
+
+    expect(result.commits).toHaveLength(120);
+    expect(result.truncated).toBe(true);
+    expect(octokit.rest.repos.listCommits).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('listCommitRange file cap', () => {
+  it('should flag a file list at the compare API cap', async () => {
+    const files = Array.from({ length: 300 }, (_, i) => ({ filename: `f${i}.js` }));
+    const octokit = mockOctokit({ compare: commits(2), files });
+
+    const result = await listCommitRange(octokit, repository, { base: 'a', head: 'b' });
+
+    expect(result.files).toHaveLength(300);
+    expect(result.filesTruncated).toBe(true);
+  });
+});
+
+describe('listMergedPullRequests', () => {
+  it('should list each merged pull request once, in merge order', async () => {
+    const octokit = mockOctokit({
+      associated: {
+        sha0: [pullRequest(2, '2026-02-02T00:00:00Z')],
+        sha1: [pullRequest(2, '2026-02-02T00:00:00Z'), pullRequest(3, null)],
+        sha2: [pullRequest(1, '2026-02-01T00:00:00Z')],
+      },
+    });
+
+    const result = await listMergedPullRequests(octokit, repository, commits(4));
+
+    expect(result.map((p) => p.number)).toEqual([1, 2]);
+    expect(octokit.rest.repos.listPullRequestsAssociatedWithCommit).toHaveBeenCalledTimes(4);
+  });
+});
+
+describe('resolveCommitSha', () => {
+  it('should look up the commit of a tag', async () => {
+    const octokit = { rest: { repos: { getCommit: jest.fn(async () => ({ data: { sha: 'a'.repeat(40) } })) } } };
+
+    await expect(resolveCommitSha(octokit, repository, 'v1.2.0')).resolves.toBe('a'.repeat(40));
+    expect(octokit.rest.repos.getCommit).toHaveBeenCalledWith({ ...repository, ref: 'v1.2.0' });
+  });
+
+  it('should keep a commit SHA without a request', async () => {
+    const octokit = { rest: { repos: { getCommit: jest.fn() } } };
+
+    await expect(resolveCommitSha(octokit, repository, 'b'.repeat(40))).resolves.toBe('b'.repeat(40));
+    expect(octokit.rest.repos.getCommit).not.toHaveBeenCalled();
+  });
+});
+
+describe('findCommitPullRequests', () => {
+  it('should prefer the pull request a commit merged, and leave direct commits without one', async () => {
+    const octokit = mockOctokit({
+      associated: {
+        sha0: [pullRequest(1, '2026-02-01T00:00:00Z'), pullRequest(2, '2026-02-02T00:00:00Z', { merge_commit_sha: 'sha0' })],
+        sha1: [pullRequest(3, null)],
+      },
+    });
+
+    const result = await findCommitPullRequests(octokit, repository, commits(2));
+
+    expect(result).toEqual([
+      { commit: { sha: 'sha0' }, pullRequest: expect.objectContaining({ number: 2 }) },
+      { commit: { sha: 'sha1' }, pullRequest: null },
+    ]);
+  });
+});
+
+describe('findCommitPullRequests for merge and squash subjects', () => {
+  it('should get the pull request a subject names once, and look up only the other commits', async () => {
+    const octokit = mockOctokit({
+      pulls: {
+        41: pullRequest(41, '2026-02-01T00:00:00Z'),
+        42: pullRequest(42, '2026-02-02T00:00:00Z'),
+        43: pullRequest(43, null),
+      },
+      associated: { sha4: [pullRequest(44, '2026-02-04T00:00:00Z')] },
+    });
+    const range = [
+      { sha: 'sha0', commit: { message: 'Add export (#41)\n\nDetails' } },
+      { sha: 'sha1', commit: { message: 'Merge pull request #42 from org/import' } },
+      { sha: 'sha2', commit: { message: 'Fix the export again (#41)' } },
+      { sha: 'sha3', commit: { message: 'Follow up on #43 (#43)' } },
+      { sha: 'sha4', commit: { message: 'Close #7 (#7)' } },
+      { sha: 'sha5', commit: { message: 'Fix typo' } },
+    ];
+
+    const result = await findCommitPullRequests(octokit, repository, range);
+
+    expect(result.map(({ pullRequest: p }) => p && p.number)).toEqual([41, 42, 41, null, 44, null]);
+    expect(octokit.rest.pulls.get).toHaveBeenCalledTimes(4);
+    expect(octokit.rest.repos.listPullRequestsAssociatedWithCommit).toHaveBeenCalledTimes(3);
+    expect(octokit.rest.repos.listPullRequestsAssociatedWithCommit.mock.calls.map(([params]) => params.commit_sha)).toEqual([
+      'sha3',
+      'sha4',
+      'sha5',
+    ]);
+  });
+});
+
+describe('uniquePullRequests', () => {
+  it('should skip direct commits', () => {
+    const result = uniquePullRequests([
+      { commit: { sha: 'a' }, pullRequest: null },
+      { commit: { sha: 'b' }, pullRequest: pullRequest(1, '2026-02-01T00:00:00Z') },
+    ]);
+
+    expect(result.map((p) => p.number)).toEqual([1]);
+  });
+});
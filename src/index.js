@@ -5,142 +5,823 @@ const {
   formatTreeFiles,
   createPRChangelogEntry,
   createSyncChangelogEntry,
+  createReleaseChangelogEntry,
+  createPushChangelogEntry,
+  fetchFileContent,
   fetchDocContent,
   buildDocUpdateContext,
-  extractPageId,
+  buildFindChangelogPrompt,
   buildChangelogPrompt,
   buildDocUpdatePrompt,
+  getEntryKey,
 } = require('./utils');
+const {
+  createNotionClient,
+  normalizeId,
+  findChildPage,
+  getPage,
+  getDatabase,
+} = require('./notion');
+const { createConfluenceClient } = require('./confluence');
+const {
+  TARGETS,
+  createNotionTarget,
+  createConfluenceTarget,
+  createMarkdownFileTarget,
+} = require('./targets');
+const { CHANGELOG_FILE_MODES } = require('./changelog-file');
+const { findPreviousRelease, groupPullRequests } = require('./release');
+const { parsePathPatterns, gatePullRequest } = require('./gating');
+const { parseCategoryLabels, classifyPullRequest, classifyCommitRange } = require('./categories');
+const {
+  listCommitRange,
+  findCommitPullRequests,
+  uniquePullRequests,
+  listMergedPullRequests,
+  resolveCommitSha,
+} = require('./history');
+const {
+  findChildDatabase,
+  findOrCreateChangelogDatabase,
+  upgradeChangelogDatabase,
+  findDatabaseEntry,
+  writeDatabaseEntry,
+} = require('./changelog-database');
+const {
+  ON_EXISTING_MODES,
+  findExistingEntry,
+  removeEntry,
+} = require('./changelog');
+const { githubBaseUrls } = require('./markdown');
+const { planDocsSync, syncDocsPages } = require('./docs-sync');
+const { buildRunPlan, renderPlanSummary, writePlanFile } = require('./plan');
+const { parseDriftThreshold, checkDrift, renderDriftReport } = require('./drift');
+const { renderPreviewComment, renderSkippedPreviewComment, upsertPreviewComment } = require('./preview');
+const { createRunReport, renderRunReport, writeReportFile } = require('./report');
+const { loadConfig, applyConfig, resolvePage } = require('./config');
+const { withResponseFormat } = require('./responses');
+const { runAgentStep } = require('./session');
+const { verifyChangelogEntry, verifyDatabaseEntry, verifyDocumentation } = require('./verify');
+const { loadPullRequestTemplate, summaryNeed, summarizePullRequest, markGeneratedSummary } = require('./summary');
+const {
+  CHANGELOG_PAGE_TITLE,
+  MAX_README_CONTENT_LENGTH,
+  DEFAULT_IDLE_TIMEOUT_SECONDS,
+  DEFAULT_STEP_TIMEOUT_SECONDS,
+  DEFAULT_STEP_RETRIES,
+  DEFAULT_SUMMARY_WORDS,
+  DEFAULT_CHANGELOG_FILE,
+  COMMITS_PAGE_SIZE,
+  FILES_PAGE_SIZE,
+  COMPARE_FILES_LIMIT,
+  COMMIT_RANGE_LIMIT,
+  DEFAULT_SKIP_CHANGELOG_LABEL,
+  DEFAULT_SKIP_DOCS_LABEL,
+  SHORT_SHA_LENGTH,
+  DRIFT_CHECK_NAME,
+  PREVIEW_EVENT_ACTIONS,
+  CONFIG_FILE,
+} = require('./constants');
+
+const WRITE_STRATEGIES = ['direct', 'agent'];
+const CHANGELOG_TARGETS = ['page', 'database'];
+const DRIFT_REPORTS = ['summary', 'check-run'];
+
+/** Report of this run: steps, tools called, links and warnings, written out when the run ends */
+const runReport = createRunReport();
 
 /**
- * Sends a prompt and waits for completion using event-based tracking.
- * This avoids the SDK's internal 60s idle timeout.
- */
-function sendPrompt(session, prompt, timeoutMs = 180000) {
-  return new Promise((resolve, reject) => {
-    let response = '';
-    let done = false;
-    let lastActivity = Date.now();
-
-    const timeout = setTimeout(() => finish(response || 'Timeout'), timeoutMs);
-    const idleCheck = setInterval(() => {
-      if (Date.now() - lastActivity > 15000 && !done) {
-        core.info('Idle timeout - assuming completion');
-        finish(response || 'Completed');
-      }
-    }, 3000);
-
-    function finish(result) {
-      if (done) return;
-      done = true;
-      clearTimeout(timeout);
-      clearInterval(idleCheck);
-      session.destroy().catch(() => {});
-      resolve(result);
-    }
-
-    let toolsRunning = 0;
-
-    session.on((event) => {
-      lastActivity = Date.now();
-      switch (event.type) {
-        case 'tool.execution_start':
-          toolsRunning++;
-          core.info(`🔧 Tool: ${event.data.toolName}`);
-          break;
-        case 'tool.execution_end':
-          toolsRunning--;
-          core.info(`✅ Done: ${event.data.toolName}`);
-          break;
-        case 'assistant.message':
-          if (event.data?.content) response = event.data.content;
-          // Only finish if we have content and no tools are running
-          if (response && toolsRunning === 0) {
-            core.info(`🤖 Response: ${response.substring(0, 500)}${response.length > 500 ? '...' : ''}`);
-            finish(response);
-          }
-          break;
-        case 'assistant.message_delta':
-          if (event.data?.deltaContent) response += event.data.deltaContent;
-          break;
-        case 'error':
-          core.error(`❌ Error: ${JSON.stringify(event.data)}`);
-          finish(response || 'Error');
-          break;
-      }
-    });
+ * Logs a warning and adds it to the run report.
+ * @param {string} message - Warning text.
+ */
+function warn(message) {
+  core.warning(message);
+  runReport.warning(message);
+}
 
-    core.info(`🤖 Prompt: ${prompt.substring(0, 200)}${prompt.length > 200 ? '...' : ''}`);
-    session.send({ prompt }).catch((err) => {
-      if (!done) reject(err);
-    });
+/**
+ * Fails the action and marks the run report as failed.
+ * @param {string} message - Failure message.
+ */
+function fail(message) {
+  core.setFailed(message);
+  runReport.fail(message);
+}
+
+/**
+ * Reads a whole-number input, falling back to a default when it is empty.
+ * @param {string} name - Input name.
+ * @param {number} fallback - Default value.
+ * @param {number} min - Smallest accepted value.
+ * @returns {number|null} The value, or null when it is not a whole number >= min.
+ */
+function getNumberInput(name, fallback, min = 0) {
+  const value = core.getInput(name);
+  if (!value) return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min ? number : null;
+}
+
+/**
+ * Fails a step whose blocks could not be read back from Notion.
+ * @param {string} step - Step name used in the error.
+ * @param {Object} verification - Result of verifyChangelogEntry or verifyDocumentation.
+ * @returns {Object} The verification, when it passed.
+ */
+function assertVerified(step, verification) {
+  if (!verification.ok) {
+    throw new Error(`${step}: the page is missing ${verification.missing.join(', ')}`);
+  }
+  return verification;
+}
+
+/**
+ * Returns the README content of a changelog entry with docContent.
+ */
+function readmeContent(changelogEntry) {
+  const readmeKey = Object.keys(changelogEntry.docContent).find((path) => /^readme\.md$/i.test(path));
+  return changelogEntry.docContent[readmeKey];
+}
+
+/**
+ * Writes a changelog entry straight through the target's API, without a model.
+ * @returns {Promise<Object>} The Changelog page ID, the entry action taken and its block IDs,
+ *   plus the commit SHA and pull request URL for the markdown-file target.
+ */
+async function writeChangelogDirect(target, rootPageId, changelogEntry, onExisting) {
+  core.info('Step 1: Finding or creating Changelog page...');
+  const changelogPage = await target.findOrCreateChangelog(rootPageId, CHANGELOG_PAGE_TITLE);
+  const changelogPageId = changelogPage.id;
+  core.info(`Changelog page: ${changelogPageId}${changelogPage.created ? ' (created)' : ''}`);
+
+  core.info('Step 2: Adding changelog entry...');
+  const { action, blockIds: written, existing, commitSha, pullRequestUrl } = await target.writeChangelogEntry(
+    changelogPageId,
+    changelogEntry,
+    onExisting
+  );
+  const blockCount = written.length > 0 ? `, ${written.length} blocks` : '';
+  core.info(`Changelog entry ${action} (${getEntryKey(changelogEntry)}${blockCount})`);
+  if (commitSha) core.info(`Committed ${commitSha}`);
+  if (pullRequestUrl) core.info(`Pull request: ${pullRequestUrl}`);
+
+  // An appended copy is told apart from the earlier one by its block IDs
+  const verifyOptions = { ignoreBlockIds: action === 'appended' ? existing.blockIds : [] };
+  const { blockIds } = assertVerified(
+    'Add changelog entry',
+    await target.verifyChangelogEntry(changelogPageId, changelogEntry, verifyOptions)
+  );
+  return { changelogPageId, action, blockIds, commitSha, pullRequestUrl };
+}
+
+/**
+ * Writes a changelog entry as a row of the Changelog database, creating the database when needed.
+ * A database set by the configuration file is used as is, once its schema is upgraded.
+ * @returns {Promise<Object>} The database ID (no dashes), the entry action, its body block IDs and row page ID.
+ */
+async function writeChangelogDatabase(notion, notionPageId, changelogEntry, onExisting, configuredDatabaseId = null) {
+  core.info('Step 1: Finding or creating Changelog database...');
+  const database = configuredDatabaseId
+    ? { id: configuredDatabaseId, created: false, added: await upgradeChangelogDatabase(notion, configuredDatabaseId) }
+    : await findOrCreateChangelogDatabase(notion, notionPageId, CHANGELOG_PAGE_TITLE);
+  const databaseId = normalizeId(database.id);
+  const schemaNote = database.added.length > 0 ? ` (added properties: ${database.added.join(', ')})` : '';
+  core.info(`Changelog database: ${databaseId}${database.created ? ' (created)' : schemaNote}`);
+
+  core.info('Step 2: Adding changelog row...');
+  const { action, pageId } = await writeDatabaseEntry(notion, databaseId, changelogEntry, onExisting);
+  core.info(`Changelog row ${action} (${getEntryKey(changelogEntry)}, ${pageId})`);
+
+  const { blockIds } = assertVerified(
+    'Add changelog entry',
+    await verifyDatabaseEntry(notion, databaseId, changelogEntry, { pageId })
+  );
+  return { changelogPageId: databaseId, changelogTarget: 'database', action, blockIds, entryPageId: pageId };
+}
+
+/**
+ * Tells whether a changelog entry is already written, without creating the Changelog page or database.
+ * @param {string} changelogTarget - One of CHANGELOG_TARGETS.
+ * @param {string|null} configuredDatabaseId - Changelog database set by the configuration file.
+ * @returns {Promise<boolean>} Whether the entry was found.
+ */
+async function entryWritten(target, notion, changelogTarget, parentId, changelogEntry, configuredDatabaseId = null) {
+  if (changelogTarget === 'database') {
+    const database = configuredDatabaseId
+      ? { id: configuredDatabaseId }
+      : await findChildDatabase(notion, parentId, CHANGELOG_PAGE_TITLE);
+    return Boolean(database) && (await findDatabaseEntry(notion, normalizeId(database.id), changelogEntry)) !== null;
+  }
+  const changelogPage = await target.findChildPage(parentId, CHANGELOG_PAGE_TITLE);
+  return Boolean(changelogPage) && (await target.findChangelogEntry(changelogPage.id, changelogEntry)) !== null;
+}
+
+/**
+ * Logs the documentation sections an update edited and sets the doc-sections output.
+ * @param {Array} sections - `{ heading, reason }` per edited section.
+ */
+function reportDocSections(sections) {
+  for (const { heading, reason } of sections) {
+    core.info(`  ${heading || '(before the first heading)'}: ${reason}`);
+  }
+  core.setOutput('doc-sections', JSON.stringify(sections));
+}
+
+/**
+ * Writes the converted README to the main documentation page, without a model.
+ * Given the README the page was last written from, only the sections that changed are rewritten.
+ * @param {Object} readmeBase - `{ ref, content }` of the previous README, or null to replace the page.
+ * @returns {Promise<Array>} The sections rewritten, or the README sections the change edited, from its patch.
+ */
+async function syncReadmeDirect(target, rootPageId, changelogEntry, urls, readmeBase = null) {
+  core.info('Step 3: Updating documentation page...');
+  const markdown = readmeContent(changelogEntry);
+  const { removed, added, kept, sections, fallback, version } = await target.replacePageContent(rootPageId, markdown, urls, {
+    base: readmeBase && readmeBase.content,
   });
+  if (fallback) core.info(`Rewriting the whole page: ${fallback}`);
+  const counts = `${removed} blocks removed, ${added} added${sections ? `, ${kept} kept` : ''}`;
+  core.info(`Documentation updated (${version ? `version ${version}` : counts})`);
+  assertVerified('Update documentation', await target.verifyDocumentation(rootPageId, markdown));
+
+  if (!sections) return changelogEntry.docSections || [];
+  const since = /^[0-9a-f]{40}$/.test(readmeBase.ref) ? readmeBase.ref.substring(0, SHORT_SHA_LENGTH) : readmeBase.ref;
+  return sections.map(({ heading, status }) => ({ heading, reason: `${status} since ${since}` }));
 }
 
 /**
- * Creates a Copilot session with Notion MCP server.
+ * Finds the Changelog page and adds the entry through Copilot and the Notion MCP server.
+ * Existing entries are looked up through the Notion API, and every write is read back.
+ * @returns {Promise<Object>} The Changelog page ID, the entry action taken and its block IDs.
  */
-async function createSession(client, notionToken, notionPageId, model) {
-  const session = await client.createSession({
-    model,
-    streaming: true,
-    mcpServers: {
-      notion: {
-        type: 'local',
-        command: '/bin/sh',
-        args: ['-c', `NOTION_TOKEN=${notionToken} npx -y @notionhq/notion-mcp-server`],
-        tools: ['*'],
+async function writeChangelogAgent(agent, notion, notionPageId, changelogEntry, onExisting) {
+  const { client, sessionConfig, stepOptions } = agent;
+
+  // Step 1: Find or create Changelog page
+  core.info('Step 1: Finding or creating Changelog page...');
+  const findResult = await runAgentStep(
+    client,
+    sessionConfig,
+    'Find Changelog page',
+    withResponseFormat(buildFindChangelogPrompt(notionPageId), { requirePageId: true }),
+    {
+      ...stepOptions,
+      resultOptions: { requirePageId: true, forbiddenPageIds: [notionPageId] },
+      // A timed-out attempt may still have created the page; don't create a second one
+      checkCompleted: async () => {
+        const page = await findChildPage(notion, notionPageId, CHANGELOG_PAGE_TITLE);
+        return page ? { status: 'success', pageId: normalizeId(page.id), blockIds: [] } : null;
       },
-    },
-    systemMessage: {
-      content: `You are a documentation assistant with Notion API access.
-Target page ID: ${notionPageId}
-Be efficient - minimize API calls. Format changelog entries nicely.
-Respond briefly when done.`,
+    }
+  );
+  const changelogPageId = findResult.pageId;
+  core.info(`Changelog page: ${changelogPageId}`);
+
+  // Step 2: Add changelog entry (unless it's already there)
+  const existing = await findExistingEntry(notion, changelogPageId, changelogEntry);
+  if (existing && onExisting === 'skip') {
+    core.info(`Step 2: ${getEntryKey(changelogEntry)} is already on the Changelog page, skipping`);
+    return { changelogPageId, action: 'skipped', blockIds: existing.blockIds };
+  }
+
+  core.info('Step 2: Adding changelog entry...');
+  const replacing = existing && onExisting === 'replace';
+  const changelogPrompt = buildChangelogPrompt(changelogEntry, changelogPageId, {
+    afterBlockId: replacing ? existing.blockIds[existing.blockIds.length - 1] : undefined,
+  });
+  // The new copy is told apart from an existing one by its block IDs
+  const verifyOptions = { ignoreBlockIds: existing ? existing.blockIds : [] };
+  const entryResult = await runAgentStep(client, sessionConfig, 'Add changelog entry', withResponseFormat(changelogPrompt), {
+    ...stepOptions,
+    verify: () => verifyChangelogEntry(notion, changelogPageId, changelogEntry, verifyOptions),
+    // When the entry was new, a failed attempt that still wrote it must not be repeated,
+    // and a half-written one is removed before trying again
+    checkCompleted: existing ? null : async () => {
+      const verification = await verifyChangelogEntry(notion, changelogPageId, changelogEntry);
+      if (verification.ok) return { status: 'success', pageId: null, blockIds: verification.blockIds, verification };
+      if (verification.blockIds.length > 0) await removeEntry(notion, verification);
+      return null;
     },
   });
-  await new Promise((r) => setTimeout(r, 3000));
-  return session;
+  if (replacing) {
+    await removeEntry(notion, existing);
+  }
+  const action = replacing ? 'replaced' : existing ? 'appended' : 'created';
+  const { blockIds } = entryResult.verification;
+  core.info(`Changelog entry ${action} and verified (${blockIds.length} blocks)`);
+
+  return { changelogPageId, action, blockIds };
+}
+
+/**
+ * Updates the main documentation page from the README through Copilot and the Notion MCP server.
+ * @returns {Promise<Array>} The sections the model reports editing, or the README sections the
+ *   change edited when it reports none.
+ */
+async function updateReadmeAgent(agent, notion, notionPageId, changelogEntry) {
+  const { client, sessionConfig, stepOptions } = agent;
+  core.info('Step 3: Updating documentation page...');
+  const docPrompt = buildDocUpdatePrompt(changelogEntry, notionPageId);
+  // The prompt only carries the start of a long README, so only its complete sections are expected
+  const readme = readmeContent(changelogEntry);
+  const expectedReadme = readme.length > MAX_README_CONTENT_LENGTH
+    ? readme.substring(0, readme.lastIndexOf('\n', MAX_README_CONTENT_LENGTH))
+    : readme;
+  const result = await runAgentStep(
+    client,
+    sessionConfig,
+    'Update documentation',
+    withResponseFormat(docPrompt, { reportSections: true }),
+    {
+      ...stepOptions,
+      verify: () => verifyDocumentation(notion, notionPageId, expectedReadme),
+    }
+  );
+  core.info('Documentation updated and verified');
+  return result.sections && result.sections.length > 0 ? result.sections : changelogEntry.docSections || [];
+}
+
+/**
+ * Mirrors docs/ Markdown files to child pages of the main documentation page.
+ */
+async function syncDocsDirect(target, octokit, options) {
+  const { plan } = options;
+  if (plan.upsert.length === 0 && plan.archive.length === 0) return;
+
+  core.info(`Syncing docs/ pages (${plan.upsert.length} to write, ${plan.archive.length} to archive)...`);
+  if (plan.skipped.length > 0) {
+    warn(`Docs sync limited to ${plan.upsert.length} files, skipped: ${plan.skipped.join(', ')}`);
+  }
+
+  const results = await syncDocsPages(target, octokit, options);
+  for (const result of results) {
+    core.info(`📄 ${result.path}: ${result.action}${result.pageId ? ` (${result.pageId})` : ''}`);
+    if (result.action === 'created' || result.action === 'updated') {
+      runReport.link(`${result.path} (${result.action})`, await target.getPageUrl(result.pageId));
+    }
+  }
+}
+
+/**
+ * Reports a run that has nothing to document, through the log, the `skip-reason` output and the run report.
+ * @param {string} reason - Why the run is skipped.
+ * @returns {Promise<void>}
+ */
+async function reportSkip(reason) {
+  core.info(`⏭️ Skipped: ${reason}`);
+  core.setOutput('skip-reason', reason);
+  runReport.skip(reason);
+}
+
+/**
+ * Sets the action outputs describing what was written.
+ * @param {Object} target - Documentation target from src/targets.js.
+ * @param {Object} notion - Notion client from createNotionClient (null for other targets).
+ * @param {Object} written - `changelogPageId` (a database ID for the database target, null when the
+ *   changelog was skipped), `changelogTarget`, entry `action`, entry `blockIds`, the row's `entryPageId`,
+ *   the markdown-file `commitSha` and `pullRequestUrl`, and the updated `docPageId` (or null).
+ */
+async function setWriteOutputs(target, notion, {
+  changelogPageId,
+  changelogTarget = 'page',
+  action,
+  blockIds,
+  entryPageId,
+  commitSha,
+  pullRequestUrl,
+  docPageId,
+}) {
+  if (changelogPageId) {
+    const isDatabase = changelogTarget === 'database';
+    const changelogUrl = isDatabase
+      ? (await getDatabase(notion, changelogPageId)).url
+      : await target.getPageUrl(changelogPageId);
+    core.setOutput('changelog-page-id', changelogPageId);
+    core.setOutput('changelog-entry-action', action);
+    core.setOutput('changelog-block-ids', JSON.stringify(blockIds.map(normalizeId)));
+    core.setOutput('changelog-page-url', changelogUrl);
+    const entryUrl = isDatabase ? (await getPage(notion, entryPageId)).url : target.entryUrl(changelogUrl, blockIds);
+    runReport.link(isDatabase ? 'Changelog database' : 'Changelog page', changelogUrl);
+    if (entryUrl) {
+      core.setOutput('changelog-entry-url', entryUrl);
+      runReport.link(`Changelog entry (${action})`, entryUrl);
+    }
+    if (commitSha) {
+      core.setOutput('changelog-commit-sha', commitSha);
+    }
+    if (pullRequestUrl) {
+      core.setOutput('changelog-pull-request-url', pullRequestUrl);
+      runReport.link('Changelog pull request', pullRequestUrl);
+    }
+  }
+  if (docPageId) {
+    const docPageUrl = await target.getPageUrl(docPageId);
+    core.setOutput('doc-page-url', docPageUrl);
+    runReport.link('Documentation page', docPageUrl);
+  }
+}
+
+/**
+ * Compares the documentation page with the README and reports the drift, without writing anything
+ * to the page. The report is a check run on the ref, or the job summary.
+ * @param {Object} target - Documentation target (notion or confluence).
+ * @param {Object} octokit - GitHub API client.
+ * @param {Object} options - The `pageId`, repository `owner` and `repo`, the GitHub `serverUrl`, the
+ *   `ref` to read the README at (a commit SHA, or the tag of a release), the parsed `threshold` and its `thresholdInput`, and the `report` kind.
+ * @returns {Promise<Object>} Result of checkDrift.
+ */
+async function checkDocumentationDrift(target, octokit, { pageId, owner, repo, serverUrl, ref, threshold, thresholdInput, report }) {
+  core.info(`Checking the documentation page against README.md at ${ref}...`);
+  const docContent = await fetchDocContent(octokit, owner, repo, ref);
+  const source = Object.keys(docContent).find((path) => /^readme\.md$/i.test(path));
+  if (!source) {
+    throw new Error(`No README.md found at ${ref}`);
+  }
+
+  const expected = target.normalizeMarkdown(docContent[source], githubBaseUrls(owner, repo, ref, '', serverUrl));
+  const result = checkDrift(expected, await target.readPageMarkdown(pageId), threshold);
+  const pageUrl = await target.getPageUrl(pageId);
+  const { title, summary, text } = renderDriftReport(result, { source, ref, pageUrl, threshold: thresholdInput });
+  core.info(title);
+  core.setOutput('drift-lines', String(result.drifted));
+
+  if (report === 'check-run') {
+    // A check run belongs to a commit, while a release is checked at its tag
+    const headSha = await resolveCommitSha(octokit, { owner, repo }, ref);
+    try {
+      const { data: check } = await octokit.rest.checks.create({
+        owner,
+        repo,
+        name: DRIFT_CHECK_NAME,
+        head_sha: headSha,
+        status: 'completed',
+        conclusion: result.failed ? 'failure' : 'success',
+        output: { title, summary, text },
+      });
+      core.info(`Reported in the "${DRIFT_CHECK_NAME}" check run: ${check.html_url}`);
+      runReport.link(`${DRIFT_CHECK_NAME} check run`, check.html_url);
+      return result;
+    } catch (error) {
+      // Tokens without the checks: write permission, such as on pull requests from forks, can't create one
+      warn(`Could not create the "${DRIFT_CHECK_NAME}" check run (${error.message}), using the job summary`);
+    }
+  }
+  await core.summary.addRaw(`${summary}\n${text}`).write();
+  return result;
+}
+
+/**
+ * Posts or updates the preview comment of a pull request. Without permission to comment (e.g. on
+ * pull requests from forks), the preview goes to the job summary instead.
+ * @param {Object} octokit - GitHub API client.
+ * @param {Object} repository - `owner` and `repo`.
+ * @param {number} prNumber - Pull request number.
+ * @param {string} body - Comment body.
+ */
+async function postPreviewComment(octokit, repository, prNumber, body) {
+  try {
+    const { action, url } = await upsertPreviewComment(octokit, repository, prNumber, body);
+    core.info(`👀 Preview comment ${action}: ${url}`);
+    core.setOutput('preview-comment-url', url);
+    runReport.link(`Preview comment (${action})`, url);
+  } catch (error) {
+    warn(`Could not comment on PR #${prNumber} (${error.message}), writing the preview to the job summary`);
+    await core.summary.addRaw(body).write();
+  }
+}
+
+/**
+ * Writes the run report to the job summary and a JSON file, and sets the report outputs.
+ * A report that can't be written only warns, so it never hides the outcome of the run.
+ */
+async function writeRunReport() {
+  try {
+    const report = runReport.finish();
+    const reportFile = writeReportFile(report);
+    core.setOutput('report-file', reportFile);
+    core.setOutput('report', JSON.stringify(report));
+    await core.summary.addRaw(renderRunReport(report)).write();
+  } catch (error) {
+    core.warning(`Could not write the run report: ${error.message}`);
+  }
 }
 
 /**
  * Main entry point for the GitHub Action.
  */
 async function run() {
-  const { CopilotClient } = await import('@github/copilot-sdk');
   let client = null;
+  let failOnError = true;
 
   try {
-    const notionToken = core.getInput('notion-token', { required: true });
-    const notionPageId = core.getInput('notion-page-id', { required: true });
+    const targetName = core.getInput('target') || 'notion';
+    if (!TARGETS.includes(targetName)) {
+      fail(`Invalid target "${targetName}". Expected one of: ${TARGETS.join(', ')}`);
+      return;
+    }
+    const isNotion = targetName === 'notion';
+    const isConfluence = targetName === 'confluence';
+    const notionToken = core.getInput('notion-token', { required: isNotion });
+    if (notionToken) core.setSecret(notionToken);
+    const notionPageId = core.getInput('notion-page-id', { required: isNotion });
+    const confluenceToken = core.getInput('confluence-token', { required: isConfluence });
+    if (confluenceToken) core.setSecret(confluenceToken);
+    const confluenceUrl = core.getInput('confluence-url', { required: isConfluence });
+    const confluenceEmail = core.getInput('confluence-email', { required: isConfluence });
+    const confluencePageId = core.getInput('confluence-page-id', { required: isConfluence });
+    let changelogFile = core.getInput('changelog-file') || DEFAULT_CHANGELOG_FILE;
+    let changelogFileMode = core.getInput('changelog-file-mode') || 'commit';
+    const mainPageId = { notion: notionPageId, confluence: confluencePageId }[targetName];
     const githubToken = core.getInput('github-token', { required: true });
     const model = core.getInput('model') || 'gpt-4o';
-    const updateMode = core.getInput('update-mode') || 'changelog-and-doc';
+    // The repository already holds its own docs, so the markdown-file target only writes the changelog.
+    // A skip-docs label narrows it to changelog-only for one PR.
+    const requestedMode = core.getInput('update-mode') || 'changelog-and-doc';
+    let updateMode = targetName === 'markdown-file' ? 'changelog-only' : requestedMode;
+    // Only Notion can be written by the agent, so the other targets default to direct
+    let writeStrategy = core.getInput('write-strategy') || (isNotion ? 'agent' : 'direct');
+    let onExisting = core.getInput('on-existing') || 'skip';
+    let changelogTarget = core.getInput('changelog-target') || 'page';
+    const dryRun = core.getInput('dry-run') === 'true';
+    const preview = core.getInput('preview') === 'true';
+    failOnError = core.getInput('fail-on-error') !== 'false';
+    const idleTimeout = getNumberInput('idle-timeout', DEFAULT_IDLE_TIMEOUT_SECONDS, 1);
+    const stepTimeout = getNumberInput('step-timeout', DEFAULT_STEP_TIMEOUT_SECONDS, 1);
+    const stepRetries = getNumberInput('step-retries', DEFAULT_STEP_RETRIES);
+    const summarize = core.getInput('summarize') === 'true';
+    const summaryLength = getNumberInput('summary-length', DEFAULT_SUMMARY_WORDS, 1);
+    let gateOptions = {
+      requireMerged: core.getInput('require-merged') !== 'false',
+      skipChangelogLabel: core.getInput('skip-changelog-label') || DEFAULT_SKIP_CHANGELOG_LABEL,
+      skipDocsLabel: core.getInput('skip-docs-label') || DEFAULT_SKIP_DOCS_LABEL,
+      includePaths: parsePathPatterns(core.getInput('include-paths')),
+      excludePaths: parsePathPatterns(core.getInput('exclude-paths')),
+    };
+
+    const driftReport = core.getInput('drift-report') || 'summary';
+
+    let categoryLabels;
+    let driftThreshold;
+    try {
+      categoryLabels = parseCategoryLabels(core.getInput('category-labels'));
+      driftThreshold = parseDriftThreshold(core.getInput('drift-threshold'));
+    } catch (error) {
+      fail(error.message);
+      return;
+    }
+
+    if (requestedMode === 'check' && targetName === 'markdown-file') {
+      fail('The markdown-file target has no documentation page to check');
+      return;
+    }
+    if (!DRIFT_REPORTS.includes(driftReport)) {
+      fail(`Invalid drift-report "${driftReport}". Expected one of: ${DRIFT_REPORTS.join(', ')}`);
+      return;
+    }
+
+    if (!WRITE_STRATEGIES.includes(writeStrategy)) {
+      fail(`Invalid write-strategy "${writeStrategy}". Expected one of: ${WRITE_STRATEGIES.join(', ')}`);
+      return;
+    }
+    if (!ON_EXISTING_MODES.includes(onExisting)) {
+      fail(`Invalid on-existing "${onExisting}". Expected one of: ${ON_EXISTING_MODES.join(', ')}`);
+      return;
+    }
+    if (!CHANGELOG_TARGETS.includes(changelogTarget)) {
+      fail(`Invalid changelog-target "${changelogTarget}". Expected one of: ${CHANGELOG_TARGETS.join(', ')}`);
+      return;
+    }
+    if (!CHANGELOG_FILE_MODES.includes(changelogFileMode)) {
+      fail(
+        `Invalid changelog-file-mode "${changelogFileMode}". Expected one of: ${CHANGELOG_FILE_MODES.join(', ')}`
+      );
+      return;
+    }
+    // The agent strategy and the changelog database drive Notion directly
+    if (!isNotion && writeStrategy !== 'direct' && updateMode !== 'check') {
+      fail(`The ${targetName} target only supports write-strategy "direct"`);
+      return;
+    }
+    if (!isNotion && changelogTarget !== 'page') {
+      fail(`The ${targetName} target only supports changelog-target "page"`);
+      return;
+    }
+    const numberInputs = [
+      ['idle-timeout', idleTimeout],
+      ['step-timeout', stepTimeout],
+      ['step-retries', stepRetries],
+      ['summary-length', summaryLength],
+    ];
+    for (const [name, value] of numberInputs) {
+      if (value === null) {
+        fail(`Invalid ${name} "${core.getInput(name)}". Expected a whole number`);
+        return;
+      }
+    }
 
     const context = github.context;
     const octokit = github.getOctokit(githubToken);
-    const { pull_request: pr } = context.payload;
+    const { pull_request: pr, release } = context.payload;
+
+    // The configuration file is read at the commit being documented, so a PR can change it
+    let config;
+    try {
+      config = await loadConfig(octokit, context.repo, pr ? pr.head.sha : context.sha);
+    } catch (error) {
+      fail(error.message);
+      return;
+    }
+    if (config) core.info(`Using ${CONFIG_FILE}`);
+    const settings = applyConfig(config, targetName, {
+      updateMode,
+      writeStrategy,
+      onExisting,
+      changelogTarget,
+      changelogFile,
+      changelogFileMode,
+      gateOptions,
+      categoryLabels,
+    });
+    ({ updateMode, writeStrategy, onExisting, changelogTarget, changelogFile, changelogFileMode, gateOptions, categoryLabels } = settings);
+    const { pages, releaseNoteGroups, limits, changelogDatabaseId, entryTemplate } = settings;
+    // Where the changelog goes: the parent page, or the file path for the markdown-file target
+    const changelogParentId = targetName === 'markdown-file' ? changelogFile : settings.changelogPageId || mainPageId;
+    const docPageId = (resolvePage('README.md', pages) || { pageId: mainPageId }).pageId;
+
+    // A check only reads the page, on any event (a schedule, a pull request, ...)
+    if (updateMode === 'check') {
+      runReport.startStep('Drift check');
+      const target = isNotion
+        ? createNotionTarget(createNotionClient(notionToken))
+        : createConfluenceTarget(createConfluenceClient(confluenceUrl, confluenceEmail, confluenceToken));
+      const result = await checkDocumentationDrift(target, octokit, {
+        pageId: docPageId,
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        serverUrl: context.serverUrl,
+        ref: (pr && pr.head.sha) || (release && release.tag_name) || context.sha,
+        threshold: driftThreshold,
+        thresholdInput: core.getInput('drift-threshold') || '0',
+        report: driftReport,
+      });
+      if (result.failed) {
+        fail(`Documentation drift: ${result.drifted} lines differ from the README, over the drift threshold`);
+      }
+      return;
+    }
     const isWorkflowDispatch = context.eventName === 'workflow_dispatch';
+    const isPush = context.eventName === 'push';
 
     let changelogEntry;
+    let ref;
+    let baseRef = null;
+    let baseBranch;
+    let docsPlan = null;
+    let writeChangelog = true;
+    let skipNotes = [];
+    let isPreview = false;
+    // The pull request an entry documents, with its commits and files, for a generated summary
+    let summaryChanges = null;
+
+    runReport.startStep('Gather changes');
 
     if (pr) {
-      core.info('Running in PR mode...');
+      // An open pull request is previewed, without writing anything, rather than skipped as unmerged
+      isPreview = preview && PREVIEW_EVENT_ACTIONS.includes(context.payload.action);
+      core.info(isPreview ? 'Running in PR preview mode...' : 'Running in PR mode...');
       const { data: pullRequest } = await octokit.rest.pulls.get({
         owner: context.repo.owner,
         repo: context.repo.repo,
         pull_number: pr.number,
       });
-      const { data: files } = await octokit.rest.pulls.listFiles({
+      const files = await octokit.paginate(octokit.rest.pulls.listFiles, {
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        pull_number: pr.number,
+        per_page: FILES_PAGE_SIZE,
+      });
+      // The files API stops at 3000 files
+      if (files.length < pullRequest.changed_files) {
+        warn(`GitHub listed ${files.length} of the ${pullRequest.changed_files} files changed by PR #${pr.number}`);
+      }
+      const gate = gatePullRequest(pullRequest, files, {
+        ...gateOptions,
+        requireMerged: gateOptions.requireMerged && !isPreview,
+        docs: updateMode !== 'changelog-only',
+      });
+      if (gate.skipReason) {
+        if (isPreview) {
+          await postPreviewComment(octokit, context.repo, pr.number, renderSkippedPreviewComment(`PR #${pr.number}`, gate.skipReason));
+        }
+        await reportSkip(gate.skipReason);
+        return;
+      }
+      for (const note of gate.notes) core.info(`⏭️ ${note}`);
+      skipNotes = gate.notes;
+      writeChangelog = gate.changelog;
+      if (!gate.docs) updateMode = 'changelog-only';
+      ref = pullRequest.head.sha;
+      baseRef = pullRequest.base.sha;
+      baseBranch = pullRequest.base.ref;
+      const commits = await octokit.paginate(octokit.rest.pulls.listCommits, {
         owner: context.repo.owner,
         repo: context.repo.repo,
         pull_number: pr.number,
+        per_page: COMMITS_PAGE_SIZE,
       });
-      const filesList = formatPRFiles(files);
-      changelogEntry = createPRChangelogEntry(pullRequest, filesList);
+      const filesList = formatPRFiles(files, limits.files);
+      changelogEntry = createPRChangelogEntry(pullRequest, filesList, { commits, categoryLabels });
+      summaryChanges = { pullRequest, commits, filesList, files };
       if (updateMode !== 'changelog-only') {
         const docContent = await fetchDocContent(octokit, context.repo.owner, context.repo.repo, pullRequest.head.sha, files);
-        changelogEntry = buildDocUpdateContext(changelogEntry, docContent);
+        changelogEntry = buildDocUpdateContext(changelogEntry, docContent, files);
+        docsPlan = planDocsSync(files, limits.docsPages, pages);
+      }
+    } else if (release) {
+      if (context.payload.action !== 'published') {
+        await reportSkip(`Release ${release.tag_name} was ${context.payload.action}, not published`);
+        return;
+      }
+      // Release notes have no place in the Unreleased section of a changelog file
+      if (targetName === 'markdown-file') {
+        fail('The markdown-file target does not support release events');
+        return;
+      }
+      core.info('Running in release mode...');
+      const previous = await findPreviousRelease(octokit, context.repo, release);
+      const previousTag = previous ? previous.tag_name : null;
+      core.info(previousTag ? `Previous release: ${previousTag}` : 'No previous release, listing every commit');
+      const { commits, files, truncated, filesTruncated } = await listCommitRange(octokit, context.repo, {
+        base: previousTag,
+        head: release.tag_name,
+      });
+      if (truncated) {
+        warn(`Only ${COMMIT_RANGE_LIMIT} commits of ${release.tag_name} were looked up for pull requests`);
+      }
+      if (filesTruncated) {
+        warn(`GitHub lists at most ${COMPARE_FILES_LIMIT} files changed since ${previousTag}`);
+      }
+      const pullRequests = await listMergedPullRequests(octokit, context.repo, commits);
+      core.info(`Found ${pullRequests.length} merged pull requests in ${commits.length} commits`);
+      ref = release.tag_name;
+      baseRef = previousTag;
+      changelogEntry = createReleaseChangelogEntry(
+        release,
+        previousTag,
+        groupPullRequests(pullRequests, releaseNoteGroups),
+        formatPRFiles(files, limits.files),
+        pullRequests.map((pullRequest) => classifyPullRequest(pullRequest, [], categoryLabels))
+      );
+      if (updateMode !== 'changelog-only') {
+        const docContent = await fetchDocContent(octokit, context.repo.owner, context.repo.repo, ref, files);
+        changelogEntry = buildDocUpdateContext(changelogEntry, docContent, files);
+        docsPlan = planDocsSync(files, limits.docsPages, pages);
+      }
+    } else if (isPush) {
+      const { before, after, ref: pushedRef, deleted } = context.payload;
+      if (deleted || !pushedRef.startsWith('refs/heads/') || /^0+$/.test(before)) {
+        await reportSkip(`Push to ${pushedRef} has no commit range to document`);
+        return;
+      }
+      core.info('Running in push mode...');
+      const { commits, files, truncated, filesTruncated } = await listCommitRange(octokit, context.repo, {
+        base: before,
+        head: after,
+      });
+      if (truncated) {
+        warn(`Only ${COMMIT_RANGE_LIMIT} commits of the push were looked up for pull requests`);
+      }
+      if (filesTruncated) {
+        warn(`GitHub lists at most ${COMPARE_FILES_LIMIT} files changed by a push`);
+      }
+      // The action's own changelog commit would otherwise be logged on the next push, and so on
+      if (targetName === 'markdown-file' && files.length > 0 && files.every((f) => f.filename === changelogFile)) {
+        await reportSkip(`Push only changes ${changelogFile}`);
+        return;
+      }
+      const associations = await findCommitPullRequests(octokit, context.repo, commits);
+      const pullRequests = uniquePullRequests(associations);
+      core.info(`Found ${commits.length} commits and ${pullRequests.length} merged pull requests`);
+      ref = after;
+      baseRef = before;
+      baseBranch = pushedRef.replace(/^refs\/heads\//, '');
+      const filesList = formatPRFiles(files, limits.files);
+      // A squash merge or merge queue push is one pull request, documented as in PR mode
+      const singlePullRequest = pullRequests.length === 1 && associations.every((a) => a.pullRequest);
+      if (singlePullRequest) summaryChanges = { pullRequest: pullRequests[0], commits, filesList, files };
+      changelogEntry = singlePullRequest
+        ? createPRChangelogEntry(pullRequests[0], filesList, { commits, categoryLabels })
+        : createPushChangelogEntry(
+          context.payload,
+          associations,
+          groupPullRequests(pullRequests, releaseNoteGroups),
+          filesList,
+          classifyCommitRange(associations, categoryLabels)
+        );
+      if (updateMode !== 'changelog-only') {
+        const docContent = await fetchDocContent(octokit, context.repo.owner, context.repo.repo, after, files);
+        changelogEntry = buildDocUpdateContext(changelogEntry, docContent, files);
+        docsPlan = planDocsSync(files, limits.docsPages, pages);
       }
     } else if (isWorkflowDispatch) {
       core.info('Running in workflow_dispatch mode...');
@@ -155,66 +836,232 @@ async function run() {
         per_page: 1,
       });
       const latestCommit = commits[0];
+      ref = latestCommit.sha;
+      baseBranch = repo.default_branch;
       const { data: tree } = await octokit.rest.git.getTree({
         owner: context.repo.owner,
         repo: context.repo.repo,
         tree_sha: latestCommit.sha,
         recursive: 'true',
       });
-      const filesList = formatTreeFiles(tree.tree);
+      if (tree.truncated) {
+        warn(`The tree of ${latestCommit.sha} is too large for GitHub to list in full; only ${tree.tree.length} entries were read`);
+      }
+      const filesList = formatTreeFiles(tree.tree, limits.treeFiles, { summarize: true });
       changelogEntry = createSyncChangelogEntry(repo, latestCommit, filesList);
       if (updateMode !== 'changelog-only') {
         const docContent = await fetchDocContent(octokit, context.repo.owner, context.repo.repo, latestCommit.sha, tree.tree);
         changelogEntry = buildDocUpdateContext(changelogEntry, docContent);
+        docsPlan = planDocsSync(tree.tree, limits.docsPages, pages);
       }
     } else {
-      core.setFailed('This action must be run on a pull_request or workflow_dispatch event');
+      fail('This action must be run on a pull_request, push, release or workflow_dispatch event');
       return;
     }
 
-    core.info(`Initializing Copilot SDK (model: ${model})...`);
-    client = new CopilotClient();
-    await client.start();
-    core.info('Copilot client started');
-
-    // Step 1: Find or create Changelog page
-    core.info('Step 1: Finding or creating Changelog page...');
-    const session1 = await createSession(client, notionToken, notionPageId, model);
-    const findPrompt = `Find or create a "Changelog" child page under page "${notionPageId}".
-Check the page's children first. If "Changelog" exists, return its ID.
-Otherwise create it and return the new ID.
-Respond with ONLY the 32-character page ID (no dashes).`;
-    const response1 = await sendPrompt(session1, findPrompt);
-    const changelogPageId = extractPageId(response1);
-    if (!changelogPageId) {
-      core.setFailed('Failed to get Changelog page ID');
+    // Pages, rows, the agent prompt and previews all follow the entry template of the configuration file
+    if (entryTemplate) {
+      changelogEntry = { ...changelogEntry, template: entryTemplate };
+    }
+
+    const stepOptions = {
+      idleTimeoutMs: idleTimeout * 1000,
+      timeoutMs: stepTimeout * 1000,
+      retries: stepRetries,
+      onToolStart: (step, toolName) => runReport.toolCall(step, toolName),
+    };
+    // Started on first use, by the summary or the agent steps
+    let copilot = null;
+    const startCopilot = () => {
+      copilot = copilot || (async () => {
+        runReport.startStep('Start Copilot');
+        const { CopilotClient } = await import('@github/copilot-sdk');
+        core.info(`Initializing Copilot SDK (model: ${model})...`);
+        client = new CopilotClient();
+        await client.start();
+        core.info('Copilot client started');
+        return client;
+      })();
+      return copilot;
+    };
+
+    // A PR description that says nothing gets a summary written by Copilot; one-line changelog file entries have no summary
+    let summaryReason = null;
+    if (summarize && summaryChanges && writeChangelog && targetName !== 'markdown-file') {
+      const { body } = summaryChanges.pullRequest;
+      // Taking out the template lines only leaves less text, so a description already found wanting stays so
+      summaryReason = summaryNeed(body) || summaryNeed(body, await loadPullRequestTemplate(octokit, context.repo, ref));
+      if (summaryReason && (dryRun || isPreview)) {
+        skipNotes = [...skipNotes, `AI summary: ${summaryReason}, but Copilot only summarizes on runs that write the entry`];
+      }
+    }
+
+    // The README the page was last written from, so a direct sync only rewrites the sections that changed
+    let readmeBase = null;
+    if (isNotion && writeStrategy === 'direct' && baseRef && changelogEntry.hasReadme) {
+      const readmeKey = Object.keys(changelogEntry.docContent).find((path) => /^readme\.md$/i.test(path));
+      const content = await fetchFileContent(octokit, context.repo.owner, context.repo.repo, readmeKey, baseRef);
+      readmeBase = content === null ? null : { ref: baseRef, content };
+    }
+
+    runReport.describe(context.eventName, getEntryKey(changelogEntry));
+    if (changelogEntry.category) {
+      core.info(`🏷️ ${changelogEntry.category} (from ${changelogEntry.categorySource})`);
+      core.setOutput('change-category', changelogEntry.category);
+    }
+    if (changelogEntry.bump) {
+      core.info(`Suggested version bump: ${changelogEntry.bump}`);
+      core.setOutput('semver-bump', changelogEntry.bump);
+    }
+
+    if (dryRun || isPreview) {
+      const destination = { notion: 'Notion', confluence: 'Confluence', 'markdown-file': changelogFile }[targetName];
+      core.info(`${isPreview ? 'Preview' : 'Dry run'}: building the plan without writing to ${destination}...`);
+      runReport.startStep(isPreview ? 'Preview' : 'Dry-run plan');
+      const plan = buildRunPlan(changelogEntry, {
+        target: targetName,
+        notionPageId,
+        confluencePageId,
+        changelogPageId: settings.changelogPageId,
+        changelogDatabaseId,
+        docPageId,
+        changelogFile,
+        changelogFileMode,
+        writeChangelog,
+        skipped: skipNotes,
+        writeStrategy,
+        updateMode,
+        onExisting,
+        changelogTarget,
+        model,
+        docsPlan,
+        readmeBase,
+        urls: githubBaseUrls(context.repo.owner, context.repo.repo, ref, '', context.serverUrl),
+      });
+      if (isPreview) {
+        await postPreviewComment(octokit, context.repo, pr.number, renderPreviewComment(plan, { ref }));
+      }
+      if (dryRun) {
+        const planFile = writePlanFile(plan);
+        await core.summary.addRaw(renderPlanSummary(plan)).write();
+        core.info(`📋 Plan written to ${planFile} and the job summary`);
+        core.setOutput('plan-file', planFile);
+      }
       return;
     }
-    core.info(`Changelog page: ${changelogPageId}`);
 
-    // Step 2: Add changelog entry
-    core.info('Step 2: Adding changelog entry...');
-    const session2 = await createSession(client, notionToken, notionPageId, model);
-    const changelogPrompt = buildChangelogPrompt(changelogEntry, changelogPageId);
-    const response2 = await sendPrompt(session2, changelogPrompt);
-    core.info('Changelog entry added');
+    const notion = isNotion ? createNotionClient(notionToken) : null;
+    let target;
+    if (isConfluence) {
+      target = createConfluenceTarget(createConfluenceClient(confluenceUrl, confluenceEmail, confluenceToken));
+    } else if (isNotion) {
+      target = createNotionTarget(notion);
+    } else {
+      const { owner, repo } = context.repo;
+      target = createMarkdownFileTarget(octokit, {
+        owner,
+        repo,
+        branch: baseBranch,
+        mode: changelogFileMode,
+        serverUrl: context.serverUrl,
+      });
+    }
+    const docsSyncOptions = {
+      rootPageId: mainPageId,
+      pages,
+      plan: docsPlan,
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      ref,
+      serverUrl: context.serverUrl,
+    };
+    const docUpdated = updateMode !== 'changelog-only' && Boolean(changelogEntry.hasReadme);
+
+    // An entry that is already written and kept as it is needs no summary
+    const alreadyWritten = () =>
+      entryWritten(target, notion, changelogTarget, changelogParentId, changelogEntry, changelogDatabaseId);
+    if (summaryReason && onExisting === 'skip' && (await alreadyWritten())) {
+      core.info(`Not summarizing PR #${summaryChanges.pullRequest.number}: its changelog entry is already written`);
+    } else if (summaryReason) {
+      const { pullRequest } = summaryChanges;
+      core.info(`Summarizing PR #${pullRequest.number}: ${summaryReason}`);
+      try {
+        const summaryClient = await startCopilot();
+        runReport.startStep('Summarize changes');
+        const summary = await summarizePullRequest(
+          summaryClient,
+          { model, words: summaryLength, ...stepOptions },
+          pullRequest,
+          summaryChanges
+        );
+        changelogEntry = markGeneratedSummary(changelogEntry, summary);
+        core.info(`🤖 ${summary}`);
+      } catch (error) {
+        runReport.endStep('failed');
+        warn(`Could not summarize PR #${pullRequest.number} (${error.message}), keeping its description`);
+      }
+    }
+
+    // A database changelog is always written through the Notion API, so the model may not be needed at all
+    let agent = null;
+    if (writeStrategy === 'agent' && ((writeChangelog && changelogTarget === 'page') || docUpdated)) {
+      agent = {
+        client: await startCopilot(),
+        sessionConfig: { notionToken, notionPageId, model },
+        stepOptions,
+      };
+    } else if (writeStrategy === 'direct') {
+      core.info('Using direct write strategy (no model)...');
+    }
+
+    // Steps 1-2: Changelog page or database, then the entry
+    let written = { changelogPageId: null };
+    if (writeChangelog) runReport.startStep('Changelog entry');
+    if (!writeChangelog) {
+      core.info('Steps 1-2: Skipping the changelog entry');
+    } else if (changelogTarget === 'database') {
+      written = await writeChangelogDatabase(notion, changelogParentId, changelogEntry, onExisting, changelogDatabaseId);
+    } else if (agent) {
+      written = await writeChangelogAgent(agent, notion, changelogParentId, changelogEntry, onExisting);
+    } else {
+      written = await writeChangelogDirect(target, changelogParentId, changelogEntry, onExisting);
+    }
 
     // Step 3: Update documentation (if enabled)
-    if (updateMode !== 'changelog-only' && changelogEntry.docContent && changelogEntry.hasReadme) {
-      core.info('Step 3: Updating documentation page...');
-      const session3 = await createSession(client, notionToken, notionPageId, model);
-      const docPrompt = buildDocUpdatePrompt(changelogEntry, notionPageId);
-      const response3 = await sendPrompt(session3, docPrompt);
-      core.info('Documentation updated');
+    let docSections = [];
+    if (docUpdated) runReport.startStep('Documentation page');
+    if (docUpdated && agent) {
+      docSections = await updateReadmeAgent(agent, notion, docPageId, changelogEntry);
+    } else if (docUpdated) {
+      const urls = githubBaseUrls(context.repo.owner, context.repo.repo, ref, '', context.serverUrl);
+      docSections = await syncReadmeDirect(target, docPageId, changelogEntry, urls, readmeBase);
+    }
+    if (docSections.length > 0) {
+      core.info(`Edited ${docSections.length} documentation sections:`);
+      reportDocSections(docSections);
+    }
+
+    // Step 4: Mirror docs/ pages (always through the target's API, so every file lands the same way)
+    if (docsPlan) {
+      runReport.startStep('docs/ pages');
+      await syncDocsDirect(target, octokit, docsSyncOptions);
     }
 
     core.info('✅ All done!');
-    core.setOutput('changelog-page-id', changelogPageId);
+    runReport.endStep();
+    await setWriteOutputs(target, notion, { ...written, docPageId: docUpdated ? docPageId : null });
   } catch (error) {
-    core.setFailed(`Action failed: ${error.message}`);
+    if (failOnError) {
+      fail(`Action failed: ${error.message}`);
+    } else {
+      core.warning(`Action failed (fail-on-error is false): ${error.message}`);
+      runReport.fail(error.message);
+    }
   } finally {
+    await writeRunReport();
     if (client) client.stop().catch(() => {});
-    setTimeout(() => process.exit(0), 1000);
+    // Exit explicitly so lingering MCP processes can't keep the job alive, keeping any failure exit code
+    setTimeout(() => process.exit(), 1000);
   }
 }
 
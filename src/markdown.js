@@ -0,0 +1,456 @@
+/**
+ * Converts GitHub-flavored Markdown into Notion block trees.
+ * Used to sync repository documentation deterministically, without a model.
+ */
+
+const { marked } = require('marked');
+const { NOTION_RICH_TEXT_LIMIT, NOTION_RICH_TEXT_ITEMS_LIMIT, GITHUB_SERVER_URL } = require('./constants');
+const { chunkText } = require('./utils');
+
+/** Code languages accepted by the Notion API */
+const NOTION_CODE_LANGUAGES = new Set([
+  'abap', 'arduino', 'bash', 'basic', 'c', 'clojure', 'coffeescript', 'c++', 'c#', 'css', 'dart',
+  'diff', 'docker', 'elixir', 'elm', 'erlang', 'flow', 'fortran', 'f#', 'gherkin', 'glsl', 'go',
+  'graphql', 'groovy', 'haskell', 'html', 'java', 'javascript', 'json', 'julia', 'kotlin', 'latex',
+  'less', 'lisp', 'livescript', 'lua', 'makefile', 'markdown', 'markup', 'matlab', 'mermaid', 'nix',
+  'objective-c', 'ocaml', 'pascal', 'perl', 'php', 'plain text', 'powershell', 'prolog', 'protobuf',
+  'python', 'r', 'reason', 'ruby', 'rust', 'sass', 'scala', 'scheme', 'scss', 'shell', 'sql', 'swift',
+  'typescript', 'vb.net', 'verilog', 'vhdl', 'visual basic', 'webassembly', 'xml', 'yaml',
+]);
+
+/** Common Markdown fence names mapped to Notion code languages */
+const CODE_LANGUAGE_ALIASES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  sh: 'shell',
+  zsh: 'shell',
+  console: 'shell',
+  ps1: 'powershell',
+  py: 'python',
+  rb: 'ruby',
+  rs: 'rust',
+  yml: 'yaml',
+  md: 'markdown',
+  cpp: 'c++',
+  cs: 'c#',
+  csharp: 'c#',
+  fsharp: 'f#',
+  dockerfile: 'docker',
+  gql: 'graphql',
+  proto: 'protobuf',
+  kt: 'kotlin',
+  objc: 'objective-c',
+  text: 'plain text',
+  txt: 'plain text',
+  plaintext: 'plain text',
+};
+
+/** GitHub alert types mapped to Notion callout styles */
+const ALERT_STYLES = {
+  NOTE: { emoji: 'ℹ️', color: 'blue_background' },
+  TIP: { emoji: '💡', color: 'green_background' },
+  IMPORTANT: { emoji: '❗', color: 'purple_background' },
+  WARNING: { emoji: '⚠️', color: 'yellow_background' },
+  CAUTION: { emoji: '🛑', color: 'red_background' },
+};
+
+/** Block types whose text can go on in nested paragraphs */
+const NESTING_TYPES = ['bulleted_list_item', 'numbered_list_item', 'to_do', 'quote', 'callout'];
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+};
+
+/**
+ * Decodes the HTML entities the Markdown lexer leaves in text.
+ * @param {string} text - Text possibly containing entities.
+ * @returns {string} Decoded text.
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Maps a Markdown code fence language to a Notion code language.
+ * @param {string} lang - Fence info string (e.g. "js", "bash title=x").
+ * @returns {string} Notion code language, "plain text" when unknown.
+ */
+function toNotionLanguage(lang) {
+  const name = (lang || '').trim().split(/\s+/)[0].toLowerCase();
+  const mapped = CODE_LANGUAGE_ALIASES[name] || name;
+  return NOTION_CODE_LANGUAGES.has(mapped) ? mapped : 'plain text';
+}
+
+/**
+ * Resolves a Markdown URL to an absolute http(s) URL Notion will accept.
+ * @param {string} href - URL from the Markdown source.
+ * @param {string} baseUrl - Base URL for relative paths, if any.
+ * @returns {string|null} Absolute URL, or null when it can't be resolved.
+ */
+function resolveUrl(href, baseUrl) {
+  if (!href || href.startsWith('#')) return null;
+  try {
+    const url = baseUrl ? new URL(href, baseUrl) : new URL(href);
+    return /^https?:$/.test(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Builds the base URLs used to resolve relative links and images in repository Markdown.
+ * @param {string} owner - Repository owner.
+ * @param {string} repo - Repository name.
+ * @param {string} ref - Git reference (branch/commit SHA) the Markdown was read at.
+ * @param {string} path - Path of the Markdown file, so links resolve from its directory.
+ * @param {string} serverUrl - GitHub server URL (`context.serverUrl`), for GitHub Enterprise Server.
+ * @returns {Object} `linkBaseUrl` and `imageBaseUrl` for markdownToNotionBlocks.
+ */
+function githubBaseUrls(owner, repo, ref, path = '', serverUrl = GITHUB_SERVER_URL) {
+  const dir = path.includes('/') ? path.substring(0, path.lastIndexOf('/') + 1) : '';
+  const server = serverUrl.replace(/\/+$/, '');
+  // GitHub Enterprise Server has no raw.githubusercontent.com; it serves raw files under /raw/
+  const imageBaseUrl = server === GITHUB_SERVER_URL
+    ? `https://raw.githubusercontent.com/${owner}/${repo}/${ref}/${dir}`
+    : `${server}/${owner}/${repo}/raw/${ref}/${dir}`;
+  return {
+    linkBaseUrl: `${server}/${owner}/${repo}/blob/${ref}/${dir}`,
+    imageBaseUrl,
+  };
+}
+
+/**
+ * Builds rich_text items for a piece of text, splitting at Notion's length limit.
+ */
+function textItems(content, annotations, url) {
+  if (!content) return [];
+  return chunkText(content, NOTION_RICH_TEXT_LIMIT).map((chunk) => {
+    const item = {
+      type: 'text',
+      text: { content: chunk, ...(url ? { link: { url } } : {}) },
+    };
+    if (Object.keys(annotations).length > 0) {
+      item.annotations = { ...annotations };
+    }
+    return item;
+  });
+}
+
+/**
+ * Tells whether two rich_text items have the same annotations and link.
+ */
+function sameFormat(a, b) {
+  return JSON.stringify([a.annotations, a.text.link]) === JSON.stringify([b.annotations, b.text.link]);
+}
+
+/**
+ * Merges adjacent rich_text items with the same formatting, within Notion's length limit.
+ * @param {Array} items - Notion rich_text items.
+ * @returns {Array} Fewer items with the same text and formatting.
+ */
+function mergeRichText(items) {
+  const merged = [];
+  for (const item of items) {
+    const last = merged[merged.length - 1];
+    if (last && sameFormat(last, item) && last.text.content.length + item.text.content.length <= NOTION_RICH_TEXT_LIMIT) {
+      merged[merged.length - 1] = { ...last, text: { ...last.text, content: last.text.content + item.text.content } };
+    } else {
+      merged.push(item);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Splits rich_text items into runs that fit Notion's limit per array, merging them first.
+ * @param {Array} items - Notion rich_text items.
+ * @returns {Array<Array>} Runs of at most NOTION_RICH_TEXT_ITEMS_LIMIT items; a single empty run for no items.
+ */
+function splitRichText(items) {
+  const merged = mergeRichText(items);
+  const runs = [];
+  for (let i = 0; i < merged.length; i += NOTION_RICH_TEXT_ITEMS_LIMIT) {
+    runs.push(merged.slice(i, i + NOTION_RICH_TEXT_ITEMS_LIMIT));
+  }
+  return runs.length > 0 ? runs : [[]];
+}
+
+/**
+ * Fits the rich_text items of a table cell within Notion's limit per array. A cell can't be split
+ * into more blocks, so past the limit its remaining text goes unformatted into the last item, cut
+ * at Notion's length limit with "…".
+ * @param {Array} items - Notion rich_text items.
+ * @returns {Array} At most NOTION_RICH_TEXT_ITEMS_LIMIT items.
+ */
+function limitCellText(items) {
+  const merged = mergeRichText(items);
+  if (merged.length <= NOTION_RICH_TEXT_ITEMS_LIMIT) return merged;
+  const rest = merged.slice(NOTION_RICH_TEXT_ITEMS_LIMIT - 1).map((item) => item.text.content).join('');
+  const last = rest.length > NOTION_RICH_TEXT_LIMIT ? `${rest.substring(0, NOTION_RICH_TEXT_LIMIT - 1)}…` : rest;
+  return [...merged.slice(0, NOTION_RICH_TEXT_ITEMS_LIMIT - 1), ...textItems(last, {})];
+}
+
+/**
+ * Converts inline Markdown tokens into Notion rich_text items.
+ * @param {Array} tokens - Inline tokens from the Markdown lexer.
+ * @param {Object} options - Conversion options (see markdownToNotionBlocks).
+ * @param {Object} annotations - Annotations inherited from enclosing tokens.
+ * @param {string} url - Link URL inherited from an enclosing link.
+ * @returns {Array} Notion rich_text items.
+ */
+function toRichText(tokens = [], options = {}, annotations = {}, url = null) {
+  const items = [];
+
+  for (const token of tokens) {
+    switch (token.type) {
+      case 'text':
+        if (token.tokens) {
+          items.push(...toRichText(token.tokens, options, annotations, url));
+        } else {
+          items.push(...textItems(decodeEntities(token.text), annotations, url));
+        }
+        break;
+      case 'escape':
+        items.push(...textItems(token.text, annotations, url));
+        break;
+      case 'strong':
+        items.push(...toRichText(token.tokens, options, { ...annotations, bold: true }, url));
+        break;
+      case 'em':
+        items.push(...toRichText(token.tokens, options, { ...annotations, italic: true }, url));
+        break;
+      case 'del':
+        items.push(...toRichText(token.tokens, options, { ...annotations, strikethrough: true }, url));
+        break;
+      case 'codespan':
+        items.push(...textItems(decodeEntities(token.text), { ...annotations, code: true }, url));
+        break;
+      case 'link':
+        items.push(...toRichText(token.tokens, options, annotations, resolveUrl(token.href, options.linkBaseUrl) || url));
+        break;
+      case 'image':
+        items.push(...textItems(
+          decodeEntities(token.text || token.href),
+          annotations,
+          url || resolveUrl(token.href, options.imageBaseUrl)
+        ));
+        break;
+      case 'br':
+        items.push(...textItems('\n', annotations, url));
+        break;
+      default:
+        // Inline HTML tags are dropped, their inner text arrives as separate tokens
+        break;
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Creates a block with rich text and optional children.
+ */
+function textBlock(type, richText, children = [], extra = {}) {
+  const block = { type, [type]: { rich_text: richText, ...extra } };
+  if (children.length > 0) {
+    block[type].children = children;
+  }
+  return block;
+}
+
+/**
+ * Creates the blocks holding a rich text, more than one when it has more items than Notion accepts
+ * in a block: the text goes on in paragraphs, nested first in blocks that take children and after
+ * the block otherwise.
+ * @returns {Array} The block, followed by any paragraphs it didn't nest.
+ */
+function textBlocks(type, richText, children = [], extra = {}) {
+  const [first, ...rest] = splitRichText(richText);
+  const overflow = rest.map((run) => textBlock('paragraph', run));
+  if (NESTING_TYPES.includes(type)) {
+    return [textBlock(type, first, [...overflow, ...children], extra)];
+  }
+  return [textBlock(type, first, children, extra), ...overflow];
+}
+
+/**
+ * Splits a container's tokens into leading rich text and the remaining blocks.
+ * Used for list items, quotes and callouts whose first paragraph is the block text.
+ */
+function splitLeadingText(tokens, options) {
+  const [first, ...rest] = tokens.filter((token) => token.type !== 'space');
+  if (first && (first.type === 'text' || first.type === 'paragraph')) {
+    return { richText: toRichText(first.tokens || [first], options), children: tokensToBlocks(rest, options) };
+  }
+  return { richText: [], children: tokensToBlocks(tokens, options) };
+}
+
+/**
+ * Converts a list token into list item blocks, with nested lists as children.
+ */
+function listToBlocks(token, options) {
+  return token.items.flatMap((item) => {
+    const { richText, children } = splitLeadingText(item.tokens, options);
+    if (item.task) {
+      return textBlocks('to_do', richText, children, { checked: Boolean(item.checked) });
+    }
+    return textBlocks(token.ordered ? 'numbered_list_item' : 'bulleted_list_item', richText, children);
+  });
+}
+
+/**
+ * Converts a blockquote into a quote block, or a callout for GitHub alerts.
+ */
+function blockquoteToBlocks(token, options) {
+  const alert = token.text.match(/^\[!(NOTE|TIP|IMPORTANT|WARNING|CAUTION)\][ \t]*(?:\n|$)/i);
+  if (alert) {
+    const style = ALERT_STYLES[alert[1].toUpperCase()];
+    const body = marked.lexer(token.text.slice(alert[0].length), { gfm: true });
+    const { richText, children } = splitLeadingText(body, options);
+    return textBlocks('callout', richText, children, {
+      icon: { type: 'emoji', emoji: style.emoji },
+      color: style.color,
+    });
+  }
+
+  const { richText, children } = splitLeadingText(token.tokens, options);
+  return textBlocks('quote', richText, children);
+}
+
+/**
+ * Converts a table token into a Notion table block with table_row children.
+ */
+function tableToBlock(token, options) {
+  const toRow = (cells) => ({
+    type: 'table_row',
+    table_row: { cells: cells.map((cell) => limitCellText(toRichText(cell.tokens, options))) },
+  });
+
+  return {
+    type: 'table',
+    table: {
+      table_width: token.header.length,
+      has_column_header: true,
+      has_row_header: false,
+      children: [toRow(token.header), ...token.rows.map(toRow)],
+    },
+  };
+}
+
+/**
+ * Converts a paragraph, turning a lone image into an image block. A paragraph with more rich_text
+ * items than Notion accepts (many links or code spans) is split into several.
+ */
+function paragraphToBlocks(token, options) {
+  const tokens = token.tokens.filter((t) => !(t.type === 'text' && !t.text.trim()));
+  if (tokens.length === 1 && tokens[0].type === 'image') {
+    const url = resolveUrl(tokens[0].href, options.imageBaseUrl);
+    if (url) {
+      return [{
+        type: 'image',
+        image: {
+          type: 'external',
+          external: { url },
+          caption: tokens[0].text ? textItems(decodeEntities(tokens[0].text), {}) : [],
+        },
+      }];
+    }
+  }
+  return textBlocks('paragraph', toRichText(token.tokens, options));
+}
+
+/**
+ * Converts block-level Markdown tokens into Notion blocks.
+ * @param {Array} tokens - Block tokens from the Markdown lexer.
+ * @param {Object} options - Conversion options (see markdownToNotionBlocks).
+ * @returns {Array} Notion block objects, possibly nested.
+ */
+function tokensToBlocks(tokens, options = {}) {
+  const blocks = [];
+
+  for (const token of tokens) {
+    switch (token.type) {
+      case 'heading': {
+        // Notion only has three heading levels
+        const level = Math.min(token.depth, 3);
+        blocks.push(...textBlocks(`heading_${level}`, toRichText(token.tokens, options)));
+        break;
+      }
+      case 'paragraph':
+        blocks.push(...paragraphToBlocks(token, options));
+        break;
+      case 'text':
+        blocks.push(...textBlocks('paragraph', toRichText(token.tokens || [token], options)));
+        break;
+      case 'code':
+        // Long code goes on in more code blocks of the same language
+        for (const run of splitRichText(textItems(token.text, {}))) {
+          blocks.push({ type: 'code', code: { rich_text: run, language: toNotionLanguage(token.lang) } });
+        }
+        break;
+      case 'list':
+        blocks.push(...listToBlocks(token, options));
+        break;
+      case 'blockquote':
+        blocks.push(...blockquoteToBlocks(token, options));
+        break;
+      case 'table':
+        blocks.push(tableToBlock(token, options));
+        break;
+      case 'hr':
+        blocks.push({ type: 'divider', divider: {} });
+        break;
+      case 'html': {
+        const text = decodeEntities(token.text.replace(/<!--[\s\S]*?-->/g, '').replace(/<[^>]+>/g, '')).trim();
+        if (text) {
+          blocks.push(...textBlocks('paragraph', textItems(text, {})));
+        }
+        break;
+      }
+      default:
+        // 'space' and 'def' tokens carry no content
+        break;
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Converts GitHub-flavored Markdown into an array of Notion blocks.
+ * Nested lists, quotes and callouts keep their children, so the result may be deeper
+ * than Notion accepts in one request; use appendBlocks to write it.
+ * @param {string} markdown - Markdown source (e.g. a value from fetchDocContent).
+ * @param {Object} options - Conversion options.
+ * @param {string} options.linkBaseUrl - Base URL for relative links.
+ * @param {string} options.imageBaseUrl - Base URL for relative image paths.
+ * @returns {Array} Notion block objects.
+ */
+function markdownToNotionBlocks(markdown, options = {}) {
+  if (!markdown) return [];
+  return tokensToBlocks(marked.lexer(markdown, { gfm: true }), options);
+}
+
+module.exports = {
+  decodeEntities,
+  toNotionLanguage,
+  resolveUrl,
+  githubBaseUrls,
+  toRichText,
+  markdownToNotionBlocks,
+};
@@ -0,0 +1,272 @@
+const {
+  decodeEntities,
+  toNotionLanguage,
+  resolveUrl,
+  githubBaseUrls,
+  markdownToNotionBlocks,
+} = require('./markdown');
+
+/**
+ * Joins the plain text of a rich_text array.
+ */
+function plainText(richText) {
+  return richText.map((item) => item.text.content).join('');
+}
+
+describe('decodeEntities', () => {
+  it('should decode named and numeric entities', () => {
+    expect(decodeEntities('a &amp; b &lt;c&gt; &#39;d&#x27; &quot;e&quot;')).toBe('a & b <c> \'d\' "e"');
+  });
+
+  it('should leave unknown entities untouched', () => {
+    expect(decodeEntities('&unknown;')).toBe('&unknown;');
+  });
+});
+
+describe('toNotionLanguage', () => {
+  it('should map common aliases', () => {
+    expect(toNotionLanguage('js')).toBe('javascript');
+    expect(toNotionLanguage('yml')).toBe('yaml');
+    expect(toNotionLanguage('sh')).toBe('shell');
+  });
+
+  it('should keep supported languages and ignore fence attributes', () => {
+    expect(toNotionLanguage('python title="x.py"')).toBe('python');
+    expect(toNotionLanguage('Mermaid')).toBe('mermaid');
+  });
+
+  it('should fall back to plain text', () => {
+    expect(toNotionLanguage('')).toBe('plain text');
+    expect(toNotionLanguage(undefined)).toBe('plain text');
+    expect(toNotionLanguage('brainfuck')).toBe('plain text');
+  });
+});
+
+describe('resolveUrl', () => {
+  it('should keep absolute http(s) URLs', () => {
+    expect(resolveUrl('https://example.com/a')).toBe('https://example.com/a');
+  });
+
+  it('should resolve relative paths against a base URL', () => {
+    expect(resolveUrl('docs/guide.md', 'https://github.com/o/r/blob/main/')).toBe(
+      'https://github.com/o/r/blob/main/docs/guide.md'
+    );
+  });
+
+  it('should return null for anchors, relative paths without base and other protocols', () => {
+    expect(resolveUrl('#usage', 'https://github.com/o/r/blob/main/')).toBeNull();
+    expect(resolveUrl('docs/guide.md')).toBeNull();
+    expect(resolveUrl('mailto:me@example.com')).toBeNull();
+  });
+});
+
+describe('githubBaseUrls', () => {
+  it('should build blob and raw base URLs', () => {
+    expect(githubBaseUrls('org', 'repo', 'abc123')).toEqual({
+      linkBaseUrl: 'https://github.com/org/repo/blob/abc123/',
+      imageBaseUrl: 'https://raw.githubusercontent.com/org/repo/abc123/',
+    });
+  });
+
+  it('should resolve from the directory of the given file', () => {
+    expect(githubBaseUrls('org', 'repo', 'main', 'docs/api/auth.md')).toEqual({
+      linkBaseUrl: 'https://github.com/org/repo/blob/main/docs/api/',
+      imageBaseUrl: 'https://raw.githubusercontent.com/org/repo/main/docs/api/',
+    });
+  });
+
+  it('should use the server of a GitHub Enterprise Server', () => {
+    expect(githubBaseUrls('org', 'repo', 'main', 'docs/guide.md', 'https://ghe.example.com/')).toEqual({
+      linkBaseUrl: 'https://ghe.example.com/org/repo/blob/main/docs/',
+      imageBaseUrl: 'https://ghe.example.com/org/repo/raw/main/docs/',
+    });
+  });
+});
+
+describe('markdownToNotionBlocks', () => {
+  it('should return an empty array for empty input', () => {
+    expect(markdownToNotionBlocks('')).toEqual([]);
+    expect(markdownToNotionBlocks(null)).toEqual([]);
+  });
+
+  it('should convert headings, capping at heading_3', () => {
+    const blocks = markdownToNotionBlocks('# One\n\n## Two\n\n### Three\n\n#### Four');
+
+    expect(blocks.map((b) => b.type)).toEqual(['heading_1', 'heading_2', 'heading_3', 'heading_3']);
+    expect(plainText(blocks[3].heading_3.rich_text)).toBe('Four');
+  });
+
+  it('should convert inline formatting to annotations and links', () => {
+    const [block] = markdownToNotionBlocks('Some **bold**, *italic*, ~~gone~~, `code` and [a link](https://x.dev).');
+    const items = block.paragraph.rich_text;
+
+    expect(items.find((i) => i.text.content === 'bold').annotations).toEqual({ bold: true });
+    expect(items.find((i) => i.text.content === 'italic').annotations).toEqual({ italic: true });
+    expect(items.find((i) => i.text.content === 'gone').annotations).toEqual({ strikethrough: true });
+    expect(items.find((i) => i.text.content === 'code').annotations).toEqual({ code: true });
+    expect(items.find((i) => i.text.content === 'a link').text.link).toEqual({ url: 'https://x.dev/' });
+  });
+
+  it('should resolve relative links and drop unresolvable ones', () => {
+    const [withBase] = markdownToNotionBlocks('[Guide](docs/guide.md)', githubBaseUrls('o', 'r', 'main'));
+    const [withoutBase] = markdownToNotionBlocks('[Guide](docs/guide.md) [Top](#top)');
+
+    expect(withBase.paragraph.rich_text[0].text.link.url).toBe('https://github.com/o/r/blob/main/docs/guide.md');
+    expect(withoutBase.paragraph.rich_text.every((i) => !i.text.link)).toBe(true);
+  });
+
+  it('should decode entities in text', () => {
+    const [block] = markdownToNotionBlocks('Fish &amp; chips');
+    expect(plainText(block.paragraph.rich_text)).toBe('Fish & chips');
+  });
+
+  it('should convert code blocks with languages', () => {
+    const [block] = markdownToNotionBlocks('```yml\nname: test\n```');
+
+    expect(block.type).toBe('code');
+    expect(block.code.language).toBe('yaml');
+    expect(plainText(block.code.rich_text)).toBe('name: test');
+  });
+
+  it('should split long text into 2000-character rich_text items', () => {
+    const [block] = markdownToNotionBlocks(`\`\`\`\n${'x'.repeat(4500)}\n\`\`\``);
+
+    expect(block.code.rich_text.map((i) => i.text.content.length)).toEqual([2000, 2000, 500]);
+  });
+
+  it('should split a paragraph with more rich_text items than Notion accepts', () => {
+    const markdown = Array.from({ length: 60 }, (_, i) => `\`opt${i}\``).join(' ');
+
+    const blocks = markdownToNotionBlocks(markdown);
+
+    expect(blocks.map((b) => b.type)).toEqual(['paragraph', 'paragraph']);
+    expect(blocks.map((b) => b.paragraph.rich_text.length)).toEqual([100, 19]);
+    expect(blocks.map((b) => plainText(b.paragraph.rich_text)).join('')).toBe(markdown.replace(/`/g, ''));
+  });
+
+  it('should go on with the text of other blocks in nested paragraphs', () => {
+    const [item] = markdownToNotionBlocks(`- ${Array.from({ length: 120 }, (_, i) => `**b${i}** i${i}`).join(' ')}`);
+    const { rich_text: richText, children } = item.bulleted_list_item;
+
+    expect(richText).toHaveLength(100);
+    expect(children.map((b) => b.type)).toEqual(['paragraph', 'paragraph']);
+    expect(children[0].paragraph.rich_text[0].annotations).toEqual({ bold: true });
+    expect(plainText(children[1].paragraph.rich_text)).toContain('b119 i119');
+  });
+
+  it('should keep every character of text longer than 100 rich_text items', () => {
+    const code = Array.from({ length: 201 * 2000 + 7 }, (_, i) => String.fromCharCode(97 + (i % 26))).join('');
+
+    const codeBlocks = markdownToNotionBlocks(`\`\`\`js\n${code}\n\`\`\``);
+    const paragraphs = markdownToNotionBlocks(code);
+
+    expect(codeBlocks.map((b) => b.code.rich_text.length)).toEqual([100, 100, 2]);
+    expect(codeBlocks.every((b) => b.code.language === 'javascript')).toBe(true);
+    expect(codeBlocks.map((b) => plainText(b.code.rich_text)).join('')).toBe(code);
+    expect(paragraphs.map((b) => b.type)).toEqual(['paragraph', 'paragraph', 'paragraph']);
+    expect(paragraphs.map((b) => plainText(b.paragraph.rich_text)).join('')).toBe(code);
+  });
+
+  it('should merge adjacent items with the same formatting', () => {
+    const [block] = markdownToNotionBlocks('one \\* two');
+
+    expect(block.paragraph.rich_text).toEqual([{ type: 'text', text: { content: 'one * two' } }]);
+  });
+
+  it('should convert nested bulleted and numbered lists', () => {
+    const blocks = markdownToNotionBlocks('- one\n  1. inner\n     - deep\n- two');
+
+    expect(blocks.map((b) => b.type)).toEqual(['bulleted_list_item', 'bulleted_list_item']);
+    const inner = blocks[0].bulleted_list_item.children[0];
+    expect(inner.type).toBe('numbered_list_item');
+    expect(plainText(inner.numbered_list_item.rich_text)).toBe('inner');
+    expect(inner.numbered_list_item.children[0].type).toBe('bulleted_list_item');
+    expect(blocks[1].bulleted_list_item.children).toBeUndefined();
+  });
+
+  it('should convert task lists to to_do blocks', () => {
+    const blocks = markdownToNotionBlocks('- [ ] open\n- [x] done');
+
+    expect(blocks.map((b) => b.type)).toEqual(['to_do', 'to_do']);
+    expect(blocks[0].to_do.checked).toBe(false);
+    expect(blocks[1].to_do.checked).toBe(true);
+    expect(plainText(blocks[1].to_do.rich_text)).toBe('done');
+  });
+
+  it('should keep extra paragraphs of loose list items as children', () => {
+    const [item] = markdownToNotionBlocks('- first\n\n  second paragraph');
+
+    expect(plainText(item.bulleted_list_item.rich_text)).toBe('first');
+    expect(item.bulleted_list_item.children[0].type).toBe('paragraph');
+  });
+
+  it('should convert blockquotes to quote blocks', () => {
+    const [block] = markdownToNotionBlocks('> quoted *text*\n>\n> - item');
+
+    expect(block.type).toBe('quote');
+    expect(plainText(block.quote.rich_text)).toBe('quoted text');
+    expect(block.quote.children[0].type).toBe('bulleted_list_item');
+  });
+
+  it('should convert GitHub alerts to callouts', () => {
+    const [note, warning] = markdownToNotionBlocks('> [!NOTE]\n> Useful info\n\n> [!WARNING]\n> Be careful');
+
+    expect(note.type).toBe('callout');
+    expect(note.callout.icon).toEqual({ type: 'emoji', emoji: 'ℹ️' });
+    expect(note.callout.color).toBe('blue_background');
+    expect(plainText(note.callout.rich_text)).toBe('Useful info');
+    expect(warning.callout.color).toBe('yellow_background');
+  });
+
+  it('should convert tables with a column header', () => {
+    const [block] = markdownToNotionBlocks('| Input | Default |\n|---|---|\n| `model` | **gpt-4o** |');
+
+    expect(block.type).toBe('table');
+    expect(block.table.table_width).toBe(2);
+    expect(block.table.has_column_header).toBe(true);
+    expect(block.table.children).toHaveLength(2);
+    const [cell0, cell1] = block.table.children[1].table_row.cells;
+    expect(cell0[0].annotations).toEqual({ code: true });
+    expect(cell1[0].annotations).toEqual({ bold: true });
+  });
+
+  it('should convert standalone images to image blocks', () => {
+    const [block] = markdownToNotionBlocks('![Diagram](docs/arch.png)', githubBaseUrls('o', 'r', 'main'));
+
+    expect(block.type).toBe('image');
+    expect(block.image.external.url).toBe('https://raw.githubusercontent.com/o/r/main/docs/arch.png');
+    expect(plainText(block.image.caption)).toBe('Diagram');
+  });
+
+  it('should keep inline images as linked alt text', () => {
+    const [block] = markdownToNotionBlocks('Build: ![status](https://img.shields.io/badge.svg) ok');
+
+    expect(block.type).toBe('paragraph');
+    const image = block.paragraph.rich_text.find((i) => i.text.content === 'status');
+    expect(image.text.link.url).toBe('https://img.shields.io/badge.svg');
+  });
+
+  it('should fall back to a paragraph for unresolvable standalone images', () => {
+    const [block] = markdownToNotionBlocks('![Diagram](arch.png)');
+
+    expect(block.type).toBe('paragraph');
+    expect(plainText(block.paragraph.rich_text)).toBe('Diagram');
+  });
+
+  it('should convert horizontal rules and skip HTML comments', () => {
+    const blocks = markdownToNotionBlocks('Before\n\n---\n\n<!-- hidden -->\n\n<p align="center">Shown</p>');
+
+    expect(blocks.map((b) => b.type)).toEqual(['paragraph', 'divider', 'paragraph']);
+    expect(plainText(blocks[2].paragraph.rich_text)).toBe('Shown');
+  });
+
+  it('should convert this repository README without losing sections', () => {
+    const readme = require('fs').readFileSync(require('path').join(__dirname, '..', 'README.md'), 'utf-8');
+
+    const blocks = markdownToNotionBlocks(readme);
+
+    expect(blocks.filter((b) => b.type === 'heading_2').length).toBeGreaterThan(3);
+    expect(blocks.some((b) => b.type === 'table')).toBe(true);
+    expect(blocks.some((b) => b.type === 'code')).toBe(true);
+  });
+});
@@ -0,0 +1,295 @@
+/**
+ * Minimal Notion REST API client.
+ * Used by the "direct" write strategy to write blocks without a model in the loop.
+ */
+
+const {
+  NOTION_API_BASE_URL,
+  NOTION_API_VERSION,
+  NOTION_CHILDREN_LIMIT,
+  NOTION_MAX_NESTING_DEPTH,
+} = require('./constants');
+
+/**
+ * Creates a Notion API client bound to an integration token.
+ * @param {string} token - Notion integration token.
+ * @param {Object} options - Optional overrides.
+ * @param {string} options.baseUrl - API base URL (useful for local stand-ins).
+ * @param {Function} options.fetchImpl - fetch implementation to use.
+ * @returns {Object} Client exposing a `request(method, path, body)` function.
+ */
+function createNotionClient(token, { baseUrl = NOTION_API_BASE_URL, fetchImpl = globalThis.fetch } = {}) {
+  async function request(method, path, body) {
+    const response = await fetchImpl(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Notion-Version': NOTION_API_VERSION,
+        'Content-Type': 'application/json',
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = new Error(
+        `Notion API ${method} ${path} failed (${response.status}): ${data.message || response.statusText}`
+      );
+      error.status = response.status;
+      error.code = data.code;
+      throw error;
+    }
+
+    return data;
+  }
+
+  return { request };
+}
+
+/**
+ * Normalizes a Notion ID to its 32-character form without dashes.
+ * @param {string} id - Notion ID with or without dashes.
+ * @returns {string} ID without dashes.
+ */
+function normalizeId(id) {
+  return id.replace(/-/g, '');
+}
+
+/**
+ * Returns the plain text of a block's rich_text, or an empty string for blocks without text.
+ * @param {Object} block - Notion block object.
+ * @returns {string} Concatenated plain text.
+ */
+function blockText(block) {
+  const richText = block?.[block.type]?.rich_text || [];
+  return richText.map((item) => item.plain_text ?? item.text?.content ?? '').join('');
+}
+
+/**
+ * Lists all direct children of a block, following pagination.
+ * @param {Object} client - Notion client from createNotionClient.
+ * @param {string} blockId - Parent block or page ID.
+ * @returns {Promise<Array>} Array of child block objects.
+ */
+async function listBlockChildren(client, blockId) {
+  const children = [];
+  let cursor;
+
+  do {
+    const query = cursor ? `&start_cursor=${encodeURIComponent(cursor)}` : '';
+    const data = await client.request('GET', `/blocks/${blockId}/children?page_size=${NOTION_CHILDREN_LIMIT}${query}`);
+    children.push(...data.results);
+    cursor = data.has_more ? data.next_cursor : null;
+  } while (cursor);
+
+  return children;
+}
+
+/**
+ * Lists the children of a block with all their descendants, nested under `[type].children` like
+ * the blocks markdownToNotionBlocks builds. Child pages and databases are not descended into.
+ * @param {Object} client - Notion client from createNotionClient.
+ * @param {string} blockId - Parent block or page ID.
+ * @returns {Promise<Array>} Array of block objects with their children.
+ */
+async function listBlockTree(client, blockId) {
+  const blocks = await listBlockChildren(client, blockId);
+  for (const block of blocks) {
+    if (block.has_children && block.type !== 'child_page' && block.type !== 'child_database') {
+      block[block.type] = { ...block[block.type], children: await listBlockTree(client, block.id) };
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Finds a child page with the given title under a parent page.
+ * @param {Object} client - Notion client from createNotionClient.
+ * @param {string} parentId - Parent page ID.
+ * @param {string} title - Child page title to look for.
+ * @returns {Promise<Object|null>} The child_page block, or null if not found.
+ */
+async function findChildPage(client, parentId, title) {
+  const children = await listBlockChildren(client, parentId);
+  return children.find((block) => block.type === 'child_page' && block.child_page.title === title) || null;
+}
+
+/**
+ * Creates an empty child page under a parent page.
+ * @param {Object} client - Notion client from createNotionClient.
+ * @param {string} parentId - Parent page ID.
+ * @param {string} title - Title of the new page.
+ * @returns {Promise<Object>} The created page object.
+ */
+async function createChildPage(client, parentId, title) {
+  return client.request('POST', '/pages', {
+    parent: { page_id: parentId },
+    properties: {
+      title: {
+        title: [{ type: 'text', text: { content: title } }],
+      },
+    },
+  });
+}
+
+/**
+ * Finds a child page by title, creating it when it doesn't exist.
+ * @param {Object} client - Notion client from createNotionClient.
+ * @param {string} parentId - Parent page ID.
+ * @param {string} title - Child page title.
+ * @returns {Promise<Object>} Object with the page `id` and whether it was `created`.
+ */
+async function findOrCreateChildPage(client, parentId, title) {
+  const existing = await findChildPage(client, parentId, title);
+  if (existing) {
+    return { id: existing.id, created: false };
+  }
+
+  const page = await createChildPage(client, parentId, title);
+  return { id: page.id, created: true };
+}
+
+/**
+ * Archives a page (Notion's equivalent of deleting it).
+ * @param {Object} client - Notion client from createNotionClient.
+ * @param {string} pageId - Page ID to archive.
+ * @returns {Promise<Object>} The archived page object.
+ */
+async function archivePage(client, pageId) {
+  return client.request('PATCH', `/pages/${pageId}`, { archived: true });
+}
+
+/**
+ * Retrieves a page object, including its `url`.
+ * @param {Object} client - Notion client from createNotionClient.
+ * @param {string} pageId - Page ID.
+ * @returns {Promise<Object>} The page object.
+ */
+async function getPage(client, pageId) {
+  return client.request('GET', `/pages/${pageId}`);
+}
+
+/**
+ * Retrieves a database object, including its `url` and `properties`.
+ * @param {Object} client - Notion client from createNotionClient.
+ * @param {string} databaseId - Database ID.
+ * @returns {Promise<Object>} The database object.
+ */
+async function getDatabase(client, databaseId) {
+  return client.request('GET', `/databases/${databaseId}`);
+}
+
+/**
+ * Checks whether a block and its descendants can be sent in one append request.
+ * @param {Object} block - Notion block object.
+ * @param {number} depth - Nesting level of the block within the request.
+ * @returns {boolean} True when nesting depth and children counts are within limits.
+ */
+function fitsInRequest(block, depth = 0) {
+  const children = block[block.type]?.children || [];
+  if (children.length === 0) return true;
+  if (depth >= NOTION_MAX_NESTING_DEPTH || children.length > NOTION_CHILDREN_LIMIT) return false;
+  return children.every((child) => fitsInRequest(child, depth + 1));
+}
+
+/**
+ * Splits off the children of a block that can't be sent with it.
+ * @param {Object} block - Notion block object.
+ * @returns {Object} The `block` to send and the `deferred` children to append afterwards.
+ */
+function prepareForAppend(block) {
+  const { children, ...content } = block[block.type] || {};
+  if (!children || fitsInRequest(block)) {
+    return { block, deferred: [] };
+  }
+
+  // Tables can't be created empty, so their first rows always go inline
+  const inline = block.type === 'table' ? children.slice(0, NOTION_CHILDREN_LIMIT) : [];
+  return {
+    block: { ...block, [block.type]: inline.length > 0 ? { ...content, children: inline } : content },
+    deferred: children.slice(inline.length),
+  };
+}
+
+/**
+ * Appends blocks to a page, splitting into batches that respect Notion's children limit.
+ * Children nested deeper than Notion accepts in one request are appended to their
+ * parent block in follow-up requests, so arbitrarily deep trees can be written.
+ * @param {Object} client - Notion client from createNotionClient.
+ * @param {string} blockId - Page or block ID to append to.
+ * @param {Array} blocks - Notion block objects to append.
+ * @param {Object} options - Optional settings.
+ * @param {string} options.after - Insert after this child block instead of at the end.
+ * @returns {Promise<Array>} The created top-level block objects, in order.
+ */
+async function appendBlocks(client, blockId, blocks, { after } = {}) {
+  const created = [];
+
+  for (let i = 0; i < blocks.length; i += NOTION_CHILDREN_LIMIT) {
+    const prepared = blocks.slice(i, i + NOTION_CHILDREN_LIMIT).map(prepareForAppend);
+    // Later batches go after the last block written, to keep the order when inserting
+    const anchor = created.length > 0 && after ? created[created.length - 1].id : after;
+    const data = await client.request('PATCH', `/blocks/${blockId}/children`, {
+      children: prepared.map((p) => p.block),
+      ...(anchor ? { after: anchor } : {}),
+    });
+
+    for (let j = 0; j < prepared.length; j++) {
+      if (prepared[j].deferred.length > 0) {
+        await appendBlocks(client, data.results[j].id, prepared[j].deferred);
+      }
+    }
+    created.push(...data.results);
+  }
+
+  return created;
+}
+
+/**
+ * Deletes (archives) a block.
+ * @param {Object} client - Notion client from createNotionClient.
+ * @param {string} blockId - Block ID to delete.
+ * @returns {Promise<Object>} The archived block object.
+ */
+async function deleteBlock(client, blockId) {
+  return client.request('DELETE', `/blocks/${blockId}`);
+}
+
+/**
+ * Replaces the content of a page with new blocks.
+ * Child pages and databases (such as the Changelog page) are kept.
+ * @param {Object} client - Notion client from createNotionClient.
+ * @param {string} pageId - Page ID whose content is replaced.
+ * @param {Array} blocks - Notion block objects to write.
+ * @returns {Promise<Object>} Counts of `removed` blocks and the `created` blocks.
+ */
+async function replacePageContent(client, pageId, blocks) {
+  const children = await listBlockChildren(client, pageId);
+  const removable = children.filter((block) => block.type !== 'child_page' && block.type !== 'child_database');
+
+  for (const block of removable) {
+    await deleteBlock(client, block.id);
+  }
+
+  const created = await appendBlocks(client, pageId, blocks);
+  return { removed: removable.length, created };
+}
+
+module.exports = {
+  createNotionClient,
+  normalizeId,
+  blockText,
+  listBlockChildren,
+  listBlockTree,
+  findChildPage,
+  createChildPage,
+  findOrCreateChildPage,
+  archivePage,
+  getPage,
+  getDatabase,
+  fitsInRequest,
+  prepareForAppend,
+  appendBlocks,
+  deleteBlock,
+  replacePageContent,
+};
@@ -0,0 +1,309 @@
+const {
+  createNotionClient,
+  normalizeId,
+  blockText,
+  listBlockChildren,
+  listBlockTree,
+  findChildPage,
+  findOrCreateChildPage,
+  fitsInRequest,
+  prepareForAppend,
+  appendBlocks,
+  replacePageContent,
+} = require('./notion');
+
+/**
+ * Creates a fetch mock that returns the given JSON bodies in order.
+ */
+function mockFetch(...bodies) {
+  const fetchImpl = jest.fn();
+  for (const body of bodies) {
+    fetchImpl.mockResolvedValueOnce({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve(body),
+    });
+  }
+  return fetchImpl;
+}
+
+/**
+ * Builds a chain of nested bulleted list items `depth` levels deep.
+ */
+function nestedItem(depth) {
+  const block = { type: 'bulleted_list_item', bulleted_list_item: { rich_text: [] } };
+  if (depth > 0) {
+    block.bulleted_list_item.children = [nestedItem(depth - 1)];
+  }
+  return block;
+}
+
+describe('createNotionClient', () => {
+  it('should send authenticated JSON requests', async () => {
+    const fetchImpl = mockFetch({ object: 'page' });
+    const client = createNotionClient('secret', { fetchImpl });
+
+    const result = await client.request('POST', '/pages', { foo: 'bar' });
+
+    expect(result).toEqual({ object: 'page' });
+    expect(fetchImpl).toHaveBeenCalledWith('https://api.notion.com/v1/pages', {
+      method: 'POST',
+      headers: {
+        Authorization: 'Bearer secret',
+        'Notion-Version': '2022-06-28',
+        'Content-Type': 'application/json',
+      },
+      body: '{"foo":"bar"}',
+    });
+  });
+
+  it('should use a custom base URL', async () => {
+    const fetchImpl = mockFetch({});
+    const client = createNotionClient('secret', { baseUrl: 'http://localhost:1234', fetchImpl });
+
+    await client.request('GET', '/users/me');
+
+    expect(fetchImpl.mock.calls[0][0]).toBe('http://localhost:1234/users/me');
+    expect(fetchImpl.mock.calls[0][1].body).toBeUndefined();
+  });
+
+  it('should throw with status and code on API errors', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue({
+      ok: false,
+      status: 404,
+      statusText: 'Not Found',
+      json: () => Promise.resolve({ code: 'object_not_found', message: 'Could not find block' }),
+    });
+    const client = createNotionClient('secret', { fetchImpl });
+
+    await expect(client.request('GET', '/blocks/abc/children')).rejects.toMatchObject({
+      message: 'Notion API GET /blocks/abc/children failed (404): Could not find block',
+      status: 404,
+      code: 'object_not_found',
+    });
+  });
+});
+
+describe('normalizeId', () => {
+  it('should strip dashes from IDs', () => {
+    expect(normalizeId('12345678-1234-1234-1234-123456789abc')).toBe('12345678123412341234123456789abc');
+  });
+});
+
+describe('listBlockChildren', () => {
+  it('should follow pagination cursors', async () => {
+    const fetchImpl = mockFetch(
+      { results: [{ id: 'a' }], has_more: true, next_cursor: 'cursor-1' },
+      { results: [{ id: 'b' }], has_more: false, next_cursor: null }
+    );
+    const client = createNotionClient('secret', { fetchImpl });
+
+    const children = await listBlockChildren(client, 'page');
+
+    expect(children).toEqual([{ id: 'a' }, { id: 'b' }]);
+    expect(fetchImpl.mock.calls[1][0]).toContain('start_cursor=cursor-1');
+  });
+});
+
+describe('listBlockTree', () => {
+  it('should nest the children of blocks that have some, but not of child pages', async () => {
+    const fetchImpl = mockFetch(
+      {
+        results: [
+          { id: 'l1', type: 'bulleted_list_item', has_children: true, bulleted_list_item: { rich_text: [] } },
+          { id: 'c1', type: 'child_page', has_children: true, child_page: { title: 'Changelog' } },
+        ],
+        has_more: false,
+      },
+      { results: [{ id: 'l2', type: 'paragraph', has_children: false, paragraph: { rich_text: [] } }], has_more: false }
+    );
+    const client = createNotionClient('secret', { fetchImpl });
+
+    const blocks = await listBlockTree(client, 'page');
+
+    expect(blocks[0].bulleted_list_item.children).toEqual([expect.objectContaining({ id: 'l2' })]);
+    expect(blocks[1].child_page).toEqual({ title: 'Changelog' });
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+    expect(fetchImpl.mock.calls[1][0]).toContain('/blocks/l1/children');
+  });
+});
+
+describe('findChildPage', () => {
+  it('should find a child page by title', async () => {
+    const fetchImpl = mockFetch({
+      results: [
+        { id: 'p1', type: 'paragraph', paragraph: {} },
+        { id: 'c1', type: 'child_page', child_page: { title: 'Other' } },
+        { id: 'c2', type: 'child_page', child_page: { title: 'Changelog' } },
+      ],
+      has_more: false,
+    });
+    const client = createNotionClient('secret', { fetchImpl });
+
+    const page = await findChildPage(client, 'parent', 'Changelog');
+
+    expect(page.id).toBe('c2');
+  });
+
+  it('should return null when no child page matches', async () => {
+    const fetchImpl = mockFetch({ results: [], has_more: false });
+    const client = createNotionClient('secret', { fetchImpl });
+
+    expect(await findChildPage(client, 'parent', 'Changelog')).toBeNull();
+  });
+});
+
+describe('findOrCreateChildPage', () => {
+  it('should return an existing page', async () => {
+    const fetchImpl = mockFetch({
+      results: [{ id: 'c1', type: 'child_page', child_page: { title: 'Changelog' } }],
+      has_more: false,
+    });
+    const client = createNotionClient('secret', { fetchImpl });
+
+    const result = await findOrCreateChildPage(client, 'parent', 'Changelog');
+
+    expect(result).toEqual({ id: 'c1', created: false });
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+  });
+
+  it('should create the page when missing', async () => {
+    const fetchImpl = mockFetch({ results: [], has_more: false }, { id: 'new-page' });
+    const client = createNotionClient('secret', { fetchImpl });
+
+    const result = await findOrCreateChildPage(client, 'parent', 'Changelog');
+
+    expect(result).toEqual({ id: 'new-page', created: true });
+    const body = JSON.parse(fetchImpl.mock.calls[1][1].body);
+    expect(body.parent).toEqual({ page_id: 'parent' });
+    expect(body.properties.title.title[0].text.content).toBe('Changelog');
+  });
+});
+
+describe('appendBlocks', () => {
+  it('should append blocks in batches of 100', async () => {
+    const blocks = Array.from({ length: 150 }, (_, i) => ({ type: 'divider', divider: {}, i }));
+    const fetchImpl = mockFetch(
+      { results: blocks.slice(0, 100).map((b) => ({ id: `b${b.i}` })) },
+      { results: blocks.slice(100).map((b) => ({ id: `b${b.i}` })) }
+    );
+    const client = createNotionClient('secret', { fetchImpl });
+
+    const created = await appendBlocks(client, 'page', blocks);
+
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+    expect(JSON.parse(fetchImpl.mock.calls[0][1].body).children).toHaveLength(100);
+    expect(JSON.parse(fetchImpl.mock.calls[1][1].body).children).toHaveLength(50);
+    expect(created).toHaveLength(150);
+  });
+});
+
+describe('fitsInRequest', () => {
+  it('should accept up to two levels of nesting', () => {
+    expect(fitsInRequest(nestedItem(0))).toBe(true);
+    expect(fitsInRequest(nestedItem(2))).toBe(true);
+    expect(fitsInRequest(nestedItem(3))).toBe(false);
+  });
+
+  it('should reject more than 100 children', () => {
+    const block = { type: 'toggle', toggle: { rich_text: [], children: Array.from({ length: 101 }, () => nestedItem(0)) } };
+    expect(fitsInRequest(block)).toBe(false);
+  });
+});
+
+describe('prepareForAppend', () => {
+  it('should leave blocks that fit untouched', () => {
+    const block = nestedItem(1);
+    expect(prepareForAppend(block)).toEqual({ block, deferred: [] });
+  });
+
+  it('should defer children of blocks nested too deeply', () => {
+    const block = nestedItem(3);
+    const { block: sent, deferred } = prepareForAppend(block);
+
+    expect(sent.bulleted_list_item.children).toBeUndefined();
+    expect(deferred).toEqual(block.bulleted_list_item.children);
+  });
+
+  it('should keep the first 100 rows of large tables inline', () => {
+    const rows = Array.from({ length: 130 }, () => ({ type: 'table_row', table_row: { cells: [] } }));
+    const block = { type: 'table', table: { table_width: 1, children: rows } };
+    const { block: sent, deferred } = prepareForAppend(block);
+
+    expect(sent.table.children).toHaveLength(100);
+    expect(sent.table.table_width).toBe(1);
+    expect(deferred).toHaveLength(30);
+  });
+});
+
+describe('appendBlocks with nested trees', () => {
+  it('should append deferred children to the created parent block', async () => {
+    const fetchImpl = mockFetch(
+      { results: [{ id: 'top' }] },
+      { results: [{ id: 'child' }] }
+    );
+    const client = createNotionClient('secret', { fetchImpl });
+
+    await appendBlocks(client, 'page', [nestedItem(3)]);
+
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+    expect(fetchImpl.mock.calls[1][0]).toBe('https://api.notion.com/v1/blocks/top/children');
+    const deferred = JSON.parse(fetchImpl.mock.calls[1][1].body).children;
+    expect(deferred[0].bulleted_list_item.children[0].bulleted_list_item.children).toHaveLength(1);
+  });
+});
+
+describe('replacePageContent', () => {
+  it('should delete existing blocks except child pages and append new ones', async () => {
+    const fetchImpl = mockFetch(
+      {
+        results: [
+          { id: 'para', type: 'paragraph' },
+          { id: 'changelog', type: 'child_page' },
+          { id: 'db', type: 'child_database' },
+        ],
+        has_more: false,
+      },
+      { archived: true },
+      { results: [{ id: 'new' }] }
+    );
+    const client = createNotionClient('secret', { fetchImpl });
+
+    const result = await replacePageContent(client, 'page', [nestedItem(0)]);
+
+    expect(result).toEqual({ removed: 1, created: [{ id: 'new' }] });
+    expect(fetchImpl.mock.calls[1][0]).toBe('https://api.notion.com/v1/blocks/para');
+    expect(fetchImpl.mock.calls[1][1].method).toBe('DELETE');
+    expect(fetchImpl.mock.calls[2][1].method).toBe('PATCH');
+  });
+});
+
+describe('blockText', () => {
+  it('should join rich text from API responses and built blocks', () => {
+    const fromApi = { type: 'paragraph', paragraph: { rich_text: [{ plain_text: 'PR #1 ' }, { plain_text: 'by @dev' }] } };
+    const built = { type: 'heading_2', heading_2: { rich_text: [{ type: 'text', text: { content: 'Title' } }] } };
+
+    expect(blockText(fromApi)).toBe('PR #1 by @dev');
+    expect(blockText(built)).toBe('Title');
+  });
+
+  it('should return an empty string for blocks without text', () => {
+    expect(blockText({ type: 'divider', divider: {} })).toBe('');
+  });
+});
+
+describe('appendBlocks with an anchor', () => {
+  it('should insert batches after the anchor, chaining later batches', async () => {
+    const blocks = Array.from({ length: 120 }, () => ({ type: 'divider', divider: {} }));
+    const fetchImpl = mockFetch(
+      { results: blocks.slice(0, 100).map((_, i) => ({ id: `b${i}` })) },
+      { results: blocks.slice(100).map((_, i) => ({ id: `c${i}` })) }
+    );
+    const client = createNotionClient('secret', { fetchImpl });
+
+    await appendBlocks(client, 'page', blocks, { after: 'anchor' });
+
+    expect(JSON.parse(fetchImpl.mock.calls[0][1].body).after).toBe('anchor');
+    expect(JSON.parse(fetchImpl.mock.calls[1][1].body).after).toBe('b99');
+  });
+});
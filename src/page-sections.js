@@ -0,0 +1,246 @@
+/**
+ * Section-level updates of the Notion documentation page.
+ * The README the page was last written from and the new README are both converted to blocks
+ * and split into heading-delimited sections, which are matched by heading. Only the blocks of
+ * added, changed, removed or moved sections are written, so untouched blocks keep their IDs
+ * and the comments attached to them.
+ */
+
+const { blockText, listBlockChildren, appendBlocks, deleteBlock } = require('./notion');
+const { normalizeText } = require('./verify');
+
+const HEADING_TYPES = ['heading_1', 'heading_2', 'heading_3'];
+
+/** Child blocks that belong to the page tree rather than its content (e.g. the Changelog page) */
+const PAGE_BLOCK_TYPES = ['child_page', 'child_database'];
+
+/**
+ * Splits blocks into sections, each starting at a heading. Blocks before the first heading
+ * form a section without a heading.
+ * @param {Array} blocks - Notion blocks, converted or read from a page.
+ * @returns {Array} Sections with a `key` (the normalized heading, numbered when it repeats),
+ *   the `heading` text (null before the first heading), the index of their first block (`start`)
+ *   and their `blocks`.
+ */
+function groupSections(blocks) {
+  const sections = [];
+  const seen = new Map();
+  let current = null;
+
+  blocks.forEach((block, index) => {
+    const isHeading = HEADING_TYPES.includes(block.type);
+    if (isHeading || !current) {
+      const heading = isHeading ? blockText(block) : null;
+      const name = heading === null ? '' : normalizeText(heading);
+      const count = seen.get(name) || 0;
+      seen.set(name, count + 1);
+      current = { key: `${name}#${count}`, heading, start: index, blocks: [] };
+      sections.push(current);
+    }
+    current.blocks.push(block);
+  });
+
+  return sections;
+}
+
+/**
+ * Pairs the items of two lists that stay in the same order (longest common subsequence).
+ * @param {Array<string>} a - First list.
+ * @param {Array<string>} b - Second list.
+ * @returns {Array} `[i, j]` index pairs of equal items, in order.
+ */
+function commonSubsequence(a, b) {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pairs.push([i, j]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Compares the sections of two block lists. A section is matched by its heading; a matched
+ * section is moved when the sections around it no longer keep it in the same order.
+ * @param {Array} baseBlocks - Blocks of the previous README.
+ * @param {Array} headBlocks - Blocks of the new README.
+ * @returns {Array} One change per section, in the new README's order with removed sections
+ *   last: its `heading`, `status` ("unchanged", "changed", "added", "moved" or "removed"),
+ *   and the `base` and `head` section (null where it doesn't exist).
+ */
+function diffSections(baseBlocks, headBlocks) {
+  const base = groupSections(baseBlocks);
+  const head = groupSections(headBlocks);
+  const baseByKey = new Map(base.map((section) => [section.key, section]));
+  const headKeys = new Set(head.map((section) => section.key));
+
+  const matchedBase = base.filter((section) => headKeys.has(section.key)).map((section) => section.key);
+  const matchedHead = head.filter((section) => baseByKey.has(section.key)).map((section) => section.key);
+  const inPlace = new Set(commonSubsequence(matchedBase, matchedHead).map(([i]) => matchedBase[i]));
+  const signature = (section) => JSON.stringify(section.blocks);
+
+  const changes = head.map((section) => {
+    const previous = baseByKey.get(section.key) || null;
+    let status = 'added';
+    if (previous && !inPlace.has(section.key)) {
+      status = 'moved';
+    } else if (previous) {
+      status = signature(previous) === signature(section) ? 'unchanged' : 'changed';
+    }
+    return { heading: section.heading, status, base: previous, head: section };
+  });
+  const removed = base
+    .filter((section) => !headKeys.has(section.key))
+    .map((section) => ({ heading: section.heading, status: 'removed', base: section, head: null }));
+
+  return [...changes, ...removed];
+}
+
+/**
+ * Checks that the page content is what the previous README converts to, block for block.
+ * @param {Array} content - Content blocks of the page.
+ * @param {Array} baseBlocks - Blocks of the previous README.
+ * @returns {boolean} True when every block has the same type and text.
+ */
+function matchesBlocks(content, baseBlocks) {
+  return (
+    content.length === baseBlocks.length &&
+    content.every(
+      (block, i) =>
+        block.type === baseBlocks[i].type && normalizeText(blockText(block)) === normalizeText(blockText(baseBlocks[i]))
+    )
+  );
+}
+
+/**
+ * Plans a section-level update of a page written from the previous README.
+ * Unchanged sections keep all their blocks; changed sections keep the blocks that are the same
+ * in both versions. Moved sections are rewritten at their new place, as the API can't move blocks.
+ * @param {Array} children - Child blocks of the page.
+ * @param {Array} baseBlocks - Blocks of the README the page was last written from.
+ * @param {Array} headBlocks - Blocks of the new README.
+ * @returns {Object} `{ ok: true, changes, inserts, deleteIds, kept }`, with `inserts` as runs of new
+ *   `blocks` to write `after` a block ID (undefined for the end of the page), or `{ ok: false, reason }`
+ *   when the page can't be updated section by section.
+ */
+function planSectionUpdate(children, baseBlocks, headBlocks) {
+  const content = children.filter((block) => !PAGE_BLOCK_TYPES.includes(block.type));
+  if (!matchesBlocks(content, baseBlocks)) {
+    return { ok: false, reason: 'the page does not match the previous README' };
+  }
+
+  const changes = diffSections(baseBlocks, headBlocks);
+  const signature = (block) => JSON.stringify(block);
+  const keptIds = new Set();
+  const slots = [];
+  for (const change of changes.filter((c) => c.head)) {
+    const { base, head } = change;
+    let pairs = [];
+    if (change.status === 'unchanged') {
+      pairs = head.blocks.map((_, i) => [i, i]);
+    } else if (change.status === 'changed') {
+      pairs = commonSubsequence(base.blocks.map(signature), head.blocks.map(signature));
+    }
+    const keptAt = new Map(pairs.map(([i, j]) => [j, content[base.start + i].id]));
+    head.blocks.forEach((block, j) => {
+      const id = keptAt.get(j);
+      if (id) keptIds.add(id);
+      slots.push(id ? { id } : { block });
+    });
+  }
+
+  // Each run of new blocks goes after the block before it: a kept block, or the block before the
+  // page content for a run at the top
+  const first = content.length > 0 ? children.indexOf(content[0]) : -1;
+  let anchor = first > 0 ? children[first - 1].id : undefined;
+  if (first === 0 && keptIds.size > 0 && slots.length > 0 && !slots[0].id) {
+    return { ok: false, reason: 'new blocks would go above the first block of the page' };
+  }
+  // Without a block to follow, new blocks would land at the end of the page, below its child pages:
+  // they go after the old content instead, which is deleted once they are written
+  if (anchor === undefined && children.length > content.length) {
+    if (content.length === 0) {
+      return { ok: false, reason: 'new blocks would go below the child pages' };
+    }
+    anchor = content[content.length - 1].id;
+  }
+
+  const inserts = [];
+  let run = null;
+  for (const slot of slots) {
+    if (slot.id) {
+      anchor = slot.id;
+      run = null;
+    } else {
+      if (!run) {
+        run = { after: anchor, blocks: [] };
+        inserts.push(run);
+      }
+      run.blocks.push(slot.block);
+    }
+  }
+
+  const deleteIds = content.map((block) => block.id).filter((id) => !keptIds.has(id));
+  return { ok: true, changes, inserts, deleteIds, kept: keptIds.size };
+}
+
+/**
+ * Updates a page section by section, from the README it was last written from to the new one.
+ * New blocks are written before the old ones are deleted, so every insert has a block to go after.
+ * @param {Object} client - Notion client from createNotionClient.
+ * @param {string} pageId - Documentation page ID.
+ * @param {Array} baseBlocks - Blocks of the README the page was last written from.
+ * @param {Array} headBlocks - Blocks of the new README.
+ * @returns {Promise<Object>} `{ ok: true, changes, removed, added, kept }` block counts, or the
+ *   `{ ok: false, reason }` from planSectionUpdate, with the page left as it was.
+ */
+async function updatePageSections(client, pageId, baseBlocks, headBlocks) {
+  const children = await listBlockChildren(client, pageId);
+  const plan = planSectionUpdate(children, baseBlocks, headBlocks);
+  if (!plan.ok) return plan;
+
+  let added = 0;
+  for (const { after, blocks } of plan.inserts) {
+    added += (await appendBlocks(client, pageId, blocks, { after })).length;
+  }
+  for (const id of plan.deleteIds) {
+    await deleteBlock(client, id);
+  }
+
+  return { ok: true, changes: plan.changes, removed: plan.deleteIds.length, added, kept: plan.kept };
+}
+
+/**
+ * Lists the sections a change touches, for logs and outputs.
+ * @param {Array} changes - Result of diffSections.
+ * @returns {Array} `{ heading, status }` for every section that isn't unchanged.
+ */
+function sectionChanges(changes) {
+  return changes
+    .filter((change) => change.status !== 'unchanged')
+    .map(({ heading, status }) => ({ heading, status }));
+}
+
+module.exports = {
+  groupSections,
+  commonSubsequence,
+  diffSections,
+  planSectionUpdate,
+  updatePageSections,
+  sectionChanges,
+};
@@ -0,0 +1,165 @@
+const { groupSections, diffSections, planSectionUpdate, updatePageSections, sectionChanges } = require('./page-sections');
+const { markdownToNotionBlocks } = require('./markdown');
+const { blockText } = require('./notion');
+const { createFakeNotion } = require('./test-utils/fake-notion');
+
+const BASE = ['Intro', '', '# Project', '', 'About', '', '## Install', '', 'npm i', '', '## Usage', '', 'Run it', '', 'Twice'].join('\n');
+
+/**
+ * Creates a fake Notion page holding the blocks of a README, after a Changelog child page.
+ */
+function pageFrom(markdown) {
+  const blocks = markdownToNotionBlocks(markdown).map((block, i) => ({ id: `old${i}`, ...block }));
+  return createFakeNotion({ root: [{ id: 'log', type: 'child_page', child_page: { title: 'Changelog' } }, ...blocks] });
+}
+
+/**
+ * Lists the IDs and text of a fake page's blocks.
+ */
+function contentOf(fake) {
+  return fake.children.root.map((block) => `${block.id}:${blockText(block)}`);
+}
+
+describe('groupSections', () => {
+  it('should split blocks at headings, numbering repeated headings', () => {
+    const sections = groupSections(markdownToNotionBlocks('Intro\n\n# A\n\ntext\n\n## Notes\n\n## Notes'));
+
+    expect(sections.map(({ key, heading, start, blocks }) => [key, heading, start, blocks.length])).toEqual([
+      ['#0', null, 0, 1],
+      ['a#0', 'A', 1, 2],
+      ['notes#0', 'Notes', 3, 1],
+      ['notes#1', 'Notes', 4, 1],
+    ]);
+  });
+});
+
+describe('diffSections', () => {
+  it('should report changed, added, moved and removed sections', () => {
+    const head = ['Intro', '', '# Project', '', 'About', '', '## Usage', '', 'Run it', '', '## Install', '', 'npm i', '', '## FAQ'].join('\n');
+
+    const changes = diffSections(markdownToNotionBlocks(BASE), markdownToNotionBlocks(head));
+
+    expect(changes.map(({ heading, status }) => [heading, status])).toEqual([
+      [null, 'unchanged'],
+      ['Project', 'unchanged'],
+      ['Usage', 'changed'],
+      ['Install', 'moved'],
+      ['FAQ', 'added'],
+    ]);
+    expect(sectionChanges(diffSections(markdownToNotionBlocks(BASE), markdownToNotionBlocks('# Project\n\nAbout')))).toEqual([
+      { heading: null, status: 'removed' },
+      { heading: 'Install', status: 'removed' },
+      { heading: 'Usage', status: 'removed' },
+    ]);
+  });
+});
+
+describe('planSectionUpdate', () => {
+  it('should refuse a page that does not hold the previous README', () => {
+    const children = markdownToNotionBlocks('# Edited by hand').map((block) => ({ id: 'b1', ...block }));
+
+    expect(planSectionUpdate(children, markdownToNotionBlocks(BASE), markdownToNotionBlocks(BASE))).toEqual({
+      ok: false,
+      reason: 'the page does not match the previous README',
+    });
+  });
+
+  it('should refuse new blocks above the first block of the page', () => {
+    const children = markdownToNotionBlocks('# Project').map((block) => ({ id: 'b1', ...block }));
+
+    const plan = planSectionUpdate(children, markdownToNotionBlocks('# Project'), markdownToNotionBlocks('Intro\n\n# Project'));
+
+    expect(plan.reason).toBe('new blocks would go above the first block of the page');
+  });
+
+  it('should write new blocks above child pages that follow the content', () => {
+    const children = [
+      ...markdownToNotionBlocks('# Project').map((block) => ({ id: 'b1', ...block })),
+      { id: 'log', type: 'child_page', child_page: { title: 'Changelog' } },
+    ];
+
+    const plan = planSectionUpdate(children, markdownToNotionBlocks('# Project'), markdownToNotionBlocks('# Renamed'));
+
+    expect(plan).toMatchObject({ ok: true, kept: 0, deleteIds: ['b1'] });
+    expect(plan.inserts).toEqual([{ after: 'b1', blocks: markdownToNotionBlocks('# Renamed') }]);
+  });
+
+  it('should refuse new blocks that could only go below child pages', () => {
+    const children = [{ id: 'log', type: 'child_page', child_page: { title: 'Changelog' } }];
+
+    expect(planSectionUpdate(children, [], markdownToNotionBlocks('# Project')).reason).toBe(
+      'new blocks would go below the child pages'
+    );
+  });
+});
+
+describe('updatePageSections', () => {
+  it('should only rewrite the blocks that changed, keeping the others and child pages', async () => {
+    const fake = pageFrom(BASE);
+    const head = BASE.replace('Run it', 'Run it now').replace('## Install\n\nnpm i\n\n', '') + '\n\n## FAQ';
+
+    const result = await updatePageSections(fake, 'root', markdownToNotionBlocks(BASE), markdownToNotionBlocks(head));
+
+    expect(result).toMatchObject({ ok: true, removed: 3, added: 2, kept: 5 });
+    expect(sectionChanges(result.changes)).toEqual([
+      { heading: 'Usage', status: 'changed' },
+      { heading: 'FAQ', status: 'added' },
+      { heading: 'Install', status: 'removed' },
+    ]);
+    expect(contentOf(fake)).toEqual([
+      'log:',
+      'old0:Intro',
+      'old1:Project',
+      'old2:About',
+      'old5:Usage',
+      expect.stringMatching(/^block\d+:Run it now$/),
+      'old7:Twice',
+      expect.stringMatching(/^block\d+:FAQ$/),
+    ]);
+  });
+
+  it('should rewrite a moved section at its new place', async () => {
+    const fake = pageFrom(BASE);
+    const head = BASE.replace('## Install\n\nnpm i\n\n', '') + '\n\n## Install\n\nnpm i';
+
+    const result = await updatePageSections(fake, 'root', markdownToNotionBlocks(BASE), markdownToNotionBlocks(head));
+
+    expect(sectionChanges(result.changes)).toEqual([{ heading: 'Install', status: 'moved' }]);
+    expect(contentOf(fake).map((line) => line.split(':')[1])).toEqual([
+      '',
+      'Intro',
+      'Project',
+      'About',
+      'Usage',
+      'Run it',
+      'Twice',
+      'Install',
+      'npm i',
+    ]);
+    expect(fake.request).not.toHaveBeenCalledWith('DELETE', '/blocks/old5');
+  });
+
+  it('should keep the README above child pages when every block changes', async () => {
+    const blocks = markdownToNotionBlocks('# Project\n\nAbout').map((block, i) => ({ id: `old${i}`, ...block }));
+    const fake = createFakeNotion({ root: [...blocks, { id: 'log', type: 'child_page', child_page: { title: 'Changelog' } }] });
+
+    const result = await updatePageSections(
+      fake,
+      'root',
+      markdownToNotionBlocks('# Project\n\nAbout'),
+      markdownToNotionBlocks('# Renamed\n\nNew text')
+    );
+
+    expect(result).toMatchObject({ ok: true, removed: 2, added: 2, kept: 0 });
+    expect(contentOf(fake).map((line) => line.split(':')[1])).toEqual(['Renamed', 'New text', '']);
+  });
+
+  it('should leave the page alone when it does not match', async () => {
+    const fake = pageFrom('# Other');
+
+    const result = await updatePageSections(fake, 'root', markdownToNotionBlocks(BASE), markdownToNotionBlocks(BASE));
+
+    expect(result.ok).toBe(false);
+    expect(fake.request).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,326 @@
+/**
+ * Builds and renders the plan of Notion, Confluence or changelog file changes for dry runs.
+ * A plan holds everything a real run would send: the changelog entry, the
+ * prompts for the agent strategy and the block JSON for the direct strategy
+ * (or the storage format for Confluence, or the line for the changelog file).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { CHANGELOG_PAGE_TITLE } = require('./constants');
+const {
+  getEntryKey,
+  formatEntryHeading,
+  buildEntryBodyBlocks,
+  buildNotionBlocks,
+  buildFindChangelogPrompt,
+  buildChangelogPrompt,
+  buildDocUpdatePrompt,
+} = require('./utils');
+const { markdownToNotionBlocks } = require('./markdown');
+const { diffSections, sectionChanges } = require('./page-sections');
+const { buildStorageEntry, markdownToStorage } = require('./storage-format');
+const { withResponseFormat } = require('./responses');
+const { buildDatabaseProperties } = require('./changelog-database');
+const { changeGroup, renderChangelogLine } = require('./changelog-file');
+
+/** Placeholder for the Changelog page ID, which is only known once Notion is read */
+const CHANGELOG_PAGE_PLACEHOLDER = '<changelog-page-id>';
+
+/** File name of the JSON plan written by dry runs */
+const PLAN_FILE_NAME = 'doc-updater-plan.json';
+
+/**
+ * Builds the plan of changes a run would make.
+ * @param {Object} entry - Changelog entry, with docContent when docs are synced.
+ * @param {Object} options - Run settings.
+ * @param {string} options.target - "notion", "confluence" or "markdown-file".
+ * @param {string} options.notionPageId - Main Notion page ID.
+ * @param {string} options.confluencePageId - Main Confluence page ID, for the Confluence target.
+ * @param {string} options.changelogPageId - Page the changelog goes under, when the configuration
+ *   moves it off the main page.
+ * @param {string} options.changelogDatabaseId - Changelog database set by the configuration, if any.
+ * @param {string} options.docPageId - Page README.md is mapped to by the configuration, if any.
+ * @param {string} options.changelogFile - Changelog file path, for the markdown-file target.
+ * @param {string} options.changelogFileMode - "commit" or "pull-request", for the markdown-file target.
+ * @param {boolean} options.writeChangelog - Whether the run writes a changelog entry (false with a skip label).
+ * @param {Array<string>} options.skipped - Notes on what the run leaves out, from gatePullRequest.
+ * @param {string} options.writeStrategy - "agent" or "direct".
+ * @param {string} options.updateMode - "changelog-only" or "changelog-and-doc".
+ * @param {string} options.onExisting - What to do with an existing entry.
+ * @param {string} options.changelogTarget - "page" or "database".
+ * @param {string} options.model - Model used by the agent strategy.
+ * @param {Object} options.docsPlan - Plan from planDocsSync, if any.
+ * @param {Object} options.readmeBase - `{ ref, content }` of the README the page was last written from,
+ *   when the direct strategy updates it section by section.
+ * @param {Object} options.urls - Base URLs for the Markdown converter.
+ * @returns {Object} The plan, safe to serialize as JSON.
+ */
+function buildRunPlan(entry, {
+  target = 'notion',
+  notionPageId,
+  confluencePageId,
+  changelogPageId = null,
+  changelogDatabaseId = null,
+  docPageId = null,
+  changelogFile,
+  changelogFileMode,
+  writeChangelog = true,
+  skipped = [],
+  writeStrategy,
+  updateMode,
+  onExisting,
+  changelogTarget = 'page',
+  model,
+  docsPlan = null,
+  readmeBase = null,
+  urls = {},
+}) {
+  const { docContent, docDiff, docSections, ...entryFields } = entry;
+  const isConfluence = target === 'confluence';
+  const isFile = target === 'markdown-file';
+  const pageId = isConfluence ? confluencePageId : notionPageId;
+  const changelogParentId = changelogPageId || pageId;
+  const documentationPageId = docPageId || pageId;
+
+  // Database rows, Confluence pages and the changelog file are always written through the API, so they have no prompts
+  let changelog = null;
+  if (!writeChangelog) {
+    // Left out by a skip label
+  } else if (isFile) {
+    changelog = {
+      target: 'file',
+      path: changelogFile,
+      mode: changelogFileMode,
+      group: changeGroup(entry),
+      line: renderChangelogLine(entry),
+    };
+  } else if (isConfluence) {
+    changelog = {
+      target: 'page',
+      parentPageId: changelogParentId,
+      pageTitle: CHANGELOG_PAGE_TITLE,
+      storage: buildStorageEntry(entry),
+    };
+  } else if (changelogTarget === 'database') {
+    changelog = {
+      target: 'database',
+      ...(changelogDatabaseId ? { databaseId: changelogDatabaseId } : { parentPageId: changelogParentId }),
+      pageTitle: CHANGELOG_PAGE_TITLE,
+      properties: buildDatabaseProperties(entry),
+      blocks: buildEntryBodyBlocks(entry),
+    };
+  } else {
+    changelog = {
+      target: 'page',
+      parentPageId: changelogParentId,
+      pageTitle: CHANGELOG_PAGE_TITLE,
+      findPrompt: withResponseFormat(buildFindChangelogPrompt(changelogParentId), { requirePageId: true }),
+      prompt: withResponseFormat(buildChangelogPrompt(entry, CHANGELOG_PAGE_PLACEHOLDER)),
+      blocks: buildNotionBlocks(entry),
+    };
+  }
+
+  const plan = {
+    settings: {
+      target,
+      ...(isFile ? { changelogFile, changelogFileMode } : isConfluence ? { confluencePageId } : { notionPageId }),
+      writeStrategy,
+      updateMode,
+      onExisting,
+      changelogTarget,
+      model,
+    },
+    entry: { ...entryFields, key: getEntryKey(entry) },
+    changelog,
+    documentation: null,
+    docsPages: docsPlan,
+    skipped,
+  };
+
+  if (updateMode !== 'changelog-only' && entry.hasReadme) {
+    const readmeKey = Object.keys(docContent).find((p) => /^readme\.md$/i.test(p));
+    const blocks = markdownToNotionBlocks(docContent[readmeKey], urls);
+    plan.documentation = isConfluence
+      ? {
+        pageId: documentationPageId,
+        source: readmeKey,
+        sections: docSections || [],
+        storage: markdownToStorage(docContent[readmeKey], urls),
+      }
+      : {
+        pageId: documentationPageId,
+        source: readmeKey,
+        sections: docSections || [],
+        prompt: withResponseFormat(buildDocUpdatePrompt(entry, documentationPageId), { reportSections: true }),
+        blocks,
+      };
+    if (readmeBase && !isConfluence && writeStrategy === 'direct') {
+      plan.documentation.since = readmeBase.ref;
+      plan.documentation.sectionChanges = sectionChanges(diffSections(markdownToNotionBlocks(readmeBase.content, urls), blocks));
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Wraps text in a collapsible section for the job summary.
+ */
+function details(summary, body) {
+  return `<details><summary>${summary}</summary>\n\n${body}\n\n</details>\n`;
+}
+
+/**
+ * Formats a value as a fenced code block.
+ */
+function codeBlock(content, language = '') {
+  return `\`\`\`${language}\n${content}\n\`\`\`\n`;
+}
+
+/**
+ * Renders a plan as Markdown for the GitHub job summary.
+ * @param {Object} plan - Plan from buildRunPlan.
+ * @returns {string} Markdown report.
+ */
+function renderPlanSummary(plan) {
+  const { settings, entry, changelog, documentation, docsPages, skipped = [] } = plan;
+  const destination = {
+    notion: 'Notion',
+    confluence: 'Confluence',
+    'markdown-file': `\`${settings.changelogFile}\``,
+  }[settings.target];
+  const lines = [
+    `## 🧪 Dry run: planned ${destination} changes`,
+    '',
+    `Nothing was written to ${destination}.`,
+    '',
+    '| Setting | Value |',
+    '|---------|-------|',
+    ...Object.entries(settings).map(([key, value]) => `| ${key} | \`${value}\` |`),
+    '',
+    '### Changelog entry',
+    '',
+    `**${formatEntryHeading(entry)}** (${entry.key})`,
+    '',
+  ];
+  if (entry.bump) {
+    const category = entry.category ? `${entry.category}, ` : '';
+    lines.push(`Category: ${category}suggesting a **${entry.bump}** version bump.`, '');
+  }
+
+  if (!changelog) {
+    lines.push('Not written, see "Skipped" below.', '');
+  } else if (changelog.target === 'file') {
+    const delivery = changelog.mode === 'pull-request' ? 'proposed in a pull request' : 'committed to the base branch';
+    lines.push(
+      `Added under "Unreleased" › "${changelog.group}" in \`${changelog.path}\` and ${delivery}, ` +
+        `or handled with on-existing \`${settings.onExisting}\` if ${entry.key} is already there.`,
+      '',
+      codeBlock(changelog.line, 'markdown')
+    );
+  } else if (changelog.storage) {
+    lines.push(
+      `Appended to the "${changelog.pageTitle}" child page of \`${changelog.parentPageId}\`, ` +
+        `or handled with on-existing \`${settings.onExisting}\` if ${entry.key} is already there.`,
+      '',
+      details('Storage format', codeBlock(changelog.storage, 'xml'))
+    );
+  } else if (changelog.target === 'database') {
+    lines.push(
+      (changelog.databaseId
+        ? `Added as a row of the database \`${changelog.databaseId}\`, `
+        : `Added as a row of the "${changelog.pageTitle}" database under \`${changelog.parentPageId}\` (created if missing), `) +
+        `or handled with on-existing \`${settings.onExisting}\` if a row for ${entry.url} is already there.`,
+      '',
+      details('Row properties', codeBlock(JSON.stringify(changelog.properties, null, 2), 'json')),
+      details(`Row page blocks (${changelog.blocks.length})`, codeBlock(JSON.stringify(changelog.blocks, null, 2), 'json'))
+    );
+  } else {
+    lines.push(
+      `Appended to the "${changelog.pageTitle}" child page of \`${changelog.parentPageId}\`, ` +
+        `or handled with on-existing \`${settings.onExisting}\` if ${entry.key} is already there.`,
+      '',
+      details('Agent prompt: find Changelog page', codeBlock(changelog.findPrompt, 'text')),
+      details('Agent prompt: add entry', codeBlock(changelog.prompt, 'text')),
+      details(`Notion blocks (${changelog.blocks.length})`, codeBlock(JSON.stringify(changelog.blocks, null, 2), 'json'))
+    );
+  }
+
+  if (skipped.length > 0) {
+    lines.push('### Skipped', '', ...skipped.map((note) => `- ⏭️ ${note}`), '');
+  }
+
+  if (documentation) {
+    lines.push(
+      '### Documentation page',
+      '',
+      documentation.sectionChanges
+        ? `Sections of \`${documentation.pageId}\` that changed in \`${documentation.source}\` since \`${documentation.since}\` rewritten, ` +
+          'or the whole content replaced if the page no longer matches that README.'
+        : `Content of \`${documentation.pageId}\` replaced from \`${documentation.source}\`.`,
+      ''
+    );
+    if (documentation.sectionChanges) {
+      const icons = { added: '➕', changed: '✏️', moved: '↕️', removed: '🗑️' };
+      lines.push(
+        ...(documentation.sectionChanges.length > 0
+          ? documentation.sectionChanges.map(
+            ({ heading, status }) => `- ${icons[status]} ${status} ${heading === null ? '(before the first heading)' : `"${heading}"`}`
+          )
+          : ['- No section changed']),
+        ''
+      );
+    }
+    const { sections = [] } = documentation;
+    if (sections.length > 0) {
+      lines.push(
+        `Sections of \`${documentation.source}\` edited by ${entry.key}:`,
+        '',
+        ...sections.map(({ heading, reason }) => `- ${heading || '(before the first heading)'}: ${reason}`),
+        ''
+      );
+    }
+    if (documentation.storage !== undefined) {
+      lines.push(details('Storage format', codeBlock(documentation.storage, 'xml')));
+    } else {
+      lines.push(
+        details('Agent prompt', codeBlock(documentation.prompt, 'text')),
+        details(`Notion blocks (${documentation.blocks.length})`, codeBlock(JSON.stringify(documentation.blocks, null, 2), 'json'))
+      );
+    }
+  }
+
+  if (docsPages && (docsPages.upsert.length > 0 || docsPages.archive.length > 0)) {
+    lines.push(
+      '### docs/ pages',
+      '',
+      ...docsPages.upsert.map((p) => `- ✏️ write \`${p}\``),
+      ...docsPages.archive.map((p) => `- 🗑️ archive \`${p}\``),
+      ...docsPages.skipped.map((p) => `- ⏭️ skip \`${p}\` (over the per-run limit)`),
+      ''
+    );
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Writes a plan as JSON to the runner's temp directory.
+ * @param {Object} plan - Plan from buildRunPlan.
+ * @param {string} dir - Directory to write to (defaults to RUNNER_TEMP or the OS temp dir).
+ * @returns {string} Path of the written file.
+ */
+function writePlanFile(plan, dir = process.env.RUNNER_TEMP || os.tmpdir()) {
+  const file = path.join(dir, PLAN_FILE_NAME);
+  fs.writeFileSync(file, `${JSON.stringify(plan, null, 2)}\n`);
+  return file;
+}
+
+module.exports = {
+  CHANGELOG_PAGE_PLACEHOLDER,
+  buildRunPlan,
+  renderPlanSummary,
+  writePlanFile,
+};
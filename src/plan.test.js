@@ -0,0 +1,281 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  CHANGELOG_PAGE_PLACEHOLDER,
+  buildRunPlan,
+  renderPlanSummary,
+  writePlanFile,
+} = require('./plan');
+
+const settings = {
+  notionPageId: 'main-page',
+  writeStrategy: 'agent',
+  updateMode: 'changelog-and-doc',
+  onExisting: 'skip',
+  model: 'gpt-4o',
+};
+
+/**
+ * Builds a PR changelog entry, optionally with README content.
+ */
+function prEntry(docContent = null) {
+  const entry = {
+    type: 'pr',
+    key: 'PR #42',
+    date: '2026-01-21',
+    title: 'Add feature',
+    prNumber: 42,
+    author: 'dev',
+    url: 'https://github.com/org/repo/pull/42',
+    summary: 'Adds a feature',
+    files: '- src/index.js (modified, +1/-0)',
+  };
+  if (docContent) {
+    return { ...entry, docContent, hasReadme: 'README.md' in docContent, docFiles: Object.keys(docContent) };
+  }
+  return entry;
+}
+
+describe('buildRunPlan', () => {
+  it('should include the changelog prompt and blocks', () => {
+    const plan = buildRunPlan(prEntry(), { ...settings, updateMode: 'changelog-only' });
+
+    expect(plan.settings).toEqual({
+      ...settings,
+      target: 'notion',
+      updateMode: 'changelog-only',
+      changelogTarget: 'page',
+    });
+    expect(plan.entry.key).toBe('PR #42');
+    expect(plan.changelog.pageTitle).toBe('Changelog');
+    expect(plan.changelog.findPrompt).toContain('"pageId"');
+    expect(plan.changelog.prompt).toContain(CHANGELOG_PAGE_PLACEHOLDER);
+    expect(plan.changelog.prompt).toContain('respond with ONLY a JSON object');
+    expect(plan.changelog.blocks).toHaveLength(5);
+    expect(plan.documentation).toBeNull();
+  });
+
+  it('should include the README prompt and converted blocks', () => {
+    const plan = buildRunPlan(prEntry({ 'README.md': '# Project\n\nHello' }), settings);
+
+    expect(plan.documentation.source).toBe('README.md');
+    expect(plan.documentation.prompt).toContain('# Project');
+    expect(plan.documentation.blocks.map((b) => b.type)).toEqual(['heading_1', 'paragraph']);
+    expect(plan.entry.docContent).toBeUndefined();
+  });
+
+  it('should plan a database row without prompts for the database target', () => {
+    const plan = buildRunPlan(prEntry(), { ...settings, changelogTarget: 'database' });
+
+    expect(plan.changelog.target).toBe('database');
+    expect(plan.changelog.prompt).toBeUndefined();
+    expect(plan.changelog.properties.Title.title[0].text.content).toBe('Add feature');
+    expect(plan.changelog.properties['PR number']).toEqual({ number: 42 });
+    expect(plan.changelog.blocks.map((b) => b.type)).toEqual(['paragraph', 'toggle']);
+  });
+
+  it('should use the pages and database set by the configuration file', () => {
+    const entry = prEntry({ 'README.md': '# Project' });
+
+    const plan = buildRunPlan(entry, { ...settings, changelogPageId: 'changelog-parent', docPageId: 'readme-page' });
+    const databasePlan = buildRunPlan(entry, { ...settings, changelogTarget: 'database', changelogDatabaseId: 'db-9' });
+
+    expect(plan.changelog.parentPageId).toBe('changelog-parent');
+    expect(plan.changelog.findPrompt).toContain('changelog-parent');
+    expect(plan.documentation.pageId).toBe('readme-page');
+    expect(plan.documentation.prompt).toContain('readme-page');
+    expect(databasePlan.changelog).toMatchObject({ target: 'database', databaseId: 'db-9' });
+    expect(databasePlan.changelog.parentPageId).toBeUndefined();
+  });
+
+  it('should plan storage format for the Confluence target', () => {
+    const { notionPageId, ...rest } = settings;
+    const plan = buildRunPlan(prEntry({ 'README.md': '# Project\n\nHello' }), {
+      ...rest,
+      target: 'confluence',
+      writeStrategy: 'direct',
+      confluencePageId: '12345',
+    });
+
+    expect(plan.settings.confluencePageId).toBe('12345');
+    expect(plan.settings.notionPageId).toBeUndefined();
+    expect(plan.changelog.parentPageId).toBe('12345');
+    expect(plan.changelog.storage).toContain('<h2>2026-01-21 - Add feature</h2>');
+    expect(plan.changelog.blocks).toBeUndefined();
+    expect(plan.documentation).toEqual({
+      pageId: '12345',
+      source: 'README.md',
+      sections: [],
+      storage: '<h1>Project</h1>\n<p>Hello</p>',
+    });
+  });
+
+  it('should plan a changelog line for the markdown-file target', () => {
+    const { notionPageId, ...rest } = settings;
+    const plan = buildRunPlan(prEntry({ 'README.md': '# Project' }), {
+      ...rest,
+      target: 'markdown-file',
+      writeStrategy: 'direct',
+      updateMode: 'changelog-only',
+      changelogFile: 'CHANGELOG.md',
+      changelogFileMode: 'pull-request',
+    });
+
+    expect(plan.settings).toMatchObject({ changelogFile: 'CHANGELOG.md', changelogFileMode: 'pull-request' });
+    expect(plan.settings.notionPageId).toBeUndefined();
+    expect(plan.changelog).toEqual({
+      target: 'file',
+      path: 'CHANGELOG.md',
+      mode: 'pull-request',
+      group: 'Changed',
+      line: '- Add feature ([PR #42](https://github.com/org/repo/pull/42)) by @dev',
+    });
+    expect(plan.documentation).toBeNull();
+  });
+
+  it('should leave out a skipped changelog entry', () => {
+    const skipped = ['Changelog entry skipped: PR #42 has the "skip-changelog" label'];
+
+    const plan = buildRunPlan(prEntry({ 'README.md': '# Project' }), { ...settings, writeChangelog: false, skipped });
+
+    expect(plan.changelog).toBeNull();
+    expect(plan.documentation.source).toBe('README.md');
+    expect(plan.skipped).toEqual(skipped);
+  });
+
+  it('should carry the docs pages plan', () => {
+    const docsPlan = { upsert: ['docs/a.md'], archive: [], skipped: [] };
+
+    const plan = buildRunPlan(prEntry({ 'README.md': '# Project' }), { ...settings, docsPlan });
+
+    expect(plan.docsPages).toBe(docsPlan);
+  });
+});
+
+describe('renderPlanSummary', () => {
+  it('should render settings, entry and collapsible JSON', () => {
+    const docsPlan = { upsert: ['docs/a.md'], archive: ['docs/old.md'], skipped: [] };
+    const plan = buildRunPlan(prEntry({ 'README.md': '# Project' }), { ...settings, docsPlan });
+
+    const summary = renderPlanSummary(plan);
+
+    expect(summary).toContain('Dry run');
+    expect(summary).toContain('| writeStrategy | `agent` |');
+    expect(summary).toContain('**2026-01-21 - Add feature** (PR #42)');
+    expect(summary).toContain('<summary>Notion blocks (5)</summary>');
+    expect(summary).toContain('### Documentation page');
+    expect(summary).toContain('- ✏️ write `docs/a.md`');
+    expect(summary).toContain('- 🗑️ archive `docs/old.md`');
+  });
+
+  it('should list the sections a direct sync rewrites since the previous README', () => {
+    const readme = '# Project\n\n## Usage\n\nNew';
+    const plan = buildRunPlan(prEntry({ 'README.md': readme }), {
+      ...settings,
+      writeStrategy: 'direct',
+      readmeBase: { ref: 'abc1234', content: '# Project\n\n## Usage\n\nOld\n\n## FAQ' },
+    });
+
+    const summary = renderPlanSummary(plan);
+
+    expect(plan.documentation.sectionChanges).toEqual([
+      { heading: 'Usage', status: 'changed' },
+      { heading: 'FAQ', status: 'removed' },
+    ]);
+    expect(summary).toContain('that changed in `README.md` since `abc1234` rewritten');
+    expect(summary).toContain('- ✏️ changed "Usage"\n- 🗑️ removed "FAQ"');
+  });
+
+  it('should list the README sections the change edits', () => {
+    const entry = {
+      ...prEntry({ 'README.md': '# Project' }),
+      docSections: [{ heading: 'Inputs', reason: 'README.md changed (+1/-0 lines)' }],
+    };
+
+    const summary = renderPlanSummary(buildRunPlan(entry, settings));
+
+    expect(summary).toContain('Sections of `README.md` edited by PR #42:\n\n- Inputs: README.md changed (+1/-0 lines)');
+  });
+
+  it('should render row properties for the database target', () => {
+    const plan = buildRunPlan(prEntry(), { ...settings, changelogTarget: 'database' });
+
+    const summary = renderPlanSummary(plan);
+
+    expect(summary).toContain('| changelogTarget | `database` |');
+    expect(summary).toContain('row of the "Changelog" database');
+    expect(summary).toContain('<summary>Row properties</summary>');
+    expect(summary).not.toContain('Agent prompt: add entry');
+  });
+
+  it('should render storage format for the Confluence target', () => {
+    const plan = buildRunPlan(prEntry({ 'README.md': '# Project' }), {
+      ...settings,
+      target: 'confluence',
+      writeStrategy: 'direct',
+      confluencePageId: '12345',
+    });
+
+    const summary = renderPlanSummary(plan);
+
+    expect(summary).toContain('planned Confluence changes');
+    expect(summary).toContain('<summary>Storage format</summary>');
+    expect(summary).not.toContain('Notion blocks');
+  });
+
+  it('should render the changelog line for the markdown-file target', () => {
+    const plan = buildRunPlan(prEntry(), {
+      ...settings,
+      target: 'markdown-file',
+      writeStrategy: 'direct',
+      updateMode: 'changelog-only',
+      changelogFile: 'docs/CHANGELOG.md',
+      changelogFileMode: 'commit',
+    });
+
+    const summary = renderPlanSummary(plan);
+
+    expect(summary).toContain('planned `docs/CHANGELOG.md` changes');
+    expect(summary).toContain('Added under "Unreleased" › "Changed" in `docs/CHANGELOG.md` and committed to the base branch');
+    expect(summary).toContain('```markdown\n- Add feature ([PR #42]');
+    expect(summary).not.toContain('Notion blocks');
+  });
+
+  it('should list what the run skips', () => {
+    const plan = buildRunPlan(prEntry(), {
+      ...settings,
+      updateMode: 'changelog-only',
+      writeChangelog: false,
+      skipped: ['Changelog entry skipped: PR #42 has the "skip-changelog" label'],
+    });
+
+    const summary = renderPlanSummary(plan);
+
+    expect(summary).toContain('Not written, see "Skipped" below.');
+    expect(summary).toContain('### Skipped\n\n- ⏭️ Changelog entry skipped: PR #42 has the "skip-changelog" label');
+  });
+
+  it('should omit empty sections', () => {
+    const plan = buildRunPlan(prEntry(), { ...settings, updateMode: 'changelog-only' });
+
+    const summary = renderPlanSummary(plan);
+
+    expect(summary).not.toContain('### Documentation page');
+    expect(summary).not.toContain('### docs/ pages');
+    expect(summary).not.toContain('### Skipped');
+  });
+});
+
+describe('writePlanFile', () => {
+  it('should write the plan as JSON', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plan-test-'));
+    const plan = buildRunPlan(prEntry(), settings);
+
+    const file = writePlanFile(plan, dir);
+
+    expect(file).toBe(path.join(dir, 'doc-updater-plan.json'));
+    expect(JSON.parse(fs.readFileSync(file, 'utf-8'))).toEqual(plan);
+    fs.rmSync(dir, { recursive: true });
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Preview comments on open pull requests: the changelog entry and the documentation changes that
+ * merging would publish, rendered from the dry-run plan. The comment carries a hidden marker, so
+ * each later run updates the same comment instead of adding one.
+ */
+
+const { PREVIEW_COMMENT_MARKER, CHANGE_CATEGORIES, SHORT_SHA_LENGTH } = require('./constants');
+const { describeBump, templateValues } = require('./utils');
+const { entryTemplate, renderTemplate } = require('./entry-template');
+
+const SECTION_ICONS = { added: '➕', changed: '✏️', moved: '↕️', removed: '🗑️' };
+
+/**
+ * Renders a changelog entry as Markdown from its template, as it will read on the Changelog page.
+ * @param {Object} entry - The changelog entry (or the `entry` of a plan).
+ * @returns {string} Markdown, e.g. heading, reference, category, summary, release notes and changed files.
+ */
+function renderEntryMarkdown(entry) {
+  const values = templateValues(entry);
+  const lines = renderTemplate(entryTemplate(entry), values, {
+    heading: (text) => [`### ${text}`, ''],
+    // The reference starts with the entry key, which links to the pull request, release or commit
+    reference: (text) => [`[${values.key}](${entry.url})${text.substring(values.key.length)}`, ''],
+    paragraph: (text) => [text, ''],
+    toggle: (title, code) => [`<details><summary>${title}</summary>`, '', '```', code, '```', '', '</details>', ''],
+    category: () => (entry.category
+      ? [`> ${CHANGE_CATEGORIES[entry.category].emoji} **${entry.category}** · ${describeBump(entry)}`, '']
+      : []),
+    'release-notes': () => (entry.groups || []).flatMap((group) => [
+      `#### ${group.title}`,
+      '',
+      ...group.pullRequests.map((pullRequest) => `- [#${pullRequest.number}](${pullRequest.url}) ${pullRequest.title} by @${pullRequest.author}`),
+      '',
+    ]),
+    // The comment ends where the entry does
+    divider: () => [],
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Renders the documentation part of a plan: the page rewrite and the docs/ pages.
+ * @param {Object} plan - Plan from buildRunPlan.
+ * @returns {Array<string>} Markdown lines, none when the merge leaves the documentation alone.
+ */
+function documentationLines({ documentation, docsPages }) {
+  const lines = [];
+  if (documentation) {
+    const { sectionChanges, sections = [] } = documentation;
+    if (sectionChanges) {
+      lines.push(`The documentation page is updated from \`${documentation.source}\`, section by section:`, '');
+      lines.push(
+        ...(sectionChanges.length > 0
+          ? sectionChanges.map(
+            ({ heading, status }) => `- ${SECTION_ICONS[status]} ${status} ${heading === null ? '(before the first heading)' : `"${heading}"`}`
+          )
+          : ['- No section changed']),
+        ''
+      );
+    } else {
+      lines.push(`The documentation page is updated from \`${documentation.source}\`.`, '');
+    }
+    if (sections.length > 0) {
+      lines.push(
+        `Sections of \`${documentation.source}\` edited:`,
+        '',
+        ...sections.map(({ heading, reason }) => `- ${heading || '(before the first heading)'}: ${reason}`),
+        ''
+      );
+    }
+  }
+  if (docsPages && (docsPages.upsert.length > 0 || docsPages.archive.length > 0)) {
+    lines.push(
+      'docs/ pages:',
+      '',
+      ...docsPages.upsert.map((p) => `- ✏️ write \`${p}\``),
+      ...docsPages.archive.map((p) => `- 🗑️ archive \`${p}\``),
+      ...docsPages.skipped.map((p) => `- ⏭️ skip \`${p}\` (over the per-run limit)`),
+      ''
+    );
+  }
+  return lines;
+}
+
+/**
+ * Renders the preview comment of a pull request from its plan.
+ * @param {Object} plan - Plan from buildRunPlan.
+ * @param {Object} options - Optional settings.
+ * @param {string} options.ref - Head commit SHA the preview was built from.
+ * @returns {string} Comment body, starting with the preview marker.
+ */
+function renderPreviewComment(plan, { ref } = {}) {
+  const { settings, entry, changelog, skipped = [] } = plan;
+  const destination = {
+    notion: 'Notion',
+    confluence: 'Confluence',
+    'markdown-file': `\`${settings.changelogFile}\``,
+  }[settings.target];
+  const lines = [PREVIEW_COMMENT_MARKER, '## 👀 Changelog preview', ''];
+
+  if (!changelog) {
+    lines.push(`Merging ${entry.key} publishes no changelog entry to ${destination}.`, '');
+  } else if (changelog.target === 'file') {
+    lines.push(
+      `Merging ${entry.key} adds this line under "Unreleased" › "${changelog.group}" in ${destination}:`,
+      '',
+      changelog.line,
+      ''
+    );
+  } else {
+    lines.push(`Merging ${entry.key} publishes this entry to ${destination}:`, '', renderEntryMarkdown(entry));
+  }
+
+  const documentation = documentationLines(plan);
+  if (documentation.length > 0) {
+    lines.push('### Documentation', '', ...documentation);
+  }
+  if (skipped.length > 0) {
+    lines.push('### Skipped', '', ...skipped.map((note) => `- ⏭️ ${note}`), '');
+  }
+
+  const commit = ref ? ` Built from ${ref.substring(0, SHORT_SHA_LENGTH)}.` : '';
+  lines.push(`<sub>Edit the pull request title or description to change the entry; this comment is updated on every push.${commit}</sub>`);
+  return lines.join('\n');
+}
+
+/**
+ * Renders the preview comment of a pull request that merging would not document at all.
+ * @param {string} key - Entry key, e.g. "PR #42".
+ * @param {string} reason - Skip reason from gatePullRequest.
+ * @returns {string} Comment body, starting with the preview marker.
+ */
+function renderSkippedPreviewComment(key, reason) {
+  return [PREVIEW_COMMENT_MARKER, '## 👀 Changelog preview', '', `Merging ${key} publishes nothing: ${reason}.`].join('\n');
+}
+
+/**
+ * Returns a test for the comments posted with the action's token.
+ * @param {Object} octokit - GitHub API client.
+ * @returns {Promise<Function>} Takes a comment and tells whether the token posted it: a comment of the
+ *   token's user, or for an installation token (the workflow's GITHUB_TOKEN or a GitHub App's), which
+ *   can't read its own user, a comment posted by an app.
+ */
+async function ownCommentTest(octokit) {
+  try {
+    const { data } = await octokit.rest.users.getAuthenticated();
+    return (comment) => Boolean(comment.user) && comment.user.login === data.login;
+  } catch {
+    return (comment) => Boolean(comment.performed_via_github_app) || Boolean(comment.user && comment.user.type === 'Bot');
+  }
+}
+
+/**
+ * Creates the preview comment of a pull request, or updates the one an earlier run posted.
+ * Only a comment the token posted counts, so a person quoting the marker is never overwritten.
+ * @param {Object} octokit - GitHub API client.
+ * @param {Object} repository - `owner` and `repo`.
+ * @param {number} issueNumber - Pull request number.
+ * @param {string} body - Comment body from renderPreviewComment.
+ * @returns {Promise<Object>} The `action` taken ("created", "updated" or "unchanged") and the comment `url`.
+ */
+async function upsertPreviewComment(octokit, { owner, repo }, issueNumber, body) {
+  const comments = await octokit.paginate(octokit.rest.issues.listComments, {
+    owner,
+    repo,
+    issue_number: issueNumber,
+    per_page: 100,
+  });
+  const isOwn = await ownCommentTest(octokit);
+  const existing = comments.find((comment) => isOwn(comment) && (comment.body || '').includes(PREVIEW_COMMENT_MARKER));
+
+  if (!existing) {
+    const { data } = await octokit.rest.issues.createComment({ owner, repo, issue_number: issueNumber, body });
+    return { action: 'created', url: data.html_url };
+  }
+  if (existing.body === body) {
+    return { action: 'unchanged', url: existing.html_url };
+  }
+  const { data } = await octokit.rest.issues.updateComment({ owner, repo, comment_id: existing.id, body });
+  return { action: 'updated', url: data.html_url };
+}
+
+module.exports = {
+  renderEntryMarkdown,
+  renderPreviewComment,
+  renderSkippedPreviewComment,
+  upsertPreviewComment,
+};
@@ -0,0 +1,224 @@
+const {
+  renderEntryMarkdown,
+  renderPreviewComment,
+  renderSkippedPreviewComment,
+  upsertPreviewComment,
+} = require('./preview');
+const { buildRunPlan } = require('./plan');
+const { PREVIEW_COMMENT_MARKER } = require('./constants');
+
+const repository = { owner: 'org', repo: 'repo' };
+
+const settings = {
+  notionPageId: 'main-page',
+  writeStrategy: 'direct',
+  updateMode: 'changelog-and-doc',
+  onExisting: 'skip',
+  model: 'gpt-4o',
+};
+
+/**
+ * Builds a PR changelog entry, optionally with README content.
+ */
+function prEntry(fields = {}) {
+  return {
+    type: 'pr',
+    key: 'PR #42',
+    date: '2026-01-21',
+    title: 'Add feature',
+    prNumber: 42,
+    author: 'dev',
+    url: 'https://github.com/org/repo/pull/42',
+    summary: 'Adds a feature',
+    files: '- src/index.js (modified, +1/-0)',
+    ...fields,
+  };
+}
+
+/**
+ * Creates an Octokit mock serving the comments of one pull request.
+ */
+function mockOctokit(comments = [], login = 'doc-bot') {
+  return {
+    paginate: jest.fn(async (method, params) => (await method(params)).data),
+    rest: {
+      users: {
+        getAuthenticated: jest.fn(async () => {
+          if (!login) throw new Error('Resource not accessible by integration');
+          return { data: { login } };
+        }),
+      },
+      issues: {
+        listComments: jest.fn(async () => ({ data: comments })),
+        createComment: jest.fn(async ({ body }) => ({ data: { id: 9, body, html_url: 'https://github.com/org/repo/pull/42#issuecomment-9' } })),
+        updateComment: jest.fn(async ({ comment_id: id, body }) => ({
+          data: { id, body, html_url: `https://github.com/org/repo/pull/42#issuecomment-${id}` },
+        })),
+      },
+    },
+  };
+}
+
+describe('renderEntryMarkdown', () => {
+  it('should render the heading, reference, category, summary and changed files', () => {
+    const markdown = renderEntryMarkdown(
+      prEntry({ category: 'Added', bump: 'minor', categorySource: 'title prefix "feat"' })
+    );
+
+    expect(markdown).toContain('### 2026-01-21 - Add feature');
+    expect(markdown).toContain('[PR #42](https://github.com/org/repo/pull/42) by @dev');
+    expect(markdown).toContain('> ✨ **Added** · minor bump · from title prefix "feat"');
+    expect(markdown).toContain('Adds a feature');
+    expect(markdown).toContain('<details><summary>Changed files</summary>\n\n```\n- src/index.js (modified, +1/-0)\n```');
+  });
+
+  it('should leave out the category of an unclassified entry', () => {
+    expect(renderEntryMarkdown(prEntry())).not.toContain('> ');
+  });
+
+  it('should follow the entry template', () => {
+    const template = [{ heading: '${title} (#${prNumber})' }, { reference: '${key}, thanks ${author}' }, { paragraph: '${summary}' }];
+
+    expect(renderEntryMarkdown(prEntry({ template }))).toBe(
+      '### Add feature (#42)\n\n[PR #42](https://github.com/org/repo/pull/42), thanks @dev\n\nAdds a feature\n'
+    );
+  });
+});
+
+describe('renderPreviewComment', () => {
+  it('should render the entry and the section changes of the documentation page', () => {
+    const entry = prEntry({ docContent: { 'README.md': '# Project\n\nNew text' }, hasReadme: 'README.md' });
+    const plan = buildRunPlan(entry, {
+      ...settings,
+      readmeBase: { ref: 'base123', content: '# Project\n\nOld text' },
+    });
+
+    const body = renderPreviewComment(plan, { ref: '0123456789abcdef' });
+
+    expect(body.startsWith(PREVIEW_COMMENT_MARKER)).toBe(true);
+    expect(body).toContain('Merging PR #42 publishes this entry to Notion:');
+    expect(body).toContain('### 2026-01-21 - Add feature');
+    expect(body).toContain('The documentation page is updated from `README.md`, section by section:');
+    expect(body).toContain('- ✏️ changed "Project"');
+    expect(body).toContain('Built from 0123456.');
+  });
+
+  it('should render the changelog line of the markdown-file target', () => {
+    const plan = buildRunPlan(prEntry({ category: 'Fixed', bump: 'patch' }), {
+      ...settings,
+      target: 'markdown-file',
+      changelogFile: 'CHANGELOG.md',
+      changelogFileMode: 'commit',
+      updateMode: 'changelog-only',
+    });
+
+    const body = renderPreviewComment(plan);
+
+    expect(body).toContain('Merging PR #42 adds this line under "Unreleased" › "Fixed" in `CHANGELOG.md`:');
+    expect(body).toContain('- Add feature ([PR #42](https://github.com/org/repo/pull/42)) by @dev');
+    expect(body).not.toContain('### Documentation');
+  });
+
+  it('should list what a skip label leaves out', () => {
+    const plan = buildRunPlan(prEntry(), {
+      ...settings,
+      updateMode: 'changelog-only',
+      writeChangelog: false,
+      skipped: ['Changelog entry skipped: PR #42 has the "skip-changelog" label'],
+    });
+
+    const body = renderPreviewComment(plan);
+
+    expect(body).toContain('Merging PR #42 publishes no changelog entry to Notion.');
+    expect(body).toContain('- ⏭️ Changelog entry skipped: PR #42 has the "skip-changelog" label');
+  });
+});
+
+describe('renderSkippedPreviewComment', () => {
+  it('should explain why nothing is published', () => {
+    expect(renderSkippedPreviewComment('PR #42', 'PR #42 has the "skip-changelog" label')).toBe(
+      `${PREVIEW_COMMENT_MARKER}\n## 👀 Changelog preview\n\nMerging PR #42 publishes nothing: PR #42 has the "skip-changelog" label.`
+    );
+  });
+});
+
+describe('upsertPreviewComment', () => {
+  const body = `${PREVIEW_COMMENT_MARKER}\nPreview`;
+
+  it('should create the comment on the first run', async () => {
+    const octokit = mockOctokit([{ id: 1, body: 'LGTM' }]);
+
+    const result = await upsertPreviewComment(octokit, repository, 42, body);
+
+    expect(result).toEqual({ action: 'created', url: 'https://github.com/org/repo/pull/42#issuecomment-9' });
+    expect(octokit.rest.issues.createComment).toHaveBeenCalledWith({ ...repository, issue_number: 42, body });
+  });
+
+  it('should update the comment posted by an earlier run', async () => {
+    const octokit = mockOctokit([
+      { id: 1, body: 'LGTM', user: { login: 'dev' } },
+      { id: 5, body: `${PREVIEW_COMMENT_MARKER}\nOld preview`, user: { login: 'doc-bot' } },
+    ]);
+
+    const result = await upsertPreviewComment(octokit, repository, 42, body);
+
+    expect(result.action).toBe('updated');
+    expect(octokit.rest.issues.updateComment).toHaveBeenCalledWith({ ...repository, comment_id: 5, body });
+    expect(octokit.rest.issues.createComment).not.toHaveBeenCalled();
+  });
+
+  it('should leave an identical comment alone', async () => {
+    const octokit = mockOctokit([
+      { id: 5, body, html_url: 'https://github.com/org/repo/pull/42#issuecomment-5', user: { login: 'doc-bot' } },
+    ]);
+
+    const result = await upsertPreviewComment(octokit, repository, 42, body);
+
+    expect(result).toEqual({ action: 'unchanged', url: 'https://github.com/org/repo/pull/42#issuecomment-5' });
+    expect(octokit.rest.issues.updateComment).not.toHaveBeenCalled();
+  });
+
+  it('should not take over a comment of someone else that quotes the marker', async () => {
+    const octokit = mockOctokit([{ id: 3, body: `Why is ${PREVIEW_COMMENT_MARKER} here?`, user: { login: 'dev' } }]);
+
+    const result = await upsertPreviewComment(octokit, repository, 42, body);
+
+    expect(result.action).toBe('created');
+    expect(octokit.rest.issues.updateComment).not.toHaveBeenCalled();
+  });
+
+  it('should find the comments of the workflow token, which cannot read its own user', async () => {
+    const octokit = mockOctokit(
+      [
+        { id: 3, body: `${PREVIEW_COMMENT_MARKER}\nQuoted`, user: { login: 'dev' } },
+        { id: 5, body: `${PREVIEW_COMMENT_MARKER}\nOld preview`, user: { login: 'github-actions[bot]', type: 'Bot' } },
+      ],
+      null
+    );
+
+    await upsertPreviewComment(octokit, repository, 42, body);
+
+    expect(octokit.rest.issues.updateComment).toHaveBeenCalledWith({ ...repository, comment_id: 5, body });
+  });
+
+  it('should find the comments of a GitHub App installation token', async () => {
+    const octokit = mockOctokit(
+      [
+        { id: 3, body: `${PREVIEW_COMMENT_MARKER}\nQuoted`, user: { login: 'dev', type: 'User' } },
+        {
+          id: 7,
+          body: `${PREVIEW_COMMENT_MARKER}\nOld preview`,
+          user: { login: 'doc-app[bot]', type: 'Bot' },
+          performed_via_github_app: { slug: 'doc-app' },
+        },
+      ],
+      null
+    );
+
+    const result = await upsertPreviewComment(octokit, repository, 42, body);
+
+    expect(result.action).toBe('updated');
+    expect(octokit.rest.issues.updateComment).toHaveBeenCalledWith({ ...repository, comment_id: 7, body });
+    expect(octokit.rest.issues.createComment).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Release notes: the previous release of a new one, and the pull requests merged
+ * in between grouped by label. The commits themselves come from src/history.js.
+ */
+
+const { RELEASE_NOTE_GROUPS, RELEASE_NOTE_OTHER_GROUP } = require('./constants');
+
+/**
+ * Finds the release published before another one.
+ * Drafts are ignored, and so are prereleases when the release itself is not one,
+ * so the notes of a stable release cover everything since the previous stable release.
+ * @param {Object} octokit - GitHub API client.
+ * @param {Object} repository - `owner` and `repo`.
+ * @param {Object} release - Release from the event payload.
+ * @returns {Promise<Object|null>} The previous release, or null for the first release.
+ */
+async function findPreviousRelease(octokit, { owner, repo }, release) {
+  const releases = await octokit.paginate(octokit.rest.repos.listReleases, { owner, repo, per_page: 100 });
+  const publishedAt = Date.parse(release.published_at);
+
+  const earlier = releases.filter(
+    (r) =>
+      r.id !== release.id &&
+      !r.draft &&
+      (release.prerelease || !r.prerelease) &&
+      Date.parse(r.published_at) < publishedAt
+  );
+  earlier.sort((a, b) => Date.parse(b.published_at) - Date.parse(a.published_at));
+  return earlier[0] || null;
+}
+
+/**
+ * Groups pull requests by their labels, for release notes and pushes of several pull requests.
+ * A pull request goes in the first group with one of its labels, or in the "other" group.
+ * @param {Array} pullRequests - Pull requests from listMergedPullRequests.
+ * @param {Array} groups - Group titles and labels, like RELEASE_NOTE_GROUPS.
+ * @returns {Array} Non-empty groups, in order: `{ title, pullRequests: [{ number, title, author, url }] }`.
+ */
+function groupPullRequests(pullRequests, groups = RELEASE_NOTE_GROUPS) {
+  const grouped = [...groups, { title: RELEASE_NOTE_OTHER_GROUP, labels: [] }].map((group) => ({
+    title: group.title,
+    labels: group.labels,
+    pullRequests: [],
+  }));
+
+  for (const pullRequest of pullRequests) {
+    const labels = (pullRequest.labels || []).map((label) => label.name.toLowerCase());
+    const group =
+      grouped.find((g) => g.labels.some((label) => labels.includes(label))) || grouped[grouped.length - 1];
+    group.pullRequests.push({
+      number: pullRequest.number,
+      title: pullRequest.title,
+      author: pullRequest.user.login,
+      url: pullRequest.html_url,
+    });
+  }
+
+  return grouped
+    .filter((group) => group.pullRequests.length > 0)
+    .map(({ title, pullRequests: items }) => ({ title, pullRequests: items }));
+}
+
+module.exports = {
+  findPreviousRelease,
+  groupPullRequests,
+};
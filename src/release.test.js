@@ -0,0 +1,101 @@
+const { findPreviousRelease, groupPullRequests } = require('./release');
+
+const repository = { owner: 'org', repo: 'repo' };
+
+/**
+ * Builds a release as returned by the releases API.
+ */
+function release(id, tag, publishedAt, fields = {}) {
+  return { id, tag_name: tag, published_at: publishedAt, draft: false, prerelease: false, ...fields };
+}
+
+/**
+ * Builds a pull request with labels.
+ */
+function pullRequest(number, labels = []) {
+  return {
+    number,
+    title: `Change ${number}`,
+    user: { login: 'dev' },
+    html_url: `https://github.com/org/repo/pull/${number}`,
+    labels: labels.map((name) => ({ name })),
+  };
+}
+
+/**
+ * Creates an Octokit mock serving a list of releases.
+ */
+function mockOctokit({ releases = [] } = {}) {
+  return {
+    paginate: jest.fn(async (method, params) => (await method(params)).data),
+    rest: { repos: { listReleases: jest.fn(async () => ({ data: releases })) } },
+  };
+}
+
+describe('findPreviousRelease', () => {
+  const current = release(3, 'v1.2.0', '2026-03-01T00:00:00Z');
+
+  it('should pick the latest release published before this one', async () => {
+    const octokit = mockOctokit({
+      releases: [
+        current,
+        release(1, 'v1.0.0', '2026-01-01T00:00:00Z'),
+        release(2, 'v1.1.0', '2026-02-01T00:00:00Z'),
+        release(4, 'v1.3.0', '2026-04-01T00:00:00Z'),
+        release(5, 'v2.0.0', null, { draft: true }),
+      ],
+    });
+
+    const previous = await findPreviousRelease(octokit, repository, current);
+
+    expect(previous.tag_name).toBe('v1.1.0');
+    expect(octokit.paginate).toHaveBeenCalledWith(octokit.rest.repos.listReleases, { ...repository, per_page: 100 });
+  });
+
+  it('should skip prereleases for a stable release, but not for a prerelease', async () => {
+    const releases = [
+      release(1, 'v1.1.0', '2026-01-01T00:00:00Z'),
+      release(2, 'v1.2.0-rc.1', '2026-02-01T00:00:00Z', { prerelease: true }),
+    ];
+
+    await expect(findPreviousRelease(mockOctokit({ releases }), repository, current)).resolves.toMatchObject({
+      tag_name: 'v1.1.0',
+    });
+    await expect(
+      findPreviousRelease(mockOctokit({ releases }), repository, { ...current, prerelease: true })
+    ).resolves.toMatchObject({ tag_name: 'v1.2.0-rc.1' });
+  });
+
+  it('should return null for the first release', async () => {
+    await expect(findPreviousRelease(mockOctokit({ releases: [current] }), repository, current)).resolves.toBeNull();
+  });
+});
+
+describe('groupPullRequests', () => {
+  it('should put each pull request in the first group matching one of its labels', () => {
+    const groups = groupPullRequests([
+      pullRequest(1, ['Bug']),
+      pullRequest(2, ['enhancement', 'bug']),
+      pullRequest(3, ['chore']),
+      pullRequest(4),
+    ]);
+
+    expect(groups).toEqual([
+      { title: 'Features', pullRequests: [expect.objectContaining({ number: 2 })] },
+      { title: 'Bug fixes', pullRequests: [expect.objectContaining({ number: 1 })] },
+      {
+        title: 'Other changes',
+        pullRequests: [
+          { number: 3, title: 'Change 3', author: 'dev', url: 'https://github.com/org/repo/pull/3' },
+          expect.objectContaining({ number: 4 }),
+        ],
+      },
+    ]);
+  });
+
+  it('should accept custom groups', () => {
+    const groups = groupPullRequests([pullRequest(1, ['ui'])], [{ title: 'Interface', labels: ['ui'] }]);
+
+    expect(groups.map((g) => g.title)).toEqual(['Interface']);
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Run report: the steps of a run and how long each took, the tools the model called, the pages
+ * created or changed, and the warnings raised along the way. It is rendered in the job summary,
+ * written as a JSON file and set as an output, so later workflow steps can read it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+/** File name of the JSON report written by every run */
+const REPORT_FILE_NAME = 'doc-updater-report.json';
+
+/**
+ * Creates an empty run report. Steps follow one another: starting a step completes the one before.
+ * @param {Function} now - Clock in milliseconds, replaceable in tests.
+ * @returns {Object} Recorder with `describe`, `startStep`, `endStep`, `toolCall`, `link`, `warning`,
+ *   `skip`, `fail` and `finish`.
+ */
+function createRunReport(now = Date.now) {
+  const startedAt = now();
+  const data = {
+    status: 'success',
+    event: null,
+    entry: null,
+    skipReason: null,
+    error: null,
+    durationMs: 0,
+    steps: [],
+    tools: [],
+    links: [],
+    warnings: [],
+  };
+  let current = null;
+
+  /**
+   * Closes the current step, if any.
+   * @param {string} status - "completed", "failed" or "skipped".
+   */
+  function endStep(status = 'completed') {
+    if (!current) return;
+    data.steps.push({ name: current.name, status, durationMs: now() - current.startedAt });
+    current = null;
+  }
+
+  return {
+    /**
+     * Records what the run documents.
+     * @param {string} event - Event name, e.g. "pull_request".
+     * @param {string} entry - Entry key, e.g. "PR #42".
+     */
+    describe(event, entry) {
+      data.event = event;
+      data.entry = entry;
+    },
+
+    /**
+     * Starts a step, completing the previous one.
+     * @param {string} name - Step name, e.g. "Changelog entry".
+     */
+    startStep(name) {
+      endStep();
+      current = { name, startedAt: now() };
+    },
+
+    endStep,
+
+    /**
+     * Counts a tool the model called.
+     * @param {string} step - Agent step the call was made in.
+     * @param {string} name - Tool name from the tool.execution_start event.
+     */
+    toolCall(step, name) {
+      const tool = data.tools.find((t) => t.step === step && t.name === name);
+      if (tool) {
+        tool.calls += 1;
+      } else {
+        data.tools.push({ step, name, calls: 1 });
+      }
+    },
+
+    /**
+     * Records a page (or commit, or pull request) the run created or changed.
+     * @param {string} label - What the URL points at, e.g. "Changelog entry".
+     * @param {string} url - URL; ignored when empty.
+     */
+    link(label, url) {
+      if (url) data.links.push({ label, url });
+    },
+
+    /**
+     * Records a warning, e.g. a truncated file list.
+     * @param {string} message - Warning text.
+     */
+    warning(message) {
+      data.warnings.push(message);
+    },
+
+    /**
+     * Marks the run as skipped.
+     * @param {string} reason - Why the run documents nothing.
+     */
+    skip(reason) {
+      data.status = 'skipped';
+      data.skipReason = reason;
+    },
+
+    /**
+     * Marks the run, and the step it was in, as failed.
+     * @param {string} message - Error message.
+     */
+    fail(message) {
+      endStep('failed');
+      data.status = 'failed';
+      data.error = message;
+    },
+
+    /**
+     * Completes the current step and returns the report.
+     * @returns {Object} The report, safe to serialize as JSON.
+     */
+    finish() {
+      endStep();
+      data.durationMs = now() - startedAt;
+      return data;
+    },
+  };
+}
+
+/**
+ * Formats a duration for the job summary.
+ * @param {number} ms - Duration in milliseconds.
+ * @returns {string} E.g. "350ms", "4.2s" or "2m 5s".
+ */
+function formatDuration(ms) {
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  return `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
+}
+
+/**
+ * Renders a run report as Markdown for the GitHub job summary.
+ * @param {Object} report - Result of finish().
+ * @returns {string} Markdown report.
+ */
+function renderRunReport(report) {
+  const about = report.entry ? `: ${report.entry}` : '';
+  if (report.status === 'skipped') {
+    return `## ⏭️ Documentation update skipped\n\n${report.skipReason}\n`;
+  }
+
+  const heading = report.status === 'failed' ? `## ❌ Documentation update failed${about}` : `## 📝 Documentation update${about}`;
+  const lines = [heading, ''];
+  if (report.error) lines.push(`> ${report.error}`, '');
+
+  const icons = { completed: '✅', failed: '❌', skipped: '⏭️' };
+  if (report.steps.length > 0) {
+    lines.push(
+      '| Step | Status | Duration |',
+      '|------|--------|----------|',
+      ...report.steps.map((step) => `| ${step.name} | ${icons[step.status]} ${step.status} | ${formatDuration(step.durationMs)} |`),
+      `| **Total** | | **${formatDuration(report.durationMs)}** |`,
+      ''
+    );
+  }
+  if (report.tools.length > 0) {
+    lines.push(
+      '### Tools called',
+      '',
+      '| Step | Tool | Calls |',
+      '|------|------|-------|',
+      ...report.tools.map((tool) => `| ${tool.step} | \`${tool.name}\` | ${tool.calls} |`),
+      ''
+    );
+  }
+  if (report.links.length > 0) {
+    lines.push('### Links', '', ...report.links.map((link) => `- ${link.label}: ${link.url}`), '');
+  }
+  if (report.warnings.length > 0) {
+    lines.push('### Warnings', '', ...report.warnings.map((warning) => `- ⚠️ ${warning}`), '');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Writes a run report as JSON to the runner's temp directory.
+ * @param {Object} report - Result of finish().
+ * @param {string} dir - Directory to write to (defaults to RUNNER_TEMP or the OS temp dir).
+ * @returns {string} Path of the written file.
+ */
+function writeReportFile(report, dir = process.env.RUNNER_TEMP || os.tmpdir()) {
+  const file = path.join(dir, REPORT_FILE_NAME);
+  fs.writeFileSync(file, `${JSON.stringify(report, null, 2)}\n`);
+  return file;
+}
+
+module.exports = {
+  createRunReport,
+  formatDuration,
+  renderRunReport,
+  writeReportFile,
+};
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRunReport, formatDuration, renderRunReport, writeReportFile } = require('./report');
+
+/**
+ * Creates a clock that advances by the given steps (in ms) on each read.
+ */
+function fakeClock(...steps) {
+  let time = 0;
+  return () => {
+    time += steps.length > 0 ? steps.shift() : 0;
+    return time;
+  };
+}
+
+describe('createRunReport', () => {
+  it('should time each step until the next one starts', () => {
+    const report = createRunReport(fakeClock(0, 0, 1200, 0, 300));
+    report.describe('pull_request', 'PR #42');
+
+    report.startStep('Gather changes');
+    report.startStep('Changelog entry');
+    const data = report.finish();
+
+    expect(data.entry).toBe('PR #42');
+    expect(data.steps).toEqual([
+      { name: 'Gather changes', status: 'completed', durationMs: 1200 },
+      { name: 'Changelog entry', status: 'completed', durationMs: 300 },
+    ]);
+    expect(data.durationMs).toBe(1500);
+    expect(data.status).toBe('success');
+  });
+
+  it('should count tool calls per step and collect links and warnings', () => {
+    const report = createRunReport();
+
+    report.toolCall('Find Changelog page', 'API-post-search');
+    report.toolCall('Find Changelog page', 'API-post-search');
+    report.toolCall('Add changelog entry', 'API-patch-block-children');
+    report.link('Changelog page', 'https://www.notion.so/changelog');
+    report.link('Changelog entry', null);
+    report.warning('GitHub lists at most 300 files changed by a push');
+    const data = report.finish();
+
+    expect(data.tools).toEqual([
+      { step: 'Find Changelog page', name: 'API-post-search', calls: 2 },
+      { step: 'Add changelog entry', name: 'API-patch-block-children', calls: 1 },
+    ]);
+    expect(data.links).toEqual([{ label: 'Changelog page', url: 'https://www.notion.so/changelog' }]);
+    expect(data.warnings).toEqual(['GitHub lists at most 300 files changed by a push']);
+  });
+
+  it('should mark the current step and the run as failed', () => {
+    const report = createRunReport();
+
+    report.startStep('Documentation page');
+    report.fail('Update documentation: the page is missing "Usage"');
+    const data = report.finish();
+
+    expect(data.steps.map((step) => step.status)).toEqual(['failed']);
+    expect(data.status).toBe('failed');
+    expect(data.error).toBe('Update documentation: the page is missing "Usage"');
+  });
+});
+
+describe('formatDuration', () => {
+  it('should pick a readable unit', () => {
+    expect(formatDuration(350)).toBe('350ms');
+    expect(formatDuration(4210)).toBe('4.2s');
+    expect(formatDuration(125000)).toBe('2m 5s');
+  });
+});
+
+describe('renderRunReport', () => {
+  it('should render the steps, tools, links and warnings', () => {
+    const report = createRunReport(fakeClock(0, 0, 2000));
+    report.describe('pull_request', 'PR #42');
+    report.startStep('Changelog entry');
+    report.toolCall('Add changelog entry', 'API-patch-block-children');
+    report.link('Changelog page', 'https://www.notion.so/changelog');
+    report.warning('Docs sync limited to 50 files');
+
+    const markdown = renderRunReport(report.finish());
+
+    expect(markdown).toContain('## 📝 Documentation update: PR #42');
+    expect(markdown).toContain('| Changelog entry | ✅ completed | 2.0s |');
+    expect(markdown).toContain('| Add changelog entry | `API-patch-block-children` | 1 |');
+    expect(markdown).toContain('- Changelog page: https://www.notion.so/changelog');
+    expect(markdown).toContain('- ⚠️ Docs sync limited to 50 files');
+  });
+
+  it('should render a skipped run with its reason only', () => {
+    const report = createRunReport();
+    report.skip('PR #42 is not merged');
+
+    expect(renderRunReport(report.finish())).toBe('## ⏭️ Documentation update skipped\n\nPR #42 is not merged\n');
+  });
+
+  it('should render the error of a failed run', () => {
+    const report = createRunReport();
+    report.fail('Invalid target "wiki"');
+
+    const markdown = renderRunReport(report.finish());
+
+    expect(markdown).toContain('## ❌ Documentation update failed');
+    expect(markdown).toContain('> Invalid target "wiki"');
+    expect(markdown).not.toContain('| Step |');
+  });
+});
+
+describe('writeReportFile', () => {
+  it('should write the report as JSON', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-'));
+    const report = createRunReport().finish();
+
+    const file = writeReportFile(report, dir);
+
+    expect(file).toBe(path.join(dir, 'doc-updater-report.json'));
+    expect(JSON.parse(fs.readFileSync(file, 'utf-8'))).toEqual(report);
+    fs.rmSync(dir, { recursive: true });
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Structured results for agent steps.
+ * Each step asks the model for a JSON object, validates it against a schema and
+ * re-prompts a bounded number of times, instead of scraping IDs out of free text.
+ */
+
+const Ajv = require('ajv');
+const { MAX_RESPONSE_ATTEMPTS } = require('./constants');
+
+const NOTION_ID_PATTERN = '^[0-9a-fA-F]{8}-?[0-9a-fA-F]{4}-?[0-9a-fA-F]{4}-?[0-9a-fA-F]{4}-?[0-9a-fA-F]{12}$';
+
+/** JSON schema shared by every step result */
+const STEP_RESULT_SCHEMA = {
+  type: 'object',
+  required: ['status'],
+  properties: {
+    status: { enum: ['success', 'error'] },
+    pageId: { type: ['string', 'null'], pattern: NOTION_ID_PATTERN },
+    blockIds: { type: 'array', items: { type: 'string', pattern: NOTION_ID_PATTERN } },
+    error: { type: ['string', 'null'] },
+    summary: { type: 'string' },
+    sections: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['heading', 'reason'],
+        properties: { heading: { type: ['string', 'null'] }, reason: { type: 'string' } },
+      },
+    },
+  },
+  if: { properties: { status: { const: 'error' } } },
+  then: { required: ['error'] },
+};
+
+/** Steps that need a page ID in a successful result */
+const PAGE_ID_SCHEMA = {
+  ...STEP_RESULT_SCHEMA,
+  else: { required: ['pageId'], properties: { pageId: { type: 'string' } } },
+};
+
+/** Steps that write text instead of blocks, such as a change summary */
+const SUMMARY_SCHEMA = {
+  ...STEP_RESULT_SCHEMA,
+  else: { required: ['summary'], properties: { summary: { type: 'string', minLength: 1 } } },
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validators = {
+  result: ajv.compile(STEP_RESULT_SCHEMA),
+  pageId: ajv.compile(PAGE_ID_SCHEMA),
+  summary: ajv.compile(SUMMARY_SCHEMA),
+};
+
+/**
+ * Creates the error raised when a step never produces a valid result, or reports a failure.
+ * @param {string} step - Step name.
+ * @param {string} message - What went wrong.
+ * @returns {Error} Error with the `step` attached.
+ */
+function stepError(step, message) {
+  const error = new Error(`${step}: ${message}`);
+  error.step = step;
+  return error;
+}
+
+/**
+ * Appends the expected JSON response format to a prompt.
+ * @param {string} prompt - The step prompt.
+ * @param {Object} options - Format options.
+ * @param {boolean} options.requirePageId - Whether the result must include `pageId`.
+ * @param {boolean} options.reportSections - Whether the result should list the sections edited, and why.
+ * @param {boolean} options.requireSummary - Whether the result is a `summary` text rather than written blocks.
+ * @returns {string} Prompt with response instructions.
+ */
+function withResponseFormat(prompt, { requirePageId = false, reportSections = false, requireSummary = false } = {}) {
+  const pageIdHint = requirePageId
+    ? '"pageId": "<the page ID>", '
+    : '';
+  const sectionsHint = reportSections
+    ? ', "sections": [{"heading": "<heading of a section you edited>", "reason": "<the change that made it out of date>"}]'
+    : '';
+  const successHint = requireSummary
+    ? '{"status": "success", "summary": "<the summary>"}'
+    : `{"status": "success", ${pageIdHint}"blockIds": ["<IDs of blocks you created or changed>"]${sectionsHint}}`;
+  return `${prompt}
+
+When you are done, respond with ONLY a JSON object and no other text:
+${successHint}
+If you could not complete the task, respond with:
+{"status": "error", "error": "<what went wrong>"}`;
+}
+
+/**
+ * Extracts a JSON object from a model reply, tolerating code fences and surrounding text.
+ * @param {string} text - The model's reply.
+ * @returns {Object|null} Parsed object, or null if none could be parsed.
+ */
+function parseJsonResponse(text) {
+  if (!text) return null;
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1] : text;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end < start) return null;
+
+  try {
+    const value = JSON.parse(candidate.substring(start, end + 1));
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parses and validates a step result.
+ * @param {string} text - The model's reply.
+ * @param {Object} options - Validation options.
+ * @param {boolean} options.requirePageId - Whether a successful result must include `pageId`.
+ * @param {boolean} options.requireSummary - Whether a successful result must include a non-empty `summary`.
+ * @param {Array<string>} options.forbiddenPageIds - IDs that can't be the answer (e.g. the parent page).
+ * @returns {Object} `{ valid, value, errors }`, with errors as readable strings.
+ */
+function validateStepResult(text, { requirePageId = false, requireSummary = false, forbiddenPageIds = [] } = {}) {
+  const value = parseJsonResponse(text);
+  if (!value) {
+    return { valid: false, value: null, errors: ['reply is not a JSON object'] };
+  }
+
+  let validate = validators.result;
+  if (requirePageId) validate = validators.pageId;
+  if (requireSummary) validate = validators.summary;
+  if (!validate(value)) {
+    const errors = validate.errors
+      .filter((e) => e.keyword !== 'if')
+      .map((e) => `${e.instancePath || 'result'} ${e.message}`);
+    return { valid: false, value, errors };
+  }
+
+  const normalize = (id) => id.replace(/-/g, '').toLowerCase();
+  if (value.pageId && forbiddenPageIds.some((id) => normalize(id) === normalize(value.pageId))) {
+    return { valid: false, value, errors: [`/pageId ${value.pageId} is the parent page, not the requested page`] };
+  }
+
+  return { valid: true, value, errors: [] };
+}
+
+/**
+ * Sends a step prompt and re-prompts until the reply is a valid result.
+ * @param {string} step - Step name used in errors.
+ * @param {Function} send - Sends a prompt and resolves with the reply text.
+ * @param {string} prompt - The step prompt (already including the response format).
+ * @param {Object} options - Options for validateStepResult, plus `maxAttempts`.
+ * @returns {Promise<Object>} The validated result, with `pageId` normalized when present.
+ * @throws {Error} When the model reports an error or no reply is valid.
+ */
+async function requestStepResult(step, send, prompt, { maxAttempts = MAX_RESPONSE_ATTEMPTS, ...options } = {}) {
+  let nextPrompt = prompt;
+  let errors = [];
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const reply = await send(nextPrompt);
+    const result = validateStepResult(reply, options);
+
+    if (result.valid) {
+      if (result.value.status === 'error') {
+        throw stepError(step, `the model reported an error: ${result.value.error}`);
+      }
+      return {
+        ...result.value,
+        pageId: result.value.pageId ? result.value.pageId.replace(/-/g, '') : result.value.pageId,
+        blockIds: result.value.blockIds || [],
+      };
+    }
+
+    errors = result.errors;
+    nextPrompt = `Your previous reply was not a valid result (${errors.join('; ')}).
+Reply again with ONLY the JSON object described earlier, with no other text.`;
+  }
+
+  throw stepError(step, `no valid JSON result after ${maxAttempts} attempts (${errors.join('; ')})`);
+}
+
+module.exports = {
+  STEP_RESULT_SCHEMA,
+  stepError,
+  withResponseFormat,
+  parseJsonResponse,
+  validateStepResult,
+  requestStepResult,
+};
@@ -0,0 +1,169 @@
+const {
+  withResponseFormat,
+  parseJsonResponse,
+  validateStepResult,
+  requestStepResult,
+} = require('./responses');
+
+const PAGE_ID = '12345678123412341234123456789abc';
+const PARENT_ID = 'aaaaaaaabbbbccccddddeeeeeeeeeeee';
+
+describe('withResponseFormat', () => {
+  it('should append JSON response instructions', () => {
+    const result = withResponseFormat('Do the thing.');
+
+    expect(result).toMatch(/^Do the thing\./);
+    expect(result).toContain('{"status": "success", "blockIds"');
+    expect(result).toContain('{"status": "error", "error"');
+    expect(result).not.toContain('"pageId"');
+  });
+
+  it('should ask for a page ID when required', () => {
+    expect(withResponseFormat('Find it.', { requirePageId: true })).toContain('"pageId": "<the page ID>"');
+  });
+
+  it('should ask for the edited sections when reporting them', () => {
+    expect(withResponseFormat('Update it.')).not.toContain('"sections"');
+    expect(withResponseFormat('Update it.', { reportSections: true })).toContain('"sections": [{"heading"');
+  });
+
+  it('should ask for a summary instead of blocks when required', () => {
+    const result = withResponseFormat('Summarize it.', { requireSummary: true });
+
+    expect(result).toContain('{"status": "success", "summary": "<the summary>"}');
+    expect(result).not.toContain('"blockIds"');
+  });
+});
+
+describe('parseJsonResponse', () => {
+  it('should parse a bare JSON object', () => {
+    expect(parseJsonResponse('{"status":"success"}')).toEqual({ status: 'success' });
+  });
+
+  it('should parse JSON inside code fences or surrounding text', () => {
+    expect(parseJsonResponse('Done!\n```json\n{"status": "success"}\n```')).toEqual({ status: 'success' });
+    expect(parseJsonResponse('Result: {"status": "success"} - thanks')).toEqual({ status: 'success' });
+  });
+
+  it('should return null for anything else', () => {
+    expect(parseJsonResponse('')).toBeNull();
+    expect(parseJsonResponse(null)).toBeNull();
+    expect(parseJsonResponse('Completed')).toBeNull();
+    expect(parseJsonResponse('{not json}')).toBeNull();
+    expect(parseJsonResponse('[1, 2]')).toBeNull();
+  });
+});
+
+describe('validateStepResult', () => {
+  it('should accept a successful result', () => {
+    const text = JSON.stringify({ status: 'success', blockIds: [PAGE_ID] });
+
+    expect(validateStepResult(text)).toEqual({
+      valid: true,
+      value: { status: 'success', blockIds: [PAGE_ID] },
+      errors: [],
+    });
+  });
+
+  it('should validate reported sections', () => {
+    const sections = [{ heading: 'Inputs', reason: 'step-timeout was renamed' }];
+
+    expect(validateStepResult(JSON.stringify({ status: 'success', sections })).valid).toBe(true);
+    expect(validateStepResult(JSON.stringify({ status: 'success', sections: [{ heading: 'Inputs' }] })).errors).toEqual([
+      "/sections/0 must have required property 'reason'",
+    ]);
+  });
+
+  it('should require a page ID when asked', () => {
+    const result = validateStepResult('{"status": "success"}', { requirePageId: true });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(["result must have required property 'pageId'"]);
+  });
+
+  it('should require a non-empty summary when asked', () => {
+    expect(validateStepResult('{"status": "success", "summary": "Adds dark mode."}', { requireSummary: true }).valid).toBe(true);
+    expect(validateStepResult('{"status": "success"}', { requireSummary: true }).errors).toEqual([
+      "result must have required property 'summary'",
+    ]);
+    expect(validateStepResult('{"status": "success", "summary": ""}', { requireSummary: true }).errors).toEqual([
+      '/summary must NOT have fewer than 1 characters',
+    ]);
+  });
+
+  it('should not require a page ID for error results', () => {
+    const result = validateStepResult('{"status": "error", "error": "no access"}', { requirePageId: true });
+
+    expect(result.valid).toBe(true);
+  });
+
+  it('should require an error message for error results', () => {
+    const result = validateStepResult('{"status": "error"}');
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(["result must have required property 'error'"]);
+  });
+
+  it('should reject malformed IDs and unknown statuses', () => {
+    const result = validateStepResult('{"status": "done", "pageId": "not-an-id"}');
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toHaveLength(2);
+  });
+
+  it('should reject the parent page echoed back as the answer', () => {
+    const text = JSON.stringify({ status: 'success', pageId: 'aaaaaaaa-bbbb-cccc-dddd-eeeeeeeeeeee' });
+
+    const result = validateStepResult(text, { requirePageId: true, forbiddenPageIds: [PARENT_ID] });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors[0]).toContain('is the parent page');
+  });
+
+  it('should reject replies without JSON', () => {
+    expect(validateStepResult('Timeout').errors).toEqual(['reply is not a JSON object']);
+  });
+});
+
+describe('requestStepResult', () => {
+  it('should return the first valid result with a normalized page ID', async () => {
+    const send = jest.fn().mockResolvedValue('{"status": "success", "pageId": "12345678-1234-1234-1234-123456789abc"}');
+
+    const result = await requestStepResult('Find page', send, 'prompt', { requirePageId: true });
+
+    expect(result).toEqual({ status: 'success', pageId: PAGE_ID, blockIds: [] });
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(send).toHaveBeenCalledWith('prompt');
+  });
+
+  it('should re-prompt with the validation errors', async () => {
+    const send = jest.fn()
+      .mockResolvedValueOnce('The page ID is 12345678123412341234123456789abc')
+      .mockResolvedValueOnce(`{"status": "success", "pageId": "${PAGE_ID}"}`);
+
+    const result = await requestStepResult('Find page', send, 'prompt', { requirePageId: true });
+
+    expect(result.pageId).toBe(PAGE_ID);
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(send.mock.calls[1][0]).toContain('reply is not a JSON object');
+  });
+
+  it('should fail after the maximum number of attempts', async () => {
+    const send = jest.fn().mockResolvedValue('Completed');
+
+    await expect(requestStepResult('Add entry', send, 'prompt', { maxAttempts: 2 })).rejects.toMatchObject({
+      message: 'Add entry: no valid JSON result after 2 attempts (reply is not a JSON object)',
+      step: 'Add entry',
+    });
+    expect(send).toHaveBeenCalledTimes(2);
+  });
+
+  it('should fail immediately when the model reports an error', async () => {
+    const send = jest.fn().mockResolvedValue('{"status": "error", "error": "Page not shared with integration"}');
+
+    await expect(requestStepResult('Add entry', send, 'prompt')).rejects.toThrow(
+      'Add entry: the model reported an error: Page not shared with integration'
+    );
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,299 @@
+/**
+ * Copilot sessions for agent steps.
+ * A prompt either completes, goes idle, times out or errors, and only completion
+ * counts as success. Failed steps are retried on a fresh session with exponential backoff.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const core = require('@actions/core');
+const { requestStepResult, stepError } = require('./responses');
+const {
+  DEFAULT_IDLE_TIMEOUT_SECONDS,
+  DEFAULT_STEP_TIMEOUT_SECONDS,
+  DEFAULT_STEP_RETRIES,
+  RETRY_BASE_DELAY_MS,
+  MCP_STARTUP_DELAY_MS,
+} = require('./constants');
+
+/** How often a running prompt is checked for inactivity */
+const IDLE_CHECK_INTERVAL_MS = 1000;
+
+/**
+ * Directories the Notion MCP server is looked for in: the copy shipped next to the bundled
+ * action (see scripts/bundle-mcp-server.js), then the installed package when running from source.
+ * The paths are joined at runtime so ncc doesn't copy the whole package into dist as an asset.
+ */
+const MCP_SERVER_DIRS = [
+  ['notion-mcp-server'],
+  ['..', 'node_modules', '@notionhq', 'notion-mcp-server'],
+].map((segments) => path.join(__dirname, ...segments));
+
+/**
+ * Waits for a number of milliseconds.
+ * @param {number} ms - Delay in milliseconds.
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Creates the error a prompt rejects with when it does not complete.
+ * @param {string} reason - "idle", "timeout" or "error".
+ * @param {string} message - What went wrong.
+ * @param {string} response - Text received before the failure, if any.
+ * @returns {Error} Error with `reason` and `response` attached.
+ */
+function promptError(reason, message, response) {
+  const error = new Error(message);
+  error.reason = reason;
+  error.response = response;
+  return error;
+}
+
+/**
+ * Sends a prompt and waits for completion using event-based tracking.
+ * This avoids the SDK's internal 60s idle timeout.
+ * @param {Object} session - Copilot session.
+ * @param {string} prompt - Prompt to send.
+ * @param {Object} options - Limits for this prompt.
+ * @param {number} options.idleTimeoutMs - Time without any session event before giving up.
+ * @param {number} options.timeoutMs - Overall time limit for the prompt.
+ * @param {Function} options.onToolStart - Called with the name of each tool the model starts.
+ * @returns {Promise<string>} The final assistant message.
+ * @throws {Error} With `reason` "idle", "timeout" or "error" when the prompt does not complete.
+ */
+function sendPrompt(session, prompt, {
+  idleTimeoutMs = DEFAULT_IDLE_TIMEOUT_SECONDS * 1000,
+  timeoutMs = DEFAULT_STEP_TIMEOUT_SECONDS * 1000,
+  onToolStart = null,
+} = {}) {
+  return new Promise((resolve, reject) => {
+    let response = '';
+    let done = false;
+    let lastActivity = Date.now();
+
+    const timeout = setTimeout(() => {
+      fail('timeout', `prompt did not complete within ${timeoutMs / 1000}s`);
+    }, timeoutMs);
+    const idleCheck = setInterval(() => {
+      if (Date.now() - lastActivity > idleTimeoutMs) {
+        fail('idle', `no session activity for ${idleTimeoutMs / 1000}s before the model finished`);
+      }
+    }, Math.min(IDLE_CHECK_INTERVAL_MS, idleTimeoutMs));
+
+    function stop() {
+      done = true;
+      clearTimeout(timeout);
+      clearInterval(idleCheck);
+      unsubscribe();
+    }
+
+    function fail(reason, message) {
+      if (done) return;
+      stop();
+      reject(promptError(reason, message, response));
+    }
+
+    function complete(result) {
+      if (done) return;
+      stop();
+      resolve(result);
+    }
+
+    let toolsRunning = 0;
+
+    const unsubscribe = session.on((event) => {
+      lastActivity = Date.now();
+      switch (event.type) {
+        case 'tool.execution_start':
+          toolsRunning++;
+          core.info(`🔧 Tool: ${event.data.toolName}`);
+          if (onToolStart) onToolStart(event.data.toolName);
+          break;
+        case 'tool.execution_end':
+          toolsRunning--;
+          core.info(`✅ Done: ${event.data.toolName}`);
+          break;
+        case 'assistant.message':
+          if (event.data?.content) response = event.data.content;
+          // Only finish if we have content and no tools are running
+          if (response && toolsRunning === 0) {
+            core.info(`🤖 Response: ${response.substring(0, 500)}${response.length > 500 ? '...' : ''}`);
+            complete(response);
+          }
+          break;
+        case 'assistant.message_delta':
+          if (event.data?.deltaContent) response += event.data.deltaContent;
+          break;
+        case 'error':
+          core.error(`❌ Error: ${JSON.stringify(event.data)}`);
+          fail('error', `session error: ${event.data?.message || JSON.stringify(event.data)}`);
+          break;
+      }
+    });
+
+    core.info(`🤖 Prompt: ${prompt.substring(0, 200)}${prompt.length > 200 ? '...' : ''}`);
+    session.send({ prompt }).catch((err) => fail('error', `could not send prompt: ${err.message}`));
+  });
+}
+
+/**
+ * Finds the pre-installed Notion MCP server CLI.
+ * @param {Array<string>} dirs - Package directories to try, in order.
+ * @returns {string} Absolute path of the CLI.
+ * @throws {Error} When none of the directories holds it.
+ */
+function resolveMcpServerPath(dirs = MCP_SERVER_DIRS) {
+  const candidates = dirs.map((dir) => path.join(dir, 'bin', 'cli.mjs'));
+  const found = candidates.find((candidate) => fs.existsSync(candidate));
+  if (!found) {
+    throw new Error(`Notion MCP server not found (looked for ${candidates.join(', ')}). Run "npm ci" or "npm run build".`);
+  }
+  return found;
+}
+
+/**
+ * Builds the MCP server config for Notion.
+ * The server runs with the current Node.js binary, without a shell, and receives the
+ * token through its environment so it never appears in a command line.
+ * @param {string} notionToken - Notion API token.
+ * @param {string} serverPath - Path of the server CLI.
+ * @returns {Object} Local MCP server config for createSession.
+ */
+function notionMcpServer(notionToken, serverPath = resolveMcpServerPath()) {
+  return {
+    type: 'local',
+    command: process.execPath,
+    args: [serverPath],
+    env: { PATH: process.env.PATH, NOTION_TOKEN: notionToken },
+    tools: ['*'],
+  };
+}
+
+/**
+ * Creates a Copilot session with Notion MCP server. Without a Notion token, the session has no
+ * tools and only writes text, such as a change summary.
+ * @param {Object} client - Started CopilotClient.
+ * @param {Object} sessionConfig - `notionToken`, `notionPageId` and `model`.
+ * @param {Function} wait - Delay function, replaceable in tests.
+ * @returns {Promise<Object>} The session.
+ */
+async function createSession(client, { notionToken, notionPageId, model }, wait = sleep) {
+  if (!notionToken) {
+    return client.createSession({
+      model,
+      streaming: true,
+      systemMessage: {
+        content: `You are a documentation assistant writing for the users of a software project.
+When done, answer with only the JSON result each request asks for.`,
+      },
+    });
+  }
+
+  const session = await client.createSession({
+    model,
+    streaming: true,
+    mcpServers: {
+      notion: notionMcpServer(notionToken),
+    },
+    systemMessage: {
+      content: `You are a documentation assistant with Notion API access.
+Target page ID: ${notionPageId}
+Be efficient - minimize API calls. Format changelog entries nicely.
+When done, answer with only the JSON result each request asks for.`,
+    },
+  });
+  await wait(MCP_STARTUP_DELAY_MS);
+  return session;
+}
+
+/**
+ * Runs one agent step and returns its validated JSON result.
+ * Each attempt gets a fresh session, which stays open across re-prompts so the model
+ * can correct its reply. Failed attempts are retried after 1x, 2x, 4x... the base delay.
+ * @param {Object} client - Started CopilotClient.
+ * @param {Object} sessionConfig - `notionToken`, `notionPageId` and `model`.
+ * @param {string} step - Step name used in logs and errors.
+ * @param {string} prompt - The step prompt (already including the response format).
+ * @param {Object} options - Step options.
+ * @param {Object} options.resultOptions - Options for requestStepResult.
+ * @param {number} options.idleTimeoutMs - Idle limit for each prompt.
+ * @param {number} options.timeoutMs - Overall limit for each prompt.
+ * @param {number} options.retries - Retries after the first attempt.
+ * @param {number} options.retryDelayMs - Delay before the first retry.
+ * @param {Function} options.verify - Reads the written blocks back for a successful result and
+ *   resolves with `{ ok, missing }`; a failed check counts as a failed attempt.
+ * @param {Function} options.checkCompleted - Called before a retry; a non-null result means
+ *   the failed attempt did its work after all, and is returned instead of retrying.
+ * @param {Function} options.onToolStart - Called with the step name and the name of each tool the model starts.
+ * @param {Function} options.wait - Delay function, replaceable in tests.
+ * @returns {Promise<Object>} The step result, with the `verification` when `verify` is set.
+ * @throws {Error} With `step` and `attempts` attached when every attempt fails.
+ */
+async function runAgentStep(client, sessionConfig, step, prompt, {
+  resultOptions = {},
+  idleTimeoutMs,
+  timeoutMs,
+  retries = DEFAULT_STEP_RETRIES,
+  retryDelayMs = RETRY_BASE_DELAY_MS,
+  verify = null,
+  checkCompleted = null,
+  onToolStart = null,
+  wait = sleep,
+} = {}) {
+  const attempts = retries + 1;
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    if (attempt > 1) {
+      const delay = retryDelayMs * 2 ** (attempt - 2);
+      core.warning(`${lastError.message}. Retrying in ${delay / 1000}s (attempt ${attempt}/${attempts})...`);
+      await wait(delay);
+
+      const completed = checkCompleted ? await checkCompleted() : null;
+      if (completed) {
+        core.info(`${step}: the previous attempt completed the step`);
+        return completed;
+      }
+    }
+
+    let session = null;
+    try {
+      session = await createSession(client, sessionConfig, wait);
+      const send = (p) => sendPrompt(session, p, {
+        idleTimeoutMs,
+        timeoutMs,
+        onToolStart: onToolStart && ((toolName) => onToolStart(step, toolName)),
+      }).catch((err) => {
+        throw Object.assign(stepError(step, err.message), { reason: err.reason, response: err.response });
+      });
+      const result = await requestStepResult(step, send, prompt, resultOptions);
+      core.info(`${step}: ${JSON.stringify(result)}`);
+      if (!verify) return result;
+
+      const verification = await verify(result);
+      if (!verification.ok) {
+        throw stepError(step, `reported success, but the page is missing ${verification.missing.join(', ')}`);
+      }
+      return { ...result, verification };
+    } catch (error) {
+      lastError = error.step ? error : stepError(step, error.message);
+    } finally {
+      if (session) session.destroy().catch(() => {});
+    }
+  }
+
+  lastError.message = `${lastError.message} (gave up after ${attempts} attempt${attempts === 1 ? '' : 's'})`;
+  lastError.attempts = attempts;
+  throw lastError;
+}
+
+module.exports = {
+  resolveMcpServerPath,
+  notionMcpServer,
+  sendPrompt,
+  createSession,
+  runAgentStep,
+};
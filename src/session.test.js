@@ -0,0 +1,301 @@
+jest.mock('@actions/core');
+
+const path = require('path');
+const { resolveMcpServerPath, notionMcpServer, sendPrompt, createSession, runAgentStep } = require('./session');
+
+const PAGE_ID = '0123456789abcdef0123456789abcdef';
+
+/**
+ * Creates a fake Copilot session that replays scripted events for each prompt.
+ * Each script is a list of events, or a function returning one, emitted after send().
+ */
+function fakeSession(...scripts) {
+  const handlers = new Set();
+  const session = {
+    prompts: [],
+    on: jest.fn((handler) => {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    }),
+    send: jest.fn(async ({ prompt }) => {
+      session.prompts.push(prompt);
+      const script = scripts.shift() || [];
+      const events = typeof script === 'function' ? script() : script;
+      setImmediate(() => events.forEach((event) => [...handlers].forEach((h) => h(event))));
+    }),
+    destroy: jest.fn(async () => {}),
+    listeners: () => handlers.size,
+  };
+  return session;
+}
+
+/**
+ * Builds an assistant.message event.
+ */
+function message(content) {
+  return { type: 'assistant.message', data: { content } };
+}
+
+/**
+ * Creates a fake Copilot client handing out the given sessions in order.
+ */
+function fakeClient(...sessions) {
+  return { createSession: jest.fn(async () => sessions.shift()) };
+}
+
+const sessionConfig = { notionToken: 'secret', notionPageId: 'main', model: 'gpt-4o' };
+const noWait = jest.fn(async () => {});
+
+describe('sendPrompt', () => {
+  const limits = { idleTimeoutMs: 50, timeoutMs: 1000 };
+
+  it('should resolve with the final message once no tools are running', async () => {
+    const session = fakeSession([
+      { type: 'tool.execution_start', data: { toolName: 'search' } },
+      message('thinking'),
+      { type: 'tool.execution_end', data: { toolName: 'search' } },
+      { type: 'assistant.message_delta', data: { deltaContent: 'Do' } },
+      message('Done'),
+    ]);
+
+    await expect(sendPrompt(session, 'Go', limits)).resolves.toBe('Done');
+    expect(session.listeners()).toBe(0);
+  });
+
+  it('should reject with reason "idle" when the session goes quiet', async () => {
+    const session = fakeSession([{ type: 'assistant.message_delta', data: { deltaContent: 'partial' } }]);
+
+    await expect(sendPrompt(session, 'Go', limits)).rejects.toMatchObject({
+      reason: 'idle',
+      response: 'partial',
+      message: expect.stringContaining('no session activity'),
+    });
+    expect(session.listeners()).toBe(0);
+  });
+
+  it('should reject with reason "timeout" when the prompt runs too long', async () => {
+    const session = fakeSession();
+    const keepAlive = setInterval(() => session.on.mock.calls[0][0]({ type: 'tool.execution_start', data: {} }), 5);
+
+    await expect(sendPrompt(session, 'Go', { idleTimeoutMs: 1000, timeoutMs: 40 })).rejects.toMatchObject({
+      reason: 'timeout',
+    });
+    clearInterval(keepAlive);
+  });
+
+  it('should reject with reason "error" on a session error', async () => {
+    const session = fakeSession([{ type: 'error', data: { message: 'MCP server crashed' } }]);
+
+    await expect(sendPrompt(session, 'Go', limits)).rejects.toMatchObject({
+      reason: 'error',
+      message: 'session error: MCP server crashed',
+    });
+  });
+
+  it('should reject with reason "error" when the prompt cannot be sent', async () => {
+    const session = fakeSession();
+    session.send.mockRejectedValueOnce(new Error('connection closed'));
+
+    await expect(sendPrompt(session, 'Go', limits)).rejects.toMatchObject({
+      reason: 'error',
+      message: 'could not send prompt: connection closed',
+    });
+  });
+});
+
+describe('resolveMcpServerPath', () => {
+  it('should find the installed Notion MCP server', () => {
+    const cli = resolveMcpServerPath();
+
+    expect(cli).toBe(path.join(__dirname, '..', 'node_modules', '@notionhq', 'notion-mcp-server', 'bin', 'cli.mjs'));
+  });
+
+  it('should use the first directory holding the CLI', () => {
+    const installed = path.join(__dirname, '..', 'node_modules', '@notionhq', 'notion-mcp-server');
+
+    expect(resolveMcpServerPath(['/nonexistent', installed])).toBe(path.join(installed, 'bin', 'cli.mjs'));
+  });
+
+  it('should fail when the server is not installed', () => {
+    expect(() => resolveMcpServerPath(['/nonexistent'])).toThrow('Notion MCP server not found');
+  });
+});
+
+describe('notionMcpServer', () => {
+  it('should run the server with node and pass the token only through the environment', () => {
+    const token = 'ntn_secret; rm -rf / $(whoami)';
+
+    const config = notionMcpServer(token, '/opt/mcp/cli.mjs');
+
+    expect(config).toMatchObject({ type: 'local', command: process.execPath, args: ['/opt/mcp/cli.mjs'] });
+    expect(config.env.NOTION_TOKEN).toBe(token);
+    expect(JSON.stringify([config.command, config.args])).not.toContain('ntn_secret');
+  });
+});
+
+describe('createSession', () => {
+  it('should configure the Notion MCP server and wait for it to start', async () => {
+    const session = fakeSession();
+    const client = fakeClient(session);
+    const wait = jest.fn(async () => {});
+
+    await expect(createSession(client, sessionConfig, wait)).resolves.toBe(session);
+
+    const config = client.createSession.mock.calls[0][0];
+    expect(config.model).toBe('gpt-4o');
+    expect(config.mcpServers.notion.tools).toEqual(['*']);
+    expect(config.mcpServers.notion.args).not.toContain(expect.stringContaining('secret'));
+    expect(config.systemMessage.content).toContain('Target page ID: main');
+    expect(wait).toHaveBeenCalledTimes(1);
+  });
+
+  it('should create a session without tools when there is no Notion token', async () => {
+    const client = fakeClient(fakeSession());
+    const wait = jest.fn(async () => {});
+
+    await createSession(client, { model: 'gpt-4o' }, wait);
+
+    const config = client.createSession.mock.calls[0][0];
+    expect(config.mcpServers).toBeUndefined();
+    expect(config.systemMessage.content).not.toContain('Notion');
+    expect(wait).not.toHaveBeenCalled();
+  });
+});
+
+describe('runAgentStep', () => {
+  const options = { idleTimeoutMs: 50, timeoutMs: 1000, retryDelayMs: 100, wait: noWait };
+
+  beforeEach(() => noWait.mockClear());
+
+  it('should return the result of a completed step', async () => {
+    const session = fakeSession([message(`{"status": "success", "pageId": "${PAGE_ID}"}`)]);
+
+    const result = await runAgentStep(fakeClient(session), sessionConfig, 'Find', 'Prompt', options);
+
+    expect(result).toEqual({ status: 'success', pageId: PAGE_ID, blockIds: [] });
+    expect(session.destroy).toHaveBeenCalled();
+  });
+
+  it('should report each tool the model starts with the step name', async () => {
+    const session = fakeSession([
+      { type: 'tool.execution_start', data: { toolName: 'API-post-search' } },
+      { type: 'tool.execution_end', data: { toolName: 'API-post-search' } },
+      message(`{"status": "success", "pageId": "${PAGE_ID}"}`),
+    ]);
+    const onToolStart = jest.fn();
+
+    await runAgentStep(fakeClient(session), sessionConfig, 'Find', 'Prompt', { ...options, onToolStart });
+
+    expect(onToolStart).toHaveBeenCalledWith('Find', 'API-post-search');
+  });
+
+  it('should retry on a fresh session with exponential backoff', async () => {
+    const sessions = [
+      fakeSession([{ type: 'error', data: { message: 'boom' } }]),
+      fakeSession([]),
+      fakeSession([message('{"status": "success"}')]),
+    ];
+    const client = fakeClient(...sessions);
+
+    const result = await runAgentStep(client, sessionConfig, 'Add entry', 'Prompt', options);
+
+    expect(result.status).toBe('success');
+    expect(client.createSession).toHaveBeenCalledTimes(3);
+    sessions.forEach((session) => expect(session.destroy).toHaveBeenCalled());
+    const backoff = noWait.mock.calls.map(([ms]) => ms).filter((ms) => ms !== 3000);
+    expect(backoff).toEqual([100, 200]);
+  });
+
+  it('should retry when the model reports an error', async () => {
+    const client = fakeClient(
+      fakeSession([message('{"status": "error", "error": "page locked"}')]),
+      fakeSession([message('{"status": "success"}')])
+    );
+
+    await expect(runAgentStep(client, sessionConfig, 'Add entry', 'Prompt', options)).resolves.toMatchObject({
+      status: 'success',
+    });
+  });
+
+  it('should fail with the last error after all retries', async () => {
+    const client = fakeClient(
+      fakeSession([{ type: 'error', data: { message: 'boom' } }]),
+      fakeSession([{ type: 'error', data: { message: 'boom again' } }])
+    );
+
+    const error = await runAgentStep(client, sessionConfig, 'Add entry', 'Prompt', { ...options, retries: 1 })
+      .catch((e) => e);
+
+    expect(error.message).toBe('Add entry: session error: boom again (gave up after 2 attempts)');
+    expect(error).toMatchObject({ step: 'Add entry', reason: 'error', attempts: 2 });
+  });
+
+  it('should not retry when retries is 0', async () => {
+    const client = fakeClient(fakeSession([]), fakeSession([message('{"status": "success"}')]));
+
+    await expect(runAgentStep(client, sessionConfig, 'Find', 'Prompt', { ...options, retries: 0 }))
+      .rejects.toMatchObject({ reason: 'idle', attempts: 1 });
+    expect(client.createSession).toHaveBeenCalledTimes(1);
+  });
+
+  it('should return the checkCompleted result instead of retrying', async () => {
+    const client = fakeClient(fakeSession([]), fakeSession([message('{"status": "success"}')]));
+    const checkCompleted = jest.fn(async () => ({ status: 'success', pageId: PAGE_ID, blockIds: [] }));
+
+    const result = await runAgentStep(client, sessionConfig, 'Find', 'Prompt', { ...options, checkCompleted });
+
+    expect(result.pageId).toBe(PAGE_ID);
+    expect(checkCompleted).toHaveBeenCalledTimes(1);
+    expect(client.createSession).toHaveBeenCalledTimes(1);
+  });
+
+  it('should retry when checkCompleted finds nothing', async () => {
+    const client = fakeClient(fakeSession([]), fakeSession([message('{"status": "success"}')]));
+    const checkCompleted = jest.fn(async () => null);
+
+    await runAgentStep(client, sessionConfig, 'Add entry', 'Prompt', { ...options, checkCompleted });
+
+    expect(client.createSession).toHaveBeenCalledTimes(2);
+  });
+
+  it('should retry when the session cannot be created', async () => {
+    const client = fakeClient(fakeSession([message('{"status": "success"}')]));
+    client.createSession.mockRejectedValueOnce(new Error('CLI not found'));
+
+    await runAgentStep(client, sessionConfig, 'Find', 'Prompt', options);
+
+    expect(client.createSession).toHaveBeenCalledTimes(2);
+  });
+
+  it('should return the verification of a successful result', async () => {
+    const client = fakeClient(fakeSession([message('{"status": "success"}')]));
+    const verify = jest.fn(async () => ({ ok: true, blockIds: ['b1'], missing: [] }));
+
+    const result = await runAgentStep(client, sessionConfig, 'Add entry', 'Prompt', { ...options, verify });
+
+    expect(result.verification.blockIds).toEqual(['b1']);
+    expect(verify).toHaveBeenCalledWith(expect.objectContaining({ status: 'success' }));
+  });
+
+  it('should retry when the read-back check fails', async () => {
+    const client = fakeClient(
+      fakeSession([message('{"status": "success"}')]),
+      fakeSession([message('{"status": "success"}')])
+    );
+    const verify = jest.fn()
+      .mockResolvedValueOnce({ ok: false, blockIds: [], missing: ['heading "x"'] })
+      .mockResolvedValueOnce({ ok: true, blockIds: ['b1'], missing: [] });
+
+    await runAgentStep(client, sessionConfig, 'Add entry', 'Prompt', { ...options, verify });
+
+    expect(client.createSession).toHaveBeenCalledTimes(2);
+  });
+
+  it('should fail when the read-back check never passes', async () => {
+    const client = fakeClient(fakeSession([message('{"status": "success"}')]));
+    const verify = jest.fn(async () => ({ ok: false, blockIds: [], missing: ['section "Usage"'] }));
+
+    await expect(runAgentStep(client, sessionConfig, 'Update docs', 'Prompt', { ...options, retries: 0, verify }))
+      .rejects.toThrow('Update docs: reported success, but the page is missing section "Usage" (gave up after 1 attempt)');
+  });
+});
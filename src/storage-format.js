@@ -0,0 +1,203 @@
+/**
+ * Builds Confluence storage format (Confluence's XHTML page source).
+ * Markdown is rendered with marked; the parts that aren't valid XHTML or that
+ * Confluence expresses as macros (code blocks, images, task checkboxes) are rendered here.
+ */
+
+const { Marked } = require('marked');
+const { describeBump, templateValues } = require('./utils');
+const { entryTemplate, renderTemplate } = require('./entry-template');
+const { resolveUrl } = require('./markdown');
+const { CHANGE_CATEGORIES } = require('./constants');
+
+/** Status macro colours for the Notion colors of CHANGE_CATEGORIES */
+const STATUS_COLOURS = {
+  red: 'Red',
+  green: 'Green',
+  blue: 'Blue',
+  yellow: 'Yellow',
+  gray: 'Grey',
+  orange: 'Yellow',
+  purple: 'Purple',
+};
+
+/**
+ * Escapes text for use in XHTML content or attribute values.
+ * @param {string} text - Raw text.
+ * @returns {string} Escaped text.
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Wraps text in a CDATA section, splitting any "]]>" it contains.
+ * @param {string} text - Raw text.
+ * @returns {string} CDATA section.
+ */
+function cdata(text) {
+  return `<![CDATA[${text.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+/**
+ * Builds a Confluence code macro.
+ * @param {string} code - Code to show.
+ * @param {string} language - Language for syntax highlighting, if any.
+ * @returns {string} Storage format markup.
+ */
+function codeMacro(code, language = '') {
+  const name = language.trim().split(/\s+/)[0].toLowerCase();
+  const languageParameter = name ? `<ac:parameter ac:name="language">${escapeXml(name)}</ac:parameter>` : '';
+  return `<ac:structured-macro ac:name="code">${languageParameter}<ac:plain-text-body>${cdata(code)}</ac:plain-text-body></ac:structured-macro>`;
+}
+
+/**
+ * Converts GitHub-flavored Markdown to Confluence storage format.
+ * @param {string} markdown - Markdown source (e.g. a value from fetchDocContent).
+ * @param {Object} options - Conversion options.
+ * @param {string} options.linkBaseUrl - Base URL for relative links.
+ * @param {string} options.imageBaseUrl - Base URL for relative image paths.
+ * @returns {string} Storage format markup.
+ */
+function markdownToStorage(markdown, { linkBaseUrl, imageBaseUrl } = {}) {
+  if (!markdown) return '';
+
+  const marked = new Marked({
+    gfm: true,
+    walkTokens(token) {
+      if (token.type === 'link') {
+        token.href = resolveUrl(token.href, linkBaseUrl) || token.href;
+      }
+    },
+    renderer: {
+      code({ text, lang }) {
+        return codeMacro(text, lang || '');
+      },
+      image({ href, text }) {
+        const url = resolveUrl(href, imageBaseUrl);
+        if (!url) return escapeXml(text);
+        return `<ac:image ac:alt="${escapeXml(text)}"><ri:url ri:value="${escapeXml(url)}" /></ac:image>`;
+      },
+      // Raw HTML is shown as text: it is rarely valid XHTML and could inject macros
+      html({ text }) {
+        return escapeXml(text);
+      },
+      checkbox({ checked }) {
+        return checked ? '[x]' : '[ ]';
+      },
+      hr() {
+        return '<hr />\n';
+      },
+      br() {
+        return '<br />';
+      },
+    },
+  });
+
+  return marked.parse(markdown).trim();
+}
+
+/**
+ * Builds a Confluence status macro (a colored lozenge).
+ * @param {string} title - Text of the lozenge.
+ * @param {string} colour - "Grey", "Red", "Yellow", "Green", "Blue" or "Purple".
+ * @returns {string} Storage format markup.
+ */
+function statusMacro(title, colour) {
+  return (
+    '<ac:structured-macro ac:name="status">' +
+    `<ac:parameter ac:name="colour">${colour}</ac:parameter>` +
+    `<ac:parameter ac:name="title">${escapeXml(title)}</ac:parameter>` +
+    '</ac:structured-macro>'
+  );
+}
+
+/**
+ * Builds storage format for a changelog entry from its template, mirroring buildNotionBlocks:
+ * headings, paragraphs and the reference link as HTML, the category as a status lozenge,
+ * toggles as expand macros and the divider as a horizontal rule.
+ * @param {Object} changelogEntry - The changelog entry object.
+ * @returns {string} Storage format markup.
+ */
+function buildStorageEntry(changelogEntry) {
+  const { category, url, groups = [] } = changelogEntry;
+  return renderTemplate(entryTemplate(changelogEntry), templateValues(changelogEntry), {
+    heading: (text) => [`<h2>${escapeXml(text)}</h2>`],
+    reference: (text) => [`<p><a href="${escapeXml(url)}">${escapeXml(text)}</a></p>`],
+    paragraph: (text) => [`<p>${escapeXml(text)}</p>`],
+    toggle: (title, code) => [
+      `<ac:structured-macro ac:name="expand"><ac:parameter ac:name="title">${escapeXml(title)}</ac:parameter>` +
+        `<ac:rich-text-body>${codeMacro(code)}</ac:rich-text-body></ac:structured-macro>`,
+    ],
+    category: () => (category
+      ? [`<p>${statusMacro(category, STATUS_COLOURS[CHANGE_CATEGORIES[category].color])} ${escapeXml(describeBump(changelogEntry))}</p>`]
+      : []),
+    'release-notes': () => groups.map((group) => {
+      const items = group.pullRequests.map(
+        (p) => `<li><a href="${escapeXml(p.url)}">#${p.number}</a> ${escapeXml(`${p.title} by @${p.author}`)}</li>`
+      );
+      return `<h3>${escapeXml(group.title)}</h3><ul>${items.join('')}</ul>`;
+    }),
+    divider: () => ['<hr />'],
+  }).join('');
+}
+
+/**
+ * Returns the text of a piece of storage format, without tags.
+ * @param {string} storage - Storage format markup.
+ * @returns {string} Text with entities decoded.
+ */
+function storageText(storage) {
+  return storage
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Lists the text of the headings in a page body.
+ * @param {string} storage - Storage format markup.
+ * @returns {Array<string>} Heading texts, in order.
+ */
+function storageHeadings(storage) {
+  return [...storage.matchAll(/<h[1-6][^>]*>([\s\S]*?)<\/h[1-6]>/g)].map((match) => storageText(match[1]));
+}
+
+/**
+ * Finds an entry on the Changelog page body.
+ * An entry runs from the <h2> before its reference paragraph to the next <h2>.
+ * @param {string} storage - Storage format of the Changelog page.
+ * @param {string} key - Entry key from getEntryKey.
+ * @returns {Object|null} The entry's `start` and `end` offsets and `heading` text, or null when not found.
+ */
+function findStorageEntry(storage, key) {
+  const starts = [...storage.matchAll(/<h2[\s>]/g)].map((match) => match.index);
+  for (let i = 0; i < starts.length; i++) {
+    const start = starts[i];
+    const end = i + 1 < starts.length ? starts[i + 1] : storage.length;
+    const section = storage.substring(start, end);
+    const paragraph = section.match(/<p[\s>][\s\S]*?<\/p>/);
+    const text = paragraph ? storageText(paragraph[0]) : '';
+    if (text === key || text.startsWith(`${key} `)) {
+      return { start, end, heading: storageHeadings(section)[0] || '' };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  escapeXml,
+  codeMacro,
+  markdownToStorage,
+  buildStorageEntry,
+  storageText,
+  storageHeadings,
+  findStorageEntry,
+};
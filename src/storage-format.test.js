@@ -0,0 +1,164 @@
+const {
+  escapeXml,
+  codeMacro,
+  markdownToStorage,
+  buildStorageEntry,
+  storageText,
+  storageHeadings,
+  findStorageEntry,
+} = require('./storage-format');
+
+const entry = {
+  type: 'pr',
+  date: '2026-01-21',
+  title: 'Add <feature> & more',
+  prNumber: 42,
+  author: 'dev',
+  url: 'https://github.com/org/repo/pull/42?a=1&b=2',
+  summary: 'Adds a feature',
+  files: '- src/index.js',
+};
+
+describe('escapeXml', () => {
+  it('should escape markup characters', () => {
+    expect(escapeXml('<a href="x">&</a>')).toBe('&lt;a href=&quot;x&quot;&gt;&amp;&lt;/a&gt;');
+  });
+});
+
+describe('codeMacro', () => {
+  it('should wrap code in CDATA and keep the language', () => {
+    expect(codeMacro('a ]]> b', 'js title=x')).toBe(
+      '<ac:structured-macro ac:name="code"><ac:parameter ac:name="language">js</ac:parameter>' +
+        '<ac:plain-text-body><![CDATA[a ]]]]><![CDATA[> b]]></ac:plain-text-body></ac:structured-macro>'
+    );
+  });
+});
+
+describe('markdownToStorage', () => {
+  it('should render headings, paragraphs and lists as XHTML', () => {
+    expect(markdownToStorage('# Title\n\nSome *text*\n\n- one\n- two')).toBe(
+      '<h1>Title</h1>\n<p>Some <em>text</em></p>\n<ul>\n<li>one</li>\n<li>two</li>\n</ul>'
+    );
+  });
+
+  it('should self-close void elements', () => {
+    expect(markdownToStorage('a  \nb\n\n---')).toBe('<p>a<br />b</p>\n<hr />');
+  });
+
+  it('should render code blocks as code macros', () => {
+    expect(markdownToStorage('```js\nconst a = 1;\n```')).toBe(codeMacro('const a = 1;', 'js'));
+  });
+
+  it('should resolve relative links and images', () => {
+    const storage = markdownToStorage('[guide](docs/guide.md) ![logo](img/logo.png)', {
+      linkBaseUrl: 'https://github.com/org/repo/blob/main/',
+      imageBaseUrl: 'https://raw.githubusercontent.com/org/repo/main/',
+    });
+
+    expect(storage).toContain('<a href="https://github.com/org/repo/blob/main/docs/guide.md">guide</a>');
+    expect(storage).toContain(
+      '<ac:image ac:alt="logo"><ri:url ri:value="https://raw.githubusercontent.com/org/repo/main/img/logo.png" /></ac:image>'
+    );
+  });
+
+  it('should show raw HTML and task checkboxes as text', () => {
+    const storage = markdownToStorage('<div>hi</div>\n\n- [x] done\n- [ ] todo');
+
+    expect(storage).toContain('&lt;div&gt;hi&lt;/div&gt;');
+    expect(storage).toContain('<li>[x] done</li>');
+    expect(storage).toContain('<li>[ ] todo</li>');
+  });
+
+  it('should return an empty string for empty input', () => {
+    expect(markdownToStorage('')).toBe('');
+  });
+});
+
+describe('buildStorageEntry', () => {
+  it('should mirror the Notion entry layout with escaped text', () => {
+    const storage = buildStorageEntry(entry);
+
+    expect(storage).toMatch(/^<h2>2026-01-21 - Add &lt;feature&gt; &amp; more<\/h2>/);
+    expect(storage).toContain('<p><a href="https://github.com/org/repo/pull/42?a=1&amp;b=2">PR #42 by @dev</a></p>');
+    expect(storage).toContain('<p>Adds a feature</p>');
+    expect(storage).toContain('<ac:parameter ac:name="title">Changed files</ac:parameter>');
+    expect(storage).toMatch(/<hr \/>$/);
+  });
+
+  it('should not prefix commit authors with @', () => {
+    const storage = buildStorageEntry({ ...entry, type: 'sync', commit: 'abc1234', author: 'Test Author' });
+
+    expect(storage).toContain('>Commit abc1234 by Test Author</a>');
+  });
+});
+
+describe('buildStorageEntry with an entry template', () => {
+  it('should write the blocks of the template', () => {
+    const template = [{ heading: '${title}' }, { reference: '${key} by ${author}' }, { toggle: 'Files (${key})', code: '${files}' }];
+
+    const storage = buildStorageEntry({ ...entry, template });
+
+    expect(storage).toMatch(/^<h2>Add &lt;feature&gt; &amp; more<\/h2><p><a href="[^"]+">PR #42 by @dev<\/a><\/p><ac:structured-macro ac:name="expand">/);
+    expect(storage).toContain('<ac:parameter ac:name="title">Files (PR #42)</ac:parameter>');
+    expect(storage).not.toContain('<hr />');
+  });
+});
+
+describe('buildStorageEntry for classified entries', () => {
+  it('should show the category as a status lozenge after the reference', () => {
+    const storage = buildStorageEntry({ ...entry, category: 'Added', categorySource: 'title prefix "feat"', bump: 'minor' });
+
+    expect(storage).toContain(
+      '</a></p><p><ac:structured-macro ac:name="status"><ac:parameter ac:name="colour">Green</ac:parameter>' +
+        '<ac:parameter ac:name="title">Added</ac:parameter></ac:structured-macro> ' +
+        'minor bump · from title prefix &quot;feat&quot;</p><p>Adds a feature</p>'
+    );
+    expect(findStorageEntry(storage, 'PR #42')).toMatchObject({ start: 0 });
+  });
+});
+
+describe('buildStorageEntry for releases', () => {
+  it('should list pull requests under a heading per group', () => {
+    const storage = buildStorageEntry({
+      ...entry,
+      type: 'release',
+      key: 'Release v1.2.0',
+      groups: [{ title: 'Bug fixes', pullRequests: [{ number: 7, title: 'Fix <crash>', author: 'dev', url: 'https://x/7' }] }],
+    });
+
+    expect(storage).toContain('>Release v1.2.0 by @dev</a>');
+    expect(storage).toContain('<h3>Bug fixes</h3><ul><li><a href="https://x/7">#7</a> Fix &lt;crash&gt; by @dev</li></ul>');
+    expect(findStorageEntry(storage, 'Release v1.2.0')).toMatchObject({ start: 0, end: storage.length });
+  });
+});
+
+describe('storageText', () => {
+  it('should strip tags and decode entities', () => {
+    expect(storageText('<p>A &amp; <strong>B</strong> &lt;c&gt;</p>')).toBe('A & B <c>');
+  });
+});
+
+describe('storageHeadings', () => {
+  it('should list heading texts in order', () => {
+    expect(storageHeadings('<h1>One</h1><p>x</p><h3 id="t">Two <em>2</em></h3>')).toEqual(['One', 'Two 2']);
+  });
+});
+
+describe('findStorageEntry', () => {
+  it('should find an entry from its heading to the next heading', () => {
+    const first = buildStorageEntry({ ...entry, prNumber: 1 });
+    const second = buildStorageEntry({ ...entry, prNumber: 2 });
+    const storage = `<p>Intro</p>${first}${second}`;
+
+    const found = findStorageEntry(storage, 'PR #2');
+
+    expect(storage.substring(found.start, found.end)).toBe(second);
+    expect(found.heading).toBe('2026-01-21 - Add <feature> & more');
+  });
+
+  it('should not match a longer key', () => {
+    const storage = buildStorageEntry({ ...entry, prNumber: 12 });
+
+    expect(findStorageEntry(storage, 'PR #1')).toBeNull();
+  });
+});
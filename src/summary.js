@@ -0,0 +1,208 @@
+/**
+ * AI-written change summaries. A pull request whose description is empty, too short or the
+ * repository's PR template left unfilled says nothing in the changelog, so Copilot can summarize
+ * it from its commits, changed files and diff excerpts. The summary is marked as AI-written in
+ * the entry, and capped at a number of words.
+ */
+
+const {
+  MIN_DESCRIPTION_LENGTH,
+  MAX_SUMMARY_COMMITS,
+  MAX_SUMMARY_DIFF_LINES,
+  MAX_SUMMARY_DIFF_LENGTH,
+  AI_SUMMARY_PREFIX,
+  PR_TEMPLATE_PATHS,
+  SHORT_SHA_LENGTH,
+} = require('./constants');
+const { fetchFileContent } = require('./utils');
+const { withResponseFormat } = require('./responses');
+const { runAgentStep } = require('./session');
+
+/** Name of the agent step, in logs, errors and the run report */
+const SUMMARY_STEP = 'Summarize changes';
+
+/**
+ * Reads the pull request template of a repository.
+ * @param {Object} octokit - GitHub API client.
+ * @param {Object} repository - `owner` and `repo`.
+ * @param {string} ref - Commit to read the template at.
+ * @returns {Promise<string|null>} The first template found, or null when the repository has none.
+ */
+async function loadPullRequestTemplate(octokit, { owner, repo }, ref) {
+  for (const path of PR_TEMPLATE_PATHS) {
+    const content = await fetchFileContent(octokit, owner, repo, path, ref);
+    if (content !== null) return content;
+  }
+  return null;
+}
+
+/**
+ * Normalizes a description line for comparison with the template: no list or checkbox marker,
+ * single spaces.
+ * @param {string} line - Description line.
+ * @returns {string} Normalized line.
+ */
+function normalizeLine(line) {
+  return line.trim().replace(/^([-*+]|\d+\.)\s+(\[[ xX]\]\s*)?/, '').replace(/\s+/g, ' ');
+}
+
+/**
+ * Returns what a PR description says beyond markup: without HTML comments, headings, lines
+ * with no words, and lines copied from the PR template.
+ * @param {string} body - PR description.
+ * @param {string|null} template - The repository's PR template.
+ * @returns {string} The remaining text, one line per line kept.
+ */
+function meaningfulText(body, template = null) {
+  const withoutComments = (text) => (text || '').replace(/<!--[\s\S]*?(-->|$)/g, '');
+  const templateLines = new Set(withoutComments(template).split('\n').map(normalizeLine).filter(Boolean));
+
+  return withoutComments(body)
+    .split('\n')
+    .filter((line) => !/^\s*#{1,6}\s/.test(line) && /[\p{L}\p{N}]/u.test(line))
+    .map(normalizeLine)
+    .filter((line) => !templateLines.has(line))
+    .join('\n');
+}
+
+/**
+ * Tells whether a PR description needs a generated summary.
+ * @param {string|null} body - PR description.
+ * @param {string|null} template - The repository's PR template, from loadPullRequestTemplate.
+ * @returns {string|null} Why the description can't serve as the summary, or null when it can.
+ */
+function summaryNeed(body, template = null) {
+  if (!body || !body.trim()) return 'the PR has no description';
+
+  const text = meaningfulText(body, template);
+  if (text.length >= MIN_DESCRIPTION_LENGTH) return null;
+  if (template && text.length === 0 && meaningfulText(body).length > 0) {
+    return 'the PR description is the unfilled PR template';
+  }
+  return 'the PR description is too short';
+}
+
+/**
+ * Lists the commits of a pull request for the summary prompt, leaving out merge commits.
+ * @param {Array} commits - Commits from pulls.listCommits or the compare API.
+ * @param {number} limit - Maximum number of commits listed.
+ * @returns {string} One line per commit: its subject and short SHA.
+ */
+function formatCommits(commits, limit = MAX_SUMMARY_COMMITS) {
+  const lines = commits
+    .filter((commit) => !(commit.parents && commit.parents.length > 1))
+    .map((commit) => `- ${commit.commit.message.split('\n')[0]} (${commit.sha.substring(0, SHORT_SHA_LENGTH)})`);
+  if (lines.length <= limit) return lines.join('\n');
+  return [...lines.slice(0, limit), `- … and ${lines.length - limit} more commits`].join('\n');
+}
+
+/**
+ * Takes the start of each changed file's diff, within a length budget. Files without a patch
+ * (binary or too large for GitHub to diff) are left out.
+ * @param {Array} files - Changed files with their `patch`, from pulls.listFiles or the compare API.
+ * @param {Object} limits - `lines` per file and overall `length`.
+ * @returns {string} One fenced diff per file, or an empty string when no file has a patch.
+ */
+function formatDiffExcerpts(files, { lines = MAX_SUMMARY_DIFF_LINES, length = MAX_SUMMARY_DIFF_LENGTH } = {}) {
+  const excerpts = [];
+  let used = 0;
+  let omitted = 0;
+
+  for (const file of files.filter((f) => f.patch)) {
+    const patchLines = file.patch.split('\n');
+    const more = patchLines.length > lines ? `\n[${patchLines.length - lines} more lines]` : '';
+    const excerpt = `\`${file.filename}\` (${file.status}):\n\`\`\`diff\n${patchLines.slice(0, lines).join('\n')}${more}\n\`\`\``;
+    if (used + excerpt.length > length) {
+      omitted++;
+      continue;
+    }
+    excerpts.push(excerpt);
+    used += excerpt.length;
+  }
+
+  const note = omitted > 0 ? `\n\n[${omitted} more files omitted]` : '';
+  return `${excerpts.join('\n\n')}${note}`;
+}
+
+/**
+ * Builds the prompt asking for a summary of a pull request.
+ * @param {Object} pullRequest - Pull request data from GitHub API.
+ * @param {Object} changes - What the pull request changes.
+ * @param {Array} changes.commits - Its commits.
+ * @param {string} changes.filesList - Formatted list of changed files.
+ * @param {Array} changes.files - Changed files with their `patch`.
+ * @param {number} changes.words - Maximum words of the summary.
+ * @returns {string} The prompt for the AI, including the response format.
+ */
+function buildSummaryPrompt(pullRequest, { commits = [], filesList, files = [], words }) {
+  const diff = formatDiffExcerpts(files);
+  const prompt = `Summarize pull request #${pullRequest.number} "${pullRequest.title}" for the changelog of this project. Its description doesn't say what it changes, so work from its commits and diff.
+
+**Commits:**
+${formatCommits(commits) || 'None listed'}
+
+**Changed files:**
+${filesList}
+
+**Diff excerpts:**
+${diff || 'No diff available'}
+
+**Instructions:**
+1. Write at most ${words} words of plain text for the people who use the project: what they can now do, or what works differently.
+2. Only describe what the commits and diff show; don't guess at motives or mention changes you can't see.
+3. Leave out headings, lists, Markdown and the PR number.`;
+
+  return withResponseFormat(prompt, { requireSummary: true });
+}
+
+/**
+ * Cuts a text down to a number of words.
+ * @param {string} text - Text to cut.
+ * @param {number} words - Maximum words.
+ * @returns {string} The text, ending in "…" when it was cut.
+ */
+function limitWords(text, words) {
+  const parts = text.trim().split(/\s+/);
+  return parts.length <= words ? parts.join(' ') : `${parts.slice(0, words).join(' ')}…`;
+}
+
+/**
+ * Puts a generated summary in a changelog entry, marked as AI-written.
+ * @param {Object} entry - Changelog entry.
+ * @param {string} summary - Summary from summarizePullRequest.
+ * @returns {Object} The entry with the marked `summary` and `summarySource: 'copilot'`.
+ */
+function markGeneratedSummary(entry, summary) {
+  return { ...entry, summary: `${AI_SUMMARY_PREFIX} ${summary}`, summarySource: 'copilot' };
+}
+
+/**
+ * Asks Copilot for a summary of a pull request. The session has no tools: everything the model
+ * needs is in the prompt.
+ * @param {Object} client - Started CopilotClient.
+ * @param {Object} options - `model`, `words`, and the options of runAgentStep (timeouts, retries, onToolStart).
+ * @param {Object} pullRequest - Pull request data from GitHub API.
+ * @param {Object} changes - `commits`, `filesList` and `files`, as for buildSummaryPrompt.
+ * @returns {Promise<string>} The summary, at most `words` words long.
+ * @throws {Error} When every attempt fails.
+ */
+async function summarizePullRequest(client, { model, words, ...stepOptions }, pullRequest, changes) {
+  const result = await runAgentStep(client, { model }, SUMMARY_STEP, buildSummaryPrompt(pullRequest, { ...changes, words }), {
+    ...stepOptions,
+    resultOptions: { requireSummary: true },
+  });
+  return limitWords(result.summary, words);
+}
+
+module.exports = {
+  SUMMARY_STEP,
+  loadPullRequestTemplate,
+  meaningfulText,
+  summaryNeed,
+  formatCommits,
+  formatDiffExcerpts,
+  buildSummaryPrompt,
+  limitWords,
+  markGeneratedSummary,
+  summarizePullRequest,
+};
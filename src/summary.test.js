@@ -0,0 +1,180 @@
+jest.mock('./session');
+
+const { runAgentStep } = require('./session');
+const {
+  loadPullRequestTemplate,
+  meaningfulText,
+  summaryNeed,
+  formatCommits,
+  formatDiffExcerpts,
+  buildSummaryPrompt,
+  limitWords,
+  markGeneratedSummary,
+  summarizePullRequest,
+} = require('./summary');
+
+const TEMPLATE = `## Description
+<!-- What does this PR change, and why? -->
+
+## Checklist
+- [ ] Tests added
+- [ ] Docs updated
+`;
+
+/**
+ * Creates an Octokit mock serving file contents from a map.
+ */
+function mockOctokit(files) {
+  return {
+    rest: {
+      repos: {
+        getContent: jest.fn(async ({ path }) => {
+          if (!(path in files)) throw new Error('Not found');
+          return { data: { content: Buffer.from(files[path]).toString('base64'), encoding: 'base64' } };
+        }),
+      },
+    },
+  };
+}
+
+/**
+ * Builds a commit as pulls.listCommits returns it.
+ */
+function commit(sha, message, parents = 1) {
+  return { sha, commit: { message }, parents: Array.from({ length: parents }, () => ({ sha: 'p' })) };
+}
+
+const pullRequest = { number: 42, title: 'Add dark mode', body: '' };
+
+describe('loadPullRequestTemplate', () => {
+  it('should read the first template GitHub would use', async () => {
+    const octokit = mockOctokit({ 'docs/pull_request_template.md': 'Docs', '.github/PULL_REQUEST_TEMPLATE.md': 'GitHub' });
+
+    await expect(loadPullRequestTemplate(octokit, { owner: 'org', repo: 'repo' }, 'abc123')).resolves.toBe('GitHub');
+    expect(octokit.rest.repos.getContent).toHaveBeenCalledWith(expect.objectContaining({ ref: 'abc123' }));
+  });
+
+  it('should return null when the repository has no template', async () => {
+    await expect(loadPullRequestTemplate(mockOctokit({}), { owner: 'org', repo: 'repo' }, 'abc123')).resolves.toBeNull();
+  });
+});
+
+describe('meaningfulText', () => {
+  it('should drop comments, headings, bare markup and template lines', () => {
+    const body = `${TEMPLATE}\nAdds a dark theme.\n- [x] Tests added\n---\n<!-- note`;
+
+    expect(meaningfulText(body, TEMPLATE)).toBe('Adds a dark theme.');
+    expect(meaningfulText(body)).toBe('Tests added\nDocs updated\nAdds a dark theme.\nTests added');
+  });
+});
+
+describe('summaryNeed', () => {
+  it('should accept a description that says something', () => {
+    expect(summaryNeed(`${TEMPLATE}\nAdds a dark theme, picked from the system setting or the menu.`, TEMPLATE)).toBeNull();
+  });
+
+  it('should explain why a description is not a summary', () => {
+    expect(summaryNeed(null)).toBe('the PR has no description');
+    expect(summaryNeed('  \n')).toBe('the PR has no description');
+    expect(summaryNeed('Fixes #12')).toBe('the PR description is too short');
+    expect(summaryNeed('<!-- Describe your change -->')).toBe('the PR description is too short');
+    expect(summaryNeed(TEMPLATE.replace('- [ ] Tests', '- [x] Tests'), TEMPLATE)).toBe('the PR description is the unfilled PR template');
+  });
+});
+
+describe('formatCommits', () => {
+  it('should list commit subjects without merge commits', () => {
+    const commits = [
+      commit('aaaaaaa111', 'feat: add dark theme\n\nLong body'),
+      commit('bbbbbbb222', 'Merge branch main', 2),
+      commit('ccccccc333', 'fix: contrast'),
+    ];
+
+    expect(formatCommits(commits)).toBe('- feat: add dark theme (aaaaaaa)\n- fix: contrast (ccccccc)');
+    expect(formatCommits(commits, 1)).toBe('- feat: add dark theme (aaaaaaa)\n- … and 1 more commits');
+  });
+});
+
+describe('formatDiffExcerpts', () => {
+  const files = [
+    { filename: 'src/theme.js', status: 'added', patch: '@@ -0,0 +1,3 @@\n+a\n+b\n+c' },
+    { filename: 'logo.png', status: 'modified' },
+    { filename: 'src/menu.js', status: 'modified', patch: '@@ -1 +1 @@\n-x\n+y' },
+  ];
+
+  it('should take the start of each diff', () => {
+    expect(formatDiffExcerpts(files, { lines: 2 })).toBe(
+      [
+        '`src/theme.js` (added):\n```diff\n@@ -0,0 +1,3 @@\n+a\n[2 more lines]\n```',
+        '`src/menu.js` (modified):\n```diff\n@@ -1 +1 @@\n-x\n[1 more lines]\n```',
+      ].join('\n\n')
+    );
+  });
+
+  it('should leave out files over the length budget', () => {
+    expect(formatDiffExcerpts(files, { length: 58 })).toBe(
+      '`src/menu.js` (modified):\n```diff\n@@ -1 +1 @@\n-x\n+y\n```\n\n[1 more files omitted]'
+    );
+  });
+});
+
+describe('buildSummaryPrompt', () => {
+  it('should include the commits, files, diff and word limit', () => {
+    const prompt = buildSummaryPrompt(pullRequest, {
+      commits: [commit('aaaaaaa111', 'feat: add dark theme')],
+      filesList: '- src/theme.js (added)',
+      files: [{ filename: 'src/theme.js', status: 'added', patch: '@@ -0,0 +1 @@\n+dark' }],
+      words: 40,
+    });
+
+    expect(prompt).toContain('pull request #42 "Add dark mode"');
+    expect(prompt).toContain('- feat: add dark theme (aaaaaaa)');
+    expect(prompt).toContain('- src/theme.js (added)');
+    expect(prompt).toContain('+dark');
+    expect(prompt).toContain('at most 40 words');
+    expect(prompt).toContain('{"status": "success", "summary": "<the summary>"}');
+  });
+
+  it('should say when there is no diff', () => {
+    expect(buildSummaryPrompt(pullRequest, { filesList: '- logo.png (modified)', words: 40 })).toContain('No diff available');
+  });
+});
+
+describe('limitWords', () => {
+  it('should cut long text at the word limit', () => {
+    expect(limitWords(' Adds  a dark theme. ', 10)).toBe('Adds a dark theme.');
+    expect(limitWords('Adds a dark theme to every page', 3)).toBe('Adds a dark…');
+  });
+});
+
+describe('markGeneratedSummary', () => {
+  it('should mark the summary as AI-written', () => {
+    expect(markGeneratedSummary({ key: 'PR #42', summary: 'No description provided' }, 'Adds a dark theme.')).toEqual({
+      key: 'PR #42',
+      summary: '🤖 AI-generated summary: Adds a dark theme.',
+      summarySource: 'copilot',
+    });
+  });
+});
+
+describe('summarizePullRequest', () => {
+  beforeEach(() => runAgentStep.mockReset());
+
+  it('should run a summary step without Notion access', async () => {
+    runAgentStep.mockResolvedValue({ status: 'success', summary: 'Adds a dark theme that follows the system setting.', blockIds: [] });
+    const client = {};
+
+    const summary = await summarizePullRequest(client, { model: 'gpt-4o', words: 5, retries: 1 }, pullRequest, {
+      filesList: '- src/theme.js (added)',
+    });
+
+    expect(summary).toBe('Adds a dark theme that…');
+    expect(runAgentStep).toHaveBeenCalledWith(
+      client,
+      { model: 'gpt-4o' },
+      'Summarize changes',
+      expect.stringContaining('at most 5 words'),
+      { retries: 1, resultOptions: { requireSummary: true } }
+    );
+  });
+});
@@ -0,0 +1,340 @@
+/**
+ * Documentation targets: where changelog entries and documentation pages are written.
+ * Every target exposes the same operations, so the write steps in index.js and the docs/
+ * sync don't depend on a particular wiki. The "agent" write strategy and the changelog
+ * database drive Notion directly and are not part of this interface.
+ *
+ * A target is an object with:
+ * - `name`: "notion", "confluence" or "markdown-file"
+ * - `uniqueTitles`: whether page titles must be unique across the space (Confluence)
+ * - `findOrCreateChangelog(parentId, title)` -> `{ id, created }`
+ * - `writeChangelogEntry(changelogId, entry, onExisting)` -> `{ action, blockIds, existing }`,
+ *   where `existing` is the entry found before writing (with its `blockIds`) or null;
+ *   the markdown-file target also returns the `commitSha` and `pullRequestUrl`
+ * - `findChangelogEntry(changelogId, entry)` -> the entry already written (with its `blockIds`) or null
+ * - `verifyChangelogEntry(changelogId, entry, { ignoreBlockIds })` -> `{ ok, blockIds, missing }`
+ * - `replacePageContent(pageId, markdown, urls, { base })` -> `{ removed, added }` counts, or `{ version }`;
+ *   given the `base` README the page was last written from, the Notion target only rewrites the
+ *   sections that changed and also returns the `kept` count and the `sections` it touched, or the
+ *   `fallback` reason when it rewrote the whole page instead
+ * - `verifyDocumentation(pageId, markdown)` -> `{ ok, blockIds, missing }`
+ * - `readPageMarkdown(pageId)` -> the page content, normalized to Markdown for a drift check
+ * - `normalizeMarkdown(markdown, urls)` -> Markdown normalized the way a page written from it would read back
+ * - `findChildPage(parentId, title)` -> `{ id }` or null
+ * - `findOrCreateChildPage(parentId, title)` -> `{ id, created }`
+ * - `archivePage(pageId)`
+ * - `getPageUrl(pageId)` -> URL of the page
+ * - `entryUrl(changelogUrl, blockIds)` -> URL of a changelog entry, or null
+ * Page IDs returned by a target are in the form its API accepts back. The markdown-file
+ * target only holds the changelog; its page operations throw.
+ */
+
+const notion = require('./notion');
+const confluence = require('./confluence');
+const changelog = require('./changelog');
+const { getEntryKey } = require('./utils');
+const { markdownToNotionBlocks } = require('./markdown');
+const { updatePageSections, sectionChanges } = require('./page-sections');
+const { blocksToMarkdown, storageToMarkdown } = require('./drift');
+const { buildStorageEntry, findStorageEntry, markdownToStorage } = require('./storage-format');
+const {
+  addChangelogLine,
+  checkChangelogFile,
+  readRepoFile,
+  updateRepoFile,
+  ensureBranch,
+  openPullRequest,
+  changelogBranchName,
+} = require('./changelog-file');
+const {
+  verifyChangelogEntry,
+  checkStorageEntry,
+  verifyDocumentation,
+  checkStorageDocumentation,
+  readmeSections,
+} = require('./verify');
+const { GITHUB_SERVER_URL } = require('./constants');
+
+/** Supported documentation targets */
+const TARGETS = ['notion', 'confluence', 'markdown-file'];
+
+/**
+ * Creates the Notion target.
+ * @param {Object} client - Notion client from createNotionClient.
+ * @returns {Object} Target implementing the interface described above.
+ */
+function createNotionTarget(client) {
+  return {
+    name: 'notion',
+    uniqueTitles: false,
+
+    async findOrCreateChangelog(parentId, title) {
+      const page = await notion.findOrCreateChildPage(client, parentId, title);
+      return { id: notion.normalizeId(page.id), created: page.created };
+    },
+
+    async writeChangelogEntry(changelogId, entry, onExisting) {
+      const { action, blocks, existing } = await changelog.writeChangelogEntry(client, changelogId, entry, onExisting);
+      return { action, blockIds: blocks.map((block) => block.id), existing };
+    },
+
+    findChangelogEntry(changelogId, entry) {
+      return changelog.findExistingEntry(client, changelogId, entry);
+    },
+
+    verifyChangelogEntry(changelogId, entry, options) {
+      return verifyChangelogEntry(client, changelogId, entry, options);
+    },
+
+    async replacePageContent(pageId, markdown, urls, { base = null } = {}) {
+      const blocks = markdownToNotionBlocks(markdown, urls);
+      let fallback = null;
+      if (base !== null) {
+        // Both READMEs are converted with the same URLs, so only real edits tell them apart
+        const update = await updatePageSections(client, pageId, markdownToNotionBlocks(base, urls), blocks);
+        if (update.ok) {
+          const { removed, added, kept, changes } = update;
+          return { removed, added, kept, sections: sectionChanges(changes) };
+        }
+        fallback = update.reason;
+      }
+      const { removed, created } = await notion.replacePageContent(client, pageId, blocks);
+      return { removed, added: created.length, fallback };
+    },
+
+    verifyDocumentation(pageId, markdown) {
+      return verifyDocumentation(client, pageId, markdown);
+    },
+
+    async readPageMarkdown(pageId) {
+      return blocksToMarkdown(await notion.listBlockTree(client, pageId));
+    },
+
+    normalizeMarkdown(markdown, urls) {
+      return blocksToMarkdown(markdownToNotionBlocks(markdown, urls));
+    },
+
+    async findChildPage(parentId, title) {
+      const page = await notion.findChildPage(client, parentId, title);
+      return page && { id: notion.normalizeId(page.id) };
+    },
+
+    async findOrCreateChildPage(parentId, title) {
+      const page = await notion.findOrCreateChildPage(client, parentId, title);
+      return { id: notion.normalizeId(page.id), created: page.created };
+    },
+
+    async archivePage(pageId) {
+      await notion.archivePage(client, pageId);
+    },
+
+    async getPageUrl(pageId) {
+      return (await notion.getPage(client, pageId)).url;
+    },
+
+    entryUrl(changelogUrl, blockIds) {
+      return blockIds.length > 0 ? `${changelogUrl}#${notion.normalizeId(blockIds[0])}` : null;
+    },
+  };
+}
+
+/**
+ * Creates the Confluence Cloud target.
+ * Pages are written in storage format; the Changelog page is one body that entries
+ * are spliced into, and each write is a single new page version.
+ * @param {Object} client - Confluence client from createConfluenceClient.
+ * @returns {Object} Target implementing the interface described above.
+ */
+function createConfluenceTarget(client) {
+  /**
+   * Returns a page and its storage format body.
+   */
+  async function readPage(pageId) {
+    const page = await confluence.getPage(client, pageId);
+    return { page, storage: page.body?.storage?.value || '' };
+  }
+
+  return {
+    name: 'confluence',
+    uniqueTitles: true,
+
+    findOrCreateChangelog(parentId, title) {
+      return confluence.findOrCreateChildPage(client, parentId, title);
+    },
+
+    async writeChangelogEntry(changelogId, entry, onExisting) {
+      const { page, storage } = await readPage(changelogId);
+      const found = findStorageEntry(storage, getEntryKey(entry));
+      const existing = found && { ...found, blockIds: [] };
+
+      if (existing && onExisting === 'skip') {
+        return { action: 'skipped', blockIds: [], existing };
+      }
+
+      const entryStorage = buildStorageEntry(entry);
+      const replacing = existing && onExisting === 'replace';
+      const updated = replacing
+        ? `${storage.substring(0, existing.start)}${entryStorage}${storage.substring(existing.end)}`
+        : `${storage}${entryStorage}`;
+      await confluence.updatePage(client, page, updated);
+      return { action: replacing ? 'replaced' : existing ? 'appended' : 'created', blockIds: [], existing };
+    },
+
+    async findChangelogEntry(changelogId, entry) {
+      const { storage } = await readPage(changelogId);
+      const found = findStorageEntry(storage, getEntryKey(entry));
+      return found && { ...found, blockIds: [] };
+    },
+
+    // The whole page is written in one version, so there is no older copy to tell apart
+    async verifyChangelogEntry(changelogId, entry) {
+      const { storage } = await readPage(changelogId);
+      return checkStorageEntry(storage, entry);
+    },
+
+    async replacePageContent(pageId, markdown, urls) {
+      const { page } = await readPage(pageId);
+      const updated = await confluence.updatePage(client, page, markdownToStorage(markdown, urls));
+      return { version: updated.version.number };
+    },
+
+    async verifyDocumentation(pageId, markdown) {
+      const { storage } = await readPage(pageId);
+      return checkStorageDocumentation(storage, readmeSections(markdown));
+    },
+
+    async readPageMarkdown(pageId) {
+      const { storage } = await readPage(pageId);
+      return storageToMarkdown(storage);
+    },
+
+    normalizeMarkdown(markdown, urls) {
+      return storageToMarkdown(markdownToStorage(markdown, urls));
+    },
+
+    async findChildPage(parentId, title) {
+      const page = await confluence.findChildPage(client, parentId, title);
+      return page && { id: page.id };
+    },
+
+    findOrCreateChildPage(parentId, title) {
+      return confluence.findOrCreateChildPage(client, parentId, title);
+    },
+
+    async archivePage(pageId) {
+      await confluence.trashPage(client, pageId);
+    },
+
+    async getPageUrl(pageId) {
+      return confluence.pageUrl(await confluence.getPage(client, pageId));
+    },
+
+    // Storage format has no stable per-block anchors
+    entryUrl() {
+      return null;
+    },
+  };
+}
+
+/**
+ * Creates the markdown-file target: a Keep a Changelog file in the repository itself.
+ * @param {Object} octokit - GitHub API client.
+ * @param {Object} options - File location.
+ * @param {string} options.owner - Repository owner.
+ * @param {string} options.repo - Repository name.
+ * @param {string} options.branch - Branch the changelog lives on (the PR's base branch).
+ * @param {string} options.mode - "commit" to commit to the branch, "pull-request" to propose the change.
+ * @param {string} options.serverUrl - GitHub server URL (`context.serverUrl`), for GitHub Enterprise Server.
+ * @returns {Object} Target implementing the changelog operations of the interface described above.
+ */
+function createMarkdownFileTarget(octokit, { owner, repo, branch, mode = 'commit', serverUrl = GITHUB_SERVER_URL }) {
+  // Where the file was last written: the branch itself, or the pull request branch
+  let writtenBranch = branch;
+
+  function unsupported() {
+    throw new Error('The markdown-file target only holds the changelog');
+  }
+
+  return {
+    name: 'markdown-file',
+    uniqueTitles: false,
+
+    // The file is created along with its first entry
+    async findOrCreateChangelog(path) {
+      return { id: path, created: false };
+    },
+
+    async writeChangelogEntry(path, entry, onExisting) {
+      const key = getEntryKey(entry);
+      const update = (content) => ({ ...addChangelogLine(content, entry, onExisting), message: `Add ${key} to ${path}` });
+      const written = (result, commitSha, pullRequestUrl = null) => ({
+        action: result.action,
+        blockIds: [],
+        existing: result.existing === null ? null : { blockIds: [] },
+        commitSha,
+        pullRequestUrl,
+      });
+
+      writtenBranch = branch;
+      if (mode === 'commit') {
+        const { result, commitSha } = await updateRepoFile(octokit, { owner, repo, path, branch }, update);
+        return written(result, commitSha);
+      }
+
+      // Nothing to propose when the change would leave the base branch's file as it is
+      const base = await readRepoFile(octokit, { owner, repo, path, branch });
+      const current = base ? base.content : null;
+      const planned = update(current);
+      if (planned.content === current) {
+        return written(planned, null);
+      }
+
+      writtenBranch = changelogBranchName(entry);
+      await ensureBranch(octokit, { owner, repo, base: branch, branch: writtenBranch });
+      const { result, commitSha } = await updateRepoFile(octokit, { owner, repo, path, branch: writtenBranch }, update);
+      const pullRequest = await openPullRequest(octokit, {
+        owner,
+        repo,
+        base: branch,
+        head: writtenBranch,
+        title: `Add ${key} to ${path}`,
+        body: `Adds ${entry.url} to the Unreleased section of \`${path}\`.`,
+      });
+      return written(result, commitSha, pullRequest.html_url);
+    },
+
+    async findChangelogEntry(path, entry) {
+      const file = await readRepoFile(octokit, { owner, repo, path, branch });
+      const { existing } = addChangelogLine(file && file.content, entry, 'skip');
+      return existing === null ? null : { blockIds: [] };
+    },
+
+    async verifyChangelogEntry(path, entry) {
+      const file = await readRepoFile(octokit, { owner, repo, path, branch: writtenBranch });
+      return checkChangelogFile(file && file.content, entry);
+    },
+
+    replacePageContent: unsupported,
+    verifyDocumentation: unsupported,
+    readPageMarkdown: unsupported,
+    normalizeMarkdown: unsupported,
+    findChildPage: unsupported,
+    findOrCreateChildPage: unsupported,
+    archivePage: unsupported,
+
+    async getPageUrl(path) {
+      return `${serverUrl.replace(/\/+$/, '')}/${owner}/${repo}/blob/${writtenBranch}/${path}`;
+    },
+
+    entryUrl() {
+      return null;
+    },
+  };
+}
+
+module.exports = {
+  TARGETS,
+  createNotionTarget,
+  createConfluenceTarget,
+  createMarkdownFileTarget,
+};
@@ -0,0 +1,317 @@
+const { createNotionClient } = require('./notion');
+const { createConfluenceClient } = require('./confluence');
+const { createNotionTarget, createConfluenceTarget, createMarkdownFileTarget } = require('./targets');
+const { syncDocsPages } = require('./docs-sync');
+const { createFakeNotion } = require('./test-utils/fake-notion');
+const { createFakeConfluence } = require('./test-utils/fake-confluence');
+const { createFakeGitHub } = require('./test-utils/fake-github');
+const { serveStandIn } = require('./test-utils/http-stand-in');
+
+/**
+ * Builds a PR changelog entry for tests.
+ */
+function prEntry(prNumber, summary = 'Summary') {
+  return {
+    type: 'pr',
+    key: `PR #${prNumber}`,
+    date: '2026-01-21',
+    title: `Change ${prNumber}`,
+    prNumber,
+    author: 'dev',
+    url: `https://github.com/org/repo/pull/${prNumber}`,
+    summary,
+    files: '- file.js',
+  };
+}
+
+/**
+ * Creates an Octokit mock serving file contents from a map.
+ */
+function mockOctokit(files) {
+  return {
+    rest: {
+      repos: {
+        getContent: jest.fn(async ({ path }) => ({
+          data: { content: Buffer.from(files[path]).toString('base64'), encoding: 'base64' },
+        })),
+      },
+    },
+  };
+}
+
+/** Each target runs against its real API client, talking to a local HTTP stand-in */
+const setups = {
+  notion: async () => {
+    const fake = createFakeNotion();
+    const server = await serveStandIn(fake.request);
+    const target = createNotionTarget(createNotionClient('secret', { baseUrl: server.baseUrl }));
+    return { fake, server, target, rootPageId: 'root' };
+  },
+  confluence: async () => {
+    const fake = createFakeConfluence();
+    const server = await serveStandIn(fake.request, '/wiki/rest/api');
+    const target = createConfluenceTarget(createConfluenceClient(server.baseUrl, 'dev@example.com', 'secret'));
+    return { fake, server, target, rootPageId: '100' };
+  },
+};
+
+describe.each(Object.keys(setups))('%s target', (name) => {
+  let env;
+
+  beforeEach(async () => {
+    env = await setups[name]();
+  });
+
+  afterEach(async () => {
+    await env.server.close();
+  });
+
+  it('should create the Changelog page once', async () => {
+    const { target, rootPageId } = env;
+
+    const first = await target.findOrCreateChangelog(rootPageId, 'Changelog');
+    const second = await target.findOrCreateChangelog(rootPageId, 'Changelog');
+
+    expect(first.created).toBe(true);
+    expect(second).toEqual({ id: first.id, created: false });
+    expect(await target.getPageUrl(first.id)).toMatch(/^https:\/\//);
+  });
+
+  it('should append an entry and read it back', async () => {
+    const { target, rootPageId } = env;
+    const { id } = await target.findOrCreateChangelog(rootPageId, 'Changelog');
+
+    const result = await target.writeChangelogEntry(id, prEntry(1), 'skip');
+
+    expect(result).toMatchObject({ action: 'created', existing: null });
+    await expect(target.verifyChangelogEntry(id, prEntry(1))).resolves.toMatchObject({ ok: true, missing: [] });
+    await expect(target.verifyChangelogEntry(id, prEntry(2))).resolves.toMatchObject({ ok: false });
+  });
+
+  it('should find an entry without writing', async () => {
+    const { target, rootPageId } = env;
+    const { id } = await target.findOrCreateChangelog(rootPageId, 'Changelog');
+    await target.writeChangelogEntry(id, prEntry(1), 'skip');
+
+    await expect(target.findChangelogEntry(id, prEntry(1, 'Other'))).resolves.toMatchObject({ blockIds: expect.any(Array) });
+    await expect(target.findChangelogEntry(id, prEntry(2))).resolves.toBeNull();
+  });
+
+  it('should skip, replace and append existing entries', async () => {
+    const { target, rootPageId } = env;
+    const { id } = await target.findOrCreateChangelog(rootPageId, 'Changelog');
+    await target.writeChangelogEntry(id, prEntry(1, 'Old'), 'skip');
+    await target.writeChangelogEntry(id, prEntry(2), 'skip');
+
+    const skipped = await target.writeChangelogEntry(id, prEntry(1), 'skip');
+    const replaced = await target.writeChangelogEntry(id, { ...prEntry(1, 'New'), title: 'Renamed' }, 'replace');
+    const appended = await target.writeChangelogEntry(id, prEntry(2), 'append');
+
+    expect(skipped.action).toBe('skipped');
+    expect(skipped.existing.blockIds).toEqual(expect.any(Array));
+    expect(replaced.action).toBe('replaced');
+    expect(appended.action).toBe('appended');
+    await expect(target.verifyChangelogEntry(id, { ...prEntry(1), title: 'Renamed' })).resolves.toMatchObject({ ok: true });
+  });
+
+  it('should replace page content and find its sections', async () => {
+    const { target, rootPageId } = env;
+    const markdown = '# Project\n\nIntro\n\n## Usage\n\n```sh\nnpm test\n```';
+
+    await target.replacePageContent(rootPageId, '# Old', {});
+    await target.replacePageContent(rootPageId, markdown, {});
+
+    await expect(target.verifyDocumentation(rootPageId, markdown)).resolves.toMatchObject({ ok: true, missing: [] });
+    await expect(target.verifyDocumentation(rootPageId, '# Old')).resolves.toMatchObject({
+      ok: false,
+      missing: ['section "Old"'],
+    });
+  });
+
+  it('should read back a page written from a README as its normalized Markdown', async () => {
+    const { target, rootPageId } = env;
+    const markdown = '# Project\n\nSome **bold** [text](docs/a.md)\n\n- one\n  - two\n\n| a | b |\n|---|---|\n| 1 | 2 |\n\n```js\nif (a < b) {}\n```';
+
+    await target.replacePageContent(rootPageId, markdown, {});
+
+    const expected = target.normalizeMarkdown(markdown, {});
+    expect(expected).toContain('Some **bold** text');
+    await expect(target.readPageMarkdown(rootPageId)).resolves.toBe(expected);
+  });
+
+  it('should mirror docs/ pages and archive removed ones', async () => {
+    const { target, rootPageId } = env;
+    const octokit = mockOctokit({ 'docs/api/auth.md': '# Auth', 'docs/guide.md': '# Guide' });
+    const options = { rootPageId, owner: 'org', repo: 'repo', ref: 'main' };
+
+    const written = await syncDocsPages(target, octokit, {
+      ...options,
+      plan: { upsert: ['docs/api/auth.md', 'docs/guide.md'], archive: [], skipped: [] },
+    });
+    const archived = await syncDocsPages(target, octokit, {
+      ...options,
+      plan: { upsert: [], archive: ['docs/guide.md'], skipped: [] },
+    });
+
+    expect(written.map((r) => r.action)).toEqual(['created', 'created']);
+    await expect(target.verifyDocumentation(written[0].pageId, '# Auth')).resolves.toMatchObject({ ok: true });
+    expect(archived).toEqual([{ path: 'docs/guide.md', action: 'archived', pageId: written[1].pageId }]);
+  });
+});
+
+describe('createConfluenceTarget', () => {
+  it('should write each entry as a new page version', async () => {
+    const fake = createFakeConfluence();
+    const target = createConfluenceTarget(fake);
+    const { id } = await target.findOrCreateChangelog('100', 'Changelog');
+
+    await target.writeChangelogEntry(id, prEntry(1), 'skip');
+    await target.writeChangelogEntry(id, prEntry(2), 'skip');
+
+    expect(fake.pages[id].version).toBe(3);
+    expect(fake.pages[id].storage.indexOf('PR #1')).toBeLessThan(fake.pages[id].storage.indexOf('PR #2'));
+  });
+
+  it('should replace an entry in place', async () => {
+    const fake = createFakeConfluence();
+    const target = createConfluenceTarget(fake);
+    const { id } = await target.findOrCreateChangelog('100', 'Changelog');
+    await target.writeChangelogEntry(id, prEntry(1, 'Old'), 'skip');
+    await target.writeChangelogEntry(id, prEntry(2), 'skip');
+
+    await target.writeChangelogEntry(id, prEntry(1, 'New'), 'replace');
+
+    const { storage } = fake.pages[id];
+    expect(storage).not.toContain('Old');
+    expect(storage.indexOf('<p>New</p>')).toBeLessThan(storage.indexOf('PR #2'));
+  });
+
+  it('should title docs pages with their full path', async () => {
+    const fake = createFakeConfluence();
+    const target = createConfluenceTarget(fake);
+
+    await syncDocsPages(target, mockOctokit({ 'docs/api/auth.md': '# Auth' }), {
+      rootPageId: '100',
+      owner: 'org',
+      repo: 'repo',
+      ref: 'main',
+      plan: { upsert: ['docs/api/auth.md'], archive: [], skipped: [] },
+    });
+
+    expect(Object.values(fake.pages).map((p) => p.title)).toEqual(['Home', 'docs', 'docs/api', 'docs/api/auth.md']);
+  });
+
+  it('should have no entry URL', async () => {
+    expect(createConfluenceTarget(createFakeConfluence()).entryUrl('https://example.com', [])).toBeNull();
+  });
+});
+
+describe('createNotionTarget', () => {
+  it('should link to the first block of an entry', () => {
+    const target = createNotionTarget(createFakeNotion());
+
+    expect(target.entryUrl('https://www.notion.so/page', ['abc-123'])).toBe('https://www.notion.so/page#abc123');
+    expect(target.entryUrl('https://www.notion.so/page', [])).toBeNull();
+  });
+
+  it('should update the page section by section from the previous README', async () => {
+    const fake = createFakeNotion();
+    const target = createNotionTarget(fake);
+    const base = '# Project\n\nIntro\n\n## Usage\n\nnpm test';
+    await target.replacePageContent('root', base, {});
+    const [title, intro] = fake.children.root;
+
+    const result = await target.replacePageContent('root', base.replace('npm test', 'npm run test'), {}, { base });
+
+    expect(result).toEqual({ removed: 1, added: 1, kept: 3, sections: [{ heading: 'Usage', status: 'changed' }] });
+    expect(fake.children.root.slice(0, 2)).toEqual([title, intro]);
+  });
+
+  it('should replace the whole page when it no longer matches the previous README', async () => {
+    const fake = createFakeNotion();
+    const target = createNotionTarget(fake);
+    await target.replacePageContent('root', '# Edited', {});
+
+    const result = await target.replacePageContent('root', '# Project', {}, { base: '# Project' });
+
+    expect(result).toEqual({ removed: 1, added: 1, fallback: 'the page does not match the previous README' });
+  });
+});
+
+describe('createMarkdownFileTarget', () => {
+  const repo = { owner: 'org', repo: 'repo', branch: 'main' };
+
+  it('should commit entries to the branch and read them back', async () => {
+    const github = createFakeGitHub();
+    const target = createMarkdownFileTarget(github, repo);
+    const { id } = await target.findOrCreateChangelog('CHANGELOG.md', 'Changelog');
+
+    const created = await target.writeChangelogEntry(id, prEntry(1), 'skip');
+    const skipped = await target.writeChangelogEntry(id, prEntry(1), 'skip');
+
+    expect(created).toEqual({ action: 'created', blockIds: [], existing: null, commitSha: 'commit-1', pullRequestUrl: null });
+    expect(skipped).toMatchObject({ action: 'skipped', existing: { blockIds: [] }, commitSha: null });
+    expect(github.commits).toEqual([
+      { sha: 'commit-1', branch: 'main', path: 'CHANGELOG.md', message: 'Add PR #1 to CHANGELOG.md' },
+    ]);
+    await expect(target.verifyChangelogEntry(id, prEntry(1))).resolves.toMatchObject({ ok: true });
+    await expect(target.getPageUrl(id)).resolves.toBe('https://github.com/org/repo/blob/main/CHANGELOG.md');
+  });
+
+  it('should propose entries in a pull request', async () => {
+    const github = createFakeGitHub({ main: { 'CHANGELOG.md': '# Changelog\n' } });
+    const target = createMarkdownFileTarget(github, { ...repo, mode: 'pull-request' });
+
+    const result = await target.writeChangelogEntry('CHANGELOG.md', prEntry(1), 'skip');
+
+    expect(result).toMatchObject({
+      action: 'created',
+      commitSha: 'commit-1',
+      pullRequestUrl: 'https://github.com/org/repo/pull/1',
+    });
+    expect(github.branches.main['CHANGELOG.md']).toBe('# Changelog\n');
+    expect(github.branches['doc-updater/changelog-pr-1']['CHANGELOG.md']).toContain('[PR #1]');
+    expect(github.pulls[0]).toMatchObject({ base: 'main', head: 'doc-updater/changelog-pr-1', title: 'Add PR #1 to CHANGELOG.md' });
+    await expect(target.verifyChangelogEntry('CHANGELOG.md', prEntry(1))).resolves.toMatchObject({ ok: true });
+    await expect(target.getPageUrl('CHANGELOG.md')).resolves.toBe(
+      'https://github.com/org/repo/blob/doc-updater/changelog-pr-1/CHANGELOG.md'
+    );
+  });
+
+  it('should not open a pull request when the base branch already has the entry', async () => {
+    const github = createFakeGitHub();
+    await createMarkdownFileTarget(github, repo).writeChangelogEntry('CHANGELOG.md', prEntry(1), 'skip');
+    const target = createMarkdownFileTarget(github, { ...repo, mode: 'pull-request' });
+
+    const result = await target.writeChangelogEntry('CHANGELOG.md', prEntry(1), 'skip');
+
+    expect(result).toMatchObject({ action: 'skipped', commitSha: null, pullRequestUrl: null });
+    expect(Object.keys(github.branches)).toEqual(['main']);
+    expect(github.pulls).toEqual([]);
+  });
+
+  it('should find an entry on the branch without writing', async () => {
+    const github = createFakeGitHub();
+    const target = createMarkdownFileTarget(github, repo);
+    await target.writeChangelogEntry('CHANGELOG.md', prEntry(1), 'skip');
+
+    await expect(target.findChangelogEntry('CHANGELOG.md', prEntry(1))).resolves.toEqual({ blockIds: [] });
+    await expect(target.findChangelogEntry('CHANGELOG.md', prEntry(2))).resolves.toBeNull();
+    await expect(target.findChangelogEntry('OTHER.md', prEntry(1))).resolves.toBeNull();
+    expect(github.commits).toHaveLength(1);
+  });
+
+  it('should link the file on a GitHub Enterprise Server', async () => {
+    const target = createMarkdownFileTarget(createFakeGitHub(), { ...repo, serverUrl: 'https://ghe.example.com' });
+
+    await expect(target.getPageUrl('CHANGELOG.md')).resolves.toBe('https://ghe.example.com/org/repo/blob/main/CHANGELOG.md');
+  });
+
+  it('should reject documentation operations', async () => {
+    const target = createMarkdownFileTarget(createFakeGitHub(), repo);
+
+    expect(() => target.replacePageContent('README.md', '# Doc', {})).toThrow(
+      'The markdown-file target only holds the changelog'
+    );
+  });
+});
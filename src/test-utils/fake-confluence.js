@@ -0,0 +1,102 @@
+/**
+ * In-memory stand-in for the Confluence Cloud content API, for unit tests.
+ * Implements the subset of endpoints used by src/confluence.js, with paths
+ * relative to /wiki/rest/api, on top of a map of page ID -> page.
+ */
+
+const SITE_URL = 'https://example.atlassian.net/wiki';
+
+/**
+ * Creates an error carrying an HTTP status, as the API would answer.
+ */
+function apiError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Creates a fake Confluence client with the same `request` signature as createConfluenceClient.
+ * @param {Array} initialPages - Pages to start with: `{ id, title, parentId, storage, spaceKey }`.
+ * @returns {Object} Client with `request`, plus the `pages` map and the `trashed` page IDs.
+ */
+function createFakeConfluence(initialPages = [{ id: '100', title: 'Home', parentId: null, storage: '' }]) {
+  const pages = {};
+  const trashed = [];
+  let nextId = 1000;
+
+  for (const page of initialPages) {
+    pages[page.id] = { version: 1, spaceKey: 'DOCS', storage: '', ...page };
+  }
+
+  function toContent(page) {
+    return {
+      id: page.id,
+      type: 'page',
+      title: page.title,
+      space: { key: page.spaceKey },
+      version: { number: page.version },
+      body: { storage: { value: page.storage, representation: 'storage' } },
+      _links: { base: SITE_URL, webui: `/spaces/${page.spaceKey}/pages/${page.id}` },
+    };
+  }
+
+  function findPage(id) {
+    const page = pages[id];
+    if (!page || trashed.includes(id)) throw apiError(404, `No content found with id: ${id}`);
+    return page;
+  }
+
+  const request = jest.fn(async (method, path, body) => {
+    const [pathname, query = ''] = path.split('?');
+    const params = new URLSearchParams(query);
+    let match;
+
+    if (method === 'GET' && (match = pathname.match(/^\/content\/([^/]+)\/child\/page$/))) {
+      findPage(match[1]);
+      const start = Number(params.get('start') || 0);
+      const limit = Number(params.get('limit') || 25);
+      const children = Object.values(pages).filter((p) => p.parentId === match[1] && !trashed.includes(p.id));
+      const results = children.slice(start, start + limit).map(toContent);
+      const next = start + limit < children.length ? { next: `${pathname}?limit=${limit}&start=${start + limit}` } : {};
+      return { results, size: results.length, _links: next };
+    }
+    if (method === 'GET' && (match = pathname.match(/^\/content\/([^/]+)$/))) {
+      return toContent(findPage(match[1]));
+    }
+    if (method === 'POST' && pathname === '/content') {
+      const spaceKey = body.space.key;
+      if (Object.values(pages).some((p) => p.spaceKey === spaceKey && p.title === body.title && !trashed.includes(p.id))) {
+        throw apiError(400, 'A page with this title already exists');
+      }
+      const id = String(nextId++);
+      pages[id] = {
+        id,
+        title: body.title,
+        parentId: body.ancestors[0].id,
+        spaceKey,
+        version: 1,
+        storage: body.body.storage.value,
+      };
+      return toContent(pages[id]);
+    }
+    if (method === 'PUT' && (match = pathname.match(/^\/content\/([^/]+)$/))) {
+      const page = findPage(match[1]);
+      if (body.version.number !== page.version + 1) {
+        throw apiError(409, `Version must be incremented when updating a page. Current Version: [${page.version}]`);
+      }
+      Object.assign(page, { title: body.title, version: body.version.number, storage: body.body.storage.value });
+      return toContent(page);
+    }
+    if (method === 'DELETE' && (match = pathname.match(/^\/content\/([^/]+)$/))) {
+      findPage(match[1]);
+      trashed.push(match[1]);
+      return null;
+    }
+    throw new Error(`Unexpected request ${method} ${path}`);
+  });
+
+  return { request, pages, trashed };
+}
+
+module.exports = { createFakeConfluence };
@@ -0,0 +1,103 @@
+/**
+ * In-memory stand-in for the GitHub REST endpoints used to write repository
+ * files, for unit tests. Implements the subset of `octokit.rest` used by
+ * src/changelog-file.js on top of a map of branch name -> { path: content }.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Creates an error carrying an HTTP status, as Octokit would throw.
+ */
+function apiError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Computes a stable blob SHA for file content.
+ */
+function blobSha(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+/**
+ * Creates a fake Octokit for one repository.
+ * @param {Object} initialBranches - Branch name -> map of file path -> content.
+ * @returns {Object} Client with `rest`, plus the `branches` map, the `commits` made and the `pulls` opened.
+ */
+function createFakeGitHub(initialBranches = { main: {} }) {
+  const branches = {};
+  const heads = {};
+  const commits = [];
+  const pulls = [];
+
+  for (const [name, files] of Object.entries(initialBranches)) {
+    branches[name] = { ...files };
+    heads[name] = `head-${name}`;
+  }
+
+  function findBranch(name) {
+    if (!branches[name]) throw apiError(404, `Branch not found: ${name}`);
+    return branches[name];
+  }
+
+  const rest = {
+    repos: {
+      getContent: jest.fn(async ({ path, ref }) => {
+        const files = findBranch(ref);
+        if (!(path in files)) throw apiError(404, 'Not Found');
+        return {
+          data: {
+            path,
+            sha: blobSha(files[path]),
+            content: Buffer.from(files[path]).toString('base64'),
+            encoding: 'base64',
+          },
+        };
+      }),
+      createOrUpdateFileContents: jest.fn(async ({ path, branch, message, content, sha }) => {
+        const files = findBranch(branch);
+        const current = path in files ? blobSha(files[path]) : undefined;
+        if (sha !== current) throw apiError(409, `${path} does not match ${sha}`);
+
+        files[path] = Buffer.from(content, 'base64').toString('utf-8');
+        const commit = { sha: `commit-${commits.length + 1}`, branch, path, message };
+        commits.push(commit);
+        heads[branch] = commit.sha;
+        return { data: { content: { path, sha: blobSha(files[path]) }, commit: { sha: commit.sha } } };
+      }),
+    },
+    git: {
+      getRef: jest.fn(async ({ ref }) => {
+        const name = ref.replace(/^heads\//, '');
+        findBranch(name);
+        return { data: { ref: `refs/heads/${name}`, object: { sha: heads[name] } } };
+      }),
+      createRef: jest.fn(async ({ ref, sha }) => {
+        const name = ref.replace(/^refs\/heads\//, '');
+        if (branches[name]) throw apiError(422, 'Reference already exists');
+        const from = Object.keys(heads).find((branch) => heads[branch] === sha);
+        branches[name] = { ...findBranch(from) };
+        heads[name] = sha;
+        return { data: { ref, object: { sha } } };
+      }),
+    },
+    pulls: {
+      list: jest.fn(async ({ owner, head, base, state }) => ({
+        data: pulls.filter((p) => `${owner}:${p.head}` === head && p.base === base && p.state === state),
+      })),
+      create: jest.fn(async ({ owner, repo, base, head, title, body }) => {
+        const number = pulls.length + 1;
+        const pull = { number, base, head, title, body, state: 'open', html_url: `https://github.com/${owner}/${repo}/pull/${number}` };
+        pulls.push(pull);
+        return { data: pull };
+      }),
+    },
+  };
+
+  return { rest, branches, commits, pulls };
+}
+
+module.exports = { createFakeGitHub };
@@ -0,0 +1,111 @@
+/**
+ * In-memory stand-in for the Notion API, for unit tests.
+ * Implements the subset of endpoints used by src/notion.js on top of a
+ * simple map of parent ID -> child blocks.
+ */
+
+/**
+ * Creates a fake Notion client with the same `request` signature as createNotionClient.
+ * @param {Object} initialChildren - Map of parent ID to child blocks to start with.
+ * @param {Object} initialDatabases - Map of database ID to `{ properties }` to start with.
+ * @returns {Object} Client with `request`, plus the `children` map, `archived` page IDs,
+ *   `databases` (ID to `{ title, properties }`) and database `rows` (ID to row pages).
+ */
+function createFakeNotion(initialChildren = {}, initialDatabases = {}) {
+  const children = { root: [], ...initialChildren };
+  const archived = [];
+  const databases = { ...initialDatabases };
+  const rows = Object.fromEntries(Object.keys(databases).map((id) => [id, []]));
+  let nextId = 1;
+
+  // Database schemas come back from the API with each property's type
+  function withTypes(properties) {
+    return Object.fromEntries(
+      Object.entries(properties).map(([name, config]) => [name, { type: Object.keys(config)[0], ...config }])
+    );
+  }
+
+  function removeBlock(id) {
+    for (const list of Object.values(children)) {
+      const index = list.findIndex((block) => block.id === id);
+      if (index !== -1) list.splice(index, 1);
+    }
+  }
+
+  const request = jest.fn(async (method, path, body) => {
+    let match;
+    if (method === 'GET' && (match = path.match(/^\/blocks\/([^/?]+)\/children/))) {
+      return { results: [...(children[match[1]] || [])], has_more: false };
+    }
+    if (method === 'GET' && (match = path.match(/^\/pages\/([^/]+)$/))) {
+      const row = Object.values(rows).flat().find((r) => r.id === match[1]);
+      return { id: match[1], url: `https://www.notion.so/${match[1]}`, ...row };
+    }
+    if (method === 'POST' && path === '/databases') {
+      const id = `db${nextId++}`;
+      const title = body.title[0].text.content;
+      children[body.parent.page_id].push({ id, type: 'child_database', child_database: { title } });
+      databases[id] = { title, properties: withTypes(body.properties) };
+      rows[id] = [];
+      return { id };
+    }
+    if (method === 'GET' && (match = path.match(/^\/databases\/([^/]+)$/))) {
+      return { id: match[1], url: `https://www.notion.so/${match[1]}`, properties: databases[match[1]].properties };
+    }
+    if (method === 'PATCH' && (match = path.match(/^\/databases\/([^/]+)$/))) {
+      const properties = databases[match[1]].properties;
+      for (const [name, change] of Object.entries(body.properties)) {
+        if (change.name) {
+          properties[change.name] = properties[name];
+          delete properties[name];
+        } else {
+          Object.assign(properties, withTypes({ [name]: change }));
+        }
+      }
+      return {};
+    }
+    if (method === 'POST' && (match = path.match(/^\/databases\/([^/]+)\/query$/))) {
+      const { property, url } = body.filter;
+      return { results: rows[match[1]].filter((row) => row.properties[property].url === url.equals), has_more: false };
+    }
+    if (method === 'POST' && path === '/pages' && body.parent.database_id) {
+      const row = { id: `row${nextId++}`, properties: body.properties };
+      rows[body.parent.database_id].push(row);
+      children[row.id] = [];
+      return row;
+    }
+    if (method === 'POST' && path === '/pages') {
+      const id = `page${nextId++}`;
+      const title = body.properties.title.title[0].text.content;
+      children[body.parent.page_id].push({ id, type: 'child_page', child_page: { title } });
+      children[id] = [];
+      return { id };
+    }
+    if (method === 'PATCH' && (match = path.match(/^\/blocks\/([^/]+)\/children$/))) {
+      const list = (children[match[1]] = children[match[1]] || []);
+      const created = body.children.map((block) => ({ id: `block${nextId++}`, ...block }));
+      const index = body.after ? list.findIndex((block) => block.id === body.after) + 1 : list.length;
+      list.splice(index, 0, ...created);
+      return { results: created };
+    }
+    if (method === 'DELETE' && (match = path.match(/^\/blocks\/(.+)$/))) {
+      removeBlock(match[1]);
+      return {};
+    }
+    if (method === 'PATCH' && (match = path.match(/^\/pages\/(.+)$/)) && body.properties) {
+      const row = Object.values(rows).flat().find((r) => r.id === match[1]);
+      Object.assign(row.properties, body.properties);
+      return row;
+    }
+    if (method === 'PATCH' && (match = path.match(/^\/pages\/(.+)$/))) {
+      archived.push(match[1]);
+      removeBlock(match[1]);
+      return {};
+    }
+    throw new Error(`Unexpected request ${method} ${path}`);
+  });
+
+  return { request, children, archived, databases, rows };
+}
+
+module.exports = { createFakeNotion };
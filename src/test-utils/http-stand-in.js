@@ -0,0 +1,48 @@
+/**
+ * Serves an in-memory API fake over local HTTP, for tests.
+ * Lets the real API clients (and their fetch calls) run against fake-notion or fake-confluence.
+ */
+
+const http = require('http');
+
+/**
+ * Starts an HTTP server that passes each request to a fake's `request(method, path, body)`.
+ * A returned value is sent as JSON (null as 204 No Content); a thrown error is sent
+ * with its `status` (default 500) and `{ message }`.
+ * @param {Function} handler - The fake's request function.
+ * @param {string} prefix - Path prefix stripped before calling the handler (e.g. "/wiki/rest/api").
+ * @returns {Promise<Object>} `baseUrl` of the server, the `requests` it received and `close()`.
+ */
+async function serveStandIn(handler, prefix = '') {
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    const path = req.url.startsWith(prefix) ? req.url.substring(prefix.length) : req.url;
+    requests.push({ method: req.method, path, headers: req.headers });
+
+    try {
+      const data = await handler(req.method, path, raw ? JSON.parse(raw) : undefined);
+      if (data === null) {
+        res.writeHead(204).end();
+      } else {
+        res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(data));
+      }
+    } catch (error) {
+      res.writeHead(error.status || 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ message: error.message }));
+    }
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+module.exports = { serveStandIn };
@@ -5,18 +5,85 @@
 
 const {
   TREE_FILE_LIMIT,
+  FILE_LIST_LIMIT,
   DOC_FILES_LIMIT,
   MAX_SUMMARY_LENGTH,
   MAX_README_CONTENT_LENGTH,
   SHORT_SHA_LENGTH,
+  NOTION_RICH_TEXT_LIMIT,
+  CHANGELOG_PAGE_TITLE,
+  CHANGE_CATEGORIES,
 } = require('./constants');
+const { classifyPullRequest, highestBump } = require('./categories');
+const { selectDocDiff, formatDocDiff, editedReadmeSections } = require('./doc-diff');
+const { entryTemplate, rowBodyTemplate, renderTemplate, renderHeading } = require('./entry-template');
+
+/** First line of a file list summarized by directory */
+const SUMMARY_HEADING = /^(\d+) files, summarized by directory:/;
+
+/** Group of the files at the top of the repository, in a list summarized by directory */
+const ROOT_DIRECTORY_LABEL = '(root)';
+
+/**
+ * Summarizes files by directory, for lists too long to show one file per line.
+ * Files are grouped by directory down to the deepest level that keeps at most `limit` groups (or by
+ * "(root)" and "**" when none does): "src/*" counts the files directly in src/, "src/**" the files
+ * in its subdirectories as well, and "(root)" the files at the top of the repository.
+ * @param {Array} files - Objects with a `path`, and `additions` and `deletions` for changed files.
+ * @param {number} limit - Maximum number of groups.
+ * @returns {string} File count, then one line per group.
+ */
+function summarizeByDirectory(files, limit) {
+  const directories = files.map((file) => file.path.split('/').slice(0, -1));
+  let groups;
+  for (let depth = Math.max(...directories.map((d) => d.length)); depth >= 0; depth--) {
+    groups = new Map();
+    files.forEach((file, i) => {
+      const key = directories[i].length === 0
+        ? ROOT_DIRECTORY_LABEL
+        : [...directories[i].slice(0, depth), directories[i].length > depth ? '**' : '*'].join('/');
+      const group = groups.get(key) || { count: 0, additions: 0, deletions: 0 };
+      group.count += 1;
+      group.additions += file.additions || 0;
+      group.deletions += file.deletions || 0;
+      groups.set(key, group);
+    });
+    if (groups.size <= limit) break;
+  }
+
+  const withChanges = files.some((file) => 'additions' in file);
+  const lines = [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, { count, additions, deletions }]) => {
+      const changes = withChanges ? `, +${additions}/-${deletions}` : '';
+      return `- ${key} (${count} file${count === 1 ? '' : 's'}${changes})`;
+    });
+  return [`${files.length} files, summarized by directory:`, ...lines].join('\n');
+}
+
+/**
+ * Counts the files of a list from formatPRFiles or formatTreeFiles.
+ * @param {string} filesList - Formatted list of files.
+ * @returns {number} Number of files, including those a summarized list only counts.
+ */
+function countListedFiles(filesList) {
+  const summary = SUMMARY_HEADING.exec(filesList);
+  return summary ? Number(summary[1]) : filesList.split('\n').filter(Boolean).length;
+}
 
 /**
- * Formats a list of changed files from a PR.
+ * Formats a list of changed files from a PR, summarized by directory when it is too long.
  * @param {Array} files - Array of file objects from GitHub API.
+ * @param {number} limit - Maximum number of files listed one per line.
  * @returns {string} Formatted list of files.
  */
-function formatPRFiles(files) {
+function formatPRFiles(files, limit = FILE_LIST_LIMIT) {
+  if (files.length > limit) {
+    return summarizeByDirectory(
+      files.map((f) => ({ path: f.filename, additions: f.additions, deletions: f.deletions })),
+      limit
+    );
+  }
   return files
     .map((f) => `- ${f.filename} (${f.status}, +${f.additions}/-${f.deletions})`)
     .join('\n');
@@ -26,25 +93,89 @@ function formatPRFiles(files) {
  * Formats a list of files from a repository tree.
  * @param {Array} tree - Array of tree items from GitHub API.
  * @param {number} limit - Maximum number of files to include.
+ * @param {Object} options - Optional settings.
+ * @param {boolean} options.summarize - Past the limit, summarize the files by directory instead of
+ *   listing the first `limit` files.
  * @returns {string} Formatted list of files.
  */
-function formatTreeFiles(tree, limit = TREE_FILE_LIMIT) {
-  return tree
-    .filter((item) => item.type === 'blob')
+function formatTreeFiles(tree, limit = TREE_FILE_LIMIT, { summarize = false } = {}) {
+  const blobs = tree.filter((item) => item.type === 'blob');
+  if (summarize && blobs.length > limit) {
+    return summarizeByDirectory(blobs.map((f) => ({ path: f.path })), limit);
+  }
+  return blobs
     .slice(0, limit)
     .map((f) => `- ${f.path}`)
     .join('\n');
 }
 
 /**
- * Creates a changelog entry for a PR event.
+ * Returns the stable identity of a changelog entry.
+ * The key is also the start of the entry's reference paragraph, so it can be found on the page.
+ * @param {Object} entry - The changelog entry object.
+ * @returns {string} "PR #<number>" for PR entries, "Release <tag>" for release entries,
+ *   "Push <before>..<after>" for push entries, "Commit <sha>" for sync entries.
+ */
+function getEntryKey(entry) {
+  if (entry.key) return entry.key;
+  if (entry.type === 'pr') return `PR #${entry.prNumber}`;
+  if (entry.type === 'release') return `Release ${entry.tag}`;
+  return entry.type === 'push' ? `Push ${entry.before}..${entry.after}` : `Commit ${entry.commit}`;
+}
+
+/**
+ * Formats the author of a changelog entry.
+ * @param {Object} entry - The changelog entry object.
+ * @returns {string} "@login" for PR, release and push entries, the commit author's name for sync entries.
+ */
+function formatEntryAuthor(entry) {
+  return entry.type === 'sync' ? entry.author : `@${entry.author}`;
+}
+
+/**
+ * Lists the placeholder values of a changelog entry, for its template.
+ * @param {Object} entry - The changelog entry object.
+ * @returns {Object} One value per ENTRY_TEMPLATE_PLACEHOLDERS name; empty for fields the entry doesn't have.
+ */
+function templateValues(entry) {
+  return {
+    key: getEntryKey(entry),
+    date: entry.date,
+    title: entry.title,
+    prNumber: entry.prNumber ?? '',
+    author: formatEntryAuthor(entry),
+    url: entry.url,
+    summary: entry.summary.substring(0, MAX_SUMMARY_LENGTH),
+    files: entry.files || '',
+    labels: (entry.labels || []).join(', '),
+    category: entry.category || '',
+    bump: entry.bump || '',
+  };
+}
+
+/**
+ * Formats the heading of a changelog entry from its template.
+ * @param {Object} entry - The changelog entry object.
+ * @returns {string} E.g. "2026-01-21 - Add feature" with the built-in template.
+ */
+function formatEntryHeading(entry) {
+  return renderHeading(entryTemplate(entry), templateValues(entry));
+}
+
+/**
+ * Creates a changelog entry for a PR event, classified from its labels, title and commits.
  * @param {Object} pullRequest - PR data from GitHub API.
  * @param {string} filesList - Formatted list of changed files.
+ * @param {Object} options - Optional settings.
+ * @param {Array} options.commits - The pull request's commits, for their Conventional Commit prefixes.
+ * @param {Object} options.categoryLabels - Label map from parseCategoryLabels.
  * @returns {Object} Changelog entry object.
  */
-function createPRChangelogEntry(pullRequest, filesList) {
+function createPRChangelogEntry(pullRequest, filesList, { commits = [], categoryLabels } = {}) {
+  const { category, bump, source } = classifyPullRequest(pullRequest, commits, categoryLabels);
   return {
     type: 'pr',
+    key: `PR #${pullRequest.number}`,
     date: new Date().toISOString().split('T')[0],
     title: pullRequest.title,
     prNumber: pullRequest.number,
@@ -52,6 +183,11 @@ function createPRChangelogEntry(pullRequest, filesList) {
     url: pullRequest.html_url,
     summary: pullRequest.body || 'No description provided',
     files: filesList,
+    labels: (pullRequest.labels || []).map((label) => label.name),
+    filesChanged: pullRequest.changed_files ?? countListedFiles(filesList),
+    category,
+    categorySource: source,
+    bump,
   };
 }
 
@@ -63,107 +199,282 @@ function createPRChangelogEntry(pullRequest, filesList) {
  * @returns {Object} Changelog entry object.
  */
 function createSyncChangelogEntry(repo, latestCommit, filesList) {
+  const commit = latestCommit.sha.substring(0, SHORT_SHA_LENGTH);
   return {
     type: 'sync',
+    key: `Commit ${commit}`,
     date: new Date().toISOString().split('T')[0],
     title: `Documentation sync from ${repo.default_branch}`,
-    commit: latestCommit.sha.substring(0, SHORT_SHA_LENGTH),
+    commit,
     author: latestCommit.commit.author.name,
     url: latestCommit.html_url,
     summary: `Synced documentation from ${repo.default_branch} branch.\n\nLatest commit: ${latestCommit.commit.message}`,
     files: filesList,
+    // A sync lists the repository tree rather than a set of changes
+    labels: [],
+    filesChanged: null,
     repoDescription: repo.description || 'No description',
   };
 }
 
 /**
- * Builds Notion blocks for a changelog entry.
- * @param {Object} changelogEntry - The changelog entry object.
- * @returns {Array} Array of Notion block objects.
+ * Creates a changelog entry for a published release, listing its pull requests by group.
+ * @param {Object} release - Release from the event payload.
+ * @param {string|null} previousTag - Tag of the previous release, or null for a first release.
+ * @param {Array} groups - Pull request groups from groupPullRequests.
+ * @param {string} filesList - Formatted list of files changed since the previous release.
+ * @param {Array} changes - Classified pull requests of the release, for the suggested bump.
+ * @returns {Object} Changelog entry object.
  */
-function buildNotionBlocks(changelogEntry) {
-  const headingText = `${changelogEntry.date} - ${changelogEntry.title}`;
+function createReleaseChangelogEntry(release, previousTag, groups, filesList, changes = []) {
+  const tag = release.tag_name;
+  const name = (release.name || '').trim();
+  const count = groups.reduce((total, group) => total + group.pullRequests.length, 0);
+  const since = previousTag ? `since ${previousTag}` : 'in the first release';
+  return {
+    type: 'release',
+    key: `Release ${tag}`,
+    date: (release.published_at || new Date().toISOString()).split('T')[0],
+    // The heading always shows the version, even when the release has its own name
+    title: !name || name.includes(tag) ? name || tag : `${tag}: ${name}`,
+    tag,
+    previousTag,
+    author: release.author.login,
+    url: release.html_url,
+    summary: `${count === 0 ? 'No' : count} pull request${count === 1 ? '' : 's'} merged ${since}.`,
+    files: filesList,
+    groups,
+    labels: [],
+    filesChanged: countListedFiles(filesList),
+    bump: highestBump(changes),
+  };
+}
 
-  const referenceText =
-    changelogEntry.type === 'pr'
-      ? `PR #${changelogEntry.prNumber} by @${changelogEntry.author}`
-      : `Commit ${changelogEntry.commit} by ${changelogEntry.author}`;
+/**
+ * Joins the commit lines of a push summary within a length, ending with how many commits were left out.
+ * @param {Array<string>} lines - One line per commit.
+ * @param {number} length - Maximum length of the summary.
+ * @returns {string} The lines that fit, then "- … and N more commits" when some don't.
+ */
+function limitCommitLines(lines, length = MAX_SUMMARY_LENGTH) {
+  const more = (count) => `- … and ${count} more commits`;
+  let text = '';
+  for (let i = 0; i < lines.length; i++) {
+    const next = text ? `${text}\n${lines[i]}` : lines[i];
+    const rest = lines.length - i - 1;
+    // Keep room for the note about the commits after this one
+    if (next.length + (rest > 0 ? more(rest).length + 1 : 0) > length) {
+      return text ? `${text}\n${more(lines.length - i)}` : more(lines.length - i);
+    }
+    text = next;
+  }
+  return text;
+}
 
+/**
+ * Creates a changelog entry for a push that isn't a single pull request: direct commits,
+ * or several pull requests at once. Each commit is listed in the summary, with its pull request.
+ * @param {Object} push - Push event payload.
+ * @param {Array} associations - Commits and their pull requests from findCommitPullRequests.
+ * @param {Array} groups - Pull request groups from groupPullRequests.
+ * @param {string} filesList - Formatted list of files changed by the push.
+ * @param {Array} changes - Classified changes from classifyCommitRange, for the suggested bump.
+ * @returns {Object} Changelog entry object.
+ */
+function createPushChangelogEntry(push, associations, groups, filesList, changes = []) {
+  const before = push.before.substring(0, SHORT_SHA_LENGTH);
+  const after = push.after.substring(0, SHORT_SHA_LENGTH);
+  const branch = push.ref.replace(/^refs\/heads\//, '');
+  const count = associations.length;
+  const commitLines = associations.map(({ commit, pullRequest }) => {
+    const message = commit.commit.message.split('\n')[0];
+    // Squash merges already end with "(#<number>)"
+    const via = pullRequest && !message.includes(`#${pullRequest.number}`) ? ` (#${pullRequest.number})` : '';
+    return `- ${commit.sha.substring(0, SHORT_SHA_LENGTH)} ${message}${via}`;
+  });
+  return {
+    type: 'push',
+    key: `Push ${before}..${after}`,
+    date: new Date().toISOString().split('T')[0],
+    title: `${count} commit${count === 1 ? '' : 's'} pushed to ${branch}`,
+    before,
+    after,
+    branch,
+    author: push.sender.login,
+    url: push.compare,
+    summary: limitCommitLines(commitLines),
+    files: filesList,
+    groups,
+    labels: [],
+    filesChanged: countListedFiles(filesList),
+    bump: highestBump(changes),
+  };
+}
+
+/**
+ * Splits text into chunks that fit in a single Notion rich_text item.
+ * @param {string} text - Text to split.
+ * @param {number} size - Maximum chunk length.
+ * @returns {Array<string>} Text chunks (at least one, possibly empty).
+ */
+function chunkText(text, size = NOTION_RICH_TEXT_LIMIT) {
+  if (!text) return [''];
+  const chunks = [];
+  for (let i = 0; i < text.length; i += size) {
+    chunks.push(text.substring(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Describes the suggested bump of a classified entry, shown next to its category.
+ * @param {Object} changelogEntry - The changelog entry object, with a category.
+ * @returns {string} E.g. "patch bump · from label \"bug\"".
+ */
+function describeBump(changelogEntry) {
+  const source = changelogEntry.categorySource ? ` · from ${changelogEntry.categorySource}` : '';
+  return `${changelogEntry.bump} bump${source}`;
+}
+
+/**
+ * Builds the category callout of a classified entry.
+ * @param {Object} changelogEntry - The changelog entry object.
+ * @returns {Array} A callout block, or no block for an entry without a category.
+ */
+function buildCategoryBlocks(changelogEntry) {
+  if (!changelogEntry.category) return [];
+  const { emoji, color } = CHANGE_CATEGORIES[changelogEntry.category];
   return [
     {
-      type: 'heading_2',
-      heading_2: {
+      type: 'callout',
+      callout: {
         rich_text: [
-          {
-            type: 'text',
-            text: {
-              content: headingText,
-            },
-          },
+          { type: 'text', text: { content: changelogEntry.category }, annotations: { bold: true } },
+          { type: 'text', text: { content: ` · ${describeBump(changelogEntry)}` } },
         ],
+        icon: { type: 'emoji', emoji },
+        color: `${color}_background`,
       },
     },
+  ];
+}
+
+/**
+ * Builds the release notes of a release entry: a heading per group and a list item per pull request.
+ * @param {Array} groups - Pull request groups of the entry.
+ * @returns {Array} Array of Notion block objects.
+ */
+function buildReleaseNoteBlocks(groups) {
+  return groups.flatMap((group) => [
     {
-      type: 'paragraph',
-      paragraph: {
-        rich_text: [
-          {
-            type: 'text',
-            text: {
-              content: referenceText,
-              link: { url: changelogEntry.url },
-            },
-          },
-        ],
+      type: 'heading_3',
+      heading_3: {
+        rich_text: [{ type: 'text', text: { content: group.title } }],
       },
     },
-    {
-      type: 'paragraph',
-      paragraph: {
+    ...group.pullRequests.map((pullRequest) => ({
+      type: 'bulleted_list_item',
+      bulleted_list_item: {
         rich_text: [
-          {
-            type: 'text',
-            text: {
-              content: changelogEntry.summary.substring(0, MAX_SUMMARY_LENGTH),
-            },
-          },
+          { type: 'text', text: { content: `#${pullRequest.number}`, link: { url: pullRequest.url } } },
+          { type: 'text', text: { content: ` ${pullRequest.title} by @${pullRequest.author}` } },
         ],
       },
-    },
-    {
-      type: 'toggle',
-      toggle: {
-        rich_text: [
-          {
+    })),
+  ]);
+}
+
+/**
+ * Builds a block holding text, split into rich_text items Notion accepts.
+ * @param {string} type - Block type, e.g. "paragraph".
+ * @param {string} content - Text content.
+ * @param {Object} fields - Other fields of the block, e.g. `language`.
+ * @returns {Object} Notion block object.
+ */
+function textBlock(type, content, fields = {}) {
+  return {
+    type,
+    [type]: { rich_text: chunkText(content).map((chunk) => ({ type: 'text', text: { content: chunk } })), ...fields },
+  };
+}
+
+/**
+ * Creates the Notion renderers of each template block kind for an entry.
+ * @param {Object} changelogEntry - The changelog entry object.
+ * @returns {Object} Renderers for renderTemplate.
+ */
+function notionRenderers(changelogEntry) {
+  return {
+    heading: (content) => [textBlock('heading_2', content)],
+    reference: (content) => [
+      {
+        type: 'paragraph',
+        paragraph: {
+          rich_text: chunkText(content).map((chunk) => ({
             type: 'text',
-            text: {
-              content: 'Changed files',
-            },
-          },
-        ],
-        children: [
-          {
-            type: 'code',
-            code: {
-              rich_text: [
-                {
-                  type: 'text',
-                  text: {
-                    content: changelogEntry.files,
-                  },
-                },
-              ],
-              language: 'plain text',
-            },
-          },
-        ],
+            text: { content: chunk, link: { url: changelogEntry.url } },
+          })),
+        },
       },
-    },
-    {
-      type: 'divider',
-      divider: {},
-    },
-  ];
+    ],
+    paragraph: (content) => [textBlock('paragraph', content)],
+    toggle: (title, code) => [
+      textBlock('toggle', title, { children: [textBlock('code', code, { language: 'plain text' })] }),
+    ],
+    category: () => buildCategoryBlocks(changelogEntry),
+    'release-notes': () => buildReleaseNoteBlocks(changelogEntry.groups || []),
+    divider: () => [{ type: 'divider', divider: {} }],
+  };
+}
+
+/**
+ * Builds the body of a changelog entry, as the page of a database row: its template without the
+ * heading, reference and divider, which the row holds as properties.
+ * @param {Object} changelogEntry - The changelog entry object.
+ * @returns {Array} Array of Notion block objects.
+ */
+function buildEntryBodyBlocks(changelogEntry) {
+  return renderTemplate(
+    rowBodyTemplate(entryTemplate(changelogEntry)),
+    templateValues(changelogEntry),
+    notionRenderers(changelogEntry)
+  );
+}
+
+/**
+ * Builds Notion blocks for a changelog entry from its template.
+ * @param {Object} changelogEntry - The changelog entry object.
+ * @returns {Array} Array of Notion block objects.
+ */
+function buildNotionBlocks(changelogEntry) {
+  return renderTemplate(entryTemplate(changelogEntry), templateValues(changelogEntry), notionRenderers(changelogEntry));
+}
+
+/**
+ * Fetches the decoded content of a single file from a repository.
+ * @param {Object} octokit - GitHub API client.
+ * @param {string} owner - Repository owner.
+ * @param {string} repo - Repository name.
+ * @param {string} path - File path in the repository.
+ * @param {string} ref - Git reference (branch/commit SHA).
+ * @returns {Promise<string|null>} File content, or null if it couldn't be fetched.
+ */
+async function fetchFileContent(octokit, owner, repo, path, ref) {
+  try {
+    const { data } = await octokit.rest.repos.getContent({
+      owner,
+      repo,
+      path,
+      ref,
+    });
+
+    if (data.content && data.encoding === 'base64') {
+      return Buffer.from(data.content, 'base64').toString('utf-8');
+    }
+  } catch {
+    // File doesn't exist or couldn't be fetched
+  }
+  return null;
 }
 
 /**
@@ -207,19 +518,9 @@ async function fetchDocContent(octokit, owner, repo, ref, changedFiles = null) {
   const filesToProcess = filesToFetch.slice(0, DOC_FILES_LIMIT);
 
   for (const path of filesToProcess) {
-    try {
-      const { data } = await octokit.rest.repos.getContent({
-        owner,
-        repo,
-        path,
-        ref,
-      });
-
-      if (data.content && data.encoding === 'base64') {
-        docContent[path] = Buffer.from(data.content, 'base64').toString('utf-8');
-      }
-    } catch {
-      // File doesn't exist or couldn't be fetched, skip silently
+    const content = await fetchFileContent(octokit, owner, repo, path, ref);
+    if (content !== null) {
+      docContent[path] = content;
     }
   }
 
@@ -230,61 +531,82 @@ async function fetchDocContent(octokit, owner, repo, ref, changedFiles = null) {
  * Builds a documentation update context object.
  * @param {Object} entry - The changelog entry object.
  * @param {Object} docContent - Object with file paths and their content.
+ * @param {Array} files - Changed files with their `patch`, for the diff hunks that matter to the README
+ *   and the README sections the change edits.
  * @returns {Object} Documentation update context.
  */
-function buildDocUpdateContext(entry, docContent) {
+function buildDocUpdateContext(entry, docContent, files = []) {
+  const readmeKey = Object.keys(docContent).find((path) => /^readme\.md$/i.test(path));
+  const patched = files.filter((file) => file.patch);
   return {
     ...entry,
     docContent,
-    hasReadme: Object.keys(docContent).some((path) => /^readme\.md$/i.test(path)),
+    hasReadme: Boolean(readmeKey),
     docFiles: Object.keys(docContent),
+    docDiff: readmeKey && patched.length > 0 ? selectDocDiff(patched, docContent[readmeKey]) : null,
+    docSections: readmeKey ? editedReadmeSections(patched, docContent[readmeKey]) : [],
   };
 }
 
 /**
- * Extract a Notion page ID from AI response text.
- * Handles various formats like UUIDs with/without dashes.
- * @param {string} text - Text containing a potential page ID.
- * @returns {string|null} Extracted page ID or null if not found.
+ * Build a natural language prompt for finding or creating the Changelog page.
+ * @param {string} parentPageId - The Notion page the Changelog lives under.
+ * @returns {string} The prompt for the AI.
  */
-function extractPageId(text) {
-  if (!text) return null;
-
-  // Match UUID format (with or without dashes)
-  const uuidPattern = /[a-f0-9]{8}-?[a-f0-9]{4}-?[a-f0-9]{4}-?[a-f0-9]{4}-?[a-f0-9]{12}/gi;
-  const matches = text.match(uuidPattern);
-
-  return matches ? matches[0].replace(/-/g, '') : null;
+function buildFindChangelogPrompt(parentPageId) {
+  return `Find or create a "${CHANGELOG_PAGE_TITLE}" child page under page "${parentPageId}".
+Check the page's children first. If "${CHANGELOG_PAGE_TITLE}" exists, use its ID.
+Otherwise create it and use the new ID.
+The pageId in your answer must be the ${CHANGELOG_PAGE_TITLE} page itself, not page "${parentPageId}" or one of its blocks.`;
 }
 
 /**
  * Build a natural language prompt for creating a changelog entry.
  * @param {Object} entry - The changelog entry object.
  * @param {string} pageId - The Notion page ID to append to.
+ * @param {Object} options - Optional settings.
+ * @param {string} options.afterBlockId - Insert the entry after this block instead of at the end.
  * @returns {string} The prompt for the AI.
  */
-function buildChangelogPrompt(entry, pageId) {
-  // entry.files is a pre-formatted string from formatPRFiles/formatTreeFiles
-  const filesSection = entry.files && entry.files.trim().length > 0
-    ? `\n\n**Toggle block titled "Changed Files":** containing the following list:\n${entry.files}`
-    : '';
-
-  const referenceText = entry.type === 'pr'
-    ? `PR #${entry.prNumber} by @${entry.author}`
-    : `Commit ${entry.commit} by ${entry.author}`;
+function buildChangelogPrompt(entry, pageId, { afterBlockId } = {}) {
+  const category = entry.category ? CHANGE_CATEGORIES[entry.category] : null;
+  const releaseNotes = (entry.groups || []).map((group) => [
+    `### ${group.title}`,
+    ...group.pullRequests.map((p) => `- #${p.number} ${p.title} by @${p.author} (${p.url})`),
+  ].join('\n'));
+
+  // The blocks buildNotionBlocks would write, described for the model; the built-in template keeps the
+  // wording the prompt had before templates
+  const builtIn = !entry.template;
+  const blocks = renderTemplate(entryTemplate(entry), templateValues(entry), {
+    heading: (content) => [`**Heading (heading_2):** ${content}`],
+    reference: (content) => [`**Link paragraph:** ${content} - [View on GitHub](${entry.url})`],
+    paragraph: (content) => [builtIn ? `**Summary paragraph:** ${content}\n` : `**Paragraph:** ${content}`],
+    // entry.files is a pre-formatted string from formatPRFiles/formatTreeFiles
+    toggle: (title, code) => {
+      if (code.trim().length === 0) return [];
+      return [builtIn
+        ? `**Toggle block titled "Changed Files":** containing the following list:\n${code}`
+        : `**Toggle block titled "${title}":** containing a plain text code block with:\n${code}`];
+    },
+    category: () => (category
+      ? [`**Callout (${category.emoji} icon, ${category.color}_background color):** **${entry.category}** · ${describeBump(entry)}`]
+      : []),
+    'release-notes': () => (releaseNotes.length > 0
+      ? [`**Release notes:** a heading_3 block per group below, each followed by one bulleted_list_item per pull request, with "#<number>" linked to the pull request:\n${releaseNotes.join('\n\n')}`]
+      : []),
+    divider: () => ['**Divider** at the end to separate from future entries.'],
+  });
+
+  const placement = afterBlockId
+    ? `Insert the blocks right after block "${afterBlockId}" (use the "after" parameter) instead of at the end of the page.`
+    : 'Use the Notion API to append these blocks.';
 
   return `Append a new changelog entry to page "${pageId}" with the following content:
 
-**Heading (heading_2):** ${entry.date} - ${entry.title}
-
-**Link paragraph:** ${referenceText} - [View on GitHub](${entry.url})
+${blocks.join('\n\n')}
 
-**Summary paragraph:** ${entry.summary.substring(0, MAX_SUMMARY_LENGTH)}
-${filesSection}
-
-**Divider** at the end to separate from future entries.
-
-Use the Notion API to append these blocks. Be efficient and make a single API call if possible.`;
+${placement} Be efficient and make a single API call if possible.`;
 }
 
 /**
@@ -307,9 +629,16 @@ function buildDocUpdatePrompt(entry, pageId) {
     ? `${readmeContent.substring(0, MAX_README_CONTENT_LENGTH)}\n\n[Content truncated...]`
     : readmeContent;
 
-  const referenceInfo = entry.type === 'pr'
-    ? `PR #${entry.prNumber}: ${entry.title}`
-    : `Commit ${entry.commit}: ${entry.title}`;
+  const referenceInfo = `${getEntryKey(entry)}: ${entry.title}`;
+
+  // With the hunks that matter to the docs, the model can edit the affected sections only
+  const diff = formatDocDiff(entry.docDiff);
+  const diffSection = diff
+    ? `\n\n**What changed:** these hunks of ${getEntryKey(entry)} touch what the README documents:\n\n${diff}`
+    : '';
+  const scope = diff
+    ? 'Make targeted edits: update only the sections affected by the changes above (for example a renamed input, a new CLI flag or a changed default) so they match the README.md content, and leave the other sections as they are. Follow these guidelines:'
+    : 'Update the page content to reflect the README.md content above, following these guidelines:';
 
   return `Update the main documentation page with ID "${pageId}" based on the following README.md content.
 
@@ -318,11 +647,11 @@ function buildDocUpdatePrompt(entry, pageId) {
 **README.md Content:**
 \`\`\`markdown
 ${truncatedContent}
-\`\`\`
+\`\`\`${diffSection}
 
 **Instructions:**
 1. First, read the current content of page "${pageId}" to understand its structure.
-2. Update the page content to reflect the README.md content above, following these guidelines:
+2. ${scope}
    - Convert Markdown headings to Notion headings (# = heading_1, ## = heading_2, ### = heading_3)
    - Convert Markdown code blocks to Notion code blocks with appropriate language
    - Convert Markdown lists to Notion bulleted or numbered lists
@@ -337,12 +666,25 @@ Use the Notion API to perform these updates.`;
 module.exports = {
   formatPRFiles,
   formatTreeFiles,
+  summarizeByDirectory,
+  countListedFiles,
+  getEntryKey,
+  formatEntryAuthor,
+  templateValues,
+  formatEntryHeading,
+  describeBump,
   createPRChangelogEntry,
   createSyncChangelogEntry,
+  createReleaseChangelogEntry,
+  createPushChangelogEntry,
+  chunkText,
+  buildReleaseNoteBlocks,
+  buildEntryBodyBlocks,
   buildNotionBlocks,
+  fetchFileContent,
   fetchDocContent,
   buildDocUpdateContext,
-  extractPageId,
+  buildFindChangelogPrompt,
   buildChangelogPrompt,
   buildDocUpdatePrompt,
 };
@@ -1,16 +1,57 @@
 const {
   formatPRFiles,
   formatTreeFiles,
+  summarizeByDirectory,
+  countListedFiles,
+  getEntryKey,
+  formatEntryAuthor,
+  formatEntryHeading,
   createPRChangelogEntry,
   createSyncChangelogEntry,
+  createReleaseChangelogEntry,
+  createPushChangelogEntry,
+  chunkText,
+  buildEntryBodyBlocks,
   buildNotionBlocks,
+  fetchFileContent,
   fetchDocContent,
   buildDocUpdateContext,
-  extractPageId,
+  buildFindChangelogPrompt,
   buildChangelogPrompt,
   buildDocUpdatePrompt,
 } = require('./utils');
 
+/** A template that moves the labels into the heading and leaves out the files */
+const labelTemplate = [
+  { heading: '${title} [${labels}]' },
+  { reference: '${key} (${date}), by ${author}' },
+  { paragraph: '${summary}' },
+  'divider',
+];
+
+/** A release entry with one group of two pull requests */
+const releaseEntry = {
+  type: 'release',
+  key: 'Release v1.2.0',
+  date: '2026-01-21',
+  title: 'v1.2.0',
+  tag: 'v1.2.0',
+  previousTag: 'v1.1.0',
+  author: 'maintainer',
+  url: 'https://github.com/org/repo/releases/tag/v1.2.0',
+  summary: '2 pull requests merged since v1.1.0.',
+  files: '- src/index.js (modified, +1/-0)',
+  groups: [
+    {
+      title: 'Features',
+      pullRequests: [
+        { number: 41, title: 'Add export', author: 'dev', url: 'https://github.com/org/repo/pull/41' },
+        { number: 42, title: 'Add import', author: 'other', url: 'https://github.com/org/repo/pull/42' },
+      ],
+    },
+  ],
+};
+
 describe('formatPRFiles', () => {
   it('should format PR files correctly', () => {
     const files = [
@@ -31,6 +72,61 @@ describe('formatPRFiles', () => {
   });
 });
 
+describe('formatPRFiles for large changes', () => {
+  it('should summarize files by directory above the limit', () => {
+    const files = [
+      { filename: 'src/a.js', status: 'modified', additions: 1, deletions: 1 },
+      { filename: 'src/b.js', status: 'added', additions: 2, deletions: 0 },
+      { filename: 'README.md', status: 'modified', additions: 3, deletions: 3 },
+    ];
+
+    expect(formatPRFiles(files, 2)).toBe(
+      '3 files, summarized by directory:\n- (root) (1 file, +3/-3)\n- src/* (2 files, +3/-1)'
+    );
+  });
+});
+
+describe('summarizeByDirectory', () => {
+  const files = [
+    'src/index.js',
+    'src/lib/a.js',
+    'src/lib/b.js',
+    'src/lib/deep/c.js',
+    'test/x.test.js',
+    'package.json',
+  ].map((path) => ({ path }));
+
+  it('should group files by directory', () => {
+    expect(summarizeByDirectory(files, 10).split('\n')).toEqual([
+      '6 files, summarized by directory:',
+      '- (root) (1 file)',
+      '- src/* (1 file)',
+      '- src/lib/* (2 files)',
+      '- src/lib/deep/* (1 file)',
+      '- test/* (1 file)',
+    ]);
+  });
+
+  it('should cut directories to the deepest level within the limit', () => {
+    expect(summarizeByDirectory(files, 4).split('\n')).toEqual([
+      '6 files, summarized by directory:',
+      '- (root) (1 file)',
+      '- src/* (1 file)',
+      '- src/** (3 files)',
+      '- test/* (1 file)',
+    ]);
+    expect(summarizeByDirectory(files, 1)).toBe('6 files, summarized by directory:\n- (root) (1 file)\n- ** (5 files)');
+  });
+});
+
+describe('countListedFiles', () => {
+  it('should count listed files, or read the count of a summary', () => {
+    expect(countListedFiles('- a.js\n- b.js')).toBe(2);
+    expect(countListedFiles('')).toBe(0);
+    expect(countListedFiles('412 files, summarized by directory:\n- src/** (412 files)')).toBe(412);
+  });
+});
+
 describe('formatTreeFiles', () => {
   it('should format tree files correctly', () => {
     const tree = [
@@ -56,6 +152,19 @@ describe('formatTreeFiles', () => {
     expect(result).toBe('- file1.js\n- file2.js');
   });
 
+  it('should summarize files by directory past the limit when asked', () => {
+    const tree = [
+      { path: 'file1.js', type: 'blob' },
+      { path: 'src/a.js', type: 'blob' },
+      { path: 'src/b.js', type: 'blob' },
+    ];
+
+    expect(formatTreeFiles(tree, 3, { summarize: true })).toBe('- file1.js\n- src/a.js\n- src/b.js');
+    expect(formatTreeFiles(tree, 2, { summarize: true })).toBe(
+      '3 files, summarized by directory:\n- (root) (1 file)\n- src/* (2 files)'
+    );
+  });
+
   it('should filter out non-blob items', () => {
     const tree = [
       { path: 'src', type: 'tree' },
@@ -68,6 +177,36 @@ describe('formatTreeFiles', () => {
   });
 });
 
+describe('getEntryKey', () => {
+  it('should derive the key from the PR number', () => {
+    expect(getEntryKey({ type: 'pr', prNumber: 42 })).toBe('PR #42');
+  });
+
+  it('should derive the key from the commit SHA', () => {
+    expect(getEntryKey({ type: 'sync', commit: 'abc1234' })).toBe('Commit abc1234');
+  });
+
+  it('should derive the key from the release tag', () => {
+    expect(getEntryKey({ type: 'release', tag: 'v1.2.0' })).toBe('Release v1.2.0');
+  });
+
+  it('should derive the key from the pushed range', () => {
+    expect(getEntryKey({ type: 'push', before: 'abc1234', after: 'def5678' })).toBe('Push abc1234..def5678');
+  });
+
+  it('should prefer an explicit key', () => {
+    expect(getEntryKey({ type: 'pr', prNumber: 1, key: 'PR #7' })).toBe('PR #7');
+  });
+});
+
+describe('formatEntryAuthor', () => {
+  it('should mention GitHub users and keep commit author names', () => {
+    expect(formatEntryAuthor({ type: 'pr', author: 'dev' })).toBe('@dev');
+    expect(formatEntryAuthor({ type: 'release', author: 'maintainer' })).toBe('@maintainer');
+    expect(formatEntryAuthor({ type: 'sync', author: 'Test Author' })).toBe('Test Author');
+  });
+});
+
 describe('createPRChangelogEntry', () => {
   beforeEach(() => {
     jest.useFakeTimers();
@@ -92,6 +231,7 @@ describe('createPRChangelogEntry', () => {
 
     expect(result).toEqual({
       type: 'pr',
+      key: 'PR #42',
       date: '2026-01-21',
       title: 'Add new feature',
       prNumber: 42,
@@ -99,9 +239,46 @@ describe('createPRChangelogEntry', () => {
       url: 'https://github.com/org/repo/pull/42',
       summary: 'This PR adds a new feature',
       files: '- src/index.js (modified, +10/-5)',
+      labels: [],
+      filesChanged: 1,
+      category: null,
+      categorySource: null,
+      bump: 'patch',
     });
   });
 
+  it('should classify the PR from its title and commits', () => {
+    const pullRequest = {
+      title: 'feat(api): add export',
+      number: 42,
+      user: { login: 'testuser' },
+      html_url: 'https://github.com/org/repo/pull/42',
+      body: 'Body',
+    };
+    const commits = [{ commit: { message: 'fix: handle empty input' } }];
+
+    const result = createPRChangelogEntry(pullRequest, '', { commits });
+
+    expect(result).toMatchObject({ category: 'Added', categorySource: 'title prefix "feat(api)"', bump: 'minor' });
+  });
+
+  it('should take labels and the changed files count from the PR', () => {
+    const pullRequest = {
+      title: 'Add new feature',
+      number: 42,
+      user: { login: 'testuser' },
+      html_url: 'https://github.com/org/repo/pull/42',
+      body: 'Body',
+      labels: [{ name: 'enhancement' }, { name: 'docs' }],
+      changed_files: 12,
+    };
+
+    const result = createPRChangelogEntry(pullRequest, '- src/index.js (modified, +10/-5)');
+
+    expect(result.labels).toEqual(['enhancement', 'docs']);
+    expect(result.filesChanged).toBe(12);
+  });
+
   it('should use default summary when body is empty', () => {
     const pullRequest = {
       title: 'Fix bug',
@@ -146,6 +323,7 @@ describe('createSyncChangelogEntry', () => {
 
     expect(result).toEqual({
       type: 'sync',
+      key: 'Commit abc1234',
       date: '2026-01-21',
       title: 'Documentation sync from main',
       commit: 'abc1234',
@@ -153,6 +331,8 @@ describe('createSyncChangelogEntry', () => {
       url: 'https://github.com/org/repo/commit/abc1234',
       summary: 'Synced documentation from main branch.\n\nLatest commit: Latest commit message',
       files: '- src/index.js',
+      labels: [],
+      filesChanged: null,
       repoDescription: 'A test repository',
     });
   });
@@ -177,6 +357,132 @@ describe('createSyncChangelogEntry', () => {
   });
 });
 
+describe('createReleaseChangelogEntry', () => {
+  const release = {
+    tag_name: 'v1.2.0',
+    name: '',
+    published_at: '2026-01-21T10:00:00Z',
+    author: { login: 'maintainer' },
+    html_url: 'https://github.com/org/repo/releases/tag/v1.2.0',
+  };
+
+  it('should create a release changelog entry', () => {
+    const result = createReleaseChangelogEntry(release, 'v1.1.0', releaseEntry.groups, '- src/index.js (modified, +1/-0)');
+
+    expect(result).toEqual({ ...releaseEntry, labels: [], filesChanged: 1, bump: null });
+  });
+
+  it('should suggest the largest bump of its pull requests', () => {
+    const changes = [{ bump: 'patch' }, { bump: 'minor' }];
+
+    expect(createReleaseChangelogEntry(release, 'v1.1.0', [], '', changes).bump).toBe('minor');
+  });
+
+  it('should keep the version in the heading of a named release', () => {
+    expect(createReleaseChangelogEntry({ ...release, name: 'Spring update' }, 'v1.1.0', [], '').title).toBe(
+      'v1.2.0: Spring update'
+    );
+    expect(createReleaseChangelogEntry({ ...release, name: 'Release v1.2.0' }, 'v1.1.0', [], '').title).toBe(
+      'Release v1.2.0'
+    );
+  });
+
+  it('should describe a first release without pull requests', () => {
+    const result = createReleaseChangelogEntry(release, null, [], '');
+
+    expect(result.summary).toBe('No pull requests merged in the first release.');
+    expect(result.previousTag).toBeNull();
+    expect(result.filesChanged).toBe(0);
+  });
+});
+
+describe('createPushChangelogEntry', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2026-01-21'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const push = {
+    before: 'abc1234567890',
+    after: 'def5678901234',
+    ref: 'refs/heads/main',
+    compare: 'https://github.com/org/repo/compare/abc1234567890...def5678901234',
+    sender: { login: 'pusher' },
+  };
+
+  it('should list each commit with its pull request', () => {
+    const associations = [
+      { commit: { sha: '1111111aaaa', commit: { message: 'Fix typo\n\nDetails' } }, pullRequest: null },
+      { commit: { sha: '2222222bbbb', commit: { message: 'Add export (#41)' } }, pullRequest: { number: 41 } },
+      { commit: { sha: '3333333cccc', commit: { message: 'Merge branch import' } }, pullRequest: { number: 42 } },
+    ];
+
+    const result = createPushChangelogEntry(push, associations, releaseEntry.groups, '- a.js\n- b.js');
+
+    expect(result).toEqual({
+      type: 'push',
+      key: 'Push abc1234..def5678',
+      date: '2026-01-21',
+      title: '3 commits pushed to main',
+      before: 'abc1234',
+      after: 'def5678',
+      branch: 'main',
+      author: 'pusher',
+      url: 'https://github.com/org/repo/compare/abc1234567890...def5678901234',
+      summary: '- 1111111 Fix typo\n- 2222222 Add export (#41)\n- 3333333 Merge branch import (#42)',
+      files: '- a.js\n- b.js',
+      groups: releaseEntry.groups,
+      labels: [],
+      filesChanged: 2,
+      bump: null,
+    });
+  });
+
+  it('should cut a long commit list at a whole line, saying how many commits are left out', () => {
+    const associations = Array.from({ length: 300 }, (_, i) => ({
+      commit: { sha: `${String(i).padStart(7, '0')}aaaa`, commit: { message: `Change number ${i} of the refactoring` } },
+      pullRequest: null,
+    }));
+
+    const { summary } = createPushChangelogEntry(push, associations, [], '');
+    const lines = summary.split('\n');
+
+    expect(summary.length).toBeLessThanOrEqual(2000);
+    expect(lines[0]).toBe('- 0000000 Change number 0 of the refactoring');
+    expect(lines[lines.length - 2]).toBe(`- ${String(lines.length - 2).padStart(7, '0')} Change number ${lines.length - 2} of the refactoring`);
+    expect(lines[lines.length - 1]).toBe(`- … and ${300 - (lines.length - 1)} more commits`);
+  });
+
+  it('should mention the pusher', () => {
+    const associations = [{ commit: { sha: '1111111aaaa', commit: { message: 'Fix' } }, pullRequest: null }];
+
+    const blocks = buildNotionBlocks(createPushChangelogEntry(push, associations, [], ''));
+
+    expect(blocks[0].heading_2.rich_text[0].text.content).toBe('2026-01-21 - 1 commit pushed to main');
+    expect(blocks[1].paragraph.rich_text[0].text.content).toBe('Push abc1234..def5678 by @pusher');
+  });
+});
+
+describe('chunkText', () => {
+  it('should return a single chunk for short text', () => {
+    expect(chunkText('hello')).toEqual(['hello']);
+  });
+
+  it('should split long text into 2000-character chunks', () => {
+    const chunks = chunkText('a'.repeat(4500));
+    expect(chunks.map((c) => c.length)).toEqual([2000, 2000, 500]);
+  });
+
+  it('should return one empty chunk for empty text', () => {
+    expect(chunkText('')).toEqual(['']);
+    expect(chunkText(null)).toEqual(['']);
+  });
+});
+
 describe('buildNotionBlocks', () => {
   it('should build Notion blocks for a PR entry', () => {
     const entry = {
@@ -233,6 +539,163 @@ describe('buildNotionBlocks', () => {
 
     expect(blocks[2].paragraph.rich_text[0].text.content).toHaveLength(2000);
   });
+
+  it('should split long file lists across rich_text items', () => {
+    const entry = {
+      type: 'pr',
+      date: '2026-01-21',
+      title: 'Test',
+      prNumber: 1,
+      author: 'user',
+      url: 'https://example.com',
+      summary: 'Summary',
+      files: 'f'.repeat(2500),
+    };
+
+    const blocks = buildNotionBlocks(entry);
+    const richText = blocks[3].toggle.children[0].code.rich_text;
+
+    expect(richText).toHaveLength(2);
+    expect(richText[0].text.content).toHaveLength(2000);
+    expect(richText[1].text.content).toHaveLength(500);
+  });
+});
+
+describe('buildNotionBlocks for releases', () => {
+  it('should list pull requests under a heading per group', () => {
+    const blocks = buildNotionBlocks(releaseEntry);
+
+    expect(blocks.map((b) => b.type)).toEqual([
+      'heading_2',
+      'paragraph',
+      'paragraph',
+      'heading_3',
+      'bulleted_list_item',
+      'bulleted_list_item',
+      'toggle',
+      'divider',
+    ]);
+    expect(blocks[0].heading_2.rich_text[0].text.content).toBe('2026-01-21 - v1.2.0');
+    expect(blocks[1].paragraph.rich_text[0].text.content).toBe('Release v1.2.0 by @maintainer');
+    expect(blocks[3].heading_3.rich_text[0].text.content).toBe('Features');
+    expect(blocks[4].bulleted_list_item.rich_text).toEqual([
+      { type: 'text', text: { content: '#41', link: { url: 'https://github.com/org/repo/pull/41' } } },
+      { type: 'text', text: { content: ' Add export by @dev' } },
+    ]);
+  });
+});
+
+describe('buildNotionBlocks for classified entries', () => {
+  it('should show the category and suggested bump in a callout after the reference', () => {
+    const entry = { ...releaseEntry, type: 'pr', prNumber: 41, groups: undefined };
+    const blocks = buildNotionBlocks({ ...entry, category: 'Fixed', categorySource: 'label "bug"', bump: 'patch' });
+
+    expect(blocks[2]).toEqual({
+      type: 'callout',
+      callout: {
+        rich_text: [
+          { type: 'text', text: { content: 'Fixed' }, annotations: { bold: true } },
+          { type: 'text', text: { content: ' · patch bump · from label "bug"' } },
+        ],
+        icon: { type: 'emoji', emoji: '🐛' },
+        color: 'orange_background',
+      },
+    });
+    expect(buildNotionBlocks(entry).map((b) => b.type)).not.toContain('callout');
+  });
+});
+
+describe('buildNotionBlocks with an entry template', () => {
+  const entry = {
+    ...releaseEntry,
+    type: 'pr',
+    key: 'PR #41',
+    prNumber: 41,
+    groups: undefined,
+    labels: ['ui', 'docs'],
+    template: labelTemplate,
+  };
+
+  it('should write the blocks of the template', () => {
+    const blocks = buildNotionBlocks(entry);
+
+    expect(blocks.map((b) => b.type)).toEqual(['heading_2', 'paragraph', 'paragraph', 'divider']);
+    expect(blocks[0].heading_2.rich_text[0].text.content).toBe('v1.2.0 [ui, docs]');
+    expect(blocks[1].paragraph.rich_text[0].text).toEqual({
+      content: 'PR #41 (2026-01-21), by @maintainer',
+      link: { url: entry.url },
+    });
+  });
+
+  it('should split a long reference into linked rich_text items Notion accepts', () => {
+    const author = 'x'.repeat(2500);
+    const blocks = buildNotionBlocks({ ...entry, author });
+    const richText = blocks[1].paragraph.rich_text;
+
+    expect(richText.map((item) => item.text.content.length)).toEqual([2000, 525]);
+    expect(richText.every((item) => item.text.link.url === entry.url)).toBe(true);
+    expect(richText.map((item) => item.text.content).join('')).toBe(`PR #41 (2026-01-21), by @${author}`);
+  });
+
+  it('should leave the heading, reference and divider out of a database row body', () => {
+    expect(buildEntryBodyBlocks(entry).map((b) => b.type)).toEqual(['paragraph']);
+  });
+
+  it('should describe the same blocks in the agent prompt', () => {
+    const prompt = buildChangelogPrompt(entry, 'page-id');
+
+    expect(prompt).toContain('**Heading (heading_2):** v1.2.0 [ui, docs]\n\n**Link paragraph:** PR #41 (2026-01-21), by @maintainer');
+    expect(prompt).toContain('**Divider**');
+    expect(prompt).not.toContain('Toggle block');
+  });
+});
+
+describe('formatEntryHeading', () => {
+  it('should render the heading of the entry template', () => {
+    expect(formatEntryHeading(releaseEntry)).toBe('2026-01-21 - v1.2.0');
+    expect(formatEntryHeading({ ...releaseEntry, labels: ['ui'], template: labelTemplate })).toBe('v1.2.0 [ui]');
+  });
+});
+
+describe('fetchFileContent', () => {
+  it('should decode base64 file content', async () => {
+    const mockOctokit = {
+      rest: {
+        repos: {
+          getContent: jest.fn().mockResolvedValue({
+            data: {
+              content: Buffer.from('# Guide').toString('base64'),
+              encoding: 'base64',
+            },
+          }),
+        },
+      },
+    };
+
+    const result = await fetchFileContent(mockOctokit, 'owner', 'repo', 'docs/guide.md', 'main');
+
+    expect(result).toBe('# Guide');
+    expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith({
+      owner: 'owner',
+      repo: 'repo',
+      path: 'docs/guide.md',
+      ref: 'main',
+    });
+  });
+
+  it('should return null when the file cannot be fetched', async () => {
+    const mockOctokit = {
+      rest: {
+        repos: {
+          getContent: jest.fn().mockRejectedValue(new Error('Not found')),
+        },
+      },
+    };
+
+    const result = await fetchFileContent(mockOctokit, 'owner', 'repo', 'missing.md', 'main');
+
+    expect(result).toBeNull();
+  });
 });
 
 describe('fetchDocContent', () => {
@@ -417,9 +880,25 @@ describe('buildDocUpdateContext', () => {
       docContent,
       hasReadme: true,
       docFiles: ['README.md', 'docs/guide.md'],
+      docDiff: null,
+      docSections: [],
     });
   });
 
+  it('should pick the diff hunks and README sections of the changed files', () => {
+    const docContent = { 'README.md': '# Project\n\n## Inputs\n\nSet `step-timeout` to 120.' };
+    const files = [
+      { filename: 'action.yml', patch: '@@ -1,2 +1,2 @@\n-  step-timout:\n+  step-timeout:' },
+      { filename: 'README.md', patch: '@@ -4,1 +4,1 @@\n-Set `step-timout` to 120.\n+Set `step-timeout` to 120.' },
+      { filename: 'logo.png' },
+    ];
+
+    const result = buildDocUpdateContext({ type: 'pr' }, docContent, files);
+
+    expect(result.docDiff.hunks.map((h) => h.filename)).toEqual(['README.md', 'action.yml']);
+    expect(result.docSections).toEqual([{ heading: 'Inputs', reason: 'README.md changed (+1/-1 lines)' }]);
+  });
+
   it('should build context with hasReadme false when no README', () => {
     const entry = { type: 'sync', title: 'Sync' };
     const docContent = { 'docs/api.md': '# API' };
@@ -450,34 +929,12 @@ describe('buildDocUpdateContext', () => {
   });
 });
 
-describe('extractPageId', () => {
-  it('should extract UUID with dashes', () => {
-    const text = 'The page ID is 12345678-1234-1234-1234-123456789abc';
-    const result = extractPageId(text);
-    expect(result).toBe('12345678123412341234123456789abc');
-  });
-
-  it('should extract UUID without dashes', () => {
-    const text = 'Page: 12345678123412341234123456789abc';
-    const result = extractPageId(text);
-    expect(result).toBe('12345678123412341234123456789abc');
-  });
-
-  it('should return null for empty text', () => {
-    expect(extractPageId(null)).toBeNull();
-    expect(extractPageId('')).toBeNull();
-    expect(extractPageId(undefined)).toBeNull();
-  });
+describe('buildFindChangelogPrompt', () => {
+  it('should ask for the Changelog child page of the parent', () => {
+    const result = buildFindChangelogPrompt('parent-page-id');
 
-  it('should return null when no UUID found', () => {
-    const text = 'No page ID here';
-    expect(extractPageId(text)).toBeNull();
-  });
-
-  it('should extract first UUID when multiple present', () => {
-    const text = 'First: aaaaaaaa-bbbb-cccc-dddd-eeeeeeeeeeee Second: 11111111-2222-3333-4444-555555555555';
-    const result = extractPageId(text);
-    expect(result).toBe('aaaaaaaabbbbccccddddeeeeeeeeeeee');
+    expect(result).toContain('"Changelog" child page under page "parent-page-id"');
+    expect(result).toContain('not page "parent-page-id"');
   });
 });
 
@@ -542,6 +999,23 @@ describe('buildChangelogPrompt', () => {
     expect(result).not.toContain('Changed Files');
   });
 
+  it('should ask to insert after a block when given one', () => {
+    const entry = {
+      type: 'pr',
+      date: '2026-01-21',
+      title: 'Minor fix',
+      prNumber: 1,
+      author: 'user',
+      url: 'https://example.com',
+      summary: 'Fix',
+      files: '',
+    };
+
+    const result = buildChangelogPrompt(entry, 'page-id', { afterBlockId: 'anchor-block' });
+
+    expect(result).toContain('right after block "anchor-block"');
+  });
+
   it('should truncate long summaries', () => {
     const longSummary = 'x'.repeat(3000);
     const entry = {
@@ -562,6 +1036,33 @@ describe('buildChangelogPrompt', () => {
   });
 });
 
+describe('buildChangelogPrompt for releases', () => {
+  it('should list the grouped pull requests', () => {
+    const result = buildChangelogPrompt(releaseEntry, 'page-id');
+
+    expect(result).toContain('Release v1.2.0 by @maintainer');
+    expect(result).toContain('**Release notes:**');
+    expect(result).toContain('### Features\n- #41 Add export by @dev (https://github.com/org/repo/pull/41)');
+  });
+
+  it('should leave out release notes for other entries', () => {
+    expect(buildChangelogPrompt({ ...releaseEntry, type: 'pr', prNumber: 1, groups: undefined }, 'page-id')).not.toContain(
+      'Release notes'
+    );
+  });
+});
+
+describe('buildChangelogPrompt for classified entries', () => {
+  it('should ask for the category callout', () => {
+    const entry = { ...releaseEntry, type: 'pr', prNumber: 1, groups: undefined, category: 'Breaking', bump: 'major' };
+
+    expect(buildChangelogPrompt(entry, 'page-id')).toContain(
+      '**Callout (💥 icon, red_background color):** **Breaking** · major bump\n\n**Summary paragraph:**'
+    );
+    expect(buildChangelogPrompt({ ...entry, category: null }, 'page-id')).not.toContain('Callout');
+  });
+});
+
 describe('buildDocUpdatePrompt', () => {
   it('should build doc update prompt with README', () => {
     const entry = {
@@ -580,6 +1081,26 @@ describe('buildDocUpdatePrompt', () => {
     expect(result).toContain('# My Project');
     expect(result).toContain('PR #42: Update docs');
     expect(result).toContain('Convert Markdown headings to Notion headings');
+    expect(result).not.toContain('**What changed:**');
+  });
+
+  it('should ask for targeted edits from the relevant diff hunks', () => {
+    const entry = {
+      type: 'pr',
+      prNumber: 42,
+      title: 'Rename input',
+      docContent: { 'README.md': '# My Project\n\nSet `step-timeout`.' },
+      docDiff: {
+        hunks: [{ filename: 'action.yml', header: '@@ -1 +1 @@', text: '@@ -1 +1 @@\n+  step-timeout:', terms: ['step-timeout'] }],
+        omitted: 0,
+      },
+    };
+
+    const result = buildDocUpdatePrompt(entry, 'doc-page-id');
+
+    expect(result).toContain('**What changed:** these hunks of PR #42');
+    expect(result).toContain('`action.yml` (mentions `step-timeout`):\n```diff\n@@ -1 +1 @@\n+  step-timeout:\n```');
+    expect(result).toContain('Make targeted edits');
   });
 
   it('should build doc update prompt for sync entry', () => {
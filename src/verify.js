@@ -0,0 +1,178 @@
+/**
+ * Read-back checks for Notion and Confluence writes.
+ * A step only counts as done once the page, read straight from the target's API,
+ * holds the blocks it was supposed to write.
+ */
+
+const { getEntryKey, formatEntryHeading } = require('./utils');
+const { blockText, listBlockChildren, getPage } = require('./notion');
+const { findChangelogEntry } = require('./changelog');
+const { findDatabaseEntry } = require('./changelog-database');
+const { markdownToNotionBlocks } = require('./markdown');
+const { findStorageEntry, storageHeadings } = require('./storage-format');
+
+const HEADING_TYPES = ['heading_1', 'heading_2', 'heading_3'];
+
+/**
+ * Normalizes text for comparison, ignoring case, punctuation, emoji and spacing,
+ * which the model may change when it writes a block.
+ * @param {string} text - Text to normalize.
+ * @returns {string} Lowercase words separated by single spaces.
+ */
+function normalizeText(text) {
+  return text.replace(/[^\p{L}\p{N}]+/gu, ' ').trim().toLowerCase();
+}
+
+/**
+ * Checks that a changelog entry is among the Changelog page's blocks.
+ * @param {Array} blocks - Child blocks of the Changelog page.
+ * @param {Object} entry - The changelog entry object.
+ * @param {Object} options - Check options.
+ * @param {Array<string>} options.ignoreBlockIds - Blocks of an older copy of the entry (when replacing it).
+ * @returns {Object} `{ ok, blockIds, missing }`; blockIds are set whenever the reference paragraph is found.
+ */
+function checkChangelogEntry(blocks, entry, { ignoreBlockIds = [] } = {}) {
+  const key = getEntryKey(entry);
+  const heading = formatEntryHeading(entry);
+  const found = findChangelogEntry(blocks.filter((block) => !ignoreBlockIds.includes(block.id)), key);
+  if (!found) {
+    return { ok: false, blockIds: [], missing: [`heading "${heading}"`, `reference paragraph "${key}"`] };
+  }
+
+  const hasHeading = blocks.some(
+    (block) =>
+      found.blockIds.includes(block.id) &&
+      block.type === 'heading_2' &&
+      normalizeText(blockText(block)).includes(normalizeText(heading))
+  );
+  return { ok: hasHeading, blockIds: found.blockIds, missing: hasHeading ? [] : [`heading "${heading}"`] };
+}
+
+/**
+ * Reads the Changelog page and checks that the entry landed.
+ * @param {Object} client - Notion client from createNotionClient.
+ * @param {string} changelogPageId - Changelog page ID.
+ * @param {Object} entry - The changelog entry object.
+ * @param {Object} options - Options for checkChangelogEntry.
+ * @returns {Promise<Object>} Result of checkChangelogEntry.
+ */
+async function verifyChangelogEntry(client, changelogPageId, entry, options = {}) {
+  const blocks = await listBlockChildren(client, changelogPageId);
+  return checkChangelogEntry(blocks, entry, options);
+}
+
+/**
+ * Checks that a changelog entry is in the storage format body of a Confluence Changelog page.
+ * Confluence pages have no block IDs, so `blockIds` is always empty.
+ * @param {string} storage - Storage format of the Changelog page.
+ * @param {Object} entry - The changelog entry object.
+ * @returns {Object} `{ ok, blockIds, missing }`, like checkChangelogEntry.
+ */
+function checkStorageEntry(storage, entry) {
+  const key = getEntryKey(entry);
+  const heading = formatEntryHeading(entry);
+  const found = findStorageEntry(storage, key);
+  if (!found) {
+    return { ok: false, blockIds: [], missing: [`heading "${heading}"`, `reference paragraph "${key}"`] };
+  }
+
+  const hasHeading = normalizeText(found.heading).includes(normalizeText(heading));
+  return { ok: hasHeading, blockIds: [], missing: hasHeading ? [] : [`heading "${heading}"`] };
+}
+
+/**
+ * Reads the changelog database and checks that the entry's row has its title and body.
+ * @param {Object} client - Notion client from createNotionClient.
+ * @param {string} databaseId - Changelog database ID.
+ * @param {Object} entry - The changelog entry object.
+ * @param {Object} options - Check options.
+ * @param {string} options.pageId - Row to check, when the entry may have several (e.g. after an append).
+ * @returns {Promise<Object>} `{ ok, pageId, blockIds, missing }`, with the row's page ID and body block IDs.
+ */
+async function verifyDatabaseEntry(client, databaseId, entry, { pageId = null } = {}) {
+  const row = pageId ? await getPage(client, pageId) : await findDatabaseEntry(client, databaseId, entry);
+  if (!row) {
+    return { ok: false, pageId: null, blockIds: [], missing: [`row with URL ${entry.url}`] };
+  }
+
+  const title = (row.properties?.Title?.title || []).map((item) => item.plain_text ?? item.text?.content ?? '').join('');
+  const blocks = await listBlockChildren(client, row.id);
+  const missing = [];
+  if (normalizeText(title) !== normalizeText(entry.title)) missing.push(`title "${entry.title}"`);
+  if (blocks.length === 0) missing.push('page body');
+  return { ok: missing.length === 0, pageId: row.id, blockIds: blocks.map((block) => block.id), missing };
+}
+
+/**
+ * Lists the section headings of a README, as they read once converted to Notion.
+ * @param {string} markdown - README content.
+ * @returns {Array<string>} Heading texts, in order.
+ */
+function readmeSections(markdown) {
+  return markdownToNotionBlocks(markdown)
+    .filter((block) => HEADING_TYPES.includes(block.type))
+    .map(blockText)
+    .filter((text) => normalizeText(text) !== '');
+}
+
+/**
+ * Checks that every README section has a heading on the documentation page.
+ * @param {Array} blocks - Child blocks of the documentation page.
+ * @param {Array<string>} sections - Headings from readmeSections.
+ * @returns {Object} `{ ok, blockIds, missing }`, with the IDs of the matching heading blocks.
+ */
+function checkDocumentation(blocks, sections) {
+  const headings = blocks
+    .filter((block) => HEADING_TYPES.includes(block.type))
+    .map((block) => ({ id: block.id, text: normalizeText(blockText(block)) }));
+
+  const blockIds = [];
+  const missing = [];
+  for (const section of sections) {
+    const match = headings.find((heading) => heading.text === normalizeText(section));
+    if (match) {
+      blockIds.push(match.id);
+    } else {
+      missing.push(`section "${section}"`);
+    }
+  }
+  return { ok: missing.length === 0, blockIds, missing };
+}
+
+/**
+ * Checks that every README section has a heading in the storage format body of a Confluence page.
+ * @param {string} storage - Storage format of the documentation page.
+ * @param {Array<string>} sections - Headings from readmeSections.
+ * @returns {Object} `{ ok, blockIds, missing }`, like checkDocumentation; `blockIds` is always empty.
+ */
+function checkStorageDocumentation(storage, sections) {
+  const headings = storageHeadings(storage).map(normalizeText);
+  const missing = sections
+    .filter((section) => !headings.includes(normalizeText(section)))
+    .map((section) => `section "${section}"`);
+  return { ok: missing.length === 0, blockIds: [], missing };
+}
+
+/**
+ * Reads the documentation page and checks that the README sections landed.
+ * @param {Object} client - Notion client from createNotionClient.
+ * @param {string} pageId - Documentation page ID.
+ * @param {string} markdown - README content the page was updated from.
+ * @returns {Promise<Object>} Result of checkDocumentation.
+ */
+async function verifyDocumentation(client, pageId, markdown) {
+  const blocks = await listBlockChildren(client, pageId);
+  return checkDocumentation(blocks, readmeSections(markdown));
+}
+
+module.exports = {
+  normalizeText,
+  checkChangelogEntry,
+  verifyChangelogEntry,
+  checkStorageEntry,
+  verifyDatabaseEntry,
+  readmeSections,
+  checkDocumentation,
+  checkStorageDocumentation,
+  verifyDocumentation,
+};
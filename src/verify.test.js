@@ -0,0 +1,213 @@
+const {
+  normalizeText,
+  checkChangelogEntry,
+  verifyChangelogEntry,
+  checkStorageEntry,
+  verifyDatabaseEntry,
+  readmeSections,
+  checkDocumentation,
+  checkStorageDocumentation,
+  verifyDocumentation,
+} = require('./verify');
+const { buildNotionBlocks } = require('./utils');
+const { buildStorageEntry } = require('./storage-format');
+const { findOrCreateChangelogDatabase, writeDatabaseEntry } = require('./changelog-database');
+const { createFakeNotion } = require('./test-utils/fake-notion');
+
+const entry = {
+  type: 'pr',
+  key: 'PR #42',
+  date: '2026-01-21',
+  title: 'Add feature',
+  prNumber: 42,
+  author: 'dev',
+  url: 'https://github.com/org/repo/pull/42',
+  summary: 'Adds a feature',
+  files: '- src/index.js',
+};
+
+/**
+ * Gives blocks IDs, as Notion returns them when reading a page.
+ */
+function withIds(blocks, prefix) {
+  return blocks.map((block, i) => ({ id: `${prefix}${i}`, ...block }));
+}
+
+/**
+ * Builds a block with plain text, as the Notion API returns it.
+ */
+function textBlock(type, text, id) {
+  return { id, type, [type]: { rich_text: [{ plain_text: text }] } };
+}
+
+describe('normalizeText', () => {
+  it('should ignore case, punctuation, emoji and spacing', () => {
+    expect(normalizeText('🚀 2026-01-21 -  Add Feature!')).toBe('2026 01 21 add feature');
+  });
+});
+
+describe('checkChangelogEntry', () => {
+  it('should pass when the heading and reference paragraph are present', () => {
+    const blocks = withIds(buildNotionBlocks(entry), 'a');
+
+    expect(checkChangelogEntry(blocks, entry)).toEqual({
+      ok: true,
+      blockIds: ['a0', 'a1', 'a2', 'a3', 'a4'],
+      missing: [],
+    });
+  });
+
+  it('should accept a heading the model decorated', () => {
+    const blocks = [
+      textBlock('heading_2', '✨ 2026-01-21 - Add feature', 'h'),
+      textBlock('paragraph', 'PR #42 by @dev - View on GitHub', 'p'),
+    ];
+
+    expect(checkChangelogEntry(blocks, entry).ok).toBe(true);
+  });
+
+  it('should report a missing entry', () => {
+    const result = checkChangelogEntry([textBlock('paragraph', 'PR #7 by @dev', 'p')], entry);
+
+    expect(result.ok).toBe(false);
+    expect(result.blockIds).toEqual([]);
+    expect(result.missing).toEqual(['heading "2026-01-21 - Add feature"', 'reference paragraph "PR #42"']);
+  });
+
+  it('should report a missing heading and return the partial entry', () => {
+    const blocks = [textBlock('paragraph', 'PR #42 by @dev', 'p'), { id: 'd', type: 'divider', divider: {} }];
+
+    expect(checkChangelogEntry(blocks, entry)).toEqual({
+      ok: false,
+      blockIds: ['p', 'd'],
+      missing: ['heading "2026-01-21 - Add feature"'],
+    });
+  });
+
+  it('should ignore the blocks of an older copy', () => {
+    const old = withIds(buildNotionBlocks(entry), 'old');
+
+    const result = checkChangelogEntry(old, entry, { ignoreBlockIds: old.map((b) => b.id) });
+    expect(result.ok).toBe(false);
+
+    const blocks = [...old, ...withIds(buildNotionBlocks(entry), 'new')];
+    const withNew = checkChangelogEntry(blocks, entry, { ignoreBlockIds: old.map((b) => b.id) });
+    expect(withNew.ok).toBe(true);
+    expect(withNew.blockIds[0]).toBe('new0');
+  });
+});
+
+describe('verifyChangelogEntry', () => {
+  it('should read the Changelog page from Notion', async () => {
+    const notion = createFakeNotion({ changelog: withIds(buildNotionBlocks(entry), 'a') });
+
+    const result = await verifyChangelogEntry(notion, 'changelog', entry);
+
+    expect(result.ok).toBe(true);
+    expect(notion.request).toHaveBeenCalledWith('GET', expect.stringMatching(/^\/blocks\/changelog\/children/));
+  });
+});
+
+describe('checkStorageEntry', () => {
+  it('should find the entry in a Confluence page body', () => {
+    expect(checkStorageEntry(`<p>Intro</p>${buildStorageEntry(entry)}`, entry)).toEqual({
+      ok: true,
+      blockIds: [],
+      missing: [],
+    });
+  });
+
+  it('should report a missing entry or heading', () => {
+    expect(checkStorageEntry('<p>Intro</p>', entry).missing).toEqual([
+      'heading "2026-01-21 - Add feature"',
+      'reference paragraph "PR #42"',
+    ]);
+    expect(checkStorageEntry('<h2>Other</h2><p>PR #42 by @dev</p>', entry).missing).toEqual([
+      'heading "2026-01-21 - Add feature"',
+    ]);
+  });
+});
+
+describe('verifyDatabaseEntry', () => {
+  it('should find the row and return its body blocks', async () => {
+    const notion = createFakeNotion();
+    const { id } = await findOrCreateChangelogDatabase(notion, 'root', 'Changelog');
+    const { pageId } = await writeDatabaseEntry(notion, id, entry);
+
+    const result = await verifyDatabaseEntry(notion, id, entry);
+
+    expect(result).toEqual({ ok: true, pageId, blockIds: notion.children[pageId].map((b) => b.id), missing: [] });
+  });
+
+  it('should check a given row', async () => {
+    const notion = createFakeNotion();
+    const { id } = await findOrCreateChangelogDatabase(notion, 'root', 'Changelog');
+    await writeDatabaseEntry(notion, id, entry);
+    const { pageId } = await writeDatabaseEntry(notion, id, entry, 'append');
+    notion.children[pageId] = [];
+
+    const result = await verifyDatabaseEntry(notion, id, entry, { pageId });
+
+    expect(result).toMatchObject({ ok: false, pageId, missing: ['page body'] });
+  });
+
+  it('should report a missing row', async () => {
+    const notion = createFakeNotion();
+    const { id } = await findOrCreateChangelogDatabase(notion, 'root', 'Changelog');
+
+    await expect(verifyDatabaseEntry(notion, id, entry)).resolves.toMatchObject({
+      ok: false,
+      missing: ['row with URL https://github.com/org/repo/pull/42'],
+    });
+  });
+});
+
+describe('readmeSections', () => {
+  it('should list headings as converted to Notion', () => {
+    const markdown = '# My **Project**\n\nIntro\n\n## Usage\n\n#### Deep\n\n```md\n# not a heading\n```';
+
+    expect(readmeSections(markdown)).toEqual(['My Project', 'Usage', 'Deep']);
+  });
+});
+
+describe('checkDocumentation', () => {
+  it('should match every section to a heading', () => {
+    const blocks = [textBlock('heading_1', 'My Project', 'h1'), textBlock('heading_2', '🚀 Usage', 'h2')];
+
+    expect(checkDocumentation(blocks, ['My Project', 'Usage'])).toEqual({
+      ok: true,
+      blockIds: ['h1', 'h2'],
+      missing: [],
+    });
+  });
+
+  it('should report missing sections', () => {
+    const blocks = [textBlock('heading_1', 'My Project', 'h1'), textBlock('paragraph', 'Usage', 'p')];
+
+    expect(checkDocumentation(blocks, ['My Project', 'Usage']).missing).toEqual(['section "Usage"']);
+  });
+});
+
+describe('checkStorageDocumentation', () => {
+  it('should match every section to a heading in a Confluence page body', () => {
+    const storage = '<h1>My Project</h1><p>Usage</p>';
+
+    expect(checkStorageDocumentation(storage, ['My Project', 'Usage'])).toEqual({
+      ok: false,
+      blockIds: [],
+      missing: ['section "Usage"'],
+    });
+  });
+});
+
+describe('verifyDocumentation', () => {
+  it('should read the documentation page from Notion', async () => {
+    const notion = createFakeNotion({ docs: [textBlock('heading_1', 'Project', 'h1')] });
+
+    await expect(verifyDocumentation(notion, 'docs', '# Project\n\n## Install')).resolves.toEqual({
+      ok: false,
+      blockIds: ['h1'],
+      missing: ['section "Install"'],
+    });
+  });
+});